@@ -11,11 +11,11 @@ const CRYO_LIGHT_COLOR = 0x88ccff;
 const CRYO_PULSE_COLOR = 0x00aaff;
 
 export class CryoVent {
-    constructor(scene, position, particleSystem) {
+    constructor(scene, position, particleSystem, startTimer = Math.random() * 6) {
         this.scene = scene;
         this.position = position.clone();
         this.particleSystem = particleSystem;
-        this.timer = Math.random() * 6;
+        this.timer = startTimer;
         this.activeDuration = 3.5;
         this.cooldownDuration = 2.5;
         this.isActive = false;
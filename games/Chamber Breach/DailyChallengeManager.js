@@ -1,3 +1,6 @@
+import { CONFIG } from './config.js';
+import { SeededRandom, dailySeed } from './SeededRandom.js';
+
 export class DailyChallengeManager {
     constructor(game) {
         this.game = game;
@@ -11,6 +14,8 @@ export class DailyChallengeManager {
         ];
         
         this.currentChallenge = null;
+        this.dailySeed = null;
+        this.dailyFacility = null;
         this.progress = 0;
         this.isCompleted = false;
         this._saveScheduled = false;
@@ -42,10 +47,14 @@ export class DailyChallengeManager {
             savedCompleted = null;
         }
         
-        const today = new Date().toDateString();
+        // Everyone gets the same objective and facility layout for the day
+        const today = dailySeed();
+        const rng = new SeededRandom(today);
+        this.dailySeed = today;
+        this.dailyFacility = rng.fork('facility').pick(CONFIG.FACILITIES);
+
         if (savedDate !== today || !savedChallenge) {
-            const index = Math.floor(Math.random() * this.challenges.length);
-            this.currentChallenge = { ...this.challenges[index] };
+            this.currentChallenge = { ...rng.pick(this.challenges) };
             this._challengeTextTemplate = this.currentChallenge.text;
             this.progress = 0;
             this.isCompleted = false;
@@ -61,6 +70,11 @@ export class DailyChallengeManager {
         this.updateHUD();
     }
 
+    // Seed + facility for today's shared breach
+    getDailyRun() {
+        return { seed: this.dailySeed, facility: this.dailyFacility };
+    }
+
     track(type, amount = 1) {
         if (!this.currentChallenge || this.isCompleted) return;
         
@@ -105,7 +119,7 @@ export class DailyChallengeManager {
 
         const writeState = () => {
             try {
-                localStorage.setItem('meridian_daily_date', new Date().toDateString());
+                localStorage.setItem('meridian_daily_date', this.dailySeed);
                 localStorage.setItem('meridian_daily_challenge', JSON.stringify(this.currentChallenge));
                 localStorage.setItem('meridian_daily_progress', this.progress.toString());
                 localStorage.setItem('meridian_daily_completed', this.isCompleted.toString());
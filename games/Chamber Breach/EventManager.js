@@ -2,13 +2,24 @@ export class EventManager {
     constructor(game) {
         this.game = game;
         this.scene = game.scene;
-        this.lastEventTime = Date.now();
-        this.eventInterval = 60000 + Math.random() * 60000; // Every 1-2 minutes
         this.activeEvent = null;
         this.eventTimer = 0;
         this.heartbeatInterval = null;
         this.jammerInterval = null;
         this._uiElement = null;
+
+        this.resetSchedule();
+    }
+
+    // Event picks and timing come from the run seed
+    get rng() {
+        return this.game.runRng.events;
+    }
+
+    // Restart the countdown to the first event (called when a new run is seeded)
+    resetSchedule() {
+        this.lastEventTime = Date.now();
+        this.eventInterval = 60000 + this.rng.next() * 60000; // Every 1-2 minutes
     }
 
     update(deltaTime) {
@@ -49,12 +60,12 @@ export class EventManager {
         this._clearEventTimers();
 
         const events = ['BLACKOUT', 'JAMMER', 'SWARM', 'GRAVITY_SURGE', 'BERSERK', 'AMBUSH'];
-        const type = events[Math.floor(Math.random() * events.length)];
+        const type = this.rng.pick(events);
         
         this.activeEvent = type;
-        this.eventTimer = 25 + Math.random() * 20; 
+        this.eventTimer = 25 + this.rng.next() * 20; 
         this.lastEventTime = Date.now();
-        this.eventInterval = 60000 + Math.random() * 60000;
+        this.eventInterval = 60000 + this.rng.next() * 60000;
 
         this.game.showProgressionMessage(`CRITICAL SYSTEM EVENT: ${type}`, 6000);
         
@@ -30,6 +30,16 @@ import { LootManager } from './LootManager.js';
 import { AbilityManager } from './AbilityManager.js';
 import { EventManager } from './EventManager.js';
 import { DailyChallengeManager } from './DailyChallengeManager.js';
+import { SeededRandom, generateSeed, normalizeSeed } from './SeededRandom.js';
+
+// Node positions on the GLOBAL NETWORK INTERFACE map, one per CONFIG.FACILITIES entry
+const FACILITY_MAP_COORDS = [
+    { x: 25, y: 35 },
+    { x: 55, y: 25 },
+    { x: 75, y: 55 },
+    { x: 45, y: 75 },
+    { x: 20, y: 65 }
+];
 
 export class GameScene {
     constructor() {
@@ -370,6 +380,7 @@ export class GameScene {
 
         this.initScreenEvents();
         this.initMetaStoreEvents(); 
+        this.initDailyBreachEvents();
         this.initAchievementGalleryEvents(); 
         this.initMinigameClickEvents(); // New helper
 
@@ -605,6 +616,7 @@ export class GameScene {
 
         this.initRadialMenuEvents();
         // Perk & Roguelike Systems
+        this.seedRun();
         this.roguelikeManager = new RoguelikeManager(this);
         this.lootManager = new LootManager(this);
         this.abilityManager = new AbilityManager(this);
@@ -1205,13 +1217,7 @@ export class GameScene {
         for (let i = 0; i < items.length; i++) items[i].remove();
         
         const facilities = CONFIG.FACILITIES;
-        const coords = [
-            { x: 25, y: 35 },
-            { x: 55, y: 25 },
-            { x: 75, y: 55 },
-            { x: 45, y: 75 },
-            { x: 20, y: 65 }
-        ];
+        const coords = FACILITY_MAP_COORDS;
 
         // Draw connections
         facilities.forEach((fac, i) => {
@@ -1275,13 +1281,14 @@ export class GameScene {
         });
     }
 
-    showFacilityDetail(facility, coords) {
+    showFacilityDetail(facility, coords, seed = '') {
         const panel = document.getElementById('facility-detail-panel');
         const name = document.getElementById('detail-name');
         const location = document.getElementById('detail-location');
         const desc = document.getElementById('detail-desc');
         const stats = document.getElementById('detail-stats');
         const confirmBtn = document.getElementById('detail-confirm-btn');
+        const seedInput = document.getElementById('detail-seed-input');
         const image = document.getElementById('detail-image');
 
         const accentHex = `#${facility.accent.toString(16).padStart(6, '0')}`;
@@ -1308,8 +1315,10 @@ export class GameScene {
             SIGNAL: ENCRYPTED-L3
         `;
 
+        if (seedInput) seedInput.value = seed;
+
         this.bindMobileFriendlyClick(confirmBtn, () => {
-            this.selectFacility(facility);
+            this.selectFacility(facility, seedInput ? seedInput.value : '');
         });
 
         panel.style.transform = 'translateX(0)';
@@ -1320,13 +1329,42 @@ export class GameScene {
         panel.style.transform = 'translateX(100%)';
     }
 
-    selectFacility(facility) {
+    // Empty seed = fresh random run
+    selectFacility(facility, seed = '') {
         this.currentFacility = facility;
+        this.seedRun(seed);
         this.hideFacilityDetail();
         document.getElementById('facility-screen').style.display = 'none';
         this.startBreachLoading(facility);
     }
 
+    // One PRNG per system, all derived from the run seed, so the same seed
+    // replays the same layout, hazards, loot, events and perk offers
+    seedRun(seed = '') {
+        this.runSeed = normalizeSeed(seed) || generateSeed();
+        const root = new SeededRandom(this.runSeed);
+        this.runRng = {
+            map: root.fork('map'),
+            loot: root.fork('loot'),
+            events: root.fork('events'),
+            perks: root.fork('perks'),
+            briefing: root.fork('briefing')
+        };
+        if (this.eventManager) this.eventManager.resetSchedule();
+    }
+
+    initDailyBreachEvents() {
+        const dailyBtn = document.getElementById('daily-breach-btn');
+        if (!dailyBtn) return;
+
+        this.bindMobileFriendlyClick(dailyBtn, () => {
+            const { seed, facility } = this.dailyChallengeManager.getDailyRun();
+            const index = CONFIG.FACILITIES.indexOf(facility);
+            this.showFacilityDetail(facility, FACILITY_MAP_COORDS[index], seed);
+            this.successSynth?.triggerAttackRelease("G4", "16n");
+        });
+    }
+
     showBriefing(facility) {
         this.hideAllScreens();
         document.getElementById('briefing-screen').style.display = 'flex';
@@ -1364,7 +1402,8 @@ export class GameScene {
                 ROOM COUNT: ${facility.rooms}<br>
                 HAZARD LEVEL: ${riskLevel}<br>
                 SIGNAL PROFILE: ENCRYPTED-L3<br>
-                SPECIALIZED UNIT: ${specialUnit}
+                SPECIALIZED UNIT: ${specialUnit}<br>
+                RUN SEED: <span style="color: #00ffcc;">${this.runSeed}</span>
             `;
         }
 
@@ -1493,7 +1532,7 @@ export class GameScene {
         this.enemiesPerChamber = facility.enemies;
 
         // Create new map instance but DON'T generate yet
-        this.map = new GameMap(this.scene, facility, this.particleSystem);
+        this.map = new GameMap(this.scene, facility, this.particleSystem, this.runRng.map);
         this.particleSystem.map = this.map;
 
         // Navigation must be initialized only after map generation completes
@@ -1552,7 +1591,8 @@ export class GameScene {
             RISK LEVEL: ${riskLevel}<br>
             SIGNAL PROFILE: ENCRYPTED-L3<br>
             SPECIALIZED UNIT: ${specialUnit}<br>
-            MUTATOR: <span style="color: #ffff00;">${facility.mutator || 'NONE'}</span>
+            MUTATOR: <span style="color: #ffff00;">${facility.mutator || 'NONE'}</span><br>
+            RUN SEED: <span style="color: #00ffcc;">${this.runSeed}</span>
         `;
 
         const objectives = [
@@ -1561,7 +1601,7 @@ export class GameScene {
             "BREACH SECURITY HUB",
             "OVERRIDE MAIN FIREWALL"
         ];
-        objectiveEl.innerText = objectives[Math.floor(Math.random() * objectives.length)];
+        objectiveEl.innerText = this.runRng.briefing.pick(objectives);
 
         // Setup atmospheric lighting/particles after map is definitely ready (chunked to avoid a single long frame)
         const setupChamberEffects = async () => {
@@ -5679,6 +5719,7 @@ export class GameScene {
                 const chambersEl = document.getElementById('death-chambers');
                 const scoreEl = document.getElementById('death-score');
                 const scrapLostEl = document.getElementById('death-scrap-lost');
+                const seedEl = document.getElementById('death-seed');
 
                 const chambersBreached = this.currentChamberIndex + 1;
                 const totalChambers = CONFIG.MAP.NUM_ROOMS;
@@ -5686,6 +5727,7 @@ export class GameScene {
                 if (chambersEl) chambersEl.innerText = `${chambersBreached} / ${totalChambers}`;
                 if (scoreEl) scoreEl.innerText = this.player.score.toLocaleString();
                 if (scrapLostEl) scrapLostEl.innerText = this.scrap.toLocaleString();
+                if (seedEl) seedEl.innerText = this.runSeed;
 
                 const reviveContainer = document.getElementById('revive-container');
                 if (reviveContainer) {
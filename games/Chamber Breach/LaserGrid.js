@@ -2,7 +2,7 @@ import * as THREE from 'three';
 import { CONFIG } from './config.js';
 
 export class LaserGrid {
-    constructor(scene, chamber, horizontal = true) {
+    constructor(scene, chamber, horizontal = true, timeOffset = Math.random() * Math.PI * 2) {
         this.scene = scene;
         this.chamber = chamber;
         this.horizontal = horizontal;
@@ -20,7 +20,7 @@ export class LaserGrid {
         this.range = (this.size - this.width) / 2;
         
         // Offset for variety
-        this.timeOffset = Math.random() * Math.PI * 2;
+        this.timeOffset = timeOffset;
     }
 
     createMesh() {
@@ -17,9 +17,14 @@ export class LootManager {
         this._legendaryResetTimeout = null;
     }
 
+    // Drop rolls come from the run seed
+    get rng() {
+        return this.game.runRng.loot;
+    }
+
     handleEnemyDeath(enemy) {
         _tmpLootPos.copy(enemy.mesh.position);
-        const rand = Math.random();
+        const rand = this.rng.next();
 
         // 2% Legendary
         if (rand < 0.02) {
@@ -36,17 +41,17 @@ export class LootManager {
     }
 
     spawnLegendaryLoot(pos) {
-        const type = _legendaryTypes[Math.floor(Math.random() * _legendaryTypes.length)];
+        const type = _legendaryTypes[this.rng.int(_legendaryTypes.length)];
         this.createLootPickup(pos, type, 'LEGENDARY');
     }
 
     spawnRareLoot(pos) {
-        const type = _rareTypes[Math.floor(Math.random() * _rareTypes.length)];
+        const type = _rareTypes[this.rng.int(_rareTypes.length)];
         this.createLootPickup(pos, type, 'RARE');
     }
 
     spawnNormalLoot(pos) {
-        const rand = Math.random();
+        const rand = this.rng.next();
         if (rand < 0.3) {
             const pack = new HealthPack(this.scene, pos);
             this.game.pickups.push(pack);
@@ -7,12 +7,15 @@ import { DataTerminal } from './DataTerminal.js';
 import { LORE_DATA } from './LoreData.js';
 
 import { NeuralDisruptor } from './NeuralDisruptor.js';
+import { SeededRandom } from './SeededRandom.js';
 
 export class GameMap {
-    constructor(scene, facility = null, particleSystem = null) {
+    constructor(scene, facility = null, particleSystem = null, rng = null) {
         this.scene = scene;
         this.facility = facility;
         this.particleSystem = particleSystem;
+        // Layout and hazard placement draw from this, so a run seed replays the same facility
+        this.rng = rng || new SeededRandom();
         
         this.mapGroup = new THREE.Group();
         this.scene.add(this.mapGroup);
@@ -196,7 +199,7 @@ export class GameMap {
                 const nextIsBoss = (nextRoomIndex + 1) % (CONFIG.MAP.BOSS_INTERVAL || 5) === 0;
                 const nextIsFinal = nextRoomIndex === effectiveRooms - 1;
                 const nextRoomSize = nextIsFinal ? roomSize * 2.5 : (nextIsBoss ? roomSize * 1.5 : roomSize);
-                const turn = Math.random();
+                const turn = this.rng.next();
 
                 if (turn < 0.2 && currentX === 0) {
                     nextExitDir = 'EAST';
@@ -494,7 +497,7 @@ export class GameMap {
         this.createComplexCeiling(x, z, size, height, index);
         this.createComplexProps(x, z, size, index);
         
-        const isVault = !isBossRoom && index > 0 && Math.random() < CONFIG.MAP.VAULT_CHANCE;
+        const isVault = !isBossRoom && index > 0 && this.rng.next() < CONFIG.MAP.VAULT_CHANCE;
         const chamber = { x, z, size, index, enemiesSpawned: 0, isCleared: false, isTerminalBreached: false, isBossRoom, isVault };
         this.chambers.push(chamber);
         this._registerChamber(chamber);
@@ -504,21 +507,21 @@ export class GameMap {
             this.createTerminal(x - half + 2, z - half + 2, size, index, 'VAULT_2');
             
             for (let i = 0; i < 3; i++) {
-                const lx = x + (Math.random() - 0.5) * (size - 8);
-                const lz = z + (Math.random() - 0.5) * (size - 8);
+                const lx = x + (this.rng.next() - 0.5) * (size - 8);
+                const lz = z + (this.rng.next() - 0.5) * (size - 8);
                 this.createLootCache(lx, lz, index);
             }
         } else {
             this.createTerminal(x + half - 2, z + half - 2, size, index);
             
             const loreChance = CONFIG.MAP.FAST_MODE ? 0.15 : 0.4;
-            if (Math.random() < loreChance) {
-                const lx = x + (Math.random() - 0.5) * (size - 10);
-                const lz = z + (Math.random() - 0.5) * (size - 10);
+            if (this.rng.next() < loreChance) {
+                const lx = x + (this.rng.next() - 0.5) * (size - 10);
+                const lz = z + (this.rng.next() - 0.5) * (size - 10);
                 
                 const availableLore = LORE_DATA.filter((_, i) => !this.spawnedLoreIndices.has(i));
                 if (availableLore.length > 0) {
-                    const entry = availableLore[Math.floor(Math.random() * availableLore.length)];
+                    const entry = availableLore[Math.floor(this.rng.next() * availableLore.length)];
                     const loreIdx = LORE_DATA.indexOf(entry);
                     this.spawnedLoreIndices.add(loreIdx);
                     this.createLoreTerminal(lx, lz, entry, index);
@@ -550,7 +553,7 @@ export class GameMap {
     }
 
     createLoreTerminal(x, z, loreEntry, chamberIndex) {
-        const isTrapped = Math.random() < 0.25;
+        const isTrapped = this.rng.next() < 0.25;
         const terminal = new DataTerminal(this.scene, new THREE.Vector3(x, 0, z), loreEntry, (entry, trapTriggered) => {
             if (window.game) {
                 if (trapTriggered) {
@@ -597,7 +600,7 @@ export class GameMap {
             type: 'VOLTAGE', 
             damage: 25, 
             radius: 1.8, 
-            pulseTime: Math.random() * 10,
+            pulseTime: this.rng.next() * 10,
             chamberIndex: index,
             isActive: true,
             update: (dt) => {
@@ -615,9 +618,9 @@ export class GameMap {
         };
         this.hazards.push(hazard);
         
-        if (Math.random() < 0.5) {
-            const sx = x + (Math.random() > 0.5 ? 4 : -4);
-            const sz = z + (Math.random() > 0.5 ? 4 : -4);
+        if (this.rng.next() < 0.5) {
+            const sx = x + (this.rng.next() > 0.5 ? 4 : -4);
+            const sz = z + (this.rng.next() > 0.5 ? 4 : -4);
             this.createHazardSwitch(sx, sz, hazard);
         }
     }
@@ -869,16 +872,16 @@ export class GameMap {
 
         const terminalCount = CONFIG.MAP.FAST_MODE ? 1 : 2;
         for (let i = 0; i < terminalCount; i++) {
-            const side = Math.random() > 0.5 ? 1 : -1;
-            const isX = Math.random() > 0.5;
+            const side = this.rng.next() > 0.5 ? 1 : -1;
+            const isX = this.rng.next() > 0.5;
             let posX, posZ, rotY;
 
             if (isX) {
                 posX = x + side * (size/2 - 0.55);
-                posZ = z + (Math.random() - 0.5) * (size - 4);
+                posZ = z + (this.rng.next() - 0.5) * (size - 4);
                 rotY = side > 0 ? -Math.PI / 2 : Math.PI / 2;
             } else {
-                posX = x + (Math.random() - 0.5) * (size - 4);
+                posX = x + (this.rng.next() - 0.5) * (size - 4);
                 posZ = z + side * (size/2 - 0.55);
                 rotY = side > 0 ? Math.PI : 0;
             }
@@ -903,11 +906,11 @@ export class GameMap {
         if (!this._pipeGasMat) this._pipeGasMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
         
         for (let i = 0; i < 2; i++) {
-            const isGas = Math.random() < 0.3;
+            const isGas = this.rng.next() < 0.3;
             const p = new THREE.Mesh(pipeGeo, isGas ? this._pipeGasMat.clone() : this._pipeMat);
             
-            const side = Math.random() > 0.5 ? 1 : -1;
-            p.position.set(x + (Math.random()-0.5)*size, 4.5, z + side * (size/2 - 1.5));
+            const side = this.rng.next() > 0.5 ? 1 : -1;
+            p.position.set(x + (this.rng.next()-0.5)*size, 4.5, z + side * (size/2 - 1.5));
             p.rotation.z = Math.PI / 2;
             
             p.userData.isPipe = true;
@@ -972,8 +975,8 @@ export class GameMap {
         
         const hazardChance = CONFIG.MAP.FAST_MODE ? Math.min(0.12, CONFIG.MAP.HAZARD_CHANCE) : Math.min(0.35, CONFIG.MAP.HAZARD_CHANCE);
 
-        if ((this.facility.id === 'meridian' || this.facility.id === 'neon') && Math.random() < hazardChance) {
-            const grid = new LaserGrid(this.scene, { x, z, size }, Math.random() > 0.5);
+        if ((this.facility.id === 'meridian' || this.facility.id === 'neon') && this.rng.next() < hazardChance) {
+            const grid = new LaserGrid(this.scene, { x, z, size }, this.rng.next() > 0.5, this.rng.next() * Math.PI * 2);
             this.hazards.push({ 
                 type: 'LASER_GRID', 
                 instance: grid,
@@ -982,19 +985,19 @@ export class GameMap {
             });
         }
 
-        if (!CONFIG.MAP.FAST_MODE && (this.facility.id === 'neon' || this.facility.id === 'obsidian') && idx >= 5 && Math.random() < 0.2) {
+        if (!CONFIG.MAP.FAST_MODE && (this.facility.id === 'neon' || this.facility.id === 'obsidian') && idx >= 5 && this.rng.next() < 0.2) {
             this.createNeuralDisruptor(x, z, idx);
         }
 
-        if (!CONFIG.MAP.FAST_MODE && this.facility.id === 'neon' && Math.random() < 0.4) {
+        if (!CONFIG.MAP.FAST_MODE && this.facility.id === 'neon' && this.rng.next() < 0.4) {
             this.createPhaseGate(x, z, size, idx);
         }
 
-        if (this.facility.id === 'cryo' && Math.random() < (CONFIG.MAP.FAST_MODE ? 0.3 : 0.5)) {
-            const numVents = CONFIG.MAP.FAST_MODE ? 1 : 2 + Math.floor(Math.random() * 2);
+        if (this.facility.id === 'cryo' && this.rng.next() < (CONFIG.MAP.FAST_MODE ? 0.3 : 0.5)) {
+            const numVents = CONFIG.MAP.FAST_MODE ? 1 : 2 + Math.floor(this.rng.next() * 2);
             for (let i = 0; i < numVents; i++) {
-                const vx = x + (Math.random() - 0.5) * (size - 6);
-                const vz = z + (Math.random() - 0.5) * (size - 6);
+                const vx = x + (this.rng.next() - 0.5) * (size - 6);
+                const vz = z + (this.rng.next() - 0.5) * (size - 6);
                 this.createCryoVent(vx, vz, idx);
             }
         }
@@ -1021,7 +1024,7 @@ export class GameMap {
     }
 
     createCryoVent(x, z, index) {
-        const vent = new CryoVent(this.scene, new THREE.Vector3(x, 0, z), window.game?.particleSystem);
+        const vent = new CryoVent(this.scene, new THREE.Vector3(x, 0, z), window.game?.particleSystem, this.rng.next() * 6);
         this.hazards.push({ 
             type: 'CRYO_VENT', 
             instance: vent,
@@ -1034,7 +1037,7 @@ export class GameMap {
     }
 
     createPhaseGate(x, z, size, index) {
-        const isH = Math.random() > 0.5;
+        const isH = this.rng.next() > 0.5;
         const g = new THREE.Group();
         
         const beamGeo = isH ? new THREE.BoxGeometry(size - 4, 0.1, 0.1) : new THREE.BoxGeometry(0.1, 0.1, size - 4);
@@ -1075,7 +1078,7 @@ export class GameMap {
             isH,
             index,
             state: 'ACTIVE',
-            timer: Math.random() * 2,
+            timer: this.rng.next() * 2,
             update: (dt) => {
                 hazard.timer += dt;
                 const cycle = 3.0;
@@ -176,9 +176,9 @@ export class PerkManager {
         });
     }
 
-    getRandomPerks(count = 3) {
+    getRandomPerks(count = 3, rng = null) {
         const allAvailable = ALL_PERKS.filter(p => !this.activePerks.has(p.id));
-        const shuffled = allAvailable.sort(() => 0.5 - Math.random());
+        const shuffled = rng ? rng.shuffle(allAvailable) : allAvailable.sort(() => 0.5 - Math.random());
         return shuffled.slice(0, count);
     }
 
@@ -30,7 +30,7 @@ export class RoguelikeManager {
             document.exitPointerLock();
         }
 
-        const perks = this.perkManager.getRandomPerks(3);
+        const perks = this.perkManager.getRandomPerks(3, this.game.runRng.perks);
         
         this.perkOptionsContainer.innerHTML = '';
         
@@ -0,0 +1,89 @@
+// Seeded PRNG for reproducible runs.
+// A run seed is a short string players can read off the briefing/death screens
+// and type back in; every system that shapes a facility draws from its own
+// fork of it, so extra loot rolls never shift the layout or the perk offers.
+
+const SEED_ALPHABET = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I/O, easy to read aloud
+const SEED_LENGTH = 8;
+const MAX_SEED_LENGTH = 24;
+
+// xmur3: string -> 32-bit state
+function hashSeed(str) {
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+}
+
+export function generateSeed() {
+    let seed = '';
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+// Whatever the player typed -> canonical seed ('' when there's nothing usable)
+export function normalizeSeed(input) {
+    if (input === null || input === undefined) return '';
+    return String(input).trim().toUpperCase().replace(/[^A-Z0-9-]/g, '').slice(0, MAX_SEED_LENGTH);
+}
+
+// Same seed for every player on the same UTC day
+export function dailySeed(date = new Date()) {
+    const y = date.getUTCFullYear();
+    const m = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const d = String(date.getUTCDate()).padStart(2, '0');
+    return `DAILY-${y}${m}${d}`;
+}
+
+export class SeededRandom {
+    constructor(seed = generateSeed()) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+    }
+
+    // mulberry32, drop-in for Math.random(): [0, 1)
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+
+    // Fisher-Yates on a copy
+    shuffle(list) {
+        const out = list.slice();
+        for (let i = out.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+        return out;
+    }
+
+    // Independent stream derived from this seed
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
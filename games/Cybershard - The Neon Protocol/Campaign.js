@@ -0,0 +1,123 @@
+import { CAMPAIGN_PACKS, STAR_RULES, DAILY_TYPES, PUZZLES } from './config.js';
+import { createRandom } from './Solver.js';
+
+const STORAGE_KEY = 'cybershard_progress';
+const SAVE_VERSION = 1;
+
+export function getLevelId(pack, index) {
+    return `${pack.id}-${index + 1}`;
+}
+
+// Local date, so the daily puzzle changes at the player's midnight
+export function getTodayKey(date = new Date()) {
+    const m = (date.getMonth() + 1).toString().padStart(2, '0');
+    const d = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${m}-${d}`;
+}
+
+export function getStars(moves, time, par, timeLimit) {
+    const within = (rule) => (par === null || moves <= Math.ceil(par * rule.moves)) && time <= timeLimit * rule.time;
+    if (within(STAR_RULES.three)) return 3;
+    if (within(STAR_RULES.two)) return 2;
+    return 1;
+}
+
+// Everyone gets the same board on the same day
+export function getDailyPuzzle(dayKey = getTodayKey()) {
+    const random = createRandom(`daily:${dayKey}`);
+    const type = DAILY_TYPES[Math.floor(random() * DAILY_TYPES.length)];
+    const image = PUZZLES[Math.floor(random() * PUZZLES.length)];
+    const size = random() < 0.5 ? 3 : 4;
+    return {
+        name: `Daily ${dayKey}`,
+        url: image.url,
+        size,
+        type,
+        difficulty: 'normal',
+        time: size === 3 ? 90 : 180,
+        seed: `daily:${dayKey}:board`,
+        dayKey
+    };
+}
+
+export class CampaignProgress {
+    constructor() {
+        this.data = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && saved.version === SAVE_VERSION) {
+                return { levels: saved.levels || {}, daily: saved.daily || {}, version: SAVE_VERSION };
+            }
+        } catch (e) {
+            // A corrupted save starts over
+        }
+        return { levels: {}, daily: {}, version: SAVE_VERSION };
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+    }
+
+    getRecord(levelId) {
+        return this.data.levels[levelId] || null;
+    }
+
+    getDailyRecord(dayKey = getTodayKey()) {
+        return this.data.daily[dayKey] || null;
+    }
+
+    // Keeps the best stars, moves and time separately
+    mergeRecord(previous, { moves, time, stars }) {
+        if (!previous) return { stars, bestMoves: moves, bestTime: time, clears: 1 };
+        return {
+            stars: Math.max(previous.stars, stars),
+            bestMoves: Math.min(previous.bestMoves, moves),
+            bestTime: Math.min(previous.bestTime, time),
+            clears: previous.clears + 1
+        };
+    }
+
+    // Returns what the run improved, for the win screen
+    recordLevel(levelId, result) {
+        const previous = this.getRecord(levelId);
+        this.data.levels[levelId] = this.mergeRecord(previous, result);
+        this.save();
+        return this.getImprovements(previous, result);
+    }
+
+    recordDaily(dayKey, result) {
+        const previous = this.getDailyRecord(dayKey);
+        this.data.daily[dayKey] = this.mergeRecord(previous, result);
+        this.save();
+        return this.getImprovements(previous, result);
+    }
+
+    getImprovements(previous, { moves, time, stars }) {
+        return {
+            isFirstClear: !previous,
+            newStars: previous ? stars > previous.stars : true,
+            newBestMoves: previous ? moves < previous.bestMoves : true,
+            newBestTime: previous ? time < previous.bestTime : true
+        };
+    }
+
+    getPackStars(pack) {
+        return pack.levels.reduce((sum, _, i) => sum + ((this.getRecord(getLevelId(pack, i)) || {}).stars || 0), 0);
+    }
+
+    getTotalStars() {
+        return CAMPAIGN_PACKS.reduce((sum, pack) => sum + this.getPackStars(pack), 0);
+    }
+
+    isPackUnlocked(pack) {
+        return this.getTotalStars() >= pack.requiredStars;
+    }
+
+    isLevelUnlocked(pack, index) {
+        if (!this.isPackUnlocked(pack)) return false;
+        return index === 0 || this.getRecord(getLevelId(pack, index - 1)) !== null;
+    }
+}
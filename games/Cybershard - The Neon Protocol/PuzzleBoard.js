@@ -1,6 +1,8 @@
 import * as THREE from 'three';
 import { Tile } from './Tile.js';
-import { TILE_SIZE, TILE_SPACING, COLORS } from './config.js';
+import { TILE_SIZE, TILE_SPACING, COLORS, DIFFICULTY_PRESETS } from './config.js';
+import { solverService } from './SolverService.js';
+import { applyMove, getBlankGoal } from './Solver.js';
 
 export class PuzzleBoard {
     constructor(scene, size, textureUrl, type, extraData = {}) {
@@ -20,6 +22,10 @@ export class PuzzleBoard {
         this.isSolving = false;
         this.isShuffled = false;
 
+        // Solution length of the scramble, in the moves counted by the game
+        this.par = null;
+        this.hintCache = new Map();
+
         this.memoryMatches = 0;
         this.memoryFlipped = [];
         this.hiddenTargetsFound = 0;
@@ -133,12 +139,32 @@ export class PuzzleBoard {
         });
     }
 
-    shuffle(moves = 100) {
+    async shuffle(difficulty = 'normal', seed) {
         if (this.type === 'scatter') {
             this.scatterTiles();
             this.isShuffled = true;
             return;
         }
+        const solverType = this.getSolverType();
+        if (solverType) {
+            const preset = DIFFICULTY_PRESETS.find(p => p.id === difficulty) || DIFFICULTY_PRESETS[1];
+            try {
+                const result = await solverService.generate(solverType, this.size, preset[solverType][this.size], seed);
+                if (result) {
+                    this.applySolverState(result.cells);
+                    this.par = result.par;
+                    this.isShuffled = true;
+                    return;
+                }
+            } catch (error) {
+                // No solver worker, the random shuffle below still works
+            }
+            this.randomShuffle();
+        }
+        this.isShuffled = true;
+    }
+
+    randomShuffle(moves = 100) {
         if (this.type === 'slide') {
             for (let i = 0; i < moves; i++) {
                 const neighbors = this.getValidNeighbors(this.emptyPos);
@@ -159,7 +185,84 @@ export class PuzzleBoard {
                 for (let i = 0; i < rotations; i++) tile.rotate();
             });
         }
-        this.isShuffled = true;
+    }
+
+    // The move count a good run needs: the solver's par, or an estimate for
+    // the boards without a solver (memory needs some wrong guesses)
+    getMovePar() {
+        if (this.par !== null) return this.par;
+        if (this.type === 'memory') return Math.ceil(this.tiles.length * 1.5);
+        if (this.type === 'scatter') return this.tiles.length;
+        return null;
+    }
+
+    // 'blur' boards play like 'swap' boards
+    getSolverType() {
+        if (this.type === 'slide' || this.type === 'swap' || this.type === 'rotate') return this.type;
+        if (this.type === 'blur') return 'swap';
+        return null;
+    }
+
+    getGoalCell(tile) {
+        return tile.correctGridPos.y * this.size + tile.correctGridPos.x;
+    }
+
+    // Flat board for Solver.js: the goal cell of each tile, or its rotation step
+    getSolverState() {
+        const cells = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                const tile = this.grid[x][y];
+                if (this.type === 'rotate') cells.push(tile.rotationStep % 4);
+                else cells.push(tile ? this.getGoalCell(tile) : getBlankGoal(this.size));
+            }
+        }
+        return cells;
+    }
+
+    applySolverState(cells) {
+        if (this.type === 'rotate') {
+            cells.forEach((step, cell) => {
+                const tile = this.grid[cell % this.size][Math.floor(cell / this.size)];
+                for (let i = 0; i < step; i++) tile.rotate();
+            });
+            return;
+        }
+        const tilesByGoal = new Map(this.tiles.map(tile => [this.getGoalCell(tile), tile]));
+        cells.forEach((goal, cell) => {
+            const x = cell % this.size;
+            const y = Math.floor(cell / this.size);
+            const tile = tilesByGoal.get(goal);
+            this.grid[x][y] = tile || null;
+            if (tile) {
+                tile.setGridPosition(x, y, TILE_SIZE, TILE_SPACING);
+                tile.bounce();
+            } else {
+                this.emptyPos = { x, y };
+            }
+        });
+    }
+
+    // The next move of a shortest solution, reusing the last solution while
+    // the player follows it
+    async getNextMove() {
+        const solverType = this.getSolverType();
+        if (!solverType) return null;
+        const cells = this.getSolverState();
+        const key = cells.join(',');
+        if (!this.hintCache.has(key)) {
+            const result = await solverService.solve(solverType, this.size, cells);
+            if (!result || result.moves.length === 0) return null;
+            this.hintCache.clear();
+            let state = cells;
+            result.moves.forEach(move => {
+                this.hintCache.set(state.join(','), move);
+                state = applyMove(solverType, this.size, state, move);
+            });
+        }
+        // The board may have changed while the worker was busy
+        if (this.getSolverState().join(',') !== key) return null;
+        return this.hintCache.get(key);
     }
 
     scatterTiles() {
@@ -381,7 +484,24 @@ export class PuzzleBoard {
         });
     }
 
-    showHint(duration = 1000) {
+    async showHint(duration = 1000) {
+        if (this.isSolving) return;
+        if (this.getSolverType() && this.isShuffled) {
+            try {
+                const move = await this.getNextMove();
+                if (move !== null && move !== undefined) {
+                    const cells = Array.isArray(move) ? move : [move];
+                    cells.forEach(cell => {
+                        const tile = this.grid[cell % this.size][Math.floor(cell / this.size)];
+                        if (tile) tile.flashHint(duration * 1.5);
+                    });
+                    return;
+                }
+            } catch (error) {
+                // Falls through to the regular hint of the board type
+            }
+        }
+
         if (this.type === 'hidden') {
             this.hiddenMarkers.forEach(m => {
                 if (!m.userData.found) m.material.opacity = 0.5;
@@ -0,0 +1,381 @@
+// Solvers and scramblers for the 'slide', 'swap' and 'rotate' boards.
+// Boards are flat arrays indexed by cell (y * size + x). For 'slide' and 'swap'
+// each cell holds the goal cell of its tile, for 'rotate' the rotation step (0-3).
+// Pure functions only: this module runs inside SolverWorker.js.
+
+const NODE_BUDGET = 4000000;
+
+// Seeded generator (mulberry32 over a string hash), for the daily puzzle
+export function createRandom(seed) {
+    let h = 1779033703 ^ String(seed).length;
+    for (let i = 0; i < String(seed).length; i++) {
+        h = Math.imul(h ^ String(seed).charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    let state = h >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Tiles per pattern database group, by board size
+const PATTERN_GROUP_SIZES = { 3: 4, 4: 5, 5: 4 };
+
+export function getBlankGoal(size) {
+    // The empty slot starts in the (size - 1, 0) corner of PuzzleBoard
+    return size - 1;
+}
+
+function getNeighbors(size) {
+    const neighbors = [];
+    for (let cell = 0; cell < size * size; cell++) {
+        const x = cell % size;
+        const y = Math.floor(cell / size);
+        const list = [];
+        if (x > 0) list.push(cell - 1);
+        if (x < size - 1) list.push(cell + 1);
+        if (y > 0) list.push(cell - size);
+        if (y < size - 1) list.push(cell + size);
+        neighbors.push(list);
+    }
+    return neighbors;
+}
+
+// --- Slide: additive pattern databases ---
+
+const patternCache = new Map();
+
+// Each group only counts the moves of its own tiles, so the groups add up
+// to an admissible heuristic. The blank is left out of the database state.
+function buildPatternGroup(size, tiles, neighbors) {
+    const cells = size * size;
+    const k = tiles.length;
+    const weights = tiles.map((_, j) => cells ** (k - 1 - j));
+    const table = new Uint8Array(cells ** k).fill(255);
+    const queue = new Int32Array(cells ** k);
+
+    const start = tiles.reduce((index, tile, j) => index + tile * weights[j], 0);
+    table[start] = 0;
+    queue[0] = start;
+    let head = 0;
+    let tail = 1;
+    const positions = new Array(k);
+
+    while (head < tail) {
+        const index = queue[head++];
+        const distance = table[index];
+        let rest = index;
+        for (let j = 0; j < k; j++) {
+            positions[j] = Math.floor(rest / weights[j]);
+            rest -= positions[j] * weights[j];
+        }
+        for (let j = 0; j < k; j++) {
+            for (const next of neighbors[positions[j]]) {
+                if (positions.includes(next)) continue;
+                const nextIndex = index + (next - positions[j]) * weights[j];
+                if (table[nextIndex] === 255) {
+                    table[nextIndex] = distance + 1;
+                    queue[tail++] = nextIndex;
+                }
+            }
+        }
+    }
+    return { tiles, weights, table };
+}
+
+export function getPatternDatabase(size) {
+    if (patternCache.has(size)) return patternCache.get(size);
+
+    const neighbors = getNeighbors(size);
+    const blank = getBlankGoal(size);
+    const tiles = Array.from({ length: size * size }, (_, i) => i).filter(i => i !== blank);
+    const groupSize = PATTERN_GROUP_SIZES[size] || 4;
+    const groups = [];
+    for (let i = 0; i < tiles.length; i += groupSize) {
+        groups.push(buildPatternGroup(size, tiles.slice(i, i + groupSize), neighbors));
+    }
+
+    // Lookup of the group and index weight of every tile
+    const tileGroup = new Int8Array(size * size).fill(-1);
+    const tileWeight = new Int32Array(size * size);
+    groups.forEach((group, g) => {
+        group.tiles.forEach((tile, j) => {
+            tileGroup[tile] = g;
+            tileWeight[tile] = group.weights[j];
+        });
+    });
+
+    const database = { size, neighbors, blank, groups, tileGroup, tileWeight };
+    patternCache.set(size, database);
+    return database;
+}
+
+function getGroupIndexes(database, cells) {
+    const indexes = new Int32Array(database.groups.length);
+    cells.forEach((tile, cell) => {
+        const g = database.tileGroup[tile];
+        if (g >= 0) indexes[g] += cell * database.tileWeight[tile];
+    });
+    return indexes;
+}
+
+function getHeuristic(database, indexes) {
+    let h = 0;
+    database.groups.forEach((group, g) => { h += group.table[indexes[g]]; });
+    return h;
+}
+
+export function estimateSlide(size, cells) {
+    const database = getPatternDatabase(size);
+    return getHeuristic(database, getGroupIndexes(database, cells));
+}
+
+// Every move swaps the blank with a neighbour, so the parity of the
+// permutation must match the parity of the blank's distance to its goal
+export function isSlideSolvable(size, cells) {
+    const blankGoal = getBlankGoal(size);
+    const visited = new Array(cells.length).fill(false);
+    let swaps = 0;
+    cells.forEach((_, start) => {
+        let length = 0;
+        for (let cell = start; !visited[cell]; cell = cells[cell]) {
+            visited[cell] = true;
+            length++;
+        }
+        if (length > 0) swaps += length - 1;
+    });
+    const blank = cells.indexOf(blankGoal);
+    const distance = Math.abs(blank % size - blankGoal % size) +
+        Math.abs(Math.floor(blank / size) - Math.floor(blankGoal / size));
+    return swaps % 2 === distance % 2;
+}
+
+// IDA* over single tile moves. A move is the cell of the tile that slides
+// into the blank. With weight > 1 the search is faster but not optimal.
+export function solveSlide(size, start, { budget = NODE_BUDGET, weight = 1 } = {}) {
+    if (!isSlideSolvable(size, start)) return null;
+
+    const database = getPatternDatabase(size);
+    const { neighbors, groups, tileGroup, tileWeight } = database;
+    const cells = start.slice();
+    const indexes = getGroupIndexes(database, cells);
+    let blank = cells.indexOf(database.blank);
+    let nodes = 0;
+    const path = [];
+    const FOUND = -1;
+    const OUT_OF_BUDGET = -2;
+
+    const search = (g, bound, previous) => {
+        nodes++;
+        if (nodes > budget) return OUT_OF_BUDGET;
+        let h = 0;
+        for (let i = 0; i < groups.length; i++) h += groups[i].table[indexes[i]];
+        const f = g + h * weight;
+        if (f > bound) return f;
+        if (h === 0) return FOUND;
+
+        let min = Infinity;
+        for (const cell of neighbors[blank]) {
+            if (cell === previous) continue;
+            const tile = cells[cell];
+            const group = tileGroup[tile];
+            const from = blank;
+
+            cells[from] = tile;
+            cells[cell] = database.blank;
+            indexes[group] += (from - cell) * tileWeight[tile];
+            blank = cell;
+            path.push(cell);
+
+            const result = search(g + 1, bound, from);
+            if (result === FOUND || result === OUT_OF_BUDGET) return result;
+            if (result < min) min = result;
+
+            path.pop();
+            blank = from;
+            indexes[group] -= (from - cell) * tileWeight[tile];
+            cells[cell] = tile;
+            cells[from] = database.blank;
+        }
+        return min;
+    };
+
+    let bound = getHeuristic(database, indexes) * weight;
+    while (true) {
+        const result = search(0, bound, -1);
+        if (result === FOUND) return { moves: path.slice(), optimal: weight === 1, nodes };
+        if (result === OUT_OF_BUDGET || result === Infinity) return null;
+        bound = result;
+    }
+}
+
+// Falls back to weighted searches when the optimal one runs out of budget
+export function solveSlideFast(size, cells) {
+    for (const weight of [1, 1.5, 3]) {
+        const solution = solveSlide(size, cells, { weight });
+        if (solution) return solution;
+    }
+    return null;
+}
+
+export function applySlideMove(size, cells, cell) {
+    const next = cells.slice();
+    const blank = next.indexOf(getBlankGoal(size));
+    next[blank] = next[cell];
+    next[cell] = getBlankGoal(size);
+    return next;
+}
+
+// PuzzleBoard.moveTile slides a whole line at once, so moves in the same
+// direction in a row count as one
+export function countLineMoves(size, cells, moves) {
+    let blank = cells.indexOf(getBlankGoal(size));
+    let lastDirection = 0;
+    let count = 0;
+    moves.forEach(cell => {
+        const direction = cell - blank;
+        if (direction !== lastDirection) count++;
+        lastDirection = direction;
+        blank = cell;
+    });
+    return count;
+}
+
+// Random walks until the optimal solution length falls in [min, max]
+export function generateSlide(size, [min, max], random = Math.random) {
+    const database = getPatternDatabase(size);
+    const goal = Array.from({ length: size * size }, (_, i) => i);
+    let best = null;
+
+    for (let attempt = 0; attempt < 30; attempt++) {
+        const target = min + Math.floor(random() * (max - min + 1));
+        let cells = goal.slice();
+        let previous = -1;
+
+        for (let steps = 0; steps < max * 6; steps++) {
+            const blank = cells.indexOf(database.blank);
+            const options = database.neighbors[blank].filter(cell => cell !== previous);
+            const cell = options[Math.floor(random() * options.length)];
+            cells = applySlideMove(size, cells, cell);
+            previous = blank;
+
+            if (steps + 1 < target || estimateSlide(size, cells) < target * 0.7) continue;
+
+            const solution = solveSlide(size, cells);
+            if (!solution || solution.moves.length > max) break;
+            if (solution.moves.length >= target) {
+                return { cells, solution };
+            }
+            if (!best || solution.moves.length > best.solution.moves.length) {
+                best = { cells: cells.slice(), solution };
+            }
+        }
+    }
+    return best;
+}
+
+// --- Swap: a permutation needs (tiles - cycles) swaps ---
+
+function getCycleIds(cells) {
+    const ids = new Array(cells.length).fill(-1);
+    let count = 0;
+    cells.forEach((_, start) => {
+        if (ids[start] !== -1) return;
+        let cell = start;
+        while (ids[cell] === -1) {
+            ids[cell] = count;
+            cell = cells[cell];
+        }
+        count++;
+    });
+    return { ids, count };
+}
+
+// Every swap sends one tile to its goal, so the solution is optimal
+export function solveSwap(cells) {
+    const current = cells.slice();
+    const moves = [];
+    current.forEach((_, cell) => {
+        while (current[cell] !== cell) {
+            const target = current[cell];
+            moves.push([cell, target]);
+            [current[cell], current[target]] = [current[target], current[cell]];
+        }
+    });
+    return { moves, optimal: true };
+}
+
+// Swapping two tiles of different cycles merges them and adds one swap
+export function generateSwap(size, length, random = Math.random) {
+    const total = size * size;
+    const target = Math.min(length, total - 1);
+    const cells = Array.from({ length: total }, (_, i) => i);
+    while (total - getCycleIds(cells).count < target) {
+        const { ids } = getCycleIds(cells);
+        const a = Math.floor(random() * total);
+        const others = cells.map((_, i) => i).filter(i => ids[i] !== ids[a]);
+        const b = others[Math.floor(random() * others.length)];
+        [cells[a], cells[b]] = [cells[b], cells[a]];
+    }
+    return { cells, solution: solveSwap(cells) };
+}
+
+// --- Rotate: tiles only turn one way, so each needs (4 - step) % 4 clicks ---
+
+export function solveRotate(cells) {
+    const moves = [];
+    cells.forEach((step, cell) => {
+        for (let i = 0; i < (4 - step % 4) % 4; i++) moves.push(cell);
+    });
+    return { moves, optimal: true };
+}
+
+export function generateRotate(size, length, random = Math.random) {
+    const total = size * size;
+    const clicks = new Array(total).fill(0);
+    let remaining = Math.min(length, total * 3);
+    while (remaining > 0) {
+        const open = clicks.map((c, i) => i).filter(i => clicks[i] < 3);
+        clicks[open[Math.floor(random() * open.length)]]++;
+        remaining--;
+    }
+    const cells = clicks.map(c => (4 - c) % 4);
+    return { cells, solution: solveRotate(cells) };
+}
+
+// --- Shared entry points ---
+
+// The par in the moves the game counts
+export function getPar(type, size, cells, solution) {
+    if (type === 'slide') return countLineMoves(size, cells, solution.moves);
+    return solution.moves.length;
+}
+
+export function solve(type, size, cells) {
+    if (type === 'slide') return solveSlideFast(size, cells);
+    if (type === 'swap') return solveSwap(cells);
+    if (type === 'rotate') return solveRotate(cells);
+    return null;
+}
+
+export function generate(type, size, length, random = Math.random) {
+    if (type === 'slide') return generateSlide(size, length, random);
+    if (type === 'swap') return generateSwap(size, length, random);
+    if (type === 'rotate') return generateRotate(size, length, random);
+    return null;
+}
+
+export function applyMove(type, size, cells, move) {
+    if (type === 'slide') return applySlideMove(size, cells, move);
+    const next = cells.slice();
+    if (type === 'swap') {
+        const [a, b] = move;
+        [next[a], next[b]] = [next[b], next[a]];
+    } else if (type === 'rotate') {
+        next[move] = (next[move] + 1) % 4;
+    }
+    return next;
+}
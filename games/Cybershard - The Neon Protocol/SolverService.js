@@ -0,0 +1,47 @@
+// Promise based access to SolverWorker.js. The worker is created on first use
+// and keeps its pattern databases between requests.
+export class SolverService {
+    constructor() {
+        this.worker = null;
+        this.requests = new Map();
+        this.nextId = 1;
+    }
+
+    getWorker() {
+        if (this.worker) return this.worker;
+        this.worker = new Worker(new URL('./SolverWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => {
+            const { id, result, error } = e.data;
+            const request = this.requests.get(id);
+            if (!request) return;
+            this.requests.delete(id);
+            if (error) request.reject(new Error(error));
+            else request.resolve(result);
+        };
+        this.worker.onerror = (e) => {
+            this.requests.forEach(request => request.reject(new Error(e.message || 'Solver worker failed')));
+            this.requests.clear();
+        };
+        return this.worker;
+    }
+
+    request(message) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.requests.set(id, { resolve, reject });
+            this.getWorker().postMessage({ id, ...message });
+        });
+    }
+
+    // A scramble whose solution has the given length: [min, max] for 'slide', a number otherwise.
+    // The same seed always gives the same scramble
+    generate(type, size, length, seed) {
+        return this.request({ action: 'generate', type, size, length, seed });
+    }
+
+    solve(type, size, cells) {
+        return this.request({ action: 'solve', type, size, cells });
+    }
+}
+
+export const solverService = new SolverService();
@@ -0,0 +1,33 @@
+import { solve, generate, getPar, createRandom } from './Solver.js';
+
+// Runs the solvers off the main thread. Messages: { id, action, type, size, cells?, length?, seed? }
+self.onmessage = (e) => {
+    const { id, action, type, size, cells, length, seed } = e.data;
+    try {
+        let result = null;
+        if (action === 'generate') {
+            const random = seed !== undefined ? createRandom(seed) : Math.random;
+            const generated = generate(type, size, length, random);
+            if (generated) {
+                result = {
+                    cells: generated.cells,
+                    moves: generated.solution.moves,
+                    optimal: generated.solution.optimal,
+                    par: getPar(type, size, generated.cells, generated.solution)
+                };
+            }
+        } else if (action === 'solve') {
+            const solution = solve(type, size, cells);
+            if (solution) {
+                result = {
+                    moves: solution.moves,
+                    optimal: solution.optimal,
+                    par: getPar(type, size, cells, solution)
+                };
+            }
+        }
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
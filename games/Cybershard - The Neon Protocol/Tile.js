@@ -102,6 +102,7 @@ export class Tile {
         this.isLocked = false;
         this.isFlipped = false;
         this.isHovered = false;
+        this.hintUntil = 0;
 
         if (type === 'memory') {
             this.targetRotation.y = Math.PI;
@@ -172,6 +173,17 @@ export class Tile {
                 }
             });
         }
+
+        // Solver hint: the tile to move next blinks
+        if (this.hintUntil > Date.now()) {
+            this.frontMat.emissive.set(COLORS.accent);
+            this.frontMat.emissiveIntensity = 0.3 + Math.sin(Date.now() * 0.015) * 0.25;
+        }
+    }
+
+    flashHint(duration) {
+        this.hintUntil = Date.now() + duration;
+        this.bounce();
     }
 
     flip(faceUp) {
@@ -122,6 +122,119 @@ export const PUZZLES = [
     }
 ];
 
+// Difficulty is the length of the solution, not the number of shuffle moves.
+// 'slide' is a [min, max] range of single tile moves, 'swap' and 'rotate' an
+// exact number of swaps or clicks. Keyed by board size.
+export const DIFFICULTY_PRESETS = [
+    {
+        id: 'easy',
+        name: 'Easy',
+        slide: { 3: [8, 12], 4: [14, 20], 5: [14, 20] },
+        swap: { 3: 3, 4: 6, 5: 10 },
+        rotate: { 3: 5, 4: 10, 5: 16 }
+    },
+    {
+        id: 'normal',
+        name: 'Normal',
+        slide: { 3: [14, 18], 4: [26, 32], 5: [26, 32] },
+        swap: { 3: 5, 4: 10, 5: 16 },
+        rotate: { 3: 9, 4: 18, 5: 28 }
+    },
+    {
+        id: 'hard',
+        name: 'Hard',
+        slide: { 3: [20, 26], 4: [40, 46], 5: [40, 46] },
+        swap: { 3: 8, 4: 15, 5: 24 },
+        rotate: { 3: 14, 4: 28, 5: 42 }
+    }
+];
+
+// Campaign: one pack per board type. A pack opens once the player holds
+// requiredStars stars, and each level once the previous one is cleared.
+const level = (name, url, size, difficulty, time) => ({ name, url, size, difficulty, time });
+
+export const CAMPAIGN_PACKS = [
+    {
+        id: 'slide',
+        name: 'Slide Circuit',
+        type: 'slide',
+        requiredStars: 0,
+        levels: [
+            level("Orbital Station", "assets/space-station-1.webp", 3, 'easy', 60),
+            level("Neural Bot", "assets/cyber-robot-1.webp", 3, 'normal', 90),
+            level("Cyber City", "assets/cyber-city-1.webp", 3, 'hard', 120),
+            level("Neon Market", "assets/neon-street-market.png.webp", 4, 'easy', 150),
+            level("Neural Samurai", "assets/neon-samurai-1.webp", 4, 'normal', 240)
+        ]
+    },
+    {
+        id: 'swap',
+        name: 'Swap Grid',
+        type: 'swap',
+        requiredStars: 5,
+        levels: [
+            level("Cyber Tower", "assets/neon-cyber-tower.png.webp", 3, 'easy', 45),
+            level("Katana Shop", "assets/cyber-katana-shop.png.webp", 3, 'hard', 75),
+            level("Neural Samurai", "assets/neon-samurai-1.webp", 4, 'normal', 120),
+            level("City Rooftop", "assets/cyber-city-rooftop.png.webp", 4, 'hard', 180)
+        ]
+    },
+    {
+        id: 'rotate',
+        name: 'Rotor Array',
+        type: 'rotate',
+        requiredStars: 10,
+        levels: [
+            level("Pulse Car", "assets/cyber-pulse-car.png.webp", 3, 'easy', 40),
+            level("Owl Droid", "assets/cyber-owl-droid.png.webp", 3, 'hard', 60),
+            level("Neon Dragon", "assets/neon-dragon-1.webp", 4, 'normal', 90),
+            level("Data Shard", "assets/neon-data-shard.png.webp", 4, 'hard', 120)
+        ]
+    },
+    {
+        id: 'blur',
+        name: 'Blur Sector',
+        type: 'blur',
+        requiredStars: 16,
+        levels: [
+            level("Neural Bridge", "assets/neural-bridge.png.webp", 3, 'normal', 60),
+            level("Neural Bot", "assets/cyber-robot-1.webp", 4, 'normal', 120),
+            level("Data Shard", "assets/neon-data-shard.png.webp", 4, 'hard', 180)
+        ]
+    },
+    {
+        id: 'memory',
+        name: 'Memory Core',
+        type: 'memory',
+        requiredStars: 22,
+        levels: [
+            level("Glitch Port", "assets/neon-glitch-port.png.webp", 4, 'normal', 90),
+            level("Data Cache", "assets/cyberpunk-bg.png.webp", 4, 'normal', 75)
+        ]
+    },
+    {
+        id: 'scatter',
+        name: 'Jigsaw Vault',
+        type: 'scatter',
+        requiredStars: 26,
+        levels: [
+            level("Netrunner", "assets/cyberpunk-netrunner.png.webp", 3, 'normal', 120),
+            level("Katana Shop", "assets/cyber-katana-shop.png.webp", 4, 'normal', 200),
+            level("City Rooftop", "assets/cyber-city-rooftop.png.webp", 4, 'normal', 220)
+        ]
+    }
+];
+
+// Three stars need both limits of 'three', two stars both limits of 'two'.
+// moves is a multiple of the par, time a multiple of the level time.
+export const STAR_RULES = {
+    three: { moves: 1.25, time: 0.5 },
+    two: { moves: 2, time: 1 }
+};
+
+// The daily puzzle only uses boards the solver can seed
+export const DAILY_TYPES = ['slide', 'swap', 'rotate', 'blur'];
+
 export const SKYBOX_URL = "assets/neon-matrix-skybox.png.webp";
 export const COLORS = {
     background: "#020617",
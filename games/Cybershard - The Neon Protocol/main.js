@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { PuzzleBoard } from './PuzzleBoard.js';
-import { PUZZLES, COLORS, SKYBOX_URL } from './config.js';
+import { PUZZLES, COLORS, SKYBOX_URL, DIFFICULTY_PRESETS, CAMPAIGN_PACKS } from './config.js';
+import { CampaignProgress, getLevelId, getStars, getDailyPuzzle, getTodayKey } from './Campaign.js';
 import * as Tone from 'tone';
 
 class Game {
@@ -21,6 +22,14 @@ class Game {
         this.dragStartPos = new THREE.Vector2();
         
         this.currentPuzzleIndex = 0;
+        this.difficulty = localStorage.getItem('cybershard_difficulty') || 'normal';
+
+        // Campaign state: the hub tab is a pack id or 'free', a run is
+        // { mode: 'campaign' | 'free' | 'daily', config, pack?, levelIndex? }
+        this.progress = new CampaignProgress();
+        this.hubTab = CAMPAIGN_PACKS[0].id;
+        this.selectedLevel = 0;
+        this.currentRun = null;
         this.board = null;
         this.isGameActive = false;
         this.moves = 0;
@@ -36,6 +45,7 @@ class Game {
         this.initSkybox();
         this.initAudio();
         this.setupEventListeners();
+        this.renderDifficulty();
         this.renderHub();
 
         this.animate = this.animate.bind(this);
@@ -106,9 +116,45 @@ class Game {
     }
 
     renderHub() {
+        this.renderTabs();
         const grid = document.getElementById('puzzle-grid');
         if (!grid) return;
         grid.innerHTML = '';
+
+        const difficulty = document.getElementById('difficulty-select');
+        if (difficulty) difficulty.classList.toggle('hidden', this.hubTab !== 'free');
+
+        if (this.hubTab === 'free') {
+            this.renderFreePlay(grid);
+        } else {
+            this.renderPack(grid, CAMPAIGN_PACKS.find(pack => pack.id === this.hubTab));
+        }
+        this.renderDaily();
+
+        const starsText = document.getElementById('stars-total');
+        if (starsText) starsText.textContent = `★ ${this.progress.getTotalStars()}`;
+    }
+
+    renderTabs() {
+        const tabs = document.getElementById('hub-tabs');
+        if (!tabs) return;
+        tabs.innerHTML = '';
+        [...CAMPAIGN_PACKS, { id: 'free', name: 'Free Play' }].forEach(pack => {
+            const isLocked = pack.levels && !this.progress.isPackUnlocked(pack);
+            const tab = document.createElement('button');
+            tab.className = `hub-tab ${pack.id === this.hubTab ? 'active' : ''} ${isLocked ? 'locked' : ''}`;
+            tab.textContent = isLocked ? `🔒 ${pack.name} (★${pack.requiredStars})` : pack.name;
+            tab.onclick = () => {
+                this.hubTab = pack.id;
+                this.selectedLevel = 0;
+                this.playNote("E4");
+                this.renderHub();
+            };
+            tabs.appendChild(tab);
+        });
+    }
+
+    renderFreePlay(grid) {
         PUZZLES.forEach((p, i) => {
             const item = document.createElement('div');
             item.className = `puzzle-item ${i === this.currentPuzzleIndex ? 'selected' : ''}`;
@@ -136,18 +182,167 @@ class Game {
         }
     }
 
-    async startLevel(index) {
+    renderPack(grid, pack) {
+        const packUnlocked = this.progress.isPackUnlocked(pack);
+        pack.levels.forEach((level, i) => {
+            const record = this.progress.getRecord(getLevelId(pack, i));
+            const isUnlocked = this.progress.isLevelUnlocked(pack, i);
+            const stars = record ? record.stars : 0;
+            const item = document.createElement('div');
+            item.className = `puzzle-item ${i === this.selectedLevel ? 'selected' : ''} ${isUnlocked ? '' : 'locked'}`;
+            item.innerHTML = `
+                <img src="${level.url}" alt="${level.name}">
+                <div class="puzzle-info">${i + 1}. ${level.name} - ${level.size}x${level.size}</div>
+                <div class="level-stars">${isUnlocked ? '★'.repeat(stars) + '☆'.repeat(3 - stars) : '🔒'}</div>
+            `;
+            item.onclick = () => {
+                if (!isUnlocked) {
+                    this.playNote("C3");
+                    return;
+                }
+                this.selectedLevel = i;
+                document.querySelectorAll('.puzzle-item').forEach(el => el.classList.remove('selected'));
+                item.classList.add('selected');
+                this.playNote("E4");
+                const previewImg = document.getElementById('preview-img');
+                if (previewImg) previewImg.src = level.url;
+            };
+            grid.appendChild(item);
+        });
+
+        const packInfo = document.createElement('div');
+        packInfo.className = 'pack-info';
+        packInfo.textContent = packUnlocked
+            ? `${pack.name}: ★ ${this.progress.getPackStars(pack)} / ${pack.levels.length * 3}`
+            : `Collect ${pack.requiredStars} stars to unlock ${pack.name}`;
+        grid.appendChild(packInfo);
+    }
+
+    renderDaily() {
+        const dailyText = document.getElementById('daily-text');
+        if (!dailyText) return;
+        const daily = getDailyPuzzle();
+        const record = this.progress.getDailyRecord(daily.dayKey);
+        dailyText.textContent = record
+            ? `Today: ${'★'.repeat(record.stars)} in ${record.bestMoves} moves, ${this.formatTime(record.bestTime)}`
+            : `Today: ${daily.type.toUpperCase()} ${daily.size}x${daily.size}`;
+    }
+
+    renderRecords() {
+        const table = document.getElementById('records-table');
+        if (!table) return;
+        const rows = [];
+        CAMPAIGN_PACKS.forEach(pack => {
+            rows.push(`<tr class="records-pack"><td colspan="4">${pack.name}</td></tr>`);
+            pack.levels.forEach((level, i) => {
+                const record = this.progress.getRecord(getLevelId(pack, i));
+                rows.push(`
+                    <tr>
+                        <td>${i + 1}. ${level.name}</td>
+                        <td>${record ? '★'.repeat(record.stars) : '-'}</td>
+                        <td>${record ? record.bestMoves : '-'}</td>
+                        <td>${record ? this.formatTime(record.bestTime) : '-'}</td>
+                    </tr>
+                `);
+            });
+        });
+
+        // The last week of daily puzzles
+        rows.push(`<tr class="records-pack"><td colspan="4">Daily Protocol</td></tr>`);
+        for (let i = 0; i < 7; i++) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const dayKey = getTodayKey(date);
+            const record = this.progress.getDailyRecord(dayKey);
+            rows.push(`
+                <tr>
+                    <td>${dayKey}</td>
+                    <td>${record ? '★'.repeat(record.stars) : '-'}</td>
+                    <td>${record ? record.bestMoves : '-'}</td>
+                    <td>${record ? this.formatTime(record.bestTime) : '-'}</td>
+                </tr>
+            `);
+        }
+
+        table.innerHTML = `
+            <table>
+                <thead><tr><th>Level</th><th>Stars</th><th>Moves</th><th>Time</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    showRecords(show) {
+        this.renderRecords();
+        const recordsMenu = document.getElementById('records-menu');
+        const startMenu = document.getElementById('start-menu');
+        if (recordsMenu) recordsMenu.classList.toggle('hidden', !show);
+        if (startMenu) startMenu.classList.toggle('hidden', show);
+    }
+
+    formatTime(seconds) {
+        const m = Math.floor(seconds / 60).toString().padStart(2, '0');
+        const s = (seconds % 60).toString().padStart(2, '0');
+        return `${m}:${s}`;
+    }
+
+    renderDifficulty() {
+        const container = document.getElementById('difficulty-select');
+        if (!container) return;
+        container.innerHTML = '';
+        DIFFICULTY_PRESETS.forEach(preset => {
+            const button = document.createElement('button');
+            button.className = `btn small ${preset.id === this.difficulty ? 'active' : ''}`;
+            button.textContent = preset.name;
+            button.onclick = () => {
+                this.difficulty = preset.id;
+                localStorage.setItem('cybershard_difficulty', preset.id);
+                this.playNote("E4");
+                this.renderDifficulty();
+            };
+            container.appendChild(button);
+        });
+    }
+
+    startSelection() {
+        if (this.hubTab === 'free') {
+            this.startLevel(this.currentPuzzleIndex);
+            return;
+        }
+        const pack = CAMPAIGN_PACKS.find(p => p.id === this.hubTab);
+        if (this.progress.isLevelUnlocked(pack, this.selectedLevel)) {
+            this.startCampaignLevel(pack, this.selectedLevel);
+        }
+    }
+
+    startLevel(index) {
+        const config = PUZZLES[index];
+        return this.startPuzzle({ mode: 'free', config: { ...config, difficulty: this.difficulty } });
+    }
+
+    startCampaignLevel(pack, levelIndex) {
+        this.selectedLevel = levelIndex;
+        const config = { ...pack.levels[levelIndex], type: pack.type };
+        return this.startPuzzle({ mode: 'campaign', config, pack, levelIndex });
+    }
+
+    startDaily() {
+        return this.startPuzzle({ mode: 'daily', config: getDailyPuzzle() });
+    }
+
+    async startPuzzle(run) {
         if (Tone.context.state !== 'running') await Tone.start();
         Tone.Transport.start();
         this.ambientLoop.start(0);
 
         if (this.board) this.board.destroy();
         
-        const config = PUZZLES[index];
+        const config = run.config;
+        this.currentRun = run;
         this.board = new PuzzleBoard(this.scene, config.size, config.url, config.type);
         await this.board.init();
         
-        this.board.shuffle();
+        await this.board.shuffle(config.difficulty, config.seed);
         this.moves = 0;
         this.isGameActive = true;
         this.updateHUD();
@@ -189,10 +384,8 @@ class Game {
         if (this.timerInterval) clearInterval(this.timerInterval);
         this.timerInterval = setInterval(() => {
             const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-            const m = Math.floor(elapsed / 60).toString().padStart(2, '0');
-            const s = (elapsed % 60).toString().padStart(2, '0');
             const timerText = document.getElementById('timer-text');
-            if (timerText) timerText.textContent = `${m}:${s}`;
+            if (timerText) timerText.textContent = this.formatTime(elapsed);
         }, 1000);
     }
 
@@ -305,16 +498,22 @@ class Game {
         });
 
         const startBtn = document.getElementById('start-btn');
-        if (startBtn) startBtn.onclick = () => this.startLevel(this.currentPuzzleIndex);
+        if (startBtn) startBtn.onclick = () => this.startSelection();
 
         const nextBtn = document.getElementById('next-btn');
-        if (nextBtn) nextBtn.onclick = () => {
-            this.currentPuzzleIndex = (this.currentPuzzleIndex + 1) % PUZZLES.length;
-            this.startLevel(this.currentPuzzleIndex);
-        };
+        if (nextBtn) nextBtn.onclick = () => this.startNext();
 
         const retryBtn = document.getElementById('retry-btn');
-        if (retryBtn) retryBtn.onclick = () => this.startLevel(this.currentPuzzleIndex);
+        if (retryBtn) retryBtn.onclick = () => this.currentRun && this.startPuzzle(this.currentRun);
+
+        const dailyBtn = document.getElementById('daily-btn');
+        if (dailyBtn) dailyBtn.onclick = () => this.startDaily();
+
+        const recordsBtn = document.getElementById('records-btn');
+        if (recordsBtn) recordsBtn.onclick = () => { this.playNote("E4"); this.showRecords(true); };
+
+        const recordsBackBtn = document.getElementById('records-back-btn');
+        if (recordsBackBtn) recordsBackBtn.onclick = () => { this.playNote("E4"); this.showRecords(false); };
 
         const hintBtn = document.getElementById('hint-btn');
         if (hintBtn) hintBtn.onclick = () => {
@@ -325,6 +524,76 @@ class Game {
         };
     }
 
+    // The next level of the pack, or the next free play puzzle. Daily runs
+    // and the end of a pack go back to the hub
+    getNextRun() {
+        const run = this.currentRun;
+        if (!run || run.mode === 'daily') return null;
+        if (run.mode === 'free') {
+            this.currentPuzzleIndex = (this.currentPuzzleIndex + 1) % PUZZLES.length;
+            return { mode: 'free', config: { ...PUZZLES[this.currentPuzzleIndex], difficulty: this.difficulty } };
+        }
+        const nextIndex = run.levelIndex + 1;
+        if (nextIndex >= run.pack.levels.length) return null;
+        return { mode: 'campaign', pack: run.pack, levelIndex: nextIndex, config: { ...run.pack.levels[nextIndex], type: run.pack.type } };
+    }
+
+    startNext() {
+        const next = this.getNextRun();
+        if (!next) {
+            this.showHub();
+            return;
+        }
+        if (next.mode === 'campaign') this.selectedLevel = next.levelIndex;
+        this.startPuzzle(next);
+    }
+
+    // Stores the run and returns what the win screen shows
+    recordWin() {
+        const run = this.currentRun;
+        const time = Math.floor((Date.now() - this.startTime) / 1000);
+        const par = this.board.getMovePar();
+        const stars = getStars(this.moves, time, par, run.config.time);
+        const result = { moves: this.moves, time, stars };
+
+        let improvements = null;
+        if (run.mode === 'campaign') {
+            const wasUnlocked = CAMPAIGN_PACKS.filter(pack => this.progress.isPackUnlocked(pack));
+            improvements = this.progress.recordLevel(getLevelId(run.pack, run.levelIndex), result);
+            improvements.unlockedPacks = CAMPAIGN_PACKS.filter(pack => this.progress.isPackUnlocked(pack) && !wasUnlocked.includes(pack));
+        } else if (run.mode === 'daily') {
+            improvements = this.progress.recordDaily(run.config.dayKey, result);
+        }
+        return { ...result, improvements };
+    }
+
+    showWinResult(result) {
+        const winStars = document.getElementById('win-stars');
+        if (winStars) {
+            winStars.textContent = this.currentRun.mode === 'free' ? '' : '★'.repeat(result.stars) + '☆'.repeat(3 - result.stars);
+        }
+
+        const winRecord = document.getElementById('win-record');
+        if (winRecord) {
+            const notes = [];
+            const improvements = result.improvements;
+            if (improvements && !improvements.isFirstClear) {
+                if (improvements.newBestMoves) notes.push('New best moves');
+                if (improvements.newBestTime) notes.push('New best time');
+            }
+            if (improvements && improvements.unlockedPacks) {
+                improvements.unlockedPacks.forEach(pack => notes.push(`${pack.name} unlocked`));
+            }
+            winRecord.textContent = notes.join(' · ');
+        }
+
+        const nextBtn = document.getElementById('next-btn');
+        if (nextBtn) {
+            const next = this.currentRun.mode === 'free' ? true : this.getNextRun();
+            nextBtn.textContent = next ? (this.currentRun.mode === 'free' ? 'Next Protocol' : 'Next Level') : 'Back to Hub';
+        }
+    }
+
     createWinExplosion() {
         const count = 100;
         const geometry = new THREE.SphereGeometry(0.05, 8, 8);
@@ -375,12 +644,17 @@ class Game {
         if (startMenu) startMenu.classList.remove('hidden');
         if (winMenu) winMenu.classList.add('hidden');
         if (loseMenu) loseMenu.classList.add('hidden');
+        const recordsMenu = document.getElementById('records-menu');
+        if (recordsMenu) recordsMenu.classList.add('hidden');
         
+        if (this.currentRun && this.currentRun.mode === 'campaign') this.hubTab = this.currentRun.pack.id;
         this.renderHub();
     }
 
     onWin() {
+        if (!this.isGameActive) return;
         this.isGameActive = false;
+        const result = this.recordWin();
         Tone.Transport.stop();
         if (this.timerInterval) clearInterval(this.timerInterval);
         this.createWinExplosion();
@@ -397,11 +671,27 @@ class Game {
             if (finalTime && timerText) finalTime.textContent = timerText.textContent;
             const finalMoves = document.getElementById('final-moves');
             if (finalMoves) finalMoves.textContent = this.moves;
+            this.showPar();
+            this.showWinResult(result);
         }, 1500);
 
         this.playNote("C5", "win");
     }
 
+    showPar() {
+        const parRow = document.getElementById('par-row');
+        if (!parRow) return;
+        const par = this.board ? this.board.par : null;
+        parRow.classList.toggle('hidden', par === null);
+        if (par === null) return;
+        document.getElementById('final-par').textContent = par;
+        const parResult = document.getElementById('par-result');
+        if (parResult) {
+            const over = this.moves - par;
+            parResult.textContent = over < 0 ? 'Under par!' : over === 0 ? 'Par matched' : `${over} over par`;
+        }
+    }
+
     animate() {
         requestAnimationFrame(this.animate);
         
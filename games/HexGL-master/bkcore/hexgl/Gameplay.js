@@ -46,16 +46,26 @@ bkcore.hexgl.Gameplay = function(opts)
 	this.lap = 1;
 	this.lapTimes = [];
 	this.lapTimeElapsed = 0;
-	this.maxLaps = 3;
+	this.maxLaps = this.track.laps == undefined ? 3 : this.track.laps;
 	this.score = null;
 	this.finishTime = null;
 	this.onFinish = opts.onFinish == undefined ? function(){console.log("FINISH");} : opts.onFinish;
 
 	this.raceData = null;
+	// Recording to play back in replay mode. Without one, the last local record
+	// is played, unless a ladder replay was asked for (replayLocal false)
+	this.replayData = opts.replayData == undefined ? null : opts.replayData;
+	this.replayLocal = opts.replayLocal == undefined ? true : opts.replayLocal;
+
+	// Ghost run, and checkpoint split times ("lap:checkpoint" -> ms) for both racers
+	this.ghost = null;
+	this.ghostSplits = {};
+	this.splits = {};
 
 	this.modes.timeattack = function()
 	{
 		self.raceData.tick(this.timer.time.elapsed);
+		self.ghost != null && self.ghost.update(this.timer.time.elapsed);
 
 		self.hud != null && self.hud.updateTime(self.timer.getElapsedTime());
 		var cp = self.checkPoint();
@@ -64,6 +74,7 @@ bkcore.hexgl.Gameplay = function(opts)
 		{
 			self.previousCheckPoint = cp;
 			var t = self.timer.time.elapsed;
+			self.split(cp, t);
 			self.lapTimes.push(t - self.lapTimeElapsed);
 			self.lapTimeElapsed = t;
 
@@ -83,6 +94,7 @@ bkcore.hexgl.Gameplay = function(opts)
 		else if(cp != -1 && cp != self.previousCheckPoint)
 		{
 			self.previousCheckPoint = cp;
+			self.split(cp, self.timer.time.elapsed);
 			//self.hud.display("Checkpoint", 0.5);
 		}
 
@@ -98,7 +110,7 @@ bkcore.hexgl.Gameplay = function(opts)
 
 		if(self.raceData.seek == self.raceData.last)
 		{
-			self.end(self.result.REPLAY);
+			self.end(self.results.REPLAY);
 		}
 	};
 }
@@ -118,11 +130,20 @@ bkcore.hexgl.Gameplay.prototype.start = function(opts)
 	this.finishTime = null;
 	this.score = null;
 	this.lap = 1;
+	this.lapTimes = [];
+	this.lapTimeElapsed = 0;
 
 	this.shipControls.reset(this.track.spawn, this.track.spawnRotation);
 	this.shipControls.active = false;
 
 	this.previousCheckPoint = this.track.checkpoints.start;
+	this.splits = {};
+
+	if(this.ghost != null)
+	{
+		this.ghost.reset();
+		this.ghost.setVisible(this.mode == 'timeattack');
+	}
 
 	this.raceData = new bkcore.hexgl.RaceData(this.track.name, this.mode, this.shipControls);
 	if(this.mode == 'replay')
@@ -131,14 +152,15 @@ bkcore.hexgl.Gameplay.prototype.start = function(opts)
 		if(this.hud != null) this.hud.messageOnly = true;
 
 		try {
-			var d = localStorage['race-'+this.track.name+'-replay'];
+			var d = this.replayData || (this.replayLocal ? localStorage['race-'+this.track.name+'-replay'] : null);
 			if(d == undefined)
 			{
 				console.error('No replay data for '+'race-'+this.track.name+'-replay'+'.');
+				if(this.hud != null) this.hud.display("Replay unavailable", Infinity);
 				return false;
 			}
 			this.raceData.import(
-				JSON.parse(d)
+				bkcore.hexgl.RaceData.sanitize(typeof d == 'string' ? JSON.parse(d) : d)
 			);
 		}
 		catch(e) { console.error('Bad replay format : '+e); return false; }
@@ -174,6 +196,11 @@ bkcore.hexgl.Gameplay.prototype.end = function(result)
 		if(this.hud != null) this.hud.display("Destroyed");
 		this.step = 100;
 	}
+	else if(result == this.results.REPLAY)
+	{
+		if(this.hud != null) this.hud.display("Replay end");
+		this.step = 100;
+	}
 }
 
 bkcore.hexgl.Gameplay.prototype.update = function()
@@ -217,10 +244,71 @@ bkcore.hexgl.Gameplay.prototype.update = function()
 	}
 }
 
+bkcore.hexgl.Gameplay.prototype.setGhost = function(ghost)
+{
+	this.ghost = ghost;
+	this.ghostSplits = ghost == null ? {} : this.computeSplits(ghost.raceData.export());
+	ghost != null && ghost.setVisible(this.mode == 'timeattack');
+}
+
+// First crossing of each checkpoint; shows the delta against the ghost on the HUD
+bkcore.hexgl.Gameplay.prototype.split = function(cp, time)
+{
+	var key = this.lap+':'+cp;
+	if(key in this.splits) return;
+
+	this.splits[key] = time;
+
+	if(this.hud != null && key in this.ghostSplits)
+		this.hud.updateDelta(time - this.ghostSplits[key]);
+}
+
+/**
+ * Replays recorded positions through the same checkpoint logic as the
+ * timeattack mode, so any recording (even a bare replay) gets split times.
+ */
+bkcore.hexgl.Gameplay.prototype.computeSplits = function(data)
+{
+	var splits = {};
+	var lap = 1;
+	var previous = this.track.checkpoints.start;
+	var position = new THREE.Vector3();
+
+	for(var i = 0; i < data.length && lap <= this.maxLaps; i++)
+	{
+		position.set(data[i][1], data[i][2], data[i][3]);
+		var cp = this.checkPointAt(position);
+		var key = lap+':'+cp;
+
+		if(cp == this.track.checkpoints.start && previous == this.track.checkpoints.last)
+		{
+			if(!(key in splits)) splits[key] = data[i][0];
+			lap++;
+		}
+		else if(cp != -1 && cp != previous)
+		{
+			if(!(key in splits)) splits[key] = data[i][0];
+		}
+
+		if(cp != -1) previous = cp;
+	}
+
+	return splits;
+}
+
 bkcore.hexgl.Gameplay.prototype.checkPoint = function()
 {
-	var x = Math.round(this.analyser.pixels.width/2 + this.shipControls.dummy.position.x * this.pixelRatio);
-	var z = Math.round(this.analyser.pixels.height/2 + this.shipControls.dummy.position.z * this.pixelRatio);
+	return this.checkPointAt(this.shipControls.dummy.position);
+}
+
+bkcore.hexgl.Gameplay.prototype.checkPointAt = function(position)
+{
+	// Tracks without a checkpoint map never count laps
+	if(this.analyser == null)
+		return -1;
+
+	var x = Math.round(this.analyser.pixels.width/2 + position.x * this.pixelRatio);
+	var z = Math.round(this.analyser.pixels.height/2 + position.z * this.pixelRatio);
 
 	var color = this.analyser.getPixel(x, z);
 
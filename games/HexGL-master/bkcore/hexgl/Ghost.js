@@ -0,0 +1,119 @@
+ /*
+ * HexGL
+ * @author Thibaut 'BKcore' Despoulain <http://bkcore.com>
+ * @license This work is licensed under the Creative Commons Attribution-NonCommercial 3.0 Unported License.
+ *          To view a copy of this license, visit http://creativecommons.org/licenses/by-nc/3.0/.
+ */
+
+var bkcore = bkcore || {};
+bkcore.hexgl = bkcore.hexgl || {};
+
+/**
+ * Translucent ship replaying a recorded run next to the player.
+ * Acts as the "shipControls" of its own RaceData, so playback goes through
+ * RaceData.applyInterpolated exactly like the replay mode does.
+ */
+bkcore.hexgl.Ghost = function(opts)
+{
+	this.record = opts.record;
+
+	this.material = new THREE.MeshBasicMaterial({
+		map: opts.texture,
+		color: 0x88ccff,
+		transparent: true,
+		opacity: 0.35,
+		depthWrite: false
+	});
+
+	this.mesh = new THREE.Mesh(opts.geometry, this.material);
+	this.mesh.useQuaternion = true;
+	opts.scene.add(this.mesh);
+
+	this.raceData = new bkcore.hexgl.RaceData(this.record.track, 'ghost', this);
+	this.raceData.import(this.record.data);
+
+	this.reset();
+}
+
+bkcore.hexgl.Ghost.prototype.teleport = function(pos, quat)
+{
+	this.mesh.position.copy(pos);
+	this.mesh.quaternion.copy(quat);
+}
+
+bkcore.hexgl.Ghost.prototype.update = function(time)
+{
+	this.raceData.applyInterpolated(time);
+}
+
+// Back on the grid, waiting for the countdown
+bkcore.hexgl.Ghost.prototype.reset = function()
+{
+	this.raceData.reset();
+	this.raceData.applyInterpolated(0);
+}
+
+bkcore.hexgl.Ghost.prototype.setVisible = function(visible)
+{
+	this.mesh.visible = visible;
+}
+
+bkcore.hexgl.Ghost.FORMAT = 'hexgl-ghost';
+bkcore.hexgl.Ghost.VERSION = 1;
+
+/**
+ * Ghost file contents:
+ * { format, version, track, difficulty, time, player, date, data: RaceData.export() }
+ */
+bkcore.hexgl.Ghost.createRecord = function(track, difficulty, time, data, player)
+{
+	return {
+		format: bkcore.hexgl.Ghost.FORMAT,
+		version: bkcore.hexgl.Ghost.VERSION,
+		track: track,
+		difficulty: difficulty,
+		time: time,
+		player: player || null,
+		date: Date.now(),
+		data: data
+	};
+}
+
+bkcore.hexgl.Ghost.serialize = function(record)
+{
+	return JSON.stringify(record);
+}
+
+/**
+ * Accepts a ghost file or a bare RaceData export (the replays/ format).
+ * Returns null when there is nothing playable in it.
+ */
+bkcore.hexgl.Ghost.parse = function(json, defaults)
+{
+	defaults = defaults || {};
+
+	var raw;
+	try { raw = typeof json == 'string' ? JSON.parse(json) : json; }
+	catch(e) { console.warn('Bad ghost file: '+e); return null; }
+
+	if(Array.isArray(raw))
+		raw = { track: defaults.track, difficulty: defaults.difficulty, data: raw };
+
+	if(raw == null || (raw.format != undefined && raw.format != bkcore.hexgl.Ghost.FORMAT))
+		return null;
+
+	var data = bkcore.hexgl.RaceData.sanitize(raw.data);
+	if(data.length < 2)
+		return null;
+
+	var record = bkcore.hexgl.Ghost.createRecord(
+		raw.track || defaults.track,
+		raw.difficulty || defaults.difficulty,
+		raw.time || data[data.length-1][0],
+		data,
+		raw.player
+	);
+	if(raw.date) record.date = raw.date;
+
+	return record;
+}
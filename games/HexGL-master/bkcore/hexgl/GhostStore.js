@@ -0,0 +1,99 @@
+ /*
+ * HexGL
+ * @author Thibaut 'BKcore' Despoulain <http://bkcore.com>
+ * @license This work is licensed under the Creative Commons Attribution-NonCommercial 3.0 Unported License.
+ *          To view a copy of this license, visit http://creativecommons.org/licenses/by-nc/3.0/.
+ */
+
+var bkcore = bkcore || {};
+bkcore.hexgl = bkcore.hexgl || {};
+
+/**
+ * IndexedDB storage for ghost records, one per track, difficulty and slot.
+ * Slots: 'pb' (saved automatically on a new personal best), 'imported',
+ * and 'replay-<id>' for runs attached to a ladder entry.
+ */
+bkcore.hexgl.GhostStore = {
+	DB_NAME: 'hexgl',
+	STORE: 'ghosts',
+	db: null
+};
+
+bkcore.hexgl.GhostStore.key = function(track, difficulty, slot)
+{
+	return track+'-'+difficulty+'-'+slot;
+}
+
+bkcore.hexgl.GhostStore.open = function(callback)
+{
+	var self = bkcore.hexgl.GhostStore;
+
+	if(self.db != null)
+		return callback(null, self.db);
+
+	if(typeof(indexedDB) == 'undefined')
+		return callback(new Error('IndexedDB unavailable.'));
+
+	var req = indexedDB.open(self.DB_NAME, 1);
+	req.onupgradeneeded = function()
+	{
+		req.result.createObjectStore(self.STORE);
+	};
+	req.onsuccess = function()
+	{
+		self.db = req.result;
+		callback(null, self.db);
+	};
+	req.onerror = function()
+	{
+		callback(req.error);
+	};
+}
+
+bkcore.hexgl.GhostStore.get = function(track, difficulty, slot, callback)
+{
+	var self = bkcore.hexgl.GhostStore;
+
+	self.open(function(err, db)
+	{
+		if(err) return callback(err);
+
+		var req = db.transaction(self.STORE, 'readonly')
+			.objectStore(self.STORE)
+			.get(self.key(track, difficulty, slot));
+		req.onsuccess = function() { callback(null, req.result || null); };
+		req.onerror = function() { callback(req.error); };
+	});
+}
+
+bkcore.hexgl.GhostStore.put = function(slot, record, callback)
+{
+	var self = bkcore.hexgl.GhostStore;
+	callback = callback || function(err) { if(err) console.warn('Unable to save ghost. '+err); };
+
+	self.open(function(err, db)
+	{
+		if(err) return callback(err);
+
+		var tx = db.transaction(self.STORE, 'readwrite');
+		tx.objectStore(self.STORE).put(record, self.key(record.track, record.difficulty, slot));
+		tx.oncomplete = function() { callback(null); };
+		tx.onerror = function() { callback(tx.error); };
+	});
+}
+
+bkcore.hexgl.GhostStore.remove = function(track, difficulty, slot, callback)
+{
+	var self = bkcore.hexgl.GhostStore;
+	callback = callback || function() {};
+
+	self.open(function(err, db)
+	{
+		if(err) return callback(err);
+
+		var tx = db.transaction(self.STORE, 'readwrite');
+		tx.objectStore(self.STORE).delete(self.key(track, difficulty, slot));
+		tx.oncomplete = function() { callback(null); };
+		tx.onerror = function() { callback(tx.error); };
+	});
+}
@@ -69,6 +69,13 @@ bkcore.hexgl.HUD = function(opts)
 
 	this.timeSeparators = ["","'", "''",""];
 
+	// Split delta against the ghost, shown under the timer for a few seconds
+	this.delta = "";
+	this.deltaAhead = false;
+	this.deltaTiming = 0;
+	this.deltaDuration = 3*60;
+	this.deltaFontRatio = 38;
+
 	this.step = 0;
 	this.maxStep = 2;
 };
@@ -117,6 +124,24 @@ bkcore.hexgl.HUD.prototype.updateTime = function(time)
 bkcore.hexgl.HUD.prototype.resetTime = function()
 {
 	this.time = "";
+	this.resetDelta();
+}
+
+// ms < 0 means ahead of the ghost
+bkcore.hexgl.HUD.prototype.updateDelta = function(ms)
+{
+	var t = bkcore.Timer.msToTime(Math.abs(ms));
+	var s = t.m * 60 + t.s;
+	var cs = Math.floor(t.ms / 10);
+
+	this.deltaAhead = ms < 0;
+	this.delta = (this.deltaAhead ? "-" : "+") + s + "." + (cs < 10 ? "0" + cs : cs);
+	this.deltaTiming = 0;
+}
+
+bkcore.hexgl.HUD.prototype.resetDelta = function()
+{
+	this.delta = "";
 }
 
 bkcore.hexgl.HUD.prototype.update = function(speed, speedRatio, shield, shieldRatio)
@@ -204,6 +229,19 @@ bkcore.hexgl.HUD.prototype.update = function(speed, speedRatio, shield, shieldRa
 		    this.ctx.fillText(this.time, SCREEN_HW, SCREEN_WIDTH/this.timeMarginRatio);
 		}
 
+		// SPLIT DELTA
+		if(this.delta != "")
+		{
+			if(this.deltaTiming > this.deltaDuration)
+				this.delta = "";
+			else
+			{
+				this.ctx.font = (SCREEN_WIDTH/this.deltaFontRatio)+"px "+this.font;
+				this.ctx.fillStyle = this.deltaAhead ? "rgba(80, 255, 140, 0.9)" : "rgba(255, 90, 70, 0.9)";
+				this.ctx.fillText(this.delta, SCREEN_HW, SCREEN_WIDTH/this.timeMarginRatio + SCREEN_WIDTH/this.deltaFontRatio * 1.3);
+			}
+		}
+
 		// LAPS
 		if(this.lap != "")
 		{
@@ -264,6 +302,7 @@ bkcore.hexgl.HUD.prototype.update = function(speed, speedRatio, shield, shieldRa
 	}
 	
 	this.messageTiming++;
+	this.deltaTiming++;
 
 	this.step++;
 	if(this.step == this.maxStep) this.step = 0;
@@ -31,6 +31,15 @@ bkcore.hexgl.HexGL = function(opts)
 
 	this.mode = opts.mode == undefined ? 'timeattack' : opts.mode;
 
+	// Ghost to race against: null, 'pb', 'imported' or 'bundled' (the track's own replay)
+	this.ghostSource = opts.ghost == undefined ? null : opts.ghost;
+	this.ghost = null;
+
+	// Ladder replay to watch in 'replay' mode (GhostStore slot), and how to open one
+	this.replaySlot = opts.replay == undefined ? null : opts.replay;
+	this.onWatchReplay = opts.onWatchReplay == undefined ? null : opts.onWatchReplay;
+	this.ladderEntry = null;
+
 	this.controlType = opts.controlType == undefined ? 1 : opts.controlType;
 	
 	// 0 == low, 1 == mid, 2 == high, 3 == very high
@@ -105,7 +114,25 @@ bkcore.hexgl.HexGL.prototype.start = function()
 	//if(this.a[15] == "o")
 		raf();
 
-	this.initGameplay();
+	if(this.mode == 'replay' && this.replaySlot != null)
+		this.loadReplay();
+	else
+		this.initGameplay();
+}
+
+bkcore.hexgl.HexGL.prototype.loadReplay = function()
+{
+	var self = this;
+
+	bkcore.hexgl.GhostStore.get(this.track.name, this.getDifficultyName(), this.replaySlot, function(err, record)
+	{
+		if(err || record == null)
+			console.error('No replay data for '+self.replaySlot+'. '+(err || ''));
+		else
+			self.replayData = record.data;
+
+		self.initGameplay();
+	});
 }
 
 bkcore.hexgl.HexGL.prototype.reset = function()
@@ -146,6 +173,92 @@ bkcore.hexgl.HexGL.prototype.init = function()
 	this.track.buildScenes(this, this.quality);
 
 	this.initGameComposer();
+
+	this.loadGhost();
+}
+
+bkcore.hexgl.HexGL.prototype.getDifficultyName = function()
+{
+	return this.difficulty == 0 ? 'casual' : 'hard';
+}
+
+bkcore.hexgl.HexGL.prototype.loadGhost = function()
+{
+	var self = this;
+	var track = this.track.name;
+	var difficulty = this.getDifficultyName();
+
+	if(this.ghostSource == null || this.mode != 'timeattack') return;
+	if(this.ghostSource == 'bundled' && this.track.ghost == null) return;
+
+	function spawn(record)
+	{
+		if(record == null) return;
+
+		self.ghost = new bkcore.hexgl.Ghost({
+			scene: self.manager.get('game').scene,
+			geometry: self.track.lib.get("geometries", "ship.feisar"),
+			texture: self.track.lib.get("textures", "ship.feisar.diffuse"),
+			record: record
+		});
+
+		// Storage can answer after the race has started
+		if(self.gameplay != null) self.gameplay.setGhost(self.ghost);
+	}
+
+	if(this.ghostSource == 'pb' || this.ghostSource == 'imported')
+	{
+		bkcore.hexgl.GhostStore.get(track, difficulty, this.ghostSource, function(err, record)
+		{
+			if(err) console.warn('Unable to load ghost. '+err);
+			else spawn(record);
+		});
+	}
+	else
+	{
+		bkcore.Utils.request(this.track.ghost, null, function(req)
+		{
+			spawn(bkcore.hexgl.Ghost.parse(req.responseText, { track: track, difficulty: difficulty }));
+		});
+	}
+}
+
+// Adds a finished run to the local ladder, with its RaceData attached as a replay
+bkcore.hexgl.HexGL.prototype.recordLadder = function(gameplay)
+{
+	var track = this.track.name;
+	var difficulty = this.getDifficultyName();
+
+	bkcore.hexgl.Ladder.load();
+	var entry = bkcore.hexgl.Ladder.record(track, gameplay.mode, difficulty, {
+		name: this.player,
+		score: gameplay.finishTime,
+		laps: gameplay.lapTimes.slice()
+	});
+
+	this.ladderEntry = entry;
+	if(entry == null) return;
+
+	entry.replay = 'replay-'+entry.id;
+	bkcore.hexgl.Ladder.save();
+	bkcore.hexgl.GhostStore.put(entry.replay, bkcore.hexgl.Ghost.createRecord(
+		track, difficulty, gameplay.finishTime, gameplay.raceData.export(), this.player
+	));
+}
+
+// Keeps the fastest finished run per track and difficulty as the 'pb' ghost
+bkcore.hexgl.HexGL.prototype.savePersonalBest = function(time, data)
+{
+	var self = this;
+	var record = bkcore.hexgl.Ghost.createRecord(this.track.name, this.getDifficultyName(), time, data, this.player);
+
+	bkcore.hexgl.GhostStore.get(record.track, record.difficulty, 'pb', function(err, best)
+	{
+		if(err) return console.warn('Unable to load personal best. '+err);
+		if(best != null && best.time <= time) return;
+
+		bkcore.hexgl.GhostStore.put('pb', record);
+	});
 }
 
 bkcore.hexgl.HexGL.prototype.load = function(opts)
@@ -165,12 +278,20 @@ bkcore.hexgl.HexGL.prototype.initGameplay = function()
 		analyser: this.track.analyser,
 		pixelRatio: this.track.pixelRatio,
 		track: this.track,
+		replayData: this.replayData,
+		replayLocal: this.replaySlot == null,
 		onFinish: function() {
+			if(this.mode == 'timeattack' && this.result == this.results.FINISH)
+			{
+				self.savePersonalBest(this.finishTime, this.raceData.export());
+				self.recordLadder(this);
+			}
 			self.components.shipControls.terminate();
 			self.displayScore(this.finishTime, this.lapTimes);
 		}
 	});
 
+	if(this.ghost != null) this.gameplay.setGhost(this.ghost);
 	this.gameplay.start();
 
 	bkcore.Audio.play('bg');
@@ -189,15 +310,19 @@ bkcore.hexgl.HexGL.prototype.displayScore = function(f, l)
 		bkcore.Timer.msToTimeString(l[2])
 	];
 
+	var t = this.track.name;
+	var d = this.difficulty == 0 ? 'casual' : 'hard';
+	var highlight = this.ladderEntry == null ? null : this.ladderEntry.id;
+
 	if(this.gameover !== null)
 	{
 		this.gameover.style.display = "block";
 		this.gameover.children[0].innerHTML = tf.m + "'" + tf.s + "''" + tf.ms;
 		this.containers.main.parentElement.style.display = "none";
+		bkcore.hexgl.Ladder.displayLadder('finish-ladder', t, 'timeattack', d, 10, highlight, this.onWatchReplay);
 		return;
 	}
 
-	var t = this.track;
 	var dc = this.document.getElementById("finish");
 	var ds = this.document.getElementById("finish-state");
 	var dh = this.document.getElementById("finish-hallmsg");
@@ -210,7 +335,6 @@ bkcore.hexgl.HexGL.prototype.displayScore = function(f, l)
 	var st = this.document.getElementById("finish-twitter");
 	var sf = this.document.getElementById("finish-fb");
 	var sl = this.document.getElementById("lowfps-msg");
-	var d = this.difficulty == 0 ? 'casual' : 'hard';
 	var ts = this.hud.timeSeparators;
 
 	if(this.gameplay.result == this.gameplay.results.FINISH)
@@ -225,7 +349,7 @@ bkcore.hexgl.HexGL.prototype.displayScore = function(f, l)
 				localStorage['score-'+t+'-'+d] = f;
 
 				// Export race data
-				localStorage['race-'+t+'-replay'] = JSON.Stringify(this.gameplay.raceData.export());
+				localStorage['race-'+t+'-replay'] = JSON.stringify(this.gameplay.raceData.export());
 			}
 			else
 			{
@@ -233,8 +357,7 @@ bkcore.hexgl.HexGL.prototype.displayScore = function(f, l)
 			}
 		}
 		// ladder record
-		var p = bkcore.hexgl.Ladder.global[t][d][bkcore.hexgl.Ladder.global[t][d].length-2];
-		if(p != undefined && p['score'] > f)
+		if(this.ladderEntry != null)
 		{
 			dh != undefined && (dh.innerHTML = "You made it to the HOF!");
 		}
@@ -263,14 +386,14 @@ bkcore.hexgl.HexGL.prototype.displayScore = function(f, l)
 	}
 
 	dd != undefined && (dd.innerHTML = d);
-	st != undefined && (st.href='http://twitter.com/share?text='+encodeURIComponent('I just scored '+dt.innerHTML+' in '+'Cityscape ('+d+') on #HexGL! Come try it and beat my record on '));
+	st != undefined && (st.href='http://twitter.com/share?text='+encodeURIComponent('I just scored '+dt.innerHTML+' in '+t+' ('+d+') on #HexGL! Come try it and beat my record on '));
 	sf != undefined && (sf.href='http://www.facebook.com/sharer.php?s=100'
-		+'&p[title]='+encodeURIComponent('I just scored '+dt.innerHTML+' in '+'Cityscape ('+d+') on HexGL!')
+		+'&p[title]='+encodeURIComponent('I just scored '+dt.innerHTML+' in '+t+' ('+d+') on HexGL!')
 		+'&p[summary]='+encodeURIComponent('HexGL is a futuristic racing game built by Thibaut Despoulain (BKcore) using HTML5, Javascript and WebGL. Come challenge your friends on this fast-paced 3D game!')
 		+'&p[url]='+encodeURIComponent('http://hexgl.bkcore.com')
 		+'&p[images][0]='+encodeURIComponent('http://hexgl.bkcore.com/image.png'));
 
-	bkcore.hexgl.Ladder.displayLadder('finish-ladder', t, d, 8);
+	bkcore.hexgl.Ladder.displayLadder('finish-ladder', t, 'timeattack', d, 10, highlight, this.onWatchReplay);
 
 	if(this.manager.get('game').objects.lowFPS >= 999)
 		sl != undefined && (sl.innerHTML = 'Note: Your framerate was pretty low, you should try a lesser graphic setting!');
@@ -1,52 +1,150 @@
  /*
  * HexGL
  * @author Thibaut 'BKcore' Despoulain <http://bkcore.com>
- * @license This work is licensed under the Creative Commons Attribution-NonCommercial 3.0 Unported License. 
+ * @license This work is licensed under the Creative Commons Attribution-NonCommercial 3.0 Unported License.
  *          To view a copy of this license, visit http://creativecommons.org/licenses/by-nc/3.0/.
  */
 
 var bkcore = bkcore || {};
 bkcore.hexgl = bkcore.hexgl || {};
 
+/**
+ * Local ladder, one table per track, mode and difficulty, kept in localStorage.
+ * Entry: { id, name, score, laps: [ms...], date, replay }
+ * score is the total race time (lower is better): only timeattack runs are
+ * ranked, there is no survival mode. replay is the GhostStore slot of its RaceData.
+ */
 bkcore.hexgl.Ladder = {};
 bkcore.hexgl.Ladder.global = {};
+bkcore.hexgl.Ladder.STORAGE_KEY = 'hexgl-ladder';
+bkcore.hexgl.Ladder.SIZE = 10;
 
 bkcore.hexgl.Ladder.load = function(callback)
 {
-	var s = encodeURIComponent(window.location.href);
-	bkcore.Utils.request("nothing", false, function(req)
+	try {
+		bkcore.hexgl.Ladder.global = JSON.parse(localStorage[bkcore.hexgl.Ladder.STORAGE_KEY] || '{}');
+	}
+	catch(e)
 	{
-		try {
-			bkcore.Ladder.global = JSON.parse(req.responseText);
-			if(callback) callback.call(window);
-		}
-		catch(e)
-		{
-			console.warn('Unable to load ladder. '+e);
-		}
-	},
+		console.warn('Unable to load ladder. '+e);
+		bkcore.hexgl.Ladder.global = {};
+	}
+
+	if(callback) callback.call(window);
+}
+
+bkcore.hexgl.Ladder.save = function()
+{
+	try {
+		localStorage[bkcore.hexgl.Ladder.STORAGE_KEY] = JSON.stringify(bkcore.hexgl.Ladder.global);
+	}
+	catch(e)
 	{
-		u: s
-	});
+		console.warn('Unable to save ladder. '+e);
+	}
 }
 
-bkcore.hexgl.Ladder.displayLadder = function(id, track, mode, num)
+bkcore.hexgl.Ladder.key = function(track, mode, difficulty)
 {
+	return track+'-'+mode+'-'+difficulty;
+}
+
+bkcore.hexgl.Ladder.get = function(track, mode, difficulty)
+{
+	return bkcore.hexgl.Ladder.global[bkcore.hexgl.Ladder.key(track, mode, difficulty)] || [];
+}
+
+// Sort order: a negative result puts a first
+bkcore.hexgl.Ladder.compare = function(a, b)
+{
+	return a.score - b.score;
+}
+
+/**
+ * Adds a finished run and trims the table to SIZE.
+ * @return the stored entry with its 1-based rank, or null if it didn't make the table
+ */
+bkcore.hexgl.Ladder.record = function(track, mode, difficulty, entry)
+{
+	var L = bkcore.hexgl.Ladder;
+	var list = L.get(track, mode, difficulty).slice();
+
+	entry.id = entry.id || Date.now().toString(36)+Math.floor(Math.random()*1e6).toString(36);
+	entry.date = entry.date || Date.now();
+
+	list.push(entry);
+	list.sort(L.compare);
+
+	var dropped = list.splice(L.SIZE);
+	for(var i = 0; i < dropped.length; i++)
+		if(dropped[i].replay) bkcore.hexgl.GhostStore.remove(track, difficulty, dropped[i].replay);
+
+	L.global[L.key(track, mode, difficulty)] = list;
+	L.save();
+
+	var rank = list.indexOf(entry);
+	if(rank == -1) return null;
+
+	entry.rank = rank+1;
+	return entry;
+}
+
+bkcore.hexgl.Ladder.formatTime = function(ms)
+{
+	if(ms == undefined) return '-';
+	var t = bkcore.Timer.msToTime(ms);
+	return t.m+'\''+t.s+'\'\''+t.ms;
+}
+
+/**
+ * Renders a table into element `id`. Rows with a stored replay become
+ * clickable and call onWatch(entry).
+ */
+bkcore.hexgl.Ladder.displayLadder = function(id, track, mode, difficulty, num, highlightId, onWatch)
+{
+	var L = bkcore.hexgl.Ladder;
 	var d = document.getElementById(id);
-	if(d == undefined || bkcore.Ladder.global[track] == undefined || !bkcore.Ladder.global[track][mode] == undefined)
+	if(d == undefined)
 	{
 		console.warn('Undefined ladder.');
 		return;
 	}
 
-	var l = bkcore.Ladder.global[track][mode];
+	var l = L.get(track, mode, difficulty);
+	var m = Math.min((num == undefined ? L.SIZE : num), l.length);
+
+	if(m == 0)
+	{
+		d.innerHTML = '<span class="ladder-row">No records yet</span>';
+		return;
+	}
+
 	var h = '';
-	var m = Math.min((num == undefined ? 10 : num), l.length-1);
-	for(var i = 0; i < l.length-1; i++)
+	for(var i = 0; i < m; i++)
 	{
-		var t = bkcore.Timer.msToTime(l[i]['score']);
-		h += '<span class="ladder-row"><b>'+(i+1)+'. '+l[i]['name']+'</b><i>'+t.m+'\''+t.s+'\'\''+t.ms+'</i></span>';
+		var e = l[i];
+		var score = L.formatTime(e.score);
+		var laps = (e.laps || []).map(L.formatTime).join(' / ');
+		var cls = 'ladder-row'+(e.id == highlightId ? ' ladder-current' : '')+(e.replay ? ' ladder-replay' : '');
+
+		h += '<span class="'+cls+'" data-index="'+i+'">'
+			+'<b>'+(i+1)+'. '+String(e.name).replace(/[<>&"]/g, '')+'</b>'
+			+'<i>'+score+'</i>'
+			+(laps ? '<small>'+laps+'</small>' : '')
+			+'</span>';
 	}
 
 	d.innerHTML = h;
-}
\ No newline at end of file
+
+	if(onWatch == undefined) return;
+
+	var rows = d.querySelectorAll('.ladder-replay');
+	for(var j = 0; j < rows.length; j++)
+	{
+		rows[j].onclick = function(event)
+		{
+			event.stopPropagation();
+			onWatch(l[parseInt(this.getAttribute('data-index'), 10)]);
+		};
+	}
+}
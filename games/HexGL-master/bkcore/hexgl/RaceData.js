@@ -47,11 +47,17 @@ bkcore.hexgl.RaceData.prototype.tick = function(time)
 		this.rateState = 0;
 	}
 	
-	this.rate++;
+	this.rateState++;
 }
 
 bkcore.hexgl.RaceData.prototype.applyInterpolated = function(time)
 {
+	if(this.last < 0)
+	{
+		console.warn('Bad race data.');
+		return;
+	}
+
 	while(this.seek < this.last && this.data[this.seek+1][0] < time)
 		++this.seek;
 
@@ -59,22 +65,19 @@ bkcore.hexgl.RaceData.prototype.applyInterpolated = function(time)
 	this._pp.set(prev[1], prev[2], prev[3]);
 	this._pq.set(prev[4], prev[5], prev[6], prev[7]);
 
-	if(this.seek < 0)
+	// no interpolation
+	if(this.seek == this.last || time <= prev[0])
 	{
-		console.warn('Bad race data.');
+		this.shipControls.teleport(this._pp, this._pq);
 		return;
 	}
 
-	// no interpolation
-	if(this.seek == this.last || this.seek == 0)
-		this.shipControls.teleport(this._pp, this._pq);
-
 	// interpolation
 	var next = this.data[this.seek+1];
 	this._np.set(next[1], next[2], next[3]);
 	this._nq.set(next[4], next[5], next[6], next[7]);
 
-	var t = (time-prev[0]) / (next[0]-prev[0]);
+	var t = Math.min(1, (time-prev[0]) / (next[0]-prev[0]));
 	this._p.copy(this._pp).lerpSelf(this._np, t);
 	this._q.copy(this._pq).slerpSelf(this._nq, t);
 	
@@ -95,5 +98,25 @@ bkcore.hexgl.RaceData.prototype.import = function(imp)
 {
 	this.data = imp;
 	this.last = this.data.length-1;
-	console.log(this.data);
+	this.seek = 0;
+}
+
+/**
+ * Drops malformed samples and anything recorded after the clock went backwards
+ * (old recordings end with a stray sample at time 0).
+ */
+bkcore.hexgl.RaceData.sanitize = function(data)
+{
+	var clean = [];
+	if(!Array.isArray(data)) return clean;
+
+	for(var i = 0; i < data.length; i++)
+	{
+		var s = data[i];
+		if(!Array.isArray(s) || s.length != 8) continue;
+		if(clean.length > 0 && s[0] < clean[clean.length-1][0]) break;
+		clean.push(s);
+	}
+
+	return clean;
 }
\ No newline at end of file
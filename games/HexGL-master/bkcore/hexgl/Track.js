@@ -0,0 +1,405 @@
+ /*
+ * HexGL
+ * @author Thibaut 'BKcore' Despoulain <http://bkcore.com>
+ * @license This work is licensed under the Creative Commons Attribution-NonCommercial 3.0 Unported License.
+ *          To view a copy of this license, visit http://creativecommons.org/licenses/by-nc/3.0/.
+ */
+
+var bkcore = bkcore || {};
+bkcore.hexgl = bkcore.hexgl || {};
+bkcore.hexgl.tracks = bkcore.hexgl.tracks || {};
+
+/**
+ * Generic track built from a declarative descriptor (see tracks/*.js).
+ *
+ * Descriptor:
+ *   name, laps, music, skybox, ghost (bundled replay URL, optional)
+ *   spawn {x,y,z}, spawnRotation {x,y,z}
+ *   checkpoints {list, start, last}
+ *   maps {checkpoints, collision, height, pixelRatio, heightBias, heightScale}
+ *     Image paths are relative to the texture root (textures/ or textures.full/).
+ *     Any map can be left out: no checkpoint map means laps are never counted,
+ *     no collision map disables walls, no height map keeps the ship at spawn height.
+ *   meshes [{id, geometry, position [x,y,z], material, receiveShadow, doubleSided}]
+ *     material {diffuse, specular, normal, normalScale, reflect, reflectivity,
+ *               ambient, lowAmbient, shininess, metal, perPixel, basic, color, transparent}
+ */
+bkcore.hexgl.Track = function(descriptor)
+{
+	this.descriptor = descriptor;
+
+	this.lib = null;
+	this.materials = {};
+
+	this.name = descriptor.name;
+	this.laps = descriptor.laps == undefined ? 3 : descriptor.laps;
+	this.ghost = descriptor.ghost == undefined ? null : descriptor.ghost;
+
+	this.checkpoints = descriptor.checkpoints;
+	this.spawn = descriptor.spawn;
+	this.spawnRotation = descriptor.spawnRotation || { x: 0, y: 0, z: 0 };
+
+	this.analyser = null;
+	this.pixelRatio = descriptor.maps && descriptor.maps.pixelRatio ? descriptor.maps.pixelRatio : 2048.0 / 6000.0;
+}
+
+// Registers a descriptor under its name so HexGL({track: name}) can find it
+bkcore.hexgl.Track.register = function(descriptor)
+{
+	bkcore.hexgl.tracks[descriptor.name] = new bkcore.hexgl.Track(descriptor);
+	return bkcore.hexgl.tracks[descriptor.name];
+}
+
+bkcore.hexgl.Track.list = function()
+{
+	var names = [];
+	for(var name in bkcore.hexgl.tracks)
+		if(bkcore.hexgl.tracks[name] instanceof bkcore.hexgl.Track)
+			names.push(name);
+	return names;
+}
+
+// quality < 2 loads the small textures with basic materials
+bkcore.hexgl.Track.prototype.isHigh = function(quality)
+{
+	return quality >= 2;
+}
+
+bkcore.hexgl.Track.prototype.load = function(opts, quality)
+{
+	var d = this.descriptor;
+	var high = this.isHigh(quality);
+	var root = high ? "textures.full/" : "textures/";
+	var maps = d.maps || {};
+
+	var textures = {
+		'hex'					: root+"hud/hex.jpg",
+		'spark'					: root+"particles/spark.png",
+		'cloud'					: root+"particles/cloud.png",
+		'ship.feisar.diffuse'	: root+"ships/feisar/diffuse.jpg",
+		'booster.diffuse'		: root+"ships/feisar/booster/booster.png",
+		'booster.sprite'		: root+"ships/feisar/booster/boostersprite.jpg"
+	};
+	if(high)
+	{
+		textures['ship.feisar.specular'] = root+"ships/feisar/specular.jpg";
+		textures['ship.feisar.normal'] = root+"ships/feisar/normal.jpg";
+	}
+
+	var geometries = {
+		'booster'				: "geometries/booster/booster.js",
+		'ship.feisar'			: "geometries/ships/feisar/feisar.js"
+	};
+
+	for(var i = 0; i < d.meshes.length; i++)
+	{
+		var m = d.meshes[i];
+		geometries['mesh.'+m.id] = m.geometry;
+
+		var mat = m.material || {};
+		if(mat.diffuse) textures['mesh.'+m.id+'.diffuse'] = root+mat.diffuse;
+		if(high && mat.specular) textures['mesh.'+m.id+'.specular'] = root+mat.specular;
+		if(high && mat.normal) textures['mesh.'+m.id+'.normal'] = root+mat.normal;
+	}
+
+	// One analyser per image, even when a map doubles as checkpoints and walls
+	var analysers = {};
+	this.mapKeys = {};
+	var kinds = ['checkpoints', 'collision', 'height'];
+	for(var k = 0; k < kinds.length; k++)
+	{
+		var path = maps[kinds[k]];
+		if(!path) continue;
+		this.mapKeys[kinds[k]] = 'map.'+path;
+		analysers['map.'+path] = root+path;
+	}
+
+	var texturesCube = {};
+	texturesCube['skybox'] = root+"skybox/"+(d.skybox || 'dawnclouds')+"/%1.jpg";
+
+	// Panning is only set up on the low quality path, as the original tracks did
+	var sound = function(src, loop, usePanner)
+	{
+		return high ? { src: src, loop: loop } : { src: src, loop: loop, usePanner: usePanner };
+	};
+
+	this.lib = new bkcore.threejs.Loader(opts);
+	this.lib.load({
+		textures: textures,
+		texturesCube: texturesCube,
+		geometries: geometries,
+		analysers: analysers,
+		images: {
+			'hud.bg'				: root+"hud/hud-bg.png",
+			'hud.speed'				: root+"hud/hud-fg-speed.png",
+			'hud.shield'			: root+"hud/hud-fg-shield.png"
+		},
+		sounds: {
+			bg: sound(d.music || 'audio/bg.ogg', true, false),
+			crash: sound('audio/crash.ogg', false, true),
+			destroyed: sound('audio/destroyed.ogg', false, false),
+			boost: sound('audio/boost.ogg', false, true),
+			wind: sound('audio/wind.ogg', true, true)
+		}
+	});
+}
+
+bkcore.hexgl.Track.prototype.getMap = function(kind)
+{
+	var key = this.mapKeys[kind];
+	return key ? this.lib.get("analysers", key) : null;
+}
+
+bkcore.hexgl.Track.prototype.buildMaterial = function(mesh, quality)
+{
+	var mat = mesh.material || {};
+	var id = 'mesh.'+mesh.id;
+
+	if(mat.color != undefined)
+	{
+		if(mat.basic)
+			return new THREE.MeshBasicMaterial({ color: mat.color });
+
+		return new THREE.MeshLambertMaterial({
+			color: mat.color,
+			ambient: mat.ambient == undefined ? mat.color : mat.ambient
+		});
+	}
+
+	if(!this.isHigh(quality) || mat.basic || !mat.specular || !mat.normal)
+	{
+		var params = {
+			map: this.lib.get("textures", id+'.diffuse')
+		};
+		if(mat.transparent != undefined) params.transparent = mat.transparent;
+		else params.ambient = mat.lowAmbient == undefined ? 0xcccccc : mat.lowAmbient;
+		return new THREE.MeshBasicMaterial(params);
+	}
+
+	var normal = {
+		diffuse: this.lib.get("textures", id+'.diffuse'),
+		specular: this.lib.get("textures", id+'.specular'),
+		normal: this.lib.get("textures", id+'.normal'),
+		ambient: mat.ambient == undefined ? 0x444444 : mat.ambient,
+		shininess: mat.shininess == undefined ? 42 : mat.shininess,
+		metal: !!mat.metal,
+		perPixel: !!mat.perPixel
+	};
+	if(mat.normalScale != undefined) normal.normalScale = mat.normalScale;
+	if(mat.reflect)
+	{
+		normal.cube = this.lib.get("texturesCube", "skybox");
+		normal.reflectivity = mat.reflectivity == undefined ? 0.8 : mat.reflectivity;
+	}
+
+	return bkcore.Utils.createNormalMaterial(normal);
+}
+
+bkcore.hexgl.Track.prototype.buildMaterials = function(quality)
+{
+	var d = this.descriptor;
+
+	if(!this.isHigh(quality))
+	{
+		this.materials.ship = new THREE.MeshBasicMaterial({
+			map: this.lib.get("textures", "ship.feisar.diffuse"),
+			ambient: 0xaaaaaa
+		});
+	}
+	else
+	{
+		this.materials.ship = bkcore.Utils.createNormalMaterial({
+			diffuse: this.lib.get("textures", "ship.feisar.diffuse"),
+			specular: this.lib.get("textures", "ship.feisar.specular"),
+			normal: this.lib.get("textures", "ship.feisar.normal"),
+			ambient: 0x444444,
+			shininess: 42,
+			metal: true,
+			perPixel: false
+		});
+	}
+
+	this.materials.booster = new THREE.MeshBasicMaterial({
+		map: this.lib.get("textures", "booster.diffuse"),
+		transparent: true
+	});
+
+	for(var i = 0; i < d.meshes.length; i++)
+		this.materials[d.meshes[i].id] = this.buildMaterial(d.meshes[i], quality);
+}
+
+bkcore.hexgl.Track.prototype.buildScenes = function(ctx, quality)
+{
+	var d = this.descriptor;
+	var maps = d.maps || {};
+
+	// IMPORTANT
+	this.analyser = this.getMap('checkpoints');
+
+	// SKYBOX
+	var sceneCube = new THREE.Scene();
+
+	var cameraCube = new THREE.PerspectiveCamera( 70, ctx.width / ctx.height, 1, 6000 );
+	sceneCube.add( cameraCube );
+
+	var skyshader = THREE.ShaderUtils.lib[ "cube" ];
+	skyshader.uniforms[ "tCube" ].texture = this.lib.get("texturesCube", "skybox");
+
+	var skymaterial = new THREE.ShaderMaterial(
+	{
+		fragmentShader: skyshader.fragmentShader,
+		vertexShader: skyshader.vertexShader,
+		uniforms: skyshader.uniforms,
+		depthWrite: false
+	});
+
+	var mesh = new THREE.Mesh( new THREE.CubeGeometry( 100, 100, 100 ), skymaterial );
+	mesh.flipSided = true;
+
+	sceneCube.add(mesh);
+
+	ctx.manager.add("sky", sceneCube, cameraCube);
+
+	var ambient = 0xbbbbbb, diffuse = 0xffffff;
+
+	// MAIN SCENE
+	var camera = new THREE.PerspectiveCamera( 70, ctx.width / ctx.height, 1, 60000 );
+
+	var scene = new THREE.Scene();
+	scene.add( camera );
+	scene.add( new THREE.AmbientLight( ambient ) );
+
+	// SUN
+	var sun = new THREE.DirectionalLight( diffuse, 1.5, 30000 );
+	sun.position.set( -4000, 1200, 1800 );
+	sun.lookAt(new THREE.Vector3());
+
+	// desktop + quality mid or high
+	if(quality > 2)
+	{
+		sun.castShadow = true;
+		sun.shadowCameraNear = 50;
+		sun.shadowCameraFar = camera.far*2;
+		sun.shadowCameraRight     =  3000;
+		sun.shadowCameraLeft      = -3000;
+		sun.shadowCameraTop       =  3000;
+		sun.shadowCameraBottom    = -3000;
+		sun.shadowBias = 0.0001;
+		sun.shadowDarkness = 0.7;
+		sun.shadowMapWidth = 2048;
+		sun.shadowMapHeight = 2048;
+	}
+	scene.add( sun );
+
+	// SHIP
+	var ship = ctx.createMesh(scene, this.lib.get("geometries", "ship.feisar"), this.spawn.x, this.spawn.y, this.spawn.z, this.materials.ship);
+
+	var booster = ctx.createMesh(ship, this.lib.get("geometries", "booster"), 0, 0.665, -3.8, this.materials.booster);
+	booster.depthWrite = false;
+
+	var boosterSprite = new THREE.Sprite({
+		map: this.lib.get("textures", "booster.sprite"),
+		blending: THREE.AdditiveBlending,
+		useScreenCoordinates: false,
+		color: 0xffffff
+	});
+	boosterSprite.scale.set(0.02, 0.02, 0.02);
+	boosterSprite.mergeWith3D = false;
+	booster.add(boosterSprite);
+
+	var boosterLight = new THREE.PointLight(0x00a2ff, 4.0, 60);
+	boosterLight.position.set(0, 0.665, -4);
+
+	// desktop + quality low, mid or high
+	// OR
+	// mobile + quality mid or high
+	if(quality > 0)
+		ship.add(boosterLight);
+
+	// SHIP CONTROLS
+	var shipControls = new bkcore.hexgl.ShipControls(ctx);
+	shipControls.collisionMap = this.getMap('collision');
+	shipControls.collisionPixelRatio = this.pixelRatio;
+	shipControls.collisionDetection = shipControls.collisionMap != null;
+	shipControls.heightMap = this.getMap('height');
+	shipControls.heightPixelRatio = this.pixelRatio;
+	shipControls.heightBias = maps.heightBias == undefined ? 4.0 : maps.heightBias;
+	shipControls.heightScale = maps.heightScale == undefined ? 10.0 : maps.heightScale;
+	shipControls.control(ship);
+	ctx.components.shipControls = shipControls;
+	ctx.tweakShipControls();
+
+	// SHIP EFFECTS AND PARTICLES
+	var fxParams = {
+		scene: scene,
+		shipControls: shipControls,
+		booster: booster,
+		boosterSprite: boosterSprite,
+		boosterLight: boosterLight,
+		useParticles: false
+	};
+
+	// desktop + quality mid or high
+	if(quality > 2)
+	{
+		fxParams.textureCloud = this.lib.get("textures", "cloud");
+		fxParams.textureSpark = this.lib.get("textures", "spark");
+		fxParams.useParticles = true;
+	}
+	ctx.components.shipEffects = new bkcore.hexgl.ShipEffects(fxParams);
+
+	// TRACK
+	for(var i = 0; i < d.meshes.length; i++)
+	{
+		var m = d.meshes[i];
+		var p = m.position || [0, 0, 0];
+		var object = ctx.createMesh(scene, this.lib.get("geometries", "mesh."+m.id), p[0], p[1], p[2], this.materials[m.id]);
+		if(m.receiveShadow != undefined) object.receiveShadow = m.receiveShadow;
+		if(m.doubleSided) object.doubleSided = true;
+	}
+
+	// CAMERA
+	ctx.components.cameraChase = new bkcore.hexgl.CameraChase({
+		target: ship,
+		camera: camera,
+		cameraCube: ctx.manager.get("sky").camera,
+		lerp: 0.5,
+		yoffset: 8.0,
+		zoffset: 10.0,
+		viewOffset: 10.0
+	});
+
+	ctx.manager.add("game", scene, camera, function(delta, renderer)
+	{
+		if(delta > 25 && this.objects.lowFPS < 1000) this.objects.lowFPS++;
+
+		var dt = delta/16.6;
+
+		this.objects.components.shipControls.update(dt);
+
+		this.objects.components.shipEffects.update(dt);
+
+		this.objects.components.cameraChase.update(dt, this.objects.components.shipControls.getSpeedRatio());
+
+		this.objects.composers.game.render(dt);
+		if(this.objects.hud) this.objects.hud.update(
+			this.objects.components.shipControls.getRealSpeed(100),
+			this.objects.components.shipControls.getRealSpeedRatio(),
+			this.objects.components.shipControls.getShield(100),
+			this.objects.components.shipControls.getShieldRatio()
+		);
+		if(this.objects.components.shipControls.getShieldRatio() < 0.2)
+			this.objects.extras.vignetteColor.setHex(0x992020);
+		else
+			this.objects.extras.vignetteColor.setHex(0x458ab1);
+	},
+	{
+		components: ctx.components,
+		composers: ctx.composers,
+		extras: ctx.extras,
+		quality: quality,
+		hud: ctx.hud,
+		time: 0.0,
+		lowFPS: 0
+	});
+}
@@ -0,0 +1,59 @@
+/*
+ * HexGL
+ * @author Thibaut 'BKcore' Despoulain <http://bkcore.com>
+ * @license This work is licensed under the Creative Commons Attribution-NonCommercial 3.0 Unported License.
+ *          To view a copy of this license, visit http://creativecommons.org/licenses/by-nc/3.0/.
+ */
+
+var bkcore = bkcore || {};
+bkcore.hexgl = bkcore.hexgl || {};
+bkcore.hexgl.tracks = bkcore.hexgl.tracks || {};
+
+// Untextured track (the geometry has no UVs), raced on its floor between the two rails.
+// The maps are 1024x4096 top-down renders of that floor: the track lies entirely
+// at negative z, and the maps are centered on the origin like Cityscape's.
+bkcore.hexgl.Track.register({
+
+	name: "Edge",
+	laps: 3,
+	music: 'audio/bg.ogg',
+	skybox: 'dawnclouds',
+
+	checkpoints: {
+		list: [0,1,2],
+		start: 0,
+		last: 2
+	},
+
+	// Middle of the floor on the first segment, facing down it (+z)
+	spawn: {
+		x: 381,
+		y: 365.5,
+		z: -4600
+	},
+
+	spawnRotation: {
+		x: 0,
+		y: 0,
+		z: 0
+	},
+
+	// Heights are stored 720 above the real ones, as the floor dips below zero,
+	// and the bias also lifts the ship 4 above the floor like on Cityscape
+	maps: {
+		checkpoints: "tracks/edge/collision.png",
+		collision: "tracks/edge/collision.png",
+		height: "tracks/edge/height.png",
+		pixelRatio: 0.25,
+		heightBias: -716.0,
+		heightScale: 10.0
+	},
+
+	meshes: [
+		{
+			id: 'track',
+			geometry: "geometries/tracks/edge/track.js",
+			material: { color: 0x4190bb, ambient: 0x20506a }
+		}
+	]
+});
@@ -1,12 +1,27 @@
 // Generated by CoffeeScript 1.7.1
 (function() {
-  var $, a, defaultControls, getWebGL, hasWebGL, init, s, u, _fn, _i, _len;
+  var $, a, defaultControls, getWebGL, ghostDefaults, ghostSources, hasWebGL, init, playerName, replay, s, t, tracks, u, watchReplay, _fn, _i, _len;
 
   $ = function(_) {
     return document.getElementById(_);
   };
 
-  init = function(controlType, quality, hud, godmode) {
+  ghostSources = [null, 'pb', 'imported', 'bundled'];
+
+  tracks = bkcore.hexgl.Track.list();
+
+  ghostDefaults = function() {
+    return {
+      track: tracks[s[5][3]],
+      difficulty: 'casual'
+    };
+  };
+
+  playerName = function() {
+    return localStorage['hexgl-player'] || 'Anonym';
+  };
+
+  init = function(controlType, quality, hud, godmode, ghost, track) {
     var hexGL, progressbar;
     hexGL = new bkcore.hexgl.HexGL({
       document: document,
@@ -20,7 +35,12 @@
       hud: hud === 1,
       controlType: controlType,
       godmode: godmode,
-      track: 'Cityscape'
+      ghost: ghostSources[ghost],
+      mode: replay != null ? 'replay' : 'timeattack',
+      replay: replay,
+      player: playerName(),
+      onWatchReplay: watchReplay,
+      track: tracks[track]
     });
     window.hexGL = hexGL;
     progressbar = $('progressbar');
@@ -44,9 +64,22 @@
 
   u = bkcore.Utils.getURLParameter;
 
+  replay = u('replay');
+
   defaultControls = bkcore.Utils.isTouchDevice() ? 1 : 0;
 
-  s = [['controlType', ['KEYBOARD', 'TOUCH', 'LEAP MOTION CONTROLLER', 'GAMEPAD'], defaultControls, defaultControls, 'Controls: '], ['quality', ['LOW', 'MID', 'HIGH', 'VERY HIGH'], 3, 3, 'Quality: '], ['hud', ['OFF', 'ON'], 1, 1, 'HUD: '], ['godmode', ['OFF', 'ON'], 0, 1, 'Godmode: ']];
+  s = [['controlType', ['KEYBOARD', 'TOUCH', 'LEAP MOTION CONTROLLER', 'GAMEPAD'], defaultControls, defaultControls, 'Controls: '], ['quality', ['LOW', 'MID', 'HIGH', 'VERY HIGH'], 3, 3, 'Quality: '], ['hud', ['OFF', 'ON'], 1, 1, 'HUD: '], ['godmode', ['OFF', 'ON'], 0, 1, 'Godmode: '], ['ghost', ['OFF', 'PERSONAL BEST', 'IMPORTED', 'BUNDLED'], 1, 1, 'Ghost: '], [
+      'track', (function() {
+        var _j, _len1, _results;
+        _results = [];
+        for (_j = 0, _len1 = tracks.length; _j < _len1; _j++) {
+          t = tracks[_j];
+          _results.push(t.toUpperCase());
+        }
+        return _results;
+      })(), 0, 0, 'Track: '
+    ]
+  ];
 
   _fn = function(a) {
     var e, f, _ref;
@@ -67,7 +100,96 @@
   $('step-2').onclick = function() {
     $('step-2').style.display = 'none';
     $('step-3').style.display = 'block';
-    return init(s[0][3], s[1][3], s[2][3], s[3][3]);
+    return init(s[0][3], s[1][3], s[2][3], s[3][3], s[4][3], s[5][3]);
+  };
+
+  watchReplay = function(entry) {
+    var params;
+    params = ((function() {
+      var _j, _len1, _results;
+      _results = [];
+      for (_j = 0, _len1 = s.length; _j < _len1; _j++) {
+        a = s[_j];
+        _results.push("" + a[0] + "=" + a[3]);
+      }
+      return _results;
+    })()).join('&');
+    return window.location.href = "?" + params + "&replay=" + entry.replay;
+  };
+
+  $('s-player').innerHTML = "Pilot: " + (playerName());
+
+  $('s-player').onclick = function() {
+    var name;
+    name = prompt('Pilot name', playerName());
+    if (name == null) {
+      return;
+    }
+    name = name.trim().slice(0, 16);
+    if (name) {
+      localStorage['hexgl-player'] = name;
+    }
+    return $('s-player').innerHTML = "Pilot: " + (playerName());
+  };
+
+  if (replay != null) {
+    $('start').innerHTML = 'Watch replay';
+  }
+
+  $('s-ghost-export').onclick = function() {
+    var d;
+    d = ghostDefaults();
+    return bkcore.hexgl.GhostStore.get(d.track, d.difficulty, 'pb', function(err, record) {
+      var blob, link;
+      if ((err != null) || (record == null)) {
+        $('s-ghost-export').innerHTML = 'Export ghost: no personal best yet';
+        return;
+      }
+      blob = new Blob([bkcore.hexgl.Ghost.serialize(record)], {
+        type: 'application/json'
+      });
+      link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = "hexgl-ghost-" + (record.track.toLowerCase()) + "-" + record.difficulty + ".json";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      return setTimeout((function() {
+        return URL.revokeObjectURL(link.href);
+      }), 1000);
+    });
+  };
+
+  $('s-ghost-import').onclick = function() {
+    return $('ghost-file').click();
+  };
+
+  $('ghost-file').onchange = function() {
+    var file, reader;
+    file = this.files[0];
+    this.value = '';
+    if (file == null) {
+      return;
+    }
+    reader = new FileReader();
+    reader.onload = function() {
+      var record;
+      record = bkcore.hexgl.Ghost.parse(reader.result, ghostDefaults());
+      if (record == null) {
+        $('s-ghost-import').innerHTML = 'Import ghost: invalid file';
+        return;
+      }
+      return bkcore.hexgl.GhostStore.put('imported', record, function(err) {
+        if (err != null) {
+          $('s-ghost-import').innerHTML = 'Import ghost: failed';
+          return;
+        }
+        $('s-ghost-import').innerHTML = 'Import ghost: loaded';
+        s[4][3] = 2;
+        return $('s-ghost').innerHTML = s[4][4] + s[4][1][s[4][3]];
+      });
+    };
+    return reader.readAsText(file);
   };
 
   $('step-5').onclick = function() {
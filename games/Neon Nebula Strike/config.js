@@ -389,5 +389,13 @@ export const CONFIG = {
             { id: 'shock', name: 'SHOCK ROUNDS', desc: '10% chance to disrupt enemy logic (1s stun).', cost: 12000 },
             { id: 'slow', name: 'CRYO ROUNDS', desc: '15% chance to freeze enemy for 3s.', cost: 8000 }
         ]
+    },
+    // Override per page load with ?lb-backend=local, or ?lb-endpoint=http://localhost:8787 when served from localhost
+    LEADERBOARD: {
+        BACKEND: 'http', // 'http' = global worker, 'local' = this device only (IndexedDB)
+        ENDPOINT: 'https://neonnebulastrikeleaderboard.gabi-gabz.workers.dev',
+        LOCAL_TOP_N: 25, // Entries kept per campaign + level table on this device
+        RETRY_INTERVAL: 30000, // ms between attempts to flush queued submissions
+        MAX_QUEUE: 50
     }
 };
@@ -15,6 +15,9 @@ class Game {
     constructor() {
 		this.levelsSinceAd = 0;
         this.leaderboard = new LeaderboardManager();
+        window.addEventListener('pagehide', (e) => {
+            if (!e.persisted) this.leaderboard.dispose();
+        });
         this.dailyMission = new DailyMissionManager();
         
         // --- Permanent Meta Progression ---
@@ -1414,11 +1417,20 @@ class Game {
         const currentCampaign = CONFIG.CAMPAIGNS[this.campaignIndex]?.name || 'Unknown';
         
         this.leaderboard.registerPlayer(name);
-        this.leaderboard.submitScore(name, this.score, currentCampaign);
+        const submission = this.leaderboard.submitScore(name, this.score, currentCampaign, {
+            campaignIndex: this.campaignIndex,
+            levelNumber: this.level
+        });
         
         // Visual feedback instead of opening whole leaderboard
         if (container) {
-            container.innerHTML = `<div style="color: #00ff7f; font-size: 20px; font-weight: bold; margin: 10px 0;">SCORE SUBMITTED TO GLOBAL RANKINGS</div>`;
+            container.innerHTML = `<div style="color: #00ff7f; font-size: 20px; font-weight: bold; margin: 10px 0;">TRANSMITTING SCORE...</div>`;
+            submission.then(result => {
+                let message = "SCORE SUBMITTED TO GLOBAL RANKINGS";
+                if (this.leaderboard.isLocal) message = "SCORE SAVED TO DEVICE RANKINGS";
+                else if (result === 'queued') message = "UPLINK OFFLINE - SCORE QUEUED FOR RETRY";
+                container.innerHTML = `<div style="color: #00ff7f; font-size: 20px; font-weight: bold; margin: 10px 0;">${message}</div>`;
+            });
         }
     }
 
@@ -0,0 +1,129 @@
+/**
+ * Leaderboard storage backends.
+ *
+ * Every backend implements the same two calls:
+ *   submit(entry)         -> resolves when stored, rejects if it couldn't be
+ *   fetchScores(filter)   -> resolves to an array of entries
+ *
+ * An entry is { id, name, score, level, campaignIndex, levelNumber, date },
+ * where `level` is the campaign name shown in the MISSION column.
+ */
+
+/**
+ * HttpLeaderboardBackend talks to the global leaderboard worker
+ * (or any local stand-in exposing the same /submit and /leaderboard routes).
+ */
+export class HttpLeaderboardBackend {
+    constructor(endpoint, timeout = 8000) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.timeout = timeout;
+    }
+
+    async request(path, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            const res = await fetch(`${this.endpoint}${path}`, { ...options, signal: controller.signal });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async submit(entry) {
+        await this.request('/submit', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id: entry.id,
+                name: entry.name,
+                score: entry.score,
+                level: entry.level
+            })
+        });
+    }
+
+    async fetchScores() {
+        const res = await this.request('/leaderboard');
+        const data = await res.json();
+        return Array.isArray(data) ? data : [];
+    }
+}
+
+/**
+ * IndexedDBLeaderboardBackend keeps per-device top-N tables, one per
+ * campaign + level, so scores survive offline play.
+ */
+export class IndexedDBLeaderboardBackend {
+    constructor(topN = 25, dbName = 'neon_nebula_strike_leaderboard') {
+        this.topN = topN;
+        this.dbName = dbName;
+        this.STORE = 'scores';
+        this.dbPromise = null;
+    }
+
+    static tableKey(campaignIndex, levelNumber) {
+        return `${campaignIndex ?? 'x'}:${levelNumber ?? 'x'}`;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB unavailable'));
+                return;
+            }
+            const req = indexedDB.open(this.dbName, 1);
+            req.onupgradeneeded = () => {
+                const store = req.result.createObjectStore(this.STORE, { keyPath: 'key', autoIncrement: true });
+                store.createIndex('table', 'table', { unique: false });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+
+        // Allow a later retry if opening failed (private mode, blocked, ...)
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    async submit(entry) {
+        const db = await this.open();
+        const table = IndexedDBLeaderboardBackend.tableKey(entry.campaignIndex, entry.levelNumber);
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE, 'readwrite');
+            const store = tx.objectStore(this.STORE);
+            store.add({ ...entry, table });
+
+            // Trim the table back to its top N inside the same transaction
+            const rows = store.index('table').getAll(table);
+            rows.onsuccess = () => {
+                const sorted = rows.result.sort((a, b) => b.score - a.score);
+                sorted.slice(this.topN).forEach(row => store.delete(row.key));
+            };
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * @param {Object} [filter] - { campaignIndex, levelNumber } for a single table
+     */
+    async fetchScores(filter = null) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this.STORE, 'readonly').objectStore(this.STORE);
+            const req = filter
+                ? store.index('table').getAll(IndexedDBLeaderboardBackend.tableKey(filter.campaignIndex, filter.levelNumber))
+                : store.getAll();
+            req.onsuccess = () => resolve(req.result.sort((a, b) => b.score - a.score));
+            req.onerror = () => reject(req.error);
+        });
+    }
+}
@@ -1,10 +1,51 @@
+import { CONFIG } from '../config.js';
+import { HttpLeaderboardBackend, IndexedDBLeaderboardBackend } from './LeaderboardBackends.js';
+
 export class LeaderboardManager {
-    constructor() {
-        this.API_URL = "https://neonnebulastrikeleaderboard.gabi-gabz.workers.dev";
+    /**
+     * @param {Object} [options] - overrides for CONFIG.LEADERBOARD (BACKEND, ENDPOINT, ...)
+     */
+    constructor(options = {}) {
+        const config = { ...CONFIG.LEADERBOARD, ...LeaderboardManager.urlOverrides(), ...options };
+
+        this.API_URL = config.ENDPOINT;
         this.NAME_KEY = 'alien_exploration_player_name';
 		this.ID_KEY = 'alien_exploration_player_id';
-	
+		this.QUEUE_KEY = 'alien_exploration_leaderboard_queue';
+		this.maxQueue = config.MAX_QUEUE;
+
+		// Device tables always record scores; they double as the offline fallback
+		this.local = new IndexedDBLeaderboardBackend(config.LOCAL_TOP_N);
+		this.backend = config.BACKEND === 'local' ? this.local : new HttpLeaderboardBackend(this.API_URL);
+
+		this.queue = this.loadQueue();
+		this.flushing = false;
+
+		this.onOnline = () => this.flushQueue();
+		window.addEventListener('online', this.onOnline);
+		this.retryTimer = setInterval(() => this.flushQueue(), config.RETRY_INTERVAL);
+		this.flushQueue();
     }
+
+	// Stops the retries; queued submissions stay saved for the next session
+	dispose() {
+		window.removeEventListener('online', this.onOnline);
+		clearInterval(this.retryTimer);
+	}
+
+	static urlOverrides() {
+		const params = new URLSearchParams(window.location.search);
+		const overrides = {};
+		if (params.get('lb-backend')) overrides.BACKEND = params.get('lb-backend');
+		// A shared link must not send scores and player ids to another host
+		const isLocalhost = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+		if (isLocalhost && params.get('lb-endpoint')) overrides.ENDPOINT = params.get('lb-endpoint');
+		return overrides;
+	}
+
+	get isLocal() {
+		return this.backend === this.local;
+	}
 	getPlayerId() {
 		return localStorage.getItem(this.ID_KEY);
 	}
@@ -32,35 +73,89 @@ export class LeaderboardManager {
 
 		return id;
 	}
-    async submitScore(name, score, level) {
+	/**
+	 * @param {string} level - campaign name shown in the MISSION column
+	 * @param {Object} [details] - { campaignIndex, levelNumber } picks the local table
+	 * @returns {Promise<'sent'|'queued'>}
+	 */
+    async submitScore(name, score, level, details = {}) {
+		const entry = {
+			id: this.getPlayerId(),
+			name,
+			score,
+			level,
+			campaignIndex: details.campaignIndex,
+			levelNumber: details.levelNumber,
+			date: new Date().toISOString()
+		};
+
+		if (!this.isLocal) {
+			this.local.submit(entry).catch(e => console.log("Local save error:", e));
+		}
+
 		try {
-			const playerId = this.getPlayerId();
+			await this.backend.submit(entry);
+			return 'sent';
+		} catch (e) {
+			console.log("Submit error, queued for retry:", e);
+			this.enqueue(entry);
+			return 'queued';
+		}
+	}
 
-			await fetch(`${this.API_URL}/submit`, {
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json"
-				},
-				body: JSON.stringify({
-					id: playerId,   // 👈 NEW
-					name,
-					score,
-					level
-				})
-			});
+	loadQueue() {
+		try {
+			const queue = JSON.parse(localStorage.getItem(this.QUEUE_KEY));
+			return Array.isArray(queue) ? queue : [];
 		} catch (e) {
-			console.log("Submit error:", e);
+			return [];
+		}
+	}
+
+	saveQueue() {
+		try {
+			localStorage.setItem(this.QUEUE_KEY, JSON.stringify(this.queue));
+		} catch (e) {
+			console.log("Queue save error:", e);
+		}
+	}
+
+	enqueue(entry) {
+		this.queue.push(entry);
+		// Oldest submissions go first when the queue overflows
+		if (this.queue.length > this.maxQueue) this.queue.splice(0, this.queue.length - this.maxQueue);
+		this.saveQueue();
+	}
+
+	// Resend queued submissions in order; stops at the first failure
+	async flushQueue() {
+		if (this.flushing || this.queue.length === 0) return;
+		if (navigator.onLine === false) return;
+
+		this.flushing = true;
+		try {
+			while (this.queue.length > 0) {
+				await this.backend.submit(this.queue[0]);
+				this.queue.shift();
+				this.saveQueue();
+			}
+		} catch (e) {
+			console.log(`Retry failed, ${this.queue.length} submission(s) still queued:`, e);
+		} finally {
+			this.flushing = false;
 		}
 	}
 
     async getGlobalScores() {
 		try {
-			const res = await fetch(`${this.API_URL}/leaderboard`);
-			const data = await res.json();
+			return await this.backend.fetchScores();
+		} catch (e) {
+			console.log("Fetch error, showing device scores:", e);
+		}
 
-			return Array.isArray(data) ? data : [];
+		try {
+			return this.isLocal ? [] : await this.local.fetchScores();
 		} catch (e) {
-			console.log("Fetch error:", e);
 			return [];
 		}
 	}
@@ -80,8 +175,15 @@ export class LeaderboardManager {
 		const rank = scores.findIndex(s => s.name === playerName);
 		return rank !== -1 ? rank + 1 : 'N/A';
     }
+	// Best score this pilot has recorded on this device
 	async getLocalBest() {
-		const scores = await this.getGlobalScores();
-		return scores.length > 0 ? scores[0].score : 0;
+		try {
+			const playerId = this.getPlayerId();
+			const scores = await this.local.fetchScores();
+			const own = scores.find(s => s.id === playerId);
+			return own ? own.score : 0;
+		} catch (e) {
+			return 0;
+		}
 	}
 }
\ No newline at end of file
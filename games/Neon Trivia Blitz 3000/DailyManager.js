@@ -1,38 +1,183 @@
+import { CONFIG } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESULT_EMOJIS = { correct: '🟩', wrong: '🟥', skipped: '⬜' };
+
 export class DailyManager {
     constructor() {
-        this.STORAGE_KEY = 'trivia_blitz_daily_played';
-        this.STREAK_KEY = 'trivia_blitz_daily_streak';
+        this.HISTORY_KEY = 'trivia_blitz_daily_history';
+        // Used before the history existed
+        this.LEGACY_PLAYED_KEY = 'trivia_blitz_daily_played';
+        this.LEGACY_STREAK_KEY = 'trivia_blitz_daily_streak';
+        this.migrate();
     }
 
-    getLastPlayedDate() {
-        return localStorage.getItem(this.STORAGE_KEY);
+    // Days are local calendar dates, so everyone gets the same set on the same date.
+    // They are compared as UTC day numbers, which ignores DST and time zone changes
+    getTodayKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
     }
 
-    getStreak() {
-        const streak = localStorage.getItem(this.STREAK_KEY);
-        return streak ? parseInt(streak) : 0;
+    getDayNumber(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+    }
+
+    getChallengeNumber(key) {
+        return this.getDayNumber(key) - this.getDayNumber(CONFIG.DAILY_EPOCH) + 1;
+    }
+
+    getHistory() {
+        try {
+            const history = localStorage.getItem(this.HISTORY_KEY);
+            return history ? JSON.parse(history) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveHistory(history) {
+        localStorage.setItem(this.HISTORY_KEY, JSON.stringify(history));
+    }
+
+    getEntry(key) {
+        return this.getHistory()[key] || null;
     }
 
     canPlayToday() {
-        const today = new Date().toLocaleDateString();
-        return this.getLastPlayedDate() !== today;
-    }
-
-    recordResult(isCorrect) {
-        const today = new Date().toLocaleDateString();
-        const lastDate = this.getLastPlayedDate();
-        
-        localStorage.setItem(this.STORAGE_KEY, today);
-        
-        if (isCorrect) {
-            let streak = this.getStreak();
-            // Check if yesterday was the last played date to continue streak
-            // For simplicity, we just increment if correct today
-            localStorage.setItem(this.STREAK_KEY, streak + 1);
-            return streak + 1;
-        } else {
-            localStorage.setItem(this.STREAK_KEY, 0);
-            return 0;
+        return !this.getEntry(this.getTodayKey());
+    }
+
+    // The day counts as played once started, so quitting can't be used to see the questions again
+    startChallenge(key, total) {
+        const history = this.getHistory();
+        history[key] = { results: [], total, score: 0, complete: false };
+        this.saveHistory(history);
+    }
+
+    recordAnswer(key, result) {
+        const history = this.getHistory();
+        if (!history[key]) return;
+        history[key].results.push(result);
+        this.saveHistory(history);
+    }
+
+    finishChallenge(key, score) {
+        const history = this.getHistory();
+        if (!history[key]) return;
+        history[key].score = score;
+        history[key].complete = true;
+        this.saveHistory(history);
+    }
+
+    getPlayedDays() {
+        return Object.keys(this.getHistory()).map(key => this.getDayNumber(key)).sort((a, b) => a - b);
+    }
+
+    // Consecutive days played up to today, or up to yesterday if today is still open
+    getStreak() {
+        const played = new Set(this.getPlayedDays());
+        let day = this.getDayNumber(this.getTodayKey());
+        if (!played.has(day)) {
+            day--;
+        }
+        let streak = 0;
+        while (played.has(day)) {
+            streak++;
+            day--;
+        }
+        return streak;
+    }
+
+    getBestStreak() {
+        let best = 0;
+        let current = 0;
+        let last = null;
+        this.getPlayedDays().forEach(day => {
+            current = last !== null && day === last + 1 ? current + 1 : 1;
+            best = Math.max(best, current);
+            last = day;
+        });
+        return best;
+    }
+
+    // The days of the month with a status: played, perfect, missed, today, future or none
+    getMonth(year, month) {
+        const history = this.getHistory();
+        const played = this.getPlayedDays();
+        const first = played.length > 0 ? played[0] : null;
+        const today = this.getDayNumber(this.getTodayKey());
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        const days = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const key = this.getTodayKey(new Date(year, month, day));
+            const number = this.getDayNumber(key);
+            const entry = history[key];
+
+            let status = 'none';
+            if (entry) {
+                const correct = entry.results.filter(r => r === 'correct').length;
+                status = entry.complete && entry.total > 0 && correct === entry.total ? 'perfect' : 'played';
+            } else if (number === today) {
+                status = 'today';
+            } else if (number > today) {
+                status = 'future';
+            } else if (first !== null && number > first) {
+                status = 'missed';
+            }
+            days.push({ day, key, status });
+        }
+        return { year, month, firstWeekday: new Date(year, month, 1).getDay(), days };
+    }
+
+    getResultGrid(key) {
+        const entry = this.getEntry(key);
+        if (!entry) return '';
+        const emojis = entry.results.map(result => RESULT_EMOJIS[result] || '⬛');
+        while (emojis.length < entry.total) {
+            emojis.push('⬛'); // Not answered, the challenge was left early
+        }
+        return emojis.join('');
+    }
+
+    // A spoiler free summary, without the questions or answers
+    getShareText(key) {
+        const entry = this.getEntry(key);
+        if (!entry) return '';
+        const correct = entry.results.filter(r => r === 'correct').length;
+        return [
+            `Trivia Blitz Daily #${this.getChallengeNumber(key)} ${correct}/${entry.total} 🔥${this.getStreak()}`,
+            this.getResultGrid(key)
+        ].join('\n');
+    }
+
+    getSummary() {
+        const key = this.getTodayKey();
+        return {
+            key,
+            number: this.getChallengeNumber(key),
+            canPlay: this.canPlayToday(),
+            streak: this.getStreak(),
+            grid: this.getResultGrid(key),
+            shareText: this.getShareText(key)
+        };
+    }
+
+    // The old data only knew the last date, in the locale format, and a counter that
+    // didn't check consecutive days. Keep today as played, so it can't be replayed
+    migrate() {
+        const lastPlayed = localStorage.getItem(this.LEGACY_PLAYED_KEY);
+        if (lastPlayed === null) return;
+
+        const history = this.getHistory();
+        if (lastPlayed === new Date().toLocaleDateString() && !history[this.getTodayKey()]) {
+            history[this.getTodayKey()] = { results: [], total: 0, score: 0, complete: true };
+            this.saveHistory(history);
         }
+        localStorage.removeItem(this.LEGACY_PLAYED_KEY);
+        localStorage.removeItem(this.LEGACY_STREAK_KEY);
     }
 }
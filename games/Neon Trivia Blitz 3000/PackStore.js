@@ -0,0 +1,160 @@
+import { CONFIG } from './config.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export class PackStore {
+    constructor() {
+        this.STORAGE_KEY = 'trivia_blitz_packs';
+    }
+
+    getPacks() {
+        try {
+            const packs = localStorage.getItem(this.STORAGE_KEY);
+            return packs ? JSON.parse(packs) : [];
+        } catch (error) {
+            console.warn('Invalid question packs in storage, ignoring them', error);
+            return [];
+        }
+    }
+
+    getPack(id) {
+        return this.getPacks().find(pack => pack.id === id) || null;
+    }
+
+    savePack(data) {
+        const { pack, errors } = PackStore.validate(data);
+        if (errors.length > 0) {
+            return { pack: null, errors };
+        }
+
+        const packs = this.getPacks();
+        const index = packs.findIndex(p => p.id === pack.id);
+        if (index >= 0) {
+            packs[index] = pack;
+        } else {
+            packs.push(pack);
+        }
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(packs));
+        } catch (error) {
+            return { pack: null, errors: ['Not enough storage space to save this pack'] };
+        }
+        return { pack, errors: [] };
+    }
+
+    removePack(id) {
+        const packs = this.getPacks().filter(pack => pack.id !== id);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(packs));
+    }
+
+    // Accepts a single pack or an array of packs. Packs with a known id replace the stored one
+    importPacks(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { imported: 0, errors: ['The file is not valid JSON'] };
+        }
+
+        const list = Array.isArray(data) ? data : [data];
+        const errors = [];
+        let imported = 0;
+        list.forEach((item, idx) => {
+            const result = this.savePack(item);
+            if (result.errors.length > 0) {
+                const name = item && typeof item.name === 'string' && item.name.trim() ? item.name.trim() : `Pack ${idx + 1}`;
+                errors.push(...result.errors.map(error => `${name}: ${error}`));
+            } else {
+                imported++;
+            }
+        });
+        return { imported, errors };
+    }
+
+    exportPack(pack) {
+        return JSON.stringify({
+            id: pack.id,
+            name: pack.name,
+            language: pack.language,
+            categoryId: pack.categoryId,
+            category: pack.category,
+            questions: pack.questions
+        }, null, 4);
+    }
+
+    // Checks a pack written by hand or by the editor and returns a clean copy
+    static validate(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { pack: null, errors: ['A pack must be a JSON object'] };
+        }
+
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!name) {
+            errors.push('The pack needs a name');
+        }
+
+        const language = data.language || 'en';
+        if (!CONFIG.LANGUAGES.some(lang => lang.code === language)) {
+            errors.push(`Unknown language "${language}"`);
+        }
+
+        const categoryId = data.categoryId === undefined || data.categoryId === null || data.categoryId === ''
+            ? null
+            : Number(data.categoryId);
+        const category = CONFIG.CATEGORIES.find(cat => cat.id === categoryId);
+        if (categoryId !== null && !category) {
+            errors.push(`Unknown category id ${data.categoryId}`);
+        }
+
+        if (!Array.isArray(data.questions) || data.questions.length === 0) {
+            errors.push('The pack needs at least one question');
+        }
+
+        const questions = (Array.isArray(data.questions) ? data.questions : []).map((q, idx) => {
+            const label = `Question ${idx + 1}`;
+            if (!q || typeof q !== 'object') {
+                errors.push(`${label}: must be an object`);
+                return null;
+            }
+
+            const question = typeof q.question === 'string' ? q.question.trim() : '';
+            const correctAnswer = typeof q.correctAnswer === 'string' ? q.correctAnswer.trim() : '';
+            const incorrectAnswers = Array.isArray(q.incorrectAnswers)
+                ? q.incorrectAnswers.map(a => typeof a === 'string' ? a.trim() : '')
+                : [];
+            const difficulty = q.difficulty || 'medium';
+
+            if (!question) errors.push(`${label}: the question is empty`);
+            if (!correctAnswer) errors.push(`${label}: the correct answer is empty`);
+            if (incorrectAnswers.length !== 3 || incorrectAnswers.some(a => !a)) {
+                errors.push(`${label}: needs exactly 3 incorrect answers`);
+            } else if (new Set([correctAnswer, ...incorrectAnswers]).size !== 4) {
+                errors.push(`${label}: the answers must be different`);
+            }
+            if (!DIFFICULTIES.includes(difficulty)) {
+                errors.push(`${label}: the difficulty must be easy, medium or hard`);
+            }
+            return { question, correctAnswer, incorrectAnswers, difficulty };
+        });
+
+        if (errors.length > 0) {
+            return { pack: null, errors };
+        }
+
+        return {
+            pack: {
+                id: typeof data.id === 'string' && data.id ? data.id : `pack-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+                name,
+                language,
+                categoryId,
+                category: typeof data.category === 'string' && data.category.trim()
+                    ? data.category.trim()
+                    : (category ? category.name : 'Mixed'),
+                questions
+            },
+            errors: []
+        };
+    }
+}
@@ -0,0 +1,161 @@
+import { CONFIG } from './config.js';
+import { PackStore } from './PackStore.js';
+import { BundledPackSource, UserPackSource, RemoteApiSource } from './QuestionSources.js';
+
+export class QuestionBank {
+    constructor() {
+        this.SETTINGS_KEY = 'trivia_blitz_question_settings';
+        this.SEEN_KEY = 'trivia_blitz_seen_questions';
+        this.packStore = new PackStore();
+        this.bundled = new BundledPackSource();
+        this.sources = [
+            this.bundled,
+            new UserPackSource(this.packStore),
+            new RemoteApiSource()
+        ];
+    }
+
+    getSettings() {
+        const defaults = { language: 'en', sources: { bundled: true, custom: true, remote: false } };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.SETTINGS_KEY)) || {};
+            return {
+                language: saved.language || defaults.language,
+                sources: { ...defaults.sources, ...saved.sources }
+            };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    saveSettings(settings) {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+    }
+
+    setLanguage(code) {
+        const settings = this.getSettings();
+        settings.language = code;
+        this.saveSettings(settings);
+    }
+
+    toggleSource(id) {
+        const settings = this.getSettings();
+        settings.sources[id] = !settings.sources[id];
+        this.saveSettings(settings);
+    }
+
+    async getQuestions(categoryId = null, amount = 10) {
+        const { language, sources } = this.getSettings();
+        const active = this.sources.filter(source => sources[source.id] && source.supports(language));
+
+        let pool = await this.collect(active, categoryId, amount, language);
+        if (pool.length === 0) {
+            // Nothing matched: use the bundled packs, from any category if required
+            pool = await this.collect([this.bundled], categoryId, amount, language);
+            if (pool.length === 0 && categoryId !== null) {
+                pool = await this.collect([this.bundled], null, amount, language);
+            }
+        }
+        return this.pickUnseen(pool, amount);
+    }
+
+    // The same questions for everyone on the same day, taken from the bundled packs only
+    async getDailyQuestions(dayKey, amount) {
+        const { language } = this.getSettings();
+        const pool = await this.collect([this.bundled], null, amount, language);
+        const random = this.createRandom(`${dayKey}|${language}`);
+        return this.shuffleArray(pool, random).slice(0, amount);
+    }
+
+    async collect(sources, categoryId, amount, language) {
+        const results = await Promise.all(sources.map(source =>
+            source.getQuestions({ categoryId, amount, language }).catch(error => {
+                console.warn(`Question source "${source.id}" failed`, error);
+                return [];
+            })
+        ));
+
+        // The same question may come from more than one source
+        const keys = new Set();
+        return results.flat().filter(q => {
+            const key = this.getKey(q);
+            if (keys.has(key)) return false;
+            keys.add(key);
+            return true;
+        });
+    }
+
+    // Prefers the questions never seen, then the ones seen the longest time ago
+    pickUnseen(pool, amount) {
+        const seen = this.getSeen();
+        const order = new Map(seen.map((key, idx) => [key, idx]));
+        const shuffled = this.shuffleArray([...pool]);
+
+        const unseen = shuffled.filter(q => !order.has(this.getKey(q)));
+        if (unseen.length >= amount) {
+            return unseen.slice(0, amount);
+        }
+        const repeats = shuffled
+            .filter(q => order.has(this.getKey(q)))
+            .sort((a, b) => order.get(this.getKey(a)) - order.get(this.getKey(b)));
+        return [...unseen, ...repeats].slice(0, amount);
+    }
+
+    getSeen() {
+        try {
+            const seen = localStorage.getItem(this.SEEN_KEY);
+            return seen ? JSON.parse(seen) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    getSeenCount() {
+        return this.getSeen().length;
+    }
+
+    markSeen(question) {
+        const key = this.getKey(question);
+        const seen = this.getSeen().filter(k => k !== key);
+        seen.push(key);
+        localStorage.setItem(this.SEEN_KEY, JSON.stringify(seen.slice(-CONFIG.SEEN_HISTORY_LIMIT)));
+    }
+
+    resetSeen() {
+        localStorage.removeItem(this.SEEN_KEY);
+    }
+
+    // A short hash of the normalized question and answer, to keep the history small
+    getKey(question) {
+        const text = `${question.question}|${question.correctAnswer}`.toLowerCase().replace(/\s+/g, ' ').trim();
+        return this.hash(text).toString(36);
+    }
+
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // A seeded random generator (mulberry32), with the same results as Math.random on every device
+    createRandom(seed) {
+        let state = this.hash(seed);
+        return () => {
+            state = (state + 0x6d2b79f5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    shuffleArray(array, random = Math.random) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
@@ -0,0 +1,128 @@
+import { CONFIG } from './config.js';
+import { PackStore } from './PackStore.js';
+
+// A source returns plain questions: { question, correctAnswer, incorrectAnswers, category, categoryId, difficulty }
+class PackSource {
+    supports() {
+        return true;
+    }
+
+    async getQuestions({ categoryId, language }) {
+        const packs = await this.getPacks();
+        return packs
+            .filter(pack => pack.language === language && (categoryId === null || pack.categoryId === categoryId))
+            .flatMap(pack => pack.questions.map(q => ({
+                ...q,
+                category: pack.category,
+                categoryId: pack.categoryId
+            })));
+    }
+}
+
+// The JSON packs that ship with the game, listed in packs/index.json
+export class BundledPackSource extends PackSource {
+    constructor() {
+        super();
+        this.id = 'bundled';
+        this.name = 'Bundled Packs';
+        this.description = 'Offline questions included with the game';
+        this.packs = null;
+    }
+
+    getPacks() {
+        if (!this.packs) {
+            this.packs = this.loadPacks().catch(error => {
+                this.packs = null; // Try again next time
+                throw error;
+            });
+        }
+        return this.packs;
+    }
+
+    async loadPacks() {
+        const indexUrl = new URL(CONFIG.QUESTION_PACKS, document.baseURI);
+        const index = await this.fetchJson(indexUrl);
+        const packs = await Promise.all(index.packs.map(async file => {
+            try {
+                const { pack, errors } = PackStore.validate(await this.fetchJson(new URL(file, indexUrl)));
+                if (errors.length > 0) {
+                    console.warn(`Skipping question pack ${file}:`, errors);
+                }
+                return pack;
+            } catch (error) {
+                console.warn(`Could not load question pack ${file}`, error);
+                return null;
+            }
+        }));
+        return packs.filter(Boolean);
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response.json();
+    }
+}
+
+// The packs imported or written by the player
+export class UserPackSource extends PackSource {
+    constructor(packStore) {
+        super();
+        this.id = 'custom';
+        this.name = 'My Packs';
+        this.description = 'Packs you imported or created';
+        this.packStore = packStore;
+    }
+
+    async getPacks() {
+        return this.packStore.getPacks();
+    }
+}
+
+// The OpenTDB-style online API, English only
+export class RemoteApiSource {
+    constructor() {
+        this.id = 'remote';
+        this.name = 'Open Trivia DB';
+        this.description = 'Online questions, English only';
+    }
+
+    supports(language) {
+        return language === 'en';
+    }
+
+    async getQuestions({ categoryId, amount }) {
+        // Ask for some spare questions, so the ones already seen can be skipped
+        let url = `${CONFIG.TRIVIA_API}?amount=${Math.min(50, amount * 2)}&type=multiple`;
+        if (categoryId) {
+            url += `&category=${categoryId}`;
+        }
+
+        const response = await fetch(url);
+        if (response.status === 429) {
+            console.warn('Rate limit hit (429), skipping the online questions');
+            return [];
+        }
+
+        const data = await response.json();
+        if (data.response_code !== 0) {
+            return [];
+        }
+        return data.results.map(q => ({
+            question: this.decodeHtml(q.question),
+            correctAnswer: this.decodeHtml(q.correct_answer),
+            incorrectAnswers: q.incorrect_answers.map(a => this.decodeHtml(a)),
+            category: q.category,
+            categoryId,
+            difficulty: q.difficulty
+        }));
+    }
+
+    decodeHtml(html) {
+        const txt = document.createElement("textarea");
+        txt.innerHTML = html;
+        return txt.value;
+    }
+}
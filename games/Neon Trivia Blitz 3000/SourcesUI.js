@@ -0,0 +1,306 @@
+import { CONFIG } from './config.js';
+
+const BUTTON_STYLE = `
+    padding: 8px 16px; background: transparent; border: 2px solid #00ffcc; color: #00ffcc;
+    cursor: pointer; font-family: 'Orbitron', sans-serif; font-weight: bold; font-size: 0.75rem;
+    transition: all 0.3s ease; text-transform: uppercase; border-radius: 5px;
+`;
+
+const INPUT_STYLE = `
+    padding: 8px; background: rgba(255,255,255,0.1); border: 1px solid rgba(0,255,204,0.5);
+    color: white; font-family: 'Orbitron', sans-serif; font-size: 0.75rem; outline: none;
+    box-sizing: border-box; width: 100%;
+`;
+
+// The Question Sources screen: languages, sources, the seen history and the player's packs
+export class SourcesUI {
+    constructor(container, questionBank, onBack) {
+        this.container = container;
+        this.questionBank = questionBank;
+        this.packStore = questionBank.packStore;
+        this.onBack = onBack;
+        this.editingPack = null;
+    }
+
+    show(messages = []) {
+        const settings = this.questionBank.getSettings();
+        const packs = this.packStore.getPacks();
+
+        const languagesHtml = CONFIG.LANGUAGES.map(lang => `
+            <button class="lang-btn" data-code="${lang.code}" style="${BUTTON_STYLE}
+                ${settings.language === lang.code ? 'background: #00ffcc; color: black;' : ''}
+            ">${lang.name}</button>
+        `).join('');
+
+        const sourcesHtml = this.questionBank.sources.map(source => {
+            const enabled = settings.sources[source.id];
+            const available = source.supports(settings.language);
+            return `
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 15px; margin-bottom: 8px;">
+                    <div style="text-align: left;">
+                        <div style="font-size: 0.85rem;">${source.name}</div>
+                        <div style="font-size: 0.65rem; opacity: 0.6;">${source.description}${available ? '' : ' • not available in this language'}</div>
+                    </div>
+                    <button class="source-btn" data-id="${source.id}" style="${BUTTON_STYLE}
+                        min-width: 70px; ${enabled ? 'background: #00ffcc; color: black;' : 'border-color: #ff00ff; color: #ff00ff;'}
+                    ">${enabled ? 'On' : 'Off'}</button>
+                </div>
+            `;
+        }).join('');
+
+        const packsHtml = packs.length > 0 ? packs.map(pack => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.1);">
+                <div style="text-align: left; font-size: 0.75rem;">
+                    <div>${this.escapeHtml(pack.name)}</div>
+                    <div style="opacity: 0.6; font-size: 0.65rem;">
+                        ${pack.language.toUpperCase()} • ${this.escapeHtml(pack.category)} • ${pack.questions.length} questions
+                    </div>
+                </div>
+                <div style="display: flex; gap: 5px;">
+                    <button class="pack-btn" data-action="edit" data-id="${pack.id}" style="${BUTTON_STYLE} padding: 4px 8px;">Edit</button>
+                    <button class="pack-btn" data-action="export" data-id="${pack.id}" style="${BUTTON_STYLE} padding: 4px 8px;">Export</button>
+                    <button class="pack-btn" data-action="delete" data-id="${pack.id}" style="${BUTTON_STYLE} padding: 4px 8px; border-color: #ff0000; color: #ff0000;">Delete</button>
+                </div>
+            </div>
+        `).join('') : '<p style="font-size: 0.75rem; opacity: 0.6;">No packs yet. Import a JSON pack or create one.</p>';
+
+        this.container.innerHTML = `
+            ${this.getBackgroundHtml()}
+            <div style="text-align: center; pointer-events: auto; padding: 30px; background: rgba(0,0,0,0.85); border: 4px solid #00ffcc; border-radius: 20px; box-shadow: 0 0 50px rgba(0,255,204,0.4); max-width: 95%; width: 600px; backdrop-filter: blur(15px); max-height: 90vh; overflow-y: auto; box-sizing: border-box;">
+                <h2 style="font-size: 1.6rem; margin: 0 0 20px 0; color: #00ffcc; text-transform: uppercase;">Question Sources</h2>
+                ${this.getMessagesHtml(messages)}
+
+                <h3 style="margin: 0 0 10px 0; font-size: 0.8rem; color: #ff00ff; text-transform: uppercase;">Language</h3>
+                <div style="display: flex; justify-content: center; gap: 10px; margin-bottom: 20px;">${languagesHtml}</div>
+
+                <h3 style="margin: 0 0 10px 0; font-size: 0.8rem; color: #ff00ff; text-transform: uppercase;">Sources</h3>
+                <div style="margin-bottom: 20px;">${sourcesHtml}</div>
+
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; font-size: 0.75rem;">
+                    <span>Seen questions: ${this.questionBank.getSeenCount()}</span>
+                    <button id="reset-seen-btn" style="${BUTTON_STYLE}">Allow Repeats</button>
+                </div>
+
+                <h3 style="margin: 0 0 10px 0; font-size: 0.8rem; color: #ff00ff; text-transform: uppercase;">My Packs</h3>
+                <div style="margin-bottom: 15px;">${packsHtml}</div>
+                <div style="display: flex; gap: 10px; margin-bottom: 25px;">
+                    <button id="new-pack-btn" style="${BUTTON_STYLE} flex: 1;">New Pack</button>
+                    <button id="import-pack-btn" style="${BUTTON_STYLE} flex: 1;">Import Pack</button>
+                    <input type="file" id="import-pack-input" accept=".json,application/json" style="display: none;" />
+                </div>
+
+                <button id="sources-back-btn" style="${BUTTON_STYLE} border-color: #ff00ff; color: #ff00ff; padding: 10px 30px;">Back to Main Menu</button>
+            </div>
+        `;
+
+        this.container.querySelectorAll('.lang-btn').forEach(btn => {
+            btn.onclick = () => {
+                this.questionBank.setLanguage(btn.dataset.code);
+                this.show();
+            };
+        });
+        this.container.querySelectorAll('.source-btn').forEach(btn => {
+            btn.onclick = () => {
+                this.questionBank.toggleSource(btn.dataset.id);
+                this.show();
+            };
+        });
+        this.container.querySelectorAll('.pack-btn').forEach(btn => {
+            btn.onclick = () => this.handlePackAction(btn.dataset.action, btn.dataset.id);
+        });
+
+        document.getElementById('reset-seen-btn').onclick = () => {
+            this.questionBank.resetSeen();
+            this.show(['Seen questions cleared']);
+        };
+        document.getElementById('new-pack-btn').onclick = () => this.showEditor(null);
+
+        const fileInput = document.getElementById('import-pack-input');
+        document.getElementById('import-pack-btn').onclick = () => fileInput.click();
+        fileInput.onchange = () => {
+            if (fileInput.files.length > 0) {
+                this.importFile(fileInput.files[0]);
+            }
+        };
+
+        document.getElementById('sources-back-btn').onclick = () => this.onBack();
+    }
+
+    handlePackAction(action, id) {
+        const pack = this.packStore.getPack(id);
+        if (!pack) return;
+
+        if (action === 'edit') {
+            this.showEditor(pack);
+        } else if (action === 'export') {
+            this.downloadPack(pack);
+        } else if (action === 'delete') {
+            if (window.confirm(`Delete the pack "${pack.name}"?`)) {
+                this.packStore.removePack(id);
+                this.show();
+            }
+        }
+    }
+
+    async importFile(file) {
+        const { imported, errors } = this.packStore.importPacks(await file.text());
+        const messages = [];
+        if (imported > 0) {
+            messages.push(`Imported ${imported} pack${imported === 1 ? '' : 's'}`);
+        }
+        this.show(messages.concat(errors));
+    }
+
+    downloadPack(pack) {
+        const blob = new Blob([this.packStore.exportPack(pack)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${pack.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'pack'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    showEditor(pack, messages = []) {
+        this.editingPack = pack ? JSON.parse(JSON.stringify(pack)) : {
+            name: '',
+            language: this.questionBank.getSettings().language,
+            categoryId: null,
+            questions: [this.getEmptyQuestion()]
+        };
+        this.renderEditor(messages);
+    }
+
+    renderEditor(messages = []) {
+        const pack = this.editingPack;
+
+        // The categories share ids, so list each id once with all its names
+        const categories = [];
+        CONFIG.CATEGORIES.forEach(cat => {
+            const match = categories.find(c => c.id === cat.id);
+            if (match) {
+                match.name += ` / ${cat.name}`;
+            } else {
+                categories.push({ id: cat.id, name: cat.name });
+            }
+        });
+
+        const questionsHtml = pack.questions.map((q, idx) => `
+            <div class="editor-question" style="text-align: left; padding: 12px; margin-bottom: 12px; border: 1px solid rgba(255,255,255,0.2); border-radius: 10px;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; font-size: 0.75rem; color: #ff00ff;">
+                    <span>QUESTION ${idx + 1}</span>
+                    <button class="remove-question-btn" data-index="${idx}" style="${BUTTON_STYLE} padding: 2px 8px; border-color: #ff0000; color: #ff0000;">Remove</button>
+                </div>
+                <textarea class="q-text" rows="2" placeholder="Question" style="${INPUT_STYLE} resize: vertical; margin-bottom: 6px;">${this.escapeHtml(q.question)}</textarea>
+                <input class="q-correct" placeholder="Correct answer" value="${this.escapeHtml(q.correctAnswer)}" style="${INPUT_STYLE} margin-bottom: 6px; border-color: #00ff00;" />
+                ${[0, 1, 2].map(i => `
+                    <input class="q-wrong" placeholder="Incorrect answer ${i + 1}" value="${this.escapeHtml(q.incorrectAnswers[i] || '')}" style="${INPUT_STYLE} margin-bottom: 6px; border-color: rgba(255,0,0,0.6);" />
+                `).join('')}
+                <select class="q-difficulty" style="${INPUT_STYLE}">
+                    ${['easy', 'medium', 'hard'].map(d => `<option value="${d}" ${q.difficulty === d ? 'selected' : ''}>${d.toUpperCase()}</option>`).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        this.container.innerHTML = `
+            ${this.getBackgroundHtml()}
+            <div style="text-align: center; pointer-events: auto; padding: 30px; background: rgba(0,0,0,0.85); border: 4px solid #ff00ff; border-radius: 20px; box-shadow: 0 0 50px rgba(255,0,255,0.4); max-width: 95%; width: 700px; backdrop-filter: blur(15px); max-height: 90vh; overflow-y: auto; box-sizing: border-box;">
+                <h2 style="font-size: 1.6rem; margin: 0 0 20px 0; color: #ff00ff; text-transform: uppercase;">${pack.id ? 'Edit Pack' : 'New Pack'}</h2>
+                ${this.getMessagesHtml(messages)}
+
+                <input id="pack-name" placeholder="Pack name" maxlength="40" value="${this.escapeHtml(pack.name)}" style="${INPUT_STYLE} margin-bottom: 10px;" />
+                <div style="display: flex; gap: 10px; margin-bottom: 20px;">
+                    <select id="pack-language" style="${INPUT_STYLE}">
+                        ${CONFIG.LANGUAGES.map(lang => `<option value="${lang.code}" ${pack.language === lang.code ? 'selected' : ''}>${lang.name}</option>`).join('')}
+                    </select>
+                    <select id="pack-category" style="${INPUT_STYLE}">
+                        <option value="">Mixed (All Random only)</option>
+                        ${categories.map(cat => `<option value="${cat.id}" ${pack.categoryId === cat.id ? 'selected' : ''}>${cat.name}</option>`).join('')}
+                    </select>
+                </div>
+
+                ${questionsHtml}
+
+                <button id="add-question-btn" style="${BUTTON_STYLE} width: 100%; margin-bottom: 20px;">+ Add Question</button>
+                <div style="display: flex; gap: 10px;">
+                    <button id="save-pack-btn" style="${BUTTON_STYLE} flex: 1; background: #00ffcc; color: black;">Save Pack</button>
+                    <button id="cancel-pack-btn" style="${BUTTON_STYLE} flex: 1; border-color: #ff00ff; color: #ff00ff;">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('add-question-btn').onclick = () => {
+            this.readEditor();
+            this.editingPack.questions.push(this.getEmptyQuestion());
+            this.renderEditor();
+        };
+        this.container.querySelectorAll('.remove-question-btn').forEach(btn => {
+            btn.onclick = () => {
+                this.readEditor();
+                this.editingPack.questions.splice(parseInt(btn.dataset.index), 1);
+                this.renderEditor();
+            };
+        });
+        document.getElementById('save-pack-btn').onclick = () => this.savePack();
+        document.getElementById('cancel-pack-btn').onclick = () => this.show();
+    }
+
+    // Copies the form values back into the pack being edited
+    readEditor() {
+        const pack = this.editingPack;
+        pack.name = document.getElementById('pack-name').value;
+        pack.language = document.getElementById('pack-language').value;
+        pack.categoryId = document.getElementById('pack-category').value || null;
+        pack.questions = Array.from(this.container.querySelectorAll('.editor-question')).map(el => ({
+            question: el.querySelector('.q-text').value,
+            correctAnswer: el.querySelector('.q-correct').value,
+            incorrectAnswers: Array.from(el.querySelectorAll('.q-wrong')).map(input => input.value),
+            difficulty: el.querySelector('.q-difficulty').value
+        }));
+    }
+
+    savePack() {
+        this.readEditor();
+        // Let the category name follow the selected category
+        const { category, ...data } = this.editingPack;
+        const { pack, errors } = this.packStore.savePack(data);
+        if (errors.length > 0) {
+            this.renderEditor(errors);
+            return;
+        }
+        this.show([`Saved "${pack.name}"`]);
+    }
+
+    getEmptyQuestion() {
+        return { question: '', correctAnswer: '', incorrectAnswers: ['', '', ''], difficulty: 'medium' };
+    }
+
+    getBackgroundHtml() {
+        return `
+            <div style="
+                position: absolute; top: 0; left: 0; width: 100%; height: 100%;
+                background: linear-gradient(rgba(0,0,0,0.6), rgba(0,0,0,0.9)), url('assets/trivia-background.png.webp');
+                background-size: cover; background-position: center; z-index: -1;
+            "></div>
+        `;
+    }
+
+    getMessagesHtml(messages) {
+        if (messages.length === 0) return '';
+        return `
+            <div style="margin-bottom: 20px; padding: 10px; text-align: left; font-size: 0.7rem; background: rgba(255,0,255,0.1); border: 1px solid #ff00ff; border-radius: 8px; max-height: 120px; overflow-y: auto;">
+                ${messages.map(msg => `<div>${this.escapeHtml(msg)}</div>`).join('')}
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -1,4 +1,5 @@
 import { CONFIG } from './config.js';
+import { QuestionBank } from './QuestionBank.js';
 
 export class TriviaEngine {
     constructor() {
@@ -9,6 +10,7 @@ export class TriviaEngine {
         this.isGameOver = false;
         this.timer = 0;
         this.timerInterval = null;
+        this.questionBank = new QuestionBank();
         this.lifelines = {
             '5050': true,
             'skip': true
@@ -35,52 +37,35 @@ export class TriviaEngine {
     }
 
     async fetchQuestions(categoryId = null, amount = 10) {
+        return this.loadQuestions(() => this.questionBank.getQuestions(categoryId, amount), amount);
+    }
+
+    // Everyone gets the same questions, with the answers in the same order, on the same day
+    async fetchDailyQuestions(dayKey, amount) {
+        const random = this.questionBank.createRandom(`${dayKey}|answers`);
+        return this.loadQuestions(() => this.questionBank.getDailyQuestions(dayKey, amount), amount, random);
+    }
+
+    async loadQuestions(getQuestions, amount, random = Math.random) {
         try {
-            // amount can be passed as 1 for QOTD
-            let url = `${CONFIG.TRIVIA_API}?amount=${amount}&type=multiple`;
-            if (categoryId) {
-                url += `&category=${categoryId}`;
-            }
-            
-            const response = await fetch(url);
-            
-            if (response.status === 429) {
-                console.warn('Rate limit hit (429), using fallback questions');
+            const fetched = (await getQuestions()).map(q => this.formatQuestion(q, random));
+
+            if (fetched.length === 0) {
+                console.warn('No questions available, using fallback questions');
                 this.questions = this.getFallbackQuestions();
                 this.currentQuestionIndex = 0;
                 return true;
             }
 
-            const data = await response.json();
-
-            if (data.response_code === 0) {
-                const fetched = data.results.map(q => ({
-                    question: this.decodeHtml(q.question),
-                    correctAnswer: this.decodeHtml(q.correct_answer),
-                    incorrectAnswers: q.incorrect_answers.map(a => this.decodeHtml(a)),
-                    category: q.category,
-                    difficulty: q.difficulty,
-                    icon: this.getCategoryIcon(q.category),
-                    allAnswers: this.shuffleArray([
-                        this.decodeHtml(q.correct_answer),
-                        ...q.incorrect_answers.map(a => this.decodeHtml(a))
-                    ])
-                }));
-
-                // If fetching a batch, sort by difficulty
-                if (amount > 1) {
-                    const difficultyMap = { 'easy': 0, 'medium': 1, 'hard': 2 };
-                    fetched.sort((a, b) => difficultyMap[a.difficulty] - difficultyMap[b.difficulty]);
-                }
-
-                this.questions = fetched.slice(0, amount);
-                this.currentQuestionIndex = 0;
-                return true;
-            } else {
-                this.questions = this.getFallbackQuestions();
-                this.currentQuestionIndex = 0;
-                return true;
+            // If fetching a batch, sort by difficulty
+            if (amount > 1) {
+                const difficultyMap = { 'easy': 0, 'medium': 1, 'hard': 2 };
+                fetched.sort((a, b) => difficultyMap[a.difficulty] - difficultyMap[b.difficulty]);
             }
+
+            this.questions = fetched.slice(0, amount);
+            this.currentQuestionIndex = 0;
+            return true;
         } catch (error) {
             console.error('Error fetching questions:', error);
             this.questions = this.getFallbackQuestions();
@@ -89,6 +74,19 @@ export class TriviaEngine {
         }
     }
 
+    formatQuestion(q, random = Math.random) {
+        const category = CONFIG.CATEGORIES.find(c => c.id === q.categoryId);
+        return {
+            question: q.question,
+            correctAnswer: q.correctAnswer,
+            incorrectAnswers: q.incorrectAnswers,
+            category: q.category,
+            difficulty: q.difficulty,
+            icon: category ? category.icon : this.getCategoryIcon(q.category),
+            allAnswers: this.shuffleArray([q.correctAnswer, ...q.incorrectAnswers], random)
+        };
+    }
+
     getCategoryIcon(categoryName) {
         const match = CONFIG.CATEGORIES.find(c => 
             categoryName.toLowerCase().includes(c.name.toLowerCase())
@@ -100,7 +98,9 @@ export class TriviaEngine {
         if (this.currentQuestionIndex < this.questions.length - 1) {
             this.currentQuestionIndex++;
             this.startTimer();
-            return this.questions[this.currentQuestionIndex];
+            const question = this.questions[this.currentQuestionIndex];
+            this.questionBank.markSeen(question);
+            return question;
         }
         this.isGameOver = true;
         return null;
@@ -148,15 +148,9 @@ export class TriviaEngine {
         }
     }
 
-    decodeHtml(html) {
-        const txt = document.createElement("textarea");
-        txt.innerHTML = html;
-        return txt.value;
-    }
-
-    shuffleArray(array) {
+    shuffleArray(array, random = Math.random) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
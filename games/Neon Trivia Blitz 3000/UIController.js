@@ -1,7 +1,7 @@
 import { CONFIG } from './config.js';
 
 export class UIController {
-    constructor(onAnswerSubmit, onStartGame, onRestart, onSaveScore, onPlayDaily, onUseLifeline, onGoHome) {
+    constructor(onAnswerSubmit, onStartGame, onRestart, onSaveScore, onPlayDaily, onUseLifeline, onGoHome, onShowSources, onShowCalendar) {
         this.onAnswerSubmit = onAnswerSubmit;
         this.onStartGame = onStartGame;
         this.onRestart = onRestart;
@@ -9,6 +9,8 @@ export class UIController {
         this.onPlayDaily = onPlayDaily;
         this.onUseLifeline = onUseLifeline;
         this.onGoHome = onGoHome;
+        this.onShowSources = onShowSources;
+        this.onShowCalendar = onShowCalendar;
         this.container = this.createMainContainer();
         this.selectedCategoryId = null;
     }
@@ -26,7 +28,7 @@ export class UIController {
         return div;
     }
 
-    initWelcomeScreen(topScores = [], canPlayDaily = false, dailyStreak = 0) {
+    initWelcomeScreen(topScores = [], daily = null) {
         const leaderboardHtml = topScores.length > 0 ? `
             <div style="margin-top: 20px; text-align: left; background: rgba(0,0,0,0.6); padding: 15px; border-radius: 10px; border: 1px solid rgba(0,255,204,0.3); backdrop-filter: blur(5px);">
                 <h3 style="margin: 0 0 10px 0; font-size: 0.8rem; color: #ff00ff; text-transform: uppercase;">Hall of Fame</h3>
@@ -39,16 +41,21 @@ export class UIController {
             </div>
         ` : '';
 
-        const dailyBtnHtml = canPlayDaily ? `
+        const canPlayDaily = daily && daily.canPlay;
+        const dailyBtnHtml = !daily ? '' : canPlayDaily ? `
             <button id="daily-btn" style="
                 padding: 10px 30px; font-size: 0.9rem; background: #ff00ff; border: none; color: white;
                 cursor: pointer; font-family: 'Orbitron', sans-serif; font-weight: bold;
                 transition: all 0.3s ease; text-transform: uppercase; box-shadow: 0 0 15px rgba(255,0,255,0.4);
                 width: 100%; margin-top: 15px;
-            ">Question of the Day 🌟</button>
+            ">Daily Challenge #${daily.number} 🌟</button>
+            <div style="margin-top: 8px; font-size: 0.75rem; color: #ff00ff; opacity: 0.8;">
+                Current Streak: ${daily.streak} 🔥 • <a id="calendar-link" style="color: #00ffcc; cursor: pointer; text-decoration: underline;">Calendar</a>
+            </div>
         ` : `
-            <div style="margin-top: 15px; font-size: 0.8rem; color: #ff00ff; opacity: 0.8;">
-                Daily Challenge Complete! <br>Current Streak: ${dailyStreak} 🔥
+            <div style="margin-top: 15px; font-size: 0.8rem; color: #ff00ff;">
+                Daily Challenge #${daily.number} Complete! • Streak: ${daily.streak} 🔥
+                ${this.getDailyShareHtml(daily)}
             </div>
         `;
 
@@ -69,16 +76,146 @@ export class UIController {
                     width: 100%;
                 ">Start Game</button>
 
+                <button id="sources-btn" style="
+                    padding: 10px 30px; font-size: 0.9rem; background: transparent; border: 2px solid #00ffcc; color: #00ffcc;
+                    cursor: pointer; font-family: 'Orbitron', sans-serif; font-weight: bold;
+                    transition: all 0.3s ease; text-transform: uppercase;
+                    width: 100%; margin-top: 15px;
+                ">Question Sources ⚙️</button>
+
                 ${dailyBtnHtml}
                 ${leaderboardHtml}
             </div>
         `;
         document.getElementById('show-categories-btn').onclick = () => this.showCategorySelect();
+        document.getElementById('sources-btn').onclick = () => this.onShowSources();
         if (canPlayDaily) {
             document.getElementById('daily-btn').onclick = () => this.onPlayDaily();
+            document.getElementById('calendar-link').onclick = () => this.showCurrentCalendar();
+        } else if (daily) {
+            this.bindDailyShare(daily);
         }
     }
 
+    // The spoiler free result grid, with the share and calendar buttons
+    getDailyShareHtml(daily) {
+        return `
+            <div style="font-size: 1.5rem; letter-spacing: 3px; margin: 10px 0;">${daily.grid}</div>
+            <div style="display: flex; gap: 10px; justify-content: center;">
+                <button id="share-daily-btn" style="
+                    padding: 8px 20px; background: #ff00ff; border: none; color: white;
+                    cursor: pointer; font-family: 'Orbitron', sans-serif; font-weight: bold; font-size: 0.75rem;
+                    text-transform: uppercase; border-radius: 5px;
+                ">Copy Result</button>
+                <button id="calendar-btn" style="
+                    padding: 8px 20px; background: transparent; border: 2px solid #ff00ff; color: #ff00ff;
+                    cursor: pointer; font-family: 'Orbitron', sans-serif; font-weight: bold; font-size: 0.75rem;
+                    text-transform: uppercase; border-radius: 5px;
+                ">Calendar</button>
+            </div>
+        `;
+    }
+
+    bindDailyShare(daily) {
+        const shareBtn = document.getElementById('share-daily-btn');
+        shareBtn.onclick = async () => {
+            const copied = await this.copyToClipboard(daily.shareText);
+            shareBtn.textContent = copied ? 'Copied!' : 'Copy Failed';
+            setTimeout(() => { shareBtn.textContent = 'Copy Result'; }, 1500);
+        };
+        document.getElementById('calendar-btn').onclick = () => this.showCurrentCalendar();
+    }
+
+    async copyToClipboard(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            // Older browsers, or pages without clipboard permissions
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.cssText = 'position: fixed; opacity: 0;';
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            document.body.removeChild(textarea);
+            return copied;
+        }
+    }
+
+    showCurrentCalendar() {
+        const today = new Date();
+        this.onShowCalendar(today.getFullYear(), today.getMonth());
+    }
+
+    showDailyCalendar(calendar, stats) {
+        const { year, month, firstWeekday, days } = calendar;
+        const monthName = new Date(year, month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        const styles = {
+            perfect: 'background: #00ff00; color: black; border-color: #00ff00;',
+            played: 'background: rgba(0,255,204,0.3); border-color: #00ffcc;',
+            missed: 'background: rgba(255,0,255,0.15); border-color: rgba(255,0,255,0.5); color: rgba(255,255,255,0.5);',
+            today: 'border-color: #ffff00; color: #ffff00;',
+            future: 'opacity: 0.3;',
+            none: 'opacity: 0.6;'
+        };
+
+        const blanks = Array.from({ length: firstWeekday }, () => '<div></div>').join('');
+        const daysHtml = days.map(d => `
+            <div title="${d.key}" style="
+                padding: 8px 0; border: 1px solid rgba(255,255,255,0.15); border-radius: 6px; font-size: 0.8rem;
+                ${styles[d.status]}
+            ">${d.day}${d.status === 'missed' ? '<br>✖' : ''}${d.status === 'perfect' ? '<br>★' : ''}</div>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div style="
+                position: absolute; top: 0; left: 0; width: 100%; height: 100%;
+                background: linear-gradient(rgba(0,0,0,0.6), rgba(0,0,0,0.9)), url('assets/trivia-background.png.webp');
+                background-size: cover; background-position: center; z-index: -1;
+            "></div>
+            <div style="text-align: center; pointer-events: auto; padding: 30px; background: rgba(0,0,0,0.85); border: 4px solid #ff00ff; border-radius: 20px; box-shadow: 0 0 50px rgba(255,0,255,0.4); max-width: 95%; width: 450px; backdrop-filter: blur(15px); max-height: 90vh; overflow-y: auto; box-sizing: border-box;">
+                <h2 style="font-size: 1.6rem; margin: 0 0 15px 0; color: #ff00ff; text-transform: uppercase;">Daily Calendar</h2>
+                <div style="display: flex; justify-content: space-around; margin-bottom: 20px; font-size: 0.75rem;">
+                    <div>PLAYED<br><span style="font-size: 1.4rem; color: #00ffcc;">${stats.played}</span></div>
+                    <div>STREAK<br><span style="font-size: 1.4rem; color: #00ffcc;">${stats.streak} 🔥</span></div>
+                    <div>BEST<br><span style="font-size: 1.4rem; color: #00ffcc;">${stats.bestStreak}</span></div>
+                </div>
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                    <button id="prev-month-btn" style="padding: 5px 12px; background: transparent; border: 2px solid #00ffcc; color: #00ffcc; cursor: pointer; font-family: 'Orbitron', sans-serif;">◀</button>
+                    <span style="text-transform: uppercase;">${monthName}</span>
+                    <button id="next-month-btn" style="padding: 5px 12px; background: transparent; border: 2px solid #00ffcc; color: #00ffcc; cursor: pointer; font-family: 'Orbitron', sans-serif;">▶</button>
+                </div>
+                <div style="display: grid; grid-template-columns: repeat(7, 1fr); gap: 5px; margin-bottom: 15px;">
+                    ${['S', 'M', 'T', 'W', 'T', 'F', 'S'].map(d => `<div style="font-size: 0.7rem; opacity: 0.6;">${d}</div>`).join('')}
+                    ${blanks}
+                    ${daysHtml}
+                </div>
+                <div style="font-size: 0.65rem; opacity: 0.8; margin-bottom: 20px;">
+                    <span style="color: #00ff00;">★ Perfect</span> •
+                    <span style="color: #00ffcc;">Played</span> •
+                    <span style="color: #ff00ff;">✖ Missed</span>
+                </div>
+                <button id="calendar-back-btn" style="
+                    padding: 10px 30px; background: transparent; border: 2px solid #ff00ff; color: #ff00ff;
+                    cursor: pointer; font-family: 'Orbitron', sans-serif; font-weight: bold;
+                    transition: all 0.3s ease; text-transform: uppercase; border-radius: 5px;
+                ">Back to Main Menu</button>
+            </div>
+        `;
+
+        // Date handles the month overflow, like month -1 or 12
+        document.getElementById('prev-month-btn').onclick = () => {
+            const date = new Date(year, month - 1, 1);
+            this.onShowCalendar(date.getFullYear(), date.getMonth());
+        };
+        document.getElementById('next-month-btn').onclick = () => {
+            const date = new Date(year, month + 1, 1);
+            this.onShowCalendar(date.getFullYear(), date.getMonth());
+        };
+        document.getElementById('calendar-back-btn').onclick = () => this.onGoHome();
+    }
+
     showCategorySelect() {
         this.container.innerHTML = `
             <div style="
@@ -166,21 +303,21 @@ export class UIController {
             <div style="max-width: 800px; width: 90%; text-align: center; pointer-events: none; margin-top: 40px;">
                 <div style="display: flex; align-items: center; justify-content: center; gap: 10px; margin-bottom: 10px; opacity: 0.8;">
                     <span style="font-size: 1.5rem;">${questionData.icon}</span>
-                    <span style="text-transform: uppercase; letter-spacing: 2px; font-size: 0.9rem;">${questionData.category}</span>
+                    <span style="text-transform: uppercase; letter-spacing: 2px; font-size: 0.9rem;">${this.escapeHtml(questionData.category)}</span>
                 </div>
                 
                 <div style="background: rgba(0,0,0,0.7); padding: 25px; border-radius: 15px; border-left: 5px solid #00ffcc; margin-bottom: 30px; box-shadow: 0 10px 30px rgba(0,0,0,0.5);">
-                    <h2 id="ui-question" style="font-size: clamp(1.2rem, 4vw, 1.8rem); margin: 0; line-height: 1.4;">${questionData.question}</h2>
+                    <h2 id="ui-question" style="font-size: clamp(1.2rem, 4vw, 1.8rem); margin: 0; line-height: 1.4;">${this.escapeHtml(questionData.question)}</h2>
                 </div>
                 
                 <div id="answers-container" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 15px; pointer-events: auto;">
                     ${questionData.allAnswers.map((ans, idx) => `
-                        <button class="answer-btn" data-ans="${ans}" style="
+                        <button class="answer-btn" data-ans="${this.escapeHtml(ans)}" style="
                             padding: 20px; font-size: 1.1rem; background: rgba(0,0,0,0.8); border: 2px solid rgba(255,255,255,0.2);
                             color: white; cursor: pointer; font-family: 'Orbitron', sans-serif; transition: all 0.2s ease;
                             text-align: left; border-radius: 10px;
                         ">
-                            <span style="color: #00ffcc; margin-right: 15px; font-weight: bold;">${idx + 1}.</span> ${ans}
+                            <span style="color: #00ffcc; margin-right: 15px; font-weight: bold;">${idx + 1}.</span> ${this.escapeHtml(ans)}
                         </button>
                     `).join('')}
                 </div>
@@ -247,6 +384,15 @@ export class UIController {
         return newArr;
     }
 
+    // Questions can come from packs written by players
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     updateTimer(timeLeft) {
         const timerEl = document.getElementById('ui-timer');
         const progressEl = document.getElementById('timer-progress');
@@ -306,7 +452,7 @@ export class UIController {
         }, 1500);
     }
 
-    showGameOver(score, isHighScore = false) {
+    showGameOver(score, isHighScore = false, daily = null) {
         const highScoreContent = isHighScore ? `
             <div id="save-score-container" style="margin-bottom: 30px;">
                 <p style="color: #00ffcc; font-size: 0.9rem; margin-bottom: 10px; text-transform: uppercase;">New High Score!</p>
@@ -332,6 +478,13 @@ export class UIController {
             <div style="text-align: center; pointer-events: auto; padding: 50px; background: rgba(0,0,0,0.8); border: 4px solid #ff00ff; border-radius: 20px; box-shadow: 0 0 50px rgba(255,0,255,0.4); max-width: 90%; width: 500px; backdrop-filter: blur(10px);">
                 <h1 style="font-size: clamp(2.5rem, 8vw, 4rem); margin-bottom: 10px; color: #ff00ff; text-transform: uppercase;">Final Score</h1>
                 <div style="font-size: clamp(4rem, 15vw, 6rem); font-weight: bold; margin-bottom: 30px; color: white; text-shadow: 0 0 20px #ff00ff;">${score}</div>
+
+                ${daily ? `
+                    <div style="margin-bottom: 30px; font-size: 0.8rem; color: #ff00ff;">
+                        Daily Challenge #${daily.number} • Streak: ${daily.streak} 🔥
+                        ${this.getDailyShareHtml(daily)}
+                    </div>
+                ` : ''}
                 
                 ${highScoreContent}
 
@@ -359,6 +512,10 @@ export class UIController {
             };
         }
 
+        if (daily) {
+            this.bindDailyShare(daily);
+        }
+
         document.getElementById('restart-btn').onclick = () => this.onRestart();
         document.getElementById('home-btn').onclick = () => this.onGoHome();
     }
@@ -9,10 +9,18 @@ export const CONFIG = {
         STAGE_FLOOR: 0x111111,
     },
     TRIVIA_API: 'https://opentdb.com/api.php',
+    QUESTION_PACKS: 'packs/index.json',
+    SEEN_HISTORY_LIMIT: 1000, // Questions remembered to avoid repeats across sessions
+    LANGUAGES: [
+        { code: 'en', name: 'English' },
+        { code: 'es', name: 'Español' },
+    ],
     POINTS_PER_QUESTION: 1000,
     SPEED_BONUS_MAX: 500,
     TIMER_DURATION: 15,
     TOTAL_QUESTIONS: 10,
+    DAILY_QUESTIONS: 5,
+    DAILY_EPOCH: '2026-01-01', // The date of the Daily Challenge #1
     CATEGORIES: [
         { name: 'Geography', id: 22, icon: '🌍' },
         { name: 'History', id: 23, icon: '📜' },
@@ -4,6 +4,7 @@ import { UIController } from './UIController.js';
 import { AudioManager } from './AudioManager.js';
 import { LeaderboardManager } from './LeaderboardManager.js';
 import { DailyManager } from './DailyManager.js';
+import { SourcesUI } from './SourcesUI.js';
 import { CONFIG } from './config.js';
 
 class TriviaGame {
@@ -21,11 +22,19 @@ class TriviaGame {
             (name) => this.handleSaveScore(name),
             () => this.playDailyChallenge(),
             (type) => this.handleUseLifeline(type),
+            () => this.showWelcome(),
+            () => this.sourcesUI.show(),
+            (year, month) => this.showDailyCalendar(year, month)
+        );
+        this.sourcesUI = new SourcesUI(
+            this.uiController.container,
+            this.triviaEngine.questionBank,
             () => this.showWelcome()
         );
 
         this.isPaused = false;
         this.isDailyMode = false;
+        this.dailyKey = null;
         this.lastTime = 0;
         this.animate = this.animate.bind(this);
         
@@ -45,22 +54,32 @@ class TriviaGame {
 
     showWelcome() {
         this.triviaEngine.stopTimer(); // Ensure any running timer is stopped
+        this.isDailyMode = false;
         this.gameScene.resetCamera();
         this.gameScene.setStageColor(CONFIG.COLORS.PRIMARY);
         this.uiController.initWelcomeScreen(
             this.leaderboard.getScores(),
-            this.dailyManager.canPlayToday(),
-            this.dailyManager.getStreak()
+            this.dailyManager.getSummary()
         );
     }
 
+    showDailyCalendar(year, month) {
+        this.uiController.showDailyCalendar(this.dailyManager.getMonth(year, month), {
+            played: this.dailyManager.getPlayedDays().length,
+            streak: this.dailyManager.getStreak(),
+            bestStreak: this.dailyManager.getBestStreak()
+        });
+    }
+
     async playDailyChallenge() {
-        this.isDailyMode = true;
-        // Seeded category based on day of week
-        const dayIdx = new Date().getDay();
-        const categoryId = CONFIG.CATEGORIES[dayIdx % CONFIG.CATEGORIES.length].id;
-        
-        await this.startGame(categoryId, 1);
+        if (!this.dailyManager.canPlayToday()) return;
+        await this.startGame(null, CONFIG.DAILY_QUESTIONS, this.dailyManager.getTodayKey());
+    }
+
+    recordDailyAnswer(result) {
+        if (this.isDailyMode) {
+            this.dailyManager.recordAnswer(this.dailyKey, result);
+        }
     }
 
     handleSaveScore(name) {
@@ -73,17 +92,20 @@ class TriviaGame {
             if (type === '5050') {
                 this.uiController.apply5050(this.triviaEngine.getCurrentQuestion().correctAnswer);
             } else if (type === 'skip') {
+                this.recordDailyAnswer('skipped');
                 this.nextQuestion();
             }
         }
     }
 
-    async startGame(categoryId = null, amount = 10) {
+    async startGame(categoryId = null, amount = 10, dailyKey = null) {
         // Unlock audio on first interaction
         await this.audioManager.start();
         this.audioManager.playStart();
         
         this.triviaEngine.resetGame(); // Ensure lifelines are reset
+        this.isDailyMode = dailyKey !== null;
+        this.dailyKey = dailyKey;
         this.gameScene.resetCamera();
         this.gameScene.setStageColor(CONFIG.COLORS.PRIMARY);
         
@@ -97,7 +119,12 @@ class TriviaGame {
         loadingDiv.innerHTML = "PREPARING STAGE...<br><span style='font-size: 1rem; opacity: 0.7;'>LOADING 1000+ QUESTIONS</span>";
         document.body.appendChild(loadingDiv);
 
-        await this.triviaEngine.fetchQuestions(categoryId, amount);
+        if (this.isDailyMode) {
+            await this.triviaEngine.fetchDailyQuestions(dailyKey, amount);
+            this.dailyManager.startChallenge(dailyKey, this.triviaEngine.questions.length);
+        } else {
+            await this.triviaEngine.fetchQuestions(categoryId, amount);
+        }
         if (loadingDiv.parentNode) document.body.removeChild(loadingDiv);
         
         this.triviaEngine.score = 0;
@@ -127,15 +154,7 @@ class TriviaGame {
         if (answer) this.audioManager.playClick();
         
         const result = this.triviaEngine.submitAnswer(answer);
-        
-        if (this.isDailyMode) {
-            this.dailyManager.recordResult(result.isCorrect);
-            // Special QOTD reward: 5000 points added directly to their persistent high score check if correct
-            if (result.isCorrect) {
-                result.points = 5000;
-                this.triviaEngine.score = 5000;
-            }
-        }
+        this.recordDailyAnswer(result.isCorrect ? 'correct' : 'wrong');
 
         if (result.isCorrect) {
             this.audioManager.playCorrect();
@@ -162,8 +181,14 @@ class TriviaGame {
         this.gameScene.resetCamera();
         this.gameScene.setStageColor(CONFIG.COLORS.SECONDARY);
         
+        let dailySummary = null;
+        if (this.isDailyMode) {
+            this.dailyManager.finishChallenge(this.dailyKey, this.triviaEngine.score);
+            dailySummary = this.dailyManager.getSummary();
+        }
+
         const isHighScore = this.leaderboard.isHighScore(this.triviaEngine.score);
-        this.uiController.showGameOver(this.triviaEngine.score, isHighScore);
+        this.uiController.showGameOver(this.triviaEngine.score, isHighScore, dailySummary);
         this.isDailyMode = false;
     }
 
@@ -1,14 +1,22 @@
 import React, { useState } from 'react';
 import html from './html.js';
-import { generateYearlyPuzzles, generateWeeklyPuzzle } from '../utils/PuzzleGenerator.js';
+import { generateYearlyPuzzles, DEFAULT_SEED } from '../utils/PuzzleGenerator.js';
+import { getPuzzleTypes } from '../utils/PuzzleRegistry.js';
 import { Terminal, Download, RefreshCw, X } from 'lucide-react';
 
 const AdminPanel = ({ onPuzzlesGenerated, onClose }) => {
   const [generatedJson, setGeneratedJson] = useState(null);
   const [numWeeks, setNumWeeks] = useState(52);
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [types, setTypes] = useState(() => getPuzzleTypes().map(type => type.id));
+
+  const toggleType = (id) => {
+    setTypes(types.includes(id) ? types.filter(type => type !== id) : [...types, id]);
+  };
 
   const handleGenerate = () => {
-    const puzzles = generateYearlyPuzzles(numWeeks);
+    if (!types.length) return;
+    const puzzles = generateYearlyPuzzles(numWeeks, { seed: seed.trim() || DEFAULT_SEED, types });
     setGeneratedJson(JSON.stringify(puzzles, null, 2));
     onPuzzlesGenerated(puzzles);
   };
@@ -60,6 +68,19 @@ const AdminPanel = ({ onPuzzlesGenerated, onClose }) => {
             width: '80px'
           }}
         />
+        <span>SEED:</span>
+        <input 
+          type="text" 
+          value=${seed} 
+          onChange=${(e) => setSeed(e.target.value)}
+          style=${{
+            background: 'transparent',
+            border: '1px solid #00ffff',
+            color: '#00ffff',
+            padding: '5px 10px',
+            width: '140px'
+          }}
+        />
         <button 
           onClick=${handleGenerate}
           style=${{
@@ -96,6 +117,19 @@ const AdminPanel = ({ onPuzzlesGenerated, onClose }) => {
         `}
       </div>
 
+      <div style=${{ display: 'flex', flexWrap: 'wrap', gap: '10px 20px', fontSize: '0.9rem' }}>
+        ${getPuzzleTypes().map(type => html`
+          <label key=${type.id} style=${{ display: 'flex', alignItems: 'center', gap: '5px', cursor: 'pointer', opacity: types.includes(type.id) ? 1 : 0.5 }}>
+            <input 
+              type="checkbox" 
+              checked=${types.includes(type.id)} 
+              onChange=${() => toggleType(type.id)}
+            />
+            ${type.name.toUpperCase()} [LV ${type.difficulty[0]}-${type.difficulty[1]}]
+          </label>
+        `)}
+      </div>
+
       <div style=${{ flex: 1, overflow: 'auto', background: '#0a0a0a', padding: '20px', border: '1px solid #333' }}>
         <pre style=${{ margin: 0, fontSize: '0.9rem', color: '#39ff14' }}>
           ${generatedJson || '// CLICK GENERATE TO BUILD PUZZLES'}
@@ -104,6 +138,7 @@ const AdminPanel = ({ onPuzzlesGenerated, onClose }) => {
 
       <div style=${{ opacity: 0.6, fontSize: '0.8rem' }}>
         * AFTER GENERATING AND DOWNLOADING, REPLACE THE /data/puzzles.json FILE WITH THE DOWNLOADED CONTENT.
+        <br />* THE SAME SEED AND PUZZLE TYPES ALWAYS REBUILD THE SAME FILE.
       </div>
     </div>
   `;
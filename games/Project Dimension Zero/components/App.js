@@ -16,6 +16,8 @@ import AchievementsModal from './AchievementsModal.js';
 import ToastSystem from './ToastSystem.js';
 import MainScreen from './MainScreen.js';
 import audioService from '../utils/AudioService.js';
+import { getShardReward } from '../utils/Scoring.js';
+import { restoreProfileData } from '../utils/ProfileBackup.js';
 import { AVATARS, SHOP_ITEMS } from '../data/constants.js';
 
 const App = () => {
@@ -24,6 +26,8 @@ const App = () => {
   const [puzzles, setPuzzles] = useState([]);
   const [completedPuzzles, setCompletedPuzzles] = useState([]);
   const [solveTimes, setSolveTimes] = useState({});
+  const [scores, setScores] = useState({});
+  const [lastResult, setLastResult] = useState(null);
   const [isAdminOpen, setIsAdminOpen] = useState(false);
   const [showLeaderboard, setShowLeaderboard] = useState(false);
   const [showGlobalLeaderboard, setShowGlobalLeaderboard] = useState(false);
@@ -93,6 +97,9 @@ const App = () => {
     const savedTimes = localStorage.getItem('neon_mystery_times');
     if (savedTimes) setSolveTimes(JSON.parse(savedTimes));
 
+    const savedScores = localStorage.getItem('neon_mystery_scores');
+    if (savedScores) setScores(JSON.parse(savedScores));
+
     const savedProfile = localStorage.getItem('neon_mystery_profile');
     if (savedProfile) {
       const parsedProfile = JSON.parse(savedProfile);
@@ -196,7 +203,7 @@ const App = () => {
     setSelectedTerminal(null);
   };
 
-  const handlePuzzleComplete = (id, timeTaken, usedHints) => {
+  const handlePuzzleComplete = (id, timeTaken, usedHints, result) => {
     const updatedCompleted = !completedPuzzles.includes(id) 
       ? [...completedPuzzles, id] 
       : completedPuzzles;
@@ -204,10 +211,18 @@ const App = () => {
     setCompletedPuzzles(updatedCompleted);
     localStorage.setItem('neon_mystery_progress', JSON.stringify(updatedCompleted));
 
-    const updatedTimes = { ...solveTimes, [id]: timeTaken };
+    // Only the best time and score of each puzzle are kept
+    const bestTime = solveTimes[id] !== undefined ? Math.min(solveTimes[id], timeTaken) : timeTaken;
+    const updatedTimes = { ...solveTimes, [id]: bestTime };
     setSolveTimes(updatedTimes);
     localStorage.setItem('neon_mystery_times', JSON.stringify(updatedTimes));
 
+    const isNewBest = result.score > (scores[id] || 0);
+    const updatedScores = { ...scores, [id]: Math.max(scores[id] || 0, result.score) };
+    setScores(updatedScores);
+    localStorage.setItem('neon_mystery_scores', JSON.stringify(updatedScores));
+    setLastResult({ ...result, timeTaken, isNewBest });
+
     // Audio Feedback
     audioService.playPuzzleComplete();
 
@@ -216,12 +231,11 @@ const App = () => {
     updateDailyProgress('SPEED_RUN', 1, { time: timeTaken });
     updateDailyProgress('NO_HINT', 1, { usedHints });
 
-    // Shard Logic
-    const baseShards = 20;
+    // Shard Logic: the reward follows the score
     const bonusFactor = 1 + (userSkills.DATA_MINER || 0) * 0.25;
-    const earned = Math.floor(baseShards * bonusFactor);
+    const earned = getShardReward(result.score, bonusFactor);
     setShards(prev => prev + earned);
-    addToast('Shards Detected', `+${earned} Neon Shards extracted`, 'INFO');
+    addToast('Shards Detected', `+${earned} Neon Shards extracted (score ${result.score}/${result.maxScore})`, 'INFO');
 
     // Update shard collector daily progress
     updateDailyProgress('SHARD_COLLECTOR', earned);
@@ -362,6 +376,20 @@ const App = () => {
     }
   };
 
+  const handleRestoreProfile = (data) => {
+    restoreProfileData(data);
+    setCompletedPuzzles(data.progress);
+    setSolveTimes(data.times);
+    setScores(data.scores);
+    setShards(data.shards);
+    setUserSkills(data.skills);
+    if (data.profile) setProfile(prev => ({ ...prev, ...data.profile }));
+    if (data.dailyContracts && data.dailyContracts.date === new Date().toISOString().split('T')[0]) {
+      setDailyContracts(data.dailyContracts.list);
+    }
+    addToast('Profile Restored', `Agent ${data.profile ? data.profile.name : 'data'} synced from backup`, 'INFO');
+  };
+
   const completedDailyCount = dailyContracts.filter(c => c.progress >= c.requirement && !c.claimed).length;
 
   return html`
@@ -391,7 +419,7 @@ const App = () => {
           <${PuzzleView} 
             puzzle=${selectedTerminal} 
             onBack=${handleBackToHub} 
-            onComplete=${(time, usedHints) => handlePuzzleComplete(selectedTerminal.id, time, usedHints)}
+            onComplete=${(time, usedHints, result) => handlePuzzleComplete(selectedTerminal.id, time, usedHints, result)}
           />
         `}
       </main>
@@ -424,6 +452,8 @@ const App = () => {
         <${Leaderboard} 
           puzzle=${selectedTerminal}
           userBestTime=${solveTimes[selectedTerminal.id]}
+          userBestScore=${scores[selectedTerminal.id]}
+          lastResult=${lastResult}
           onClose=${() => setShowLeaderboard(false)}
         />
       `}
@@ -431,6 +461,7 @@ const App = () => {
       ${showGlobalLeaderboard && html`
         <${GlobalLeaderboard} 
           userSolveTimes=${solveTimes}
+          userScores=${scores}
           completedPuzzles=${completedPuzzles}
           puzzles=${puzzles}
           onClose=${() => setShowGlobalLeaderboard(false)}
@@ -443,6 +474,7 @@ const App = () => {
           completedCount=${completedPuzzles.length}
           onClose=${() => setShowProfile(false)}
           onUpdateProfile=${(updated) => setProfile(updated)}
+          onRestoreProfile=${handleRestoreProfile}
         />
       `}
 
@@ -3,8 +3,8 @@ import html from './html.js';
 import { Trophy, Clock, User, X, Zap, Target, Star, BarChart3, Signal } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 
-const GlobalLeaderboard = ({ userSolveTimes, completedPuzzles = [], puzzles, onClose }) => {
-  const [activeTab, setActiveTab] = useState('FASTEST'); // 'FASTEST', 'POPULAR', 'MAX_WEEK'
+const GlobalLeaderboard = ({ userSolveTimes, userScores = {}, completedPuzzles = [], puzzles, onClose }) => {
+  const [activeTab, setActiveTab] = useState('FASTEST'); // 'FASTEST', 'SCORE', 'POPULAR', 'MAX_WEEK'
 
   const fastestSolves = useMemo(() => {
     const mockData = [
@@ -25,6 +25,24 @@ const GlobalLeaderboard = ({ userSolveTimes, completedPuzzles = [], puzzles, onC
     return mockData.sort((a, b) => a.time - b.time).slice(0, 10);
   }, [userSolveTimes, puzzles]);
 
+  const scoreLeaderboard = useMemo(() => {
+    const mockData = [
+      { name: "ZeroCool", solved: 14, total: 2310 },
+      { name: "AcidBurn", solved: 12, total: 1985 },
+      { name: "Phantom_01", solved: 15, total: 1740 },
+      { name: "CerealKiller", solved: 9, total: 1260 },
+      { name: "Void_Walker", solved: 8, total: 905 }
+    ];
+
+    const scoreEntries = Object.values(userScores);
+    if (scoreEntries.length > 0) {
+      const total = scoreEntries.reduce((sum, score) => sum + score, 0);
+      mockData.push({ name: "YOU (AGENT)", solved: scoreEntries.length, total, isUser: true });
+    }
+
+    return mockData.sort((a, b) => b.total - a.total).slice(0, 10);
+  }, [userScores]);
+
   const popularityData = useMemo(() => {
     const mockData = [
       { week: 1, name: "Neural Break", clears: 1245 },
@@ -121,6 +139,7 @@ const GlobalLeaderboard = ({ userSolveTimes, completedPuzzles = [], puzzles, onC
         }}>
           ${[
             { id: 'FASTEST', label: 'SPEED', icon: Zap },
+            { id: 'SCORE', label: 'SCORE', icon: Star },
             { id: 'POPULAR', label: 'NODE USAGE', icon: BarChart3 },
             { id: 'MAX_WEEK', label: 'MAX WEEK', icon: Signal }
           ].map(tab => html`
@@ -194,6 +213,50 @@ const GlobalLeaderboard = ({ userSolveTimes, completedPuzzles = [], puzzles, onC
               </${motion.div}>
             `}
 
+            ${activeTab === 'SCORE' && html`
+              <${motion.div} 
+                key="score"
+                initial=${{ opacity: 0, y: 10 }}
+                animate=${{ opacity: 1, y: 0 }}
+                exit=${{ opacity: 0, y: -10 }}
+              >
+                <h3 style=${{ color: '#fefe33', fontSize: '1rem', display: 'flex', alignItems: 'center', gap: '10px' }}>
+                  <${Star} size=${18} /> TOTAL DECRYPTION SCORE
+                </h3>
+                <div style=${{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '15px' }}>
+                  <div style=${{ display: 'flex', fontSize: '0.7rem', opacity: 0.5, padding: '0 10px' }}>
+                    <span style=${{ width: '40px' }}>RANK</span>
+                    <span style=${{ flex: 1 }}>AGENT</span>
+                    <span style=${{ width: '80px', textAlign: 'right' }}>SOLVED</span>
+                    <span style=${{ width: '80px', textAlign: 'right' }}>SCORE</span>
+                  </div>
+                  ${scoreLeaderboard.map((entry, i) => html`
+                    <div 
+                      key=${i}
+                      style=${{ 
+                        display: 'flex', 
+                        padding: '10px', 
+                        background: entry.isUser ? 'rgba(0, 255, 255, 0.1)' : 'rgba(255, 255, 255, 0.02)',
+                        border: entry.isUser ? '1px solid var(--neon-cyan)' : 'none',
+                        borderRadius: '3px',
+                        alignItems: 'center',
+                        color: entry.isUser ? 'var(--neon-cyan)' : '#fff'
+                      }}
+                    >
+                      <span style=${{ width: '40px', opacity: 0.5 }}>#${i+1}</span>
+                      <span style=${{ flex: 1, display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <${User} size=${14} /> ${entry.name}
+                      </span>
+                      <span style=${{ width: '80px', textAlign: 'right', opacity: 0.7 }}>${entry.solved}</span>
+                      <span style=${{ width: '80px', textAlign: 'right', fontWeight: 'bold' }}>
+                        ${entry.total.toLocaleString()}
+                      </span>
+                    </div>
+                  `)}
+                </div>
+              </${motion.div}>
+            `}
+
             ${activeTab === 'POPULAR' && html`
               <${motion.div} 
                 key="popular"
@@ -1,25 +1,26 @@
 import React, { useMemo } from 'react';
 import html from './html.js';
-import { Trophy, Clock, User, X } from 'lucide-react';
+import { Trophy, Clock, User, X, Star } from 'lucide-react';
 import { motion } from 'framer-motion';
+import { calculateScore } from '../utils/Scoring.js';
 
-const Leaderboard = ({ puzzle, userBestTime, onClose }) => {
+const Leaderboard = ({ puzzle, userBestTime, userBestScore, lastResult, onClose }) => {
   const mockPlayers = useMemo(() => {
     const names = ["ZeroCool", "AcidBurn", "CerealKiller", "LordNikon", "ThePlague", "PhantomPhreak"];
-    return names.map((name, i) => ({
-      name,
-      time: 15 + Math.floor(Math.random() * 45) + (i * 10),
-      rank: i + 1
-    }));
+    return names.map((name, i) => {
+      const time = 15 + Math.floor(Math.random() * 45) + (i * 10);
+      const hintsUsed = Math.floor(Math.random() * ((puzzle.hints || []).length + 1));
+      return { name, time, score: calculateScore(puzzle, time, hintsUsed).score, rank: i + 1 };
+    });
   }, [puzzle.id]);
 
   const allPlayers = useMemo(() => {
     const players = [...mockPlayers];
-    if (userBestTime) {
-      players.push({ name: "YOU (YOU)", time: userBestTime, isUser: true });
+    if (userBestScore) {
+      players.push({ name: "YOU (YOU)", time: userBestTime, score: userBestScore, isUser: true });
     }
-    return players.sort((a, b) => a.time - b.time).map((p, i) => ({ ...p, rank: i + 1 }));
-  }, [mockPlayers, userBestTime]);
+    return players.sort((a, b) => b.score - a.score || a.time - b.time).map((p, i) => ({ ...p, rank: i + 1 }));
+  }, [mockPlayers, userBestTime, userBestScore]);
 
   return html`
     <div style=${{
@@ -59,13 +60,21 @@ const Leaderboard = ({ puzzle, userBestTime, onClose }) => {
         <div style=${{ textAlign: 'center', marginBottom: '30px' }}>
           <${Trophy} color="#fefe33" size=${48} style=${{ marginBottom: '10px' }} />
           <h2 style=${{ color: '#00ffff', margin: 0, fontFamily: "'Orbitron', sans-serif" }}>GLOBAL LEADERBOARD</h2>
-          <p style=${{ opacity: 0.6, fontSize: '0.9rem' }}>TOP TIMES FOR: ${puzzle.title}</p>
+          <p style=${{ opacity: 0.6, fontSize: '0.9rem' }}>TOP SCORES FOR: ${puzzle.title}</p>
+          ${lastResult && html`
+            <p style=${{ color: '#00ffff', fontSize: '0.9rem', margin: 0 }}>
+              YOUR RUN: ${lastResult.score}/${lastResult.maxScore} IN ${lastResult.timeTaken}s
+              WITH ${lastResult.hintsUsed} HINT${lastResult.hintsUsed === 1 ? '' : 'S'}
+              ${lastResult.isNewBest && ' // NEW BEST'}
+            </p>
+          `}
         </div>
 
         <div style=${{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
           <div style=${{ display: 'flex', padding: '10px', borderBottom: '1px solid #333', opacity: 0.6, fontSize: '0.8rem' }}>
             <span style=${{ width: '40px' }}>RANK</span>
             <span style=${{ flex: 1 }}>AGENT ID</span>
+            <span style=${{ width: '70px', textAlign: 'right' }}>SCORE</span>
             <span style=${{ width: '80px', textAlign: 'right' }}>SOLVE TIME</span>
           </div>
 
@@ -85,6 +94,9 @@ const Leaderboard = ({ puzzle, userBestTime, onClose }) => {
               <span style=${{ flex: 1, display: 'flex', alignItems: 'center', gap: '10px' }}>
                 <${User} size=${14} /> ${player.name}
               </span>
+              <span style=${{ width: '70px', textAlign: 'right', display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '5px' }}>
+                <${Star} size=${14} /> ${player.score}
+              </span>
               <span style=${{ width: '80px', textAlign: 'right', display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '5px' }}>
                 <${Clock} size=${14} /> ${player.time}s
               </span>
@@ -93,7 +105,7 @@ const Leaderboard = ({ puzzle, userBestTime, onClose }) => {
         </div>
 
         <div style=${{ marginTop: '30px', textAlign: 'center', fontSize: '0.8rem', opacity: 0.5 }}>
-          * TIMES ARE UPDATED IN REAL-TIME FROM THE NEON GRID.
+          * SCORES ARE UPDATED IN REAL-TIME FROM THE NEON GRID.
         </div>
       </${motion.div}>
     </div>
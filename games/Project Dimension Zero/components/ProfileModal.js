@@ -1,12 +1,31 @@
 import React, { useState } from 'react';
 import html from './html.js';
-import { User, X, Shield, Award, Edit2 } from 'lucide-react';
+import { User, X, Shield, Award, Edit2, Download, Upload, QrCode, HardDrive } from 'lucide-react';
 import { motion } from 'framer-motion';
+import QRCode from 'qrcode';
 import { AVATARS, BADGES, SHOP_ITEMS } from '../data/constants.js';
+import { createBackup, downloadBackup, encodeBackup, parseBackup, readQrImage, MAX_QR_LENGTH } from '../utils/ProfileBackup.js';
 
-const ProfileModal = ({ profile, completedCount, onClose, onUpdateProfile }) => {
+const backupButtonStyle = {
+  background: 'transparent',
+  border: '1px solid #ff00ff',
+  color: '#ff00ff',
+  padding: '8px 12px',
+  cursor: 'pointer',
+  fontFamily: 'inherit',
+  fontSize: '0.8rem',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '8px'
+};
+
+const ProfileModal = ({ profile, completedCount, onClose, onUpdateProfile, onRestoreProfile }) => {
   const [isEditingName, setIsEditingName] = useState(false);
   const [newName, setNewName] = useState(profile.name);
+  const [transfer, setTransfer] = useState(null); // { code, qrUrl }
+  const [importCode, setImportCode] = useState('');
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [backupMessage, setBackupMessage] = useState(null); // { text, isError }
 
   const activeFrameData = SHOP_ITEMS.find(i => i.id === profile.activeFrame);
 
@@ -19,6 +38,67 @@ const ProfileModal = ({ profile, completedCount, onClose, onUpdateProfile }) =>
     onUpdateProfile({ ...profile, avatar: url });
   };
 
+  const handleExportFile = async () => {
+    try {
+      downloadBackup(await createBackup());
+      setBackupMessage({ text: 'BACKUP FILE SAVED.', isError: false });
+    } catch (e) {
+      setBackupMessage({ text: e.message, isError: true });
+    }
+  };
+
+  const handleShowQr = async () => {
+    if (transfer) {
+      setTransfer(null);
+      return;
+    }
+    try {
+      const code = await encodeBackup(await createBackup());
+      const qrUrl = code.length <= MAX_QR_LENGTH
+        ? await QRCode.toDataURL(code, { errorCorrectionLevel: 'L', margin: 1, width: 280 })
+        : null;
+      setTransfer({ code, qrUrl });
+      setBackupMessage(qrUrl ? null : { text: 'PROFILE TOO LARGE FOR A QR CODE. USE THE CODE OR THE FILE.', isError: true });
+    } catch (e) {
+      setBackupMessage({ text: e.message, isError: true });
+    }
+  };
+
+  const handleCopyCode = () => {
+    navigator.clipboard.writeText(transfer.code)
+      .then(() => setBackupMessage({ text: 'TRANSFER CODE COPIED.', isError: false }))
+      .catch(() => setBackupMessage({ text: 'COPY FAILED. SELECT THE CODE AND COPY IT.', isError: true }));
+  };
+
+  const loadBackup = async (input) => {
+    try {
+      setPendingBackup(await parseBackup(input));
+      setBackupMessage(null);
+    } catch (e) {
+      setPendingBackup(null);
+      setBackupMessage({ text: e.message, isError: true });
+    }
+  };
+
+  // Accepts a backup file or a picture of a transfer QR code
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      await loadBackup(file.type.startsWith('image/') ? await readQrImage(file) : await file.text());
+    } catch (err) {
+      setBackupMessage({ text: err.message, isError: true });
+    }
+  };
+
+  const handleConfirmRestore = () => {
+    onRestoreProfile(pendingBackup.data);
+    setPendingBackup(null);
+    setImportCode('');
+    setBackupMessage({ text: 'PROFILE RESTORED.', isError: false });
+  };
+
   return html`
     <div style=${{
       position: 'fixed',
@@ -45,7 +125,9 @@ const ProfileModal = ({ profile, completedCount, onClose, onUpdateProfile }) =>
           padding: '40px',
           borderRadius: '5px',
           position: 'relative',
-          boxShadow: '0 0 30px rgba(255, 0, 255, 0.2)'
+          boxShadow: '0 0 30px rgba(255, 0, 255, 0.2)',
+          maxHeight: '90vh',
+          overflowY: 'auto'
         }}
       >
         <button onClick=${onClose} style=${{ position: 'absolute', top: '15px', right: '15px', background: 'none', border: 'none', color: '#fff', cursor: 'pointer' }}>
@@ -146,6 +228,73 @@ const ProfileModal = ({ profile, completedCount, onClose, onUpdateProfile }) =>
             })}
           </div>
         </div>
+
+        <div style=${{ marginTop: '30px' }}>
+          <h3 style=${{ borderBottom: '1px solid rgba(255, 0, 255, 0.3)', paddingBottom: '10px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <${HardDrive} size=${20} /> BACKUP & TRANSFER
+          </h3>
+          <div style=${{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginTop: '15px' }}>
+            <button onClick=${handleExportFile} style=${backupButtonStyle}>
+              <${Download} size=${14} /> EXPORT FILE
+            </button>
+            <button onClick=${handleShowQr} style=${backupButtonStyle}>
+              <${QrCode} size=${14} /> ${transfer ? 'HIDE TRANSFER CODE' : 'TRANSFER CODE / QR'}
+            </button>
+            <label style=${backupButtonStyle}>
+              <${Upload} size=${14} /> IMPORT FILE OR QR PICTURE
+              <input type="file" accept=".json,application/json,image/*" onChange=${handleImportFile} style=${{ display: 'none' }} />
+            </label>
+          </div>
+
+          ${transfer && html`
+            <div style=${{ marginTop: '15px', display: 'flex', gap: '15px', alignItems: 'flex-start' }}>
+              ${transfer.qrUrl && html`
+                <img src=${transfer.qrUrl} alt="Transfer QR code" style=${{ width: '140px', height: '140px', imageRendering: 'pixelated', background: '#fff' }} />
+              `}
+              <div style=${{ flex: 1, minWidth: 0 }}>
+                <textarea 
+                  readOnly 
+                  value=${transfer.code}
+                  onFocus=${(e) => e.target.select()}
+                  style=${{ width: '100%', height: '100px', background: '#000', border: '1px solid #333', color: '#39ff14', fontFamily: 'inherit', fontSize: '0.7rem', resize: 'none', wordBreak: 'break-all' }}
+                />
+                <button onClick=${handleCopyCode} style=${{ ...backupButtonStyle, marginTop: '5px' }}>COPY CODE</button>
+              </div>
+            </div>
+          `}
+
+          <div style=${{ display: 'flex', gap: '10px', marginTop: '15px' }}>
+            <input 
+              value=${importCode}
+              onChange=${(e) => setImportCode(e.target.value)}
+              placeholder="PASTE A TRANSFER CODE (NMF...)"
+              style=${{ flex: 1, background: '#000', border: '1px solid #ff00ff', color: '#fff', padding: '8px', fontFamily: 'inherit', fontSize: '0.8rem' }}
+            />
+            <button onClick=${() => loadBackup(importCode)} disabled=${!importCode.trim()} style=${backupButtonStyle}>LOAD</button>
+          </div>
+
+          ${pendingBackup && html`
+            <div style=${{ marginTop: '15px', padding: '15px', border: '1px solid #fefe33', color: '#fefe33', fontSize: '0.85rem' }}>
+              <div>BACKUP ${pendingBackup.createdAt ? `FROM ${new Date(pendingBackup.createdAt).toLocaleString()}` : ''} (V${pendingBackup.version})</div>
+              <div style=${{ margin: '8px 0', color: '#fff' }}>
+                AGENT ${pendingBackup.data.profile ? pendingBackup.data.profile.name : '?'} //
+                SOLVED: ${pendingBackup.data.progress.length} //
+                SHARDS: ${pendingBackup.data.shards}
+              </div>
+              <div style=${{ marginBottom: '10px' }}>RESTORING REPLACES ALL THE PROGRESS ON THIS DEVICE.</div>
+              <div style=${{ display: 'flex', gap: '10px' }}>
+                <button onClick=${handleConfirmRestore} style=${{ ...backupButtonStyle, background: '#fefe33', color: '#000', border: 'none' }}>RESTORE</button>
+                <button onClick=${() => setPendingBackup(null)} style=${{ ...backupButtonStyle, borderColor: '#fff', color: '#fff' }}>CANCEL</button>
+              </div>
+            </div>
+          `}
+
+          ${backupMessage && html`
+            <div style=${{ marginTop: '10px', fontSize: '0.8rem', color: backupMessage.isError ? '#ff4444' : '#39ff14' }}>
+              ${backupMessage.text}
+            </div>
+          `}
+        </div>
       </${motion.div}>
     </div>
   `;
@@ -3,6 +3,8 @@ import { ArrowLeft, Lightbulb, CheckCircle, XCircle } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import html from './html.js';
 import audioService from '../utils/AudioService.js';
+import { checkAnswer, getNearMiss } from '../utils/PuzzleGenerator.js';
+import { calculateScore } from '../utils/Scoring.js';
 
 const PuzzleView = ({ puzzle, onBack, onComplete }) => {
   const [inputValue, setInputValue] = useState('');
@@ -12,16 +14,23 @@ const PuzzleView = ({ puzzle, onBack, onComplete }) => {
   const [startTime] = useState(Date.now());
   const [solveTime, setSolveTime] = useState(null);
   const [usedHints, setUsedHints] = useState(false);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [nearMiss, setNearMiss] = useState(null);
+  const [result, setResult] = useState(null);
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (inputValue.trim().toUpperCase() === puzzle.answer.toUpperCase()) {
+    if (status === 'correct') return;
+    if (checkAnswer(puzzle, inputValue)) {
       const timeTaken = Math.floor((Date.now() - startTime) / 1000);
+      const scored = calculateScore(puzzle, timeTaken, hintsUsed);
       setSolveTime(timeTaken);
+      setResult(scored);
       setStatus('correct');
-      onComplete(timeTaken, usedHints);
+      onComplete(timeTaken, usedHints, { ...scored, hintsUsed });
     } else {
       audioService.playError();
+      setNearMiss(getNearMiss(puzzle, inputValue));
       setStatus('wrong');
       setTimeout(() => setStatus('active'), 2000);
     }
@@ -37,12 +46,16 @@ const PuzzleView = ({ puzzle, onBack, onComplete }) => {
     setUsedHints(true);
     if (hintIndex < puzzle.hints.length - 1) {
       setHintIndex(hintIndex + 1);
+      setHintsUsed(Math.max(hintsUsed, hintIndex + 2));
     }
   };
 
   const toggleHints = () => {
     audioService.playClick();
-    if (!showHints) setUsedHints(true);
+    if (!showHints) {
+      setUsedHints(true);
+      setHintsUsed(Math.max(hintsUsed, hintIndex + 1));
+    }
     setShowHints(!showHints);
   };
 
@@ -135,15 +148,27 @@ const PuzzleView = ({ puzzle, onBack, onComplete }) => {
           border: '1px dashed rgba(0, 255, 255, 0.3)',
           marginBottom: '40px'
         }}>
-          <h3 style=${{ 
-            fontFamily: "'Share Tech Mono', monospace", 
-            fontSize: '2rem', 
-            margin: 0,
-            color: '#fff',
-            letterSpacing: '5px'
-          }}>
-            ${Array.isArray(puzzle.question) ? puzzle.question.join(' ') : puzzle.question}
-          </h3>
+          ${puzzle.layout === 'lines' ? html`
+            <div style=${{
+              fontFamily: "'Share Tech Mono', monospace",
+              fontSize: '1.1rem',
+              color: '#fff',
+              textAlign: 'left',
+              lineHeight: 1.8
+            }}>
+              ${puzzle.question.map((line, idx) => html`<div key=${idx}>${line}</div>`)}
+            </div>
+          ` : html`
+            <h3 style=${{ 
+              fontFamily: "'Share Tech Mono', monospace", 
+              fontSize: '2rem', 
+              margin: 0,
+              color: '#fff',
+              letterSpacing: '5px'
+            }}>
+              ${Array.isArray(puzzle.question) ? puzzle.question.join(' ') : puzzle.question}
+            </h3>
+          `}
         </div>
 
         <form onSubmit=${handleSubmit} style=${{ display: 'flex', gap: '20px' }}>
@@ -181,7 +206,7 @@ const PuzzleView = ({ puzzle, onBack, onComplete }) => {
           </button>
         </form>
 
-        <div style=${{ height: '60px', marginTop: '20px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <div style=${{ minHeight: '60px', marginTop: '20px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
           <${AnimatePresence}>
             ${status === 'correct' && html`
               <${motion.div} 
@@ -193,6 +218,11 @@ const PuzzleView = ({ puzzle, onBack, onComplete }) => {
                   <${CheckCircle} /> ACCESS GRANTED. TERMINAL CLEAR.
                 </div>
                 <div style=${{ fontSize: '0.9rem', opacity: 0.8 }}>TIME TAKEN: ${solveTime}s</div>
+                <div style=${{ fontSize: '0.9rem', opacity: 0.8 }}>
+                  SCORE: ${result.score}/${result.maxScore}
+                  ${hintsUsed > 0 && ` // HINTS x${Math.round(result.hintFactor * 100) / 100}`}
+                  ${result.timeFactor < 1 && ` // TIME x${Math.round(result.timeFactor * 100) / 100}`}
+                </div>
               </${motion.div}>
             `}
             ${status === 'wrong' && html`
@@ -201,7 +231,9 @@ const PuzzleView = ({ puzzle, onBack, onComplete }) => {
                 animate=${{ opacity: 1, scale: 1 }}
                 style=${{ color: '#ff00ff', display: 'flex', alignItems: 'center', gap: '10px', fontSize: '1.2rem' }}
               >
-                <${XCircle} /> INVALID CODE. RETRYING...
+                <${XCircle} /> ${nearMiss
+                  ? `SO CLOSE: ${nearMiss} LETTER${nearMiss > 1 ? 'S' : ''} OFF. RETRYING...`
+                  : 'INVALID CODE. RETRYING...'}
               </${motion.div}>
             `}
           </${AnimatePresence}>
@@ -0,0 +1,243 @@
+/**
+ * ProfileBackup.js
+ * Versioned export/import of the player state, as a JSON file or a short
+ * transfer code that fits in a QR code. The checksum doesn't make the backup
+ * secret, it only makes hand edited shards or skills fail to import
+ */
+
+export const BACKUP_APP = "neon-mystery-files";
+export const BACKUP_VERSION = 1;
+
+const CODE_PREFIX = "NMF";
+const CHECKSUM_SALT = "neon-grid::backup-integrity::v1";
+
+// The largest transfer code a QR code can hold (version 40, low correction)
+export const MAX_QR_LENGTH = 2900;
+
+export const STORAGE_KEYS = {
+  progress: "neon_mystery_progress",
+  times: "neon_mystery_times",
+  scores: "neon_mystery_scores",
+  profile: "neon_mystery_profile",
+  shards: "neon_mystery_shards",
+  skills: "neon_mystery_skills",
+  dailyContracts: "neon_mystery_daily_contracts"
+};
+
+const DEFAULT_DATA = {
+  progress: [],
+  times: {},
+  scores: {},
+  profile: null,
+  shards: 0,
+  skills: {},
+  dailyContracts: null
+};
+
+/**
+ * Each step turns a backup of that version into the next one. Version 1 is
+ * the first format, so there is nothing to upgrade yet
+ */
+const MIGRATIONS = {};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isNumberMap = (value) => isObject(value) && Object.values(value).every(Number.isFinite);
+
+/**
+ * JSON with sorted keys, so the checksum doesn't depend on the key order
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, "0")).join("");
+
+export const computeChecksum = async (version, data) => {
+  const text = `${CHECKSUM_SALT}:${version}:${canonicalJson(data)}`;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return toHex(digest).slice(0, 32);
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * Reads the player state saved by App.js
+ */
+export const collectProfileData = () => ({
+  progress: readJson(STORAGE_KEYS.progress, []),
+  times: readJson(STORAGE_KEYS.times, {}),
+  scores: readJson(STORAGE_KEYS.scores, {}),
+  profile: readJson(STORAGE_KEYS.profile, null),
+  shards: parseInt(localStorage.getItem(STORAGE_KEYS.shards)) || 0,
+  skills: readJson(STORAGE_KEYS.skills, {}),
+  dailyContracts: readJson(STORAGE_KEYS.dailyContracts, null)
+});
+
+export const createBackup = async () => {
+  const data = collectProfileData();
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    data,
+    checksum: await computeChecksum(BACKUP_VERSION, data)
+  };
+};
+
+export const downloadBackup = (backup) => {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  const name = (backup.data.profile?.name || "agent").replace(/[^a-z0-9_-]/gi, "_");
+  link.href = url;
+  link.download = `neon-mystery-${name}-${backup.createdAt.split("T")[0]}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const transform = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+/**
+ * The compact transfer code: "NMF<version>." followed by the deflated backup
+ */
+export const encodeBackup = async (backup) => {
+  const json = new TextEncoder().encode(JSON.stringify(backup));
+  const packed = await transform(json, new CompressionStream("deflate-raw"));
+  return `${CODE_PREFIX}${backup.version}.${toBase64Url(packed)}`;
+};
+
+const decodeBackup = async (code) => {
+  const match = code.trim().match(/^NMF(\d+)\.([A-Za-z0-9_-]+)$/);
+  if (!match) {
+    throw new Error("This is not a Neon Mystery transfer code.");
+  }
+  try {
+    const json = await transform(fromBase64Url(match[2]), new DecompressionStream("deflate-raw"));
+    return JSON.parse(new TextDecoder().decode(json));
+  } catch (e) {
+    throw new Error("The transfer code is incomplete or damaged.");
+  }
+};
+
+const migrate = (version, data) => {
+  let current = { ...DEFAULT_DATA, ...data };
+  for (let v = version; v < BACKUP_VERSION; v++) {
+    if (!MIGRATIONS[v]) {
+      throw new Error(`Backups of version ${version} can't be upgraded.`);
+    }
+    current = MIGRATIONS[v](current);
+  }
+  return current;
+};
+
+const validateData = (data) => {
+  if (!Array.isArray(data.progress) || !data.progress.every(id => typeof id === "string")) {
+    throw new Error("The backup has invalid puzzle progress.");
+  }
+  if (!isNumberMap(data.times) || !isNumberMap(data.scores) || !isNumberMap(data.skills)) {
+    throw new Error("The backup has invalid times, scores or skills.");
+  }
+  if (!Number.isInteger(data.shards) || data.shards < 0) {
+    throw new Error("The backup has an invalid shard balance.");
+  }
+  if (data.profile !== null && (!isObject(data.profile) || typeof data.profile.name !== "string")) {
+    throw new Error("The backup has an invalid agent profile.");
+  }
+};
+
+/**
+ * Reads a backup file or transfer code, checks its checksum and upgrades it
+ * to the current version. Throws an Error with a message for the player
+ * @returns {Promise<{data: Object, version: Number, createdAt: String}>}
+ */
+export const parseBackup = async (input) => {
+  const text = String(input).trim();
+  let backup;
+  if (text.startsWith("{")) {
+    try {
+      backup = JSON.parse(text);
+    } catch (e) {
+      throw new Error("The backup file is not valid JSON.");
+    }
+  } else {
+    backup = await decodeBackup(text);
+  }
+
+  if (!isObject(backup) || backup.app !== BACKUP_APP || !isObject(backup.data)) {
+    throw new Error("This is not a Neon Mystery backup.");
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error("The backup has no valid version.");
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`The backup comes from a newer version (${backup.version}). Update the game first.`);
+  }
+  if (backup.checksum !== await computeChecksum(backup.version, backup.data)) {
+    throw new Error("Checksum mismatch: the backup was modified or corrupted.");
+  }
+
+  const data = migrate(backup.version, backup.data);
+  validateData(data);
+  return { data, version: backup.version, createdAt: backup.createdAt };
+};
+
+/**
+ * Writes a parsed backup over the saved player state
+ */
+export const restoreProfileData = (data) => {
+  localStorage.setItem(STORAGE_KEYS.progress, JSON.stringify(data.progress));
+  localStorage.setItem(STORAGE_KEYS.times, JSON.stringify(data.times));
+  localStorage.setItem(STORAGE_KEYS.scores, JSON.stringify(data.scores));
+  localStorage.setItem(STORAGE_KEYS.shards, data.shards.toString());
+  localStorage.setItem(STORAGE_KEYS.skills, JSON.stringify(data.skills));
+  if (data.profile) {
+    localStorage.setItem(STORAGE_KEYS.profile, JSON.stringify(data.profile));
+  }
+  if (data.dailyContracts) {
+    localStorage.setItem(STORAGE_KEYS.dailyContracts, JSON.stringify(data.dailyContracts));
+  }
+};
+
+/**
+ * Reads a transfer code from a QR code picture, where the browser can
+ */
+export const readQrImage = async (file) => {
+  if (typeof BarcodeDetector === "undefined") {
+    throw new Error("This browser can't read QR pictures. Scan it with a phone camera and paste the code.");
+  }
+  const detector = new BarcodeDetector({ formats: ["qr_code"] });
+  const bitmap = await createImageBitmap(file);
+  const codes = await detector.detect(bitmap);
+  if (!codes.length) {
+    throw new Error("No QR code was found in the picture.");
+  }
+  return codes[0].rawValue;
+};
@@ -0,0 +1,135 @@
+/**
+ * PuzzleRegistry.js
+ * The puzzle types known by the generator. A type declares:
+ *  - id:         unique name, stored in the puzzle as "generator"
+ *  - name:       label for the Admin Terminal
+ *  - category:   the puzzle "type" shown in the hub (cipher, pattern, logic)
+ *  - difficulty: [min, max] on a 1 to 5 scale
+ *  - generate:   (random, difficulty) => { title, description, question, answer, layout?, params? }
+ *  - hints:      (params, difficulty) => hint ladder, from a nudge to almost the answer
+ *  - validate:   optional (input, answer) => Boolean, defaults to a normalized text
+ *                or number match
+ *  - nearMiss:   optional, false to never tell how many letters a wrong answer is off
+ *
+ * A puzzle can also list "acceptedAnswers", the synonyms checked like the answer
+ */
+
+const registry = new Map();
+
+/**
+ * Uppercases the answer, drops the accents and punctuation and collapses the spaces
+ */
+export const normalizeAnswer = (value) => String(value)
+  .normalize("NFD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .toUpperCase()
+  .replace(/[^A-Z0-9\s]/g, "")
+  .replace(/\s+/g, " ")
+  .trim();
+
+/**
+ * The number written in the answer ("42.0", "1,000"...), or null if it isn't one
+ */
+export const parseNumber = (value) => {
+  const text = String(value).trim().replace(/,/g, "");
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null;
+  return Number(text);
+};
+
+/**
+ * Compares numbers, so "015", "15.0" or " 15" are also accepted
+ */
+export const validateNumber = (input, answer) => {
+  const value = parseNumber(input);
+  return value !== null && value === parseNumber(answer);
+};
+
+/**
+ * The validator of the puzzles without a custom one. Numeric answers are
+ * compared as numbers, the others as normalized text
+ */
+export const defaultValidate = (input, answer) => parseNumber(answer) !== null
+  ? validateNumber(input, answer)
+  : normalizeAnswer(input) === normalizeAnswer(answer);
+
+/**
+ * The number of single letter edits between two strings
+ */
+export const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Adds a puzzle type. Throws if the definition is incomplete or the id is taken
+ */
+export const registerPuzzleType = (definition) => {
+  const { id, category, difficulty, generate, hints } = definition;
+  if (!id || !category || typeof generate !== "function" || typeof hints !== "function") {
+    throw new Error(`Puzzle type "${id}" needs an id, a category, generate() and hints()`);
+  }
+  if (!Array.isArray(difficulty) || difficulty[0] > difficulty[1]) {
+    throw new Error(`Puzzle type "${id}" has an invalid difficulty range`);
+  }
+  if (registry.has(id)) {
+    throw new Error(`Puzzle type "${id}" is already registered`);
+  }
+  registry.set(id, { name: id, validate: defaultValidate, ...definition });
+};
+
+export const getPuzzleType = (id) => registry.get(id) || null;
+
+export const getPuzzleTypes = () => Array.from(registry.values());
+
+/**
+ * The types that can build a puzzle of the given difficulty
+ */
+export const getPuzzleTypesFor = (difficulty, allowed = null) => getPuzzleTypes().filter(type =>
+  difficulty >= type.difficulty[0] &&
+  difficulty <= type.difficulty[1] &&
+  (!allowed || allowed.includes(type.id))
+);
+
+const getAnswers = (puzzle) => [puzzle.answer, ...(puzzle.acceptedAnswers || [])];
+
+/**
+ * Checks an answer, and its synonyms, with the validator of the puzzle type.
+ * The hand written puzzles have no generator and use the default one
+ */
+export const checkAnswer = (puzzle, input) => {
+  const type = getPuzzleType(puzzle.generator);
+  const validate = type ? type.validate : defaultValidate;
+  return getAnswers(puzzle).some(answer => validate(input, answer));
+};
+
+/**
+ * How many letters a wrong text answer is off, or null if it isn't close.
+ * Up to a quarter of the letters (at least one) can be off
+ */
+export const getNearMiss = (puzzle, input) => {
+  const type = getPuzzleType(puzzle.generator);
+  if (type && type.nearMiss === false) return null;
+
+  const guess = normalizeAnswer(input);
+  if (!guess) return null;
+
+  const distances = getAnswers(puzzle)
+    .filter(answer => parseNumber(answer) === null)
+    .map(answer => {
+      const expected = normalizeAnswer(answer);
+      const limit = Math.max(1, Math.floor(expected.length / 4));
+      const distance = getEditDistance(guess, expected);
+      return distance > 0 && distance <= limit ? distance : null;
+    })
+    .filter(distance => distance !== null);
+
+  return distances.length ? Math.min(...distances) : null;
+};
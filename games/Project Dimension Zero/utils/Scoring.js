@@ -0,0 +1,50 @@
+/**
+ * Scoring.js
+ * Scores a solved puzzle from its difficulty, the hints used and the solve time
+ */
+
+import { getWeekDifficulty } from "./PuzzleGenerator.js";
+
+export const BASE_SCORE = 100;
+
+// Seconds per difficulty level before the time penalty starts
+const PAR_SECONDS = 30;
+
+// The most the hints and the time can each take off the score
+const MAX_HINT_PENALTY = 0.5;
+const MAX_TIME_PENALTY = 0.5;
+
+/**
+ * The hand written puzzles have no difficulty, so it comes from their week
+ */
+export const getPuzzleDifficulty = (puzzle) => puzzle.difficulty || getWeekDifficulty(puzzle.unlockWeek || 1);
+
+export const getParTime = (difficulty) => PAR_SECONDS * difficulty;
+
+/**
+ * Revealing every hint halves the score, and so does taking 4 times the par time
+ * @returns {{score: Number, maxScore: Number, hintFactor: Number, timeFactor: Number, parTime: Number}}
+ */
+export const calculateScore = (puzzle, timeTaken, hintsUsed) => {
+  const difficulty = getPuzzleDifficulty(puzzle);
+  const maxScore = BASE_SCORE * difficulty;
+  const parTime = getParTime(difficulty);
+
+  const hintCount = Math.max(1, (puzzle.hints || []).length);
+  const hintFactor = 1 - MAX_HINT_PENALTY * Math.min(1, hintsUsed / hintCount);
+  const overtime = Math.max(0, timeTaken - parTime) / (parTime * 3);
+  const timeFactor = 1 - MAX_TIME_PENALTY * Math.min(1, overtime);
+
+  return {
+    score: Math.round(maxScore * hintFactor * timeFactor),
+    maxScore,
+    hintFactor,
+    timeFactor,
+    parTime
+  };
+};
+
+/**
+ * A perfect difficulty 1 solve is worth the old flat 20 shards
+ */
+export const getShardReward = (score, bonusFactor = 1) => Math.floor((score / 5) * bonusFactor);
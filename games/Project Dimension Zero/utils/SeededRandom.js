@@ -0,0 +1,43 @@
+/**
+ * SeededRandom.js
+ * Deterministic random numbers, so a seed always builds the same puzzle
+ */
+
+/**
+ * Hashes a string into a 32-bit seed (FNV-1a)
+ */
+export const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a random generator (mulberry32) with helpers for the puzzle types
+ */
+export const createRandom = (seed) => {
+  let state = typeof seed === "number" ? seed >>> 0 : hashSeed(String(seed));
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[Math.floor(next() * list.length)];
+  const shuffle = (list) => {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(next() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  };
+
+  return { next, int, pick, shuffle, bool: () => next() < 0.5 };
+};
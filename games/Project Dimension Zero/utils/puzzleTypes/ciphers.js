@@ -0,0 +1,168 @@
+/**
+ * Letter ciphers: Atbash, Caesar, Vigenère, rail fence and scrambled words
+ */
+
+import { normalizeAnswer } from "../PuzzleRegistry.js";
+import { ALPHABET, KEY_WORDS, CIPHER_WORDS, pickPhrase } from "./words.js";
+
+const shiftLetter = (char, shift) => {
+  const idx = ALPHABET.indexOf(char);
+  return idx === -1 ? char : ALPHABET[(idx + shift + 26) % 26];
+};
+
+export const atbash = {
+  id: "atbash",
+  name: "Atbash",
+  category: "cipher",
+  difficulty: [1, 2],
+  generate: (random, difficulty) => {
+    const word = pickPhrase(random, difficulty);
+    const reversed = ALPHABET.split("").reverse().join("");
+    const encoded = word.split("").map(char => {
+      const idx = ALPHABET.indexOf(char);
+      return idx !== -1 ? reversed[idx] : char;
+    }).join("");
+
+    return {
+      title: "Atbash Transmission",
+      description: "An ancient mirroring algorithm was detected on the signal.",
+      question: encoded,
+      answer: word,
+      params: { word }
+    };
+  },
+  hints: ({ word }) => [
+    "Each letter is its counterpart in a reversed alphabet (A=Z, B=Y...)",
+    "Look up 'Atbash Cipher'",
+    `The transmission starts with '${word.slice(0, 2)}'.`
+  ]
+};
+
+export const caesar = {
+  id: "caesar",
+  name: "Caesar",
+  category: "cipher",
+  difficulty: [1, 3],
+  generate: (random, difficulty) => {
+    const word = pickPhrase(random, difficulty === 3 ? 2 : 1);
+    const shift = difficulty === 1 ? random.int(1, 5) : random.int(3, 13);
+    const encoded = word.split("").map(char => shiftLetter(char, shift)).join("");
+
+    return {
+      title: "Rotational Signal",
+      description: difficulty === 1
+        ? `The encryption seems to have a shift of ${shift} positions.`
+        : "Every letter of the signal was rotated by the same hidden amount.",
+      question: encoded,
+      answer: word,
+      params: { word, shift }
+    };
+  },
+  hints: ({ word, shift }) => [
+    "A classic Caesar cipher.",
+    `The letters are shifted forward by ${shift} positions.`,
+    `The first letter '${shiftLetter(word[0], shift)}' decodes to '${word[0]}'.`
+  ]
+};
+
+export const vigenere = {
+  id: "vigenere",
+  name: "Vigenère",
+  category: "cipher",
+  difficulty: [3, 5],
+  generate: (random, difficulty) => {
+    const word = pickPhrase(random, difficulty === 5 ? 2 : 1);
+    const key = random.pick(KEY_WORDS);
+    let keyIndex = 0;
+    const encoded = word.split("").map(char => {
+      if (ALPHABET.indexOf(char) === -1) return char;
+      const shift = ALPHABET.indexOf(key[keyIndex % key.length]);
+      keyIndex++;
+      return shiftLetter(char, shift);
+    }).join("");
+
+    return {
+      title: "Polyalphabetic Lock",
+      description: difficulty === 3
+        ? `The signal was locked with a repeating key: ${key}.`
+        : "The signal was locked with a repeating key word. The key is a common node term.",
+      question: encoded,
+      answer: word,
+      params: { word, key }
+    };
+  },
+  hints: ({ word, key }) => [
+    "Each letter is shifted by the matching letter of a repeating key (A=0, B=1...).",
+    `The key has ${key.length} letters.`,
+    `The key is '${key}'.`,
+    `The message starts with '${word.slice(0, 3)}'.`
+  ]
+};
+
+export const railFence = {
+  id: "rail-fence",
+  name: "Rail Fence",
+  category: "cipher",
+  difficulty: [2, 4],
+  // The spaces are lost in the zigzag, so they don't matter in the answer
+  validate: (input, answer) => normalizeAnswer(input).replace(/ /g, "") === normalizeAnswer(answer).replace(/ /g, ""),
+  generate: (random, difficulty) => {
+    const word = pickPhrase(random, difficulty === 4 ? 2 : 1).replace(/ /g, "");
+    const rails = difficulty === 2 ? 2 : 3;
+
+    // Write the letters in a zigzag over the rails, then read each rail
+    const lines = Array.from({ length: rails }, () => []);
+    let rail = 0;
+    let step = 1;
+    word.split("").forEach(char => {
+      lines[rail].push(char);
+      if (rails > 1) {
+        if (rail === 0) step = 1;
+        else if (rail === rails - 1) step = -1;
+        rail += step;
+      }
+    });
+
+    return {
+      title: "Zigzag Relay",
+      description: `The packet was split over ${rails} relay lines in a zigzag and sent line by line.`,
+      question: lines.map(line => line.join("")).join(""),
+      answer: word,
+      params: { word, rails }
+    };
+  },
+  hints: ({ word, rails }) => [
+    "It's a rail fence (zigzag) transposition: no letter was changed, only moved.",
+    `Write the letters down and up over ${rails} rows, then read them row by row.`,
+    `The message starts with '${word.slice(0, 2)}'.`
+  ]
+};
+
+export const scramble = {
+  id: "scramble",
+  name: "Scramble",
+  category: "cipher",
+  difficulty: [1, 2],
+  generate: (random) => {
+    const word = random.pick(CIPHER_WORDS);
+    let scrambled = random.shuffle(word.split(""));
+
+    // Ensure it's actually scrambled
+    if (scrambled.join("") === word) {
+      scrambled = [...scrambled.slice(1), scrambled[0]];
+    }
+
+    return {
+      title: "Scrambled Uplink",
+      description: "The packet headers are out of order. Reconstruct the original system keyword.",
+      question: scrambled.join(" "),
+      answer: word,
+      params: { word }
+    };
+  },
+  hints: ({ word }) => [
+    "It's a common term used in the Neon Grid systems.",
+    `The word starts with '${word[0]}'.`,
+    `The word ends with '${word.slice(-2)}'.`
+  ]
+};
@@ -0,0 +1,114 @@
+/**
+ * Encodings: Morse, hexadecimal, base64 and binary numbers
+ */
+
+import { validateNumber } from "../PuzzleRegistry.js";
+import { pickPhrase } from "./words.js";
+
+const MORSE = {
+  A: ".-", B: "-...", C: "-.-.", D: "-..", E: ".", F: "..-.", G: "--.", H: "....",
+  I: "..", J: ".---", K: "-.-", L: ".-..", M: "--", N: "-.", O: "---", P: ".--.",
+  Q: "--.-", R: ".-.", S: "...", T: "-", U: "..-", V: "...-", W: ".--", X: "-..-",
+  Y: "-.--", Z: "--.."
+};
+
+export const morse = {
+  id: "morse",
+  name: "Morse",
+  category: "cipher",
+  difficulty: [1, 3],
+  generate: (random, difficulty) => {
+    const phrase = pickPhrase(random, difficulty === 3 ? 2 : 1);
+    const encoded = phrase.split(" ")
+      .map(word => word.split("").map(char => MORSE[char]).join(" "))
+      .join(" / ");
+
+    return {
+      title: "Pulse Beacon",
+      description: "A beacon is blinking short and long pulses. Letters are split by spaces and words by a slash.",
+      question: encoded,
+      answer: phrase,
+      params: { phrase }
+    };
+  },
+  hints: ({ phrase }) => [
+    "Short and long pulses: it's Morse code.",
+    "E is a single dot, T is a single dash.",
+    `The first letter is '${phrase[0]}'.`
+  ]
+};
+
+export const hex = {
+  id: "hex",
+  name: "Hexadecimal",
+  category: "logic",
+  difficulty: [2, 3],
+  generate: (random, difficulty) => {
+    const phrase = pickPhrase(random, difficulty === 3 ? 2 : 1);
+    const encoded = phrase.split("")
+      .map(char => char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0"))
+      .join(" ");
+
+    return {
+      title: "Hex Dump",
+      description: "A memory dump of the node. Each byte is one character.",
+      question: encoded,
+      answer: phrase,
+      params: { phrase }
+    };
+  },
+  hints: ({ phrase }) => [
+    "Each pair of hexadecimal digits is an ASCII character code.",
+    "41 is 'A', 42 is 'B'... and 20 is a space.",
+    `The first byte is '${phrase[0]}'.`
+  ]
+};
+
+export const base64 = {
+  id: "base64",
+  name: "Base64",
+  category: "logic",
+  difficulty: [3, 4],
+  generate: (random, difficulty) => {
+    const phrase = pickPhrase(random, difficulty === 4 ? 2 : 1);
+
+    return {
+      title: "Encoded Payload",
+      description: "The payload was wrapped in a text safe encoding used by mail and web protocols.",
+      question: btoa(phrase),
+      answer: phrase,
+      params: { phrase }
+    };
+  },
+  hints: ({ phrase }) => [
+    "The alphabet is A-Z, a-z, 0-9, + and /. The '=' at the end is padding.",
+    "It's base64: every 4 characters hold 3 bytes.",
+    `The payload has ${phrase.length} characters and starts with '${phrase[0]}'.`
+  ]
+};
+
+export const binary = {
+  id: "binary",
+  name: "Binary",
+  category: "logic",
+  difficulty: [1, 2],
+  validate: validateNumber,
+  generate: (random, difficulty) => {
+    const bits = difficulty === 1 ? 6 : 8;
+    const decimal = random.int(1, 2 ** bits - 1);
+    const powers = Array.from({ length: bits }, (_, i) => 2 ** (bits - 1 - i));
+
+    return {
+      title: "Binary Data Stream",
+      description: `A raw bitstream was intercepted. Convert the ${bits}-bit binary value to decimal to unlock the node.`,
+      question: decimal.toString(2).padStart(bits, "0"),
+      answer: decimal.toString(),
+      params: { decimal, powers }
+    };
+  },
+  hints: ({ decimal, powers }) => [
+    `Each position represents a power of 2 (${powers.join(", ")}).`,
+    "Sum the values where the bit is '1'.",
+    `The value is between ${Math.floor(decimal / 10) * 10} and ${Math.floor(decimal / 10) * 10 + 9}.`
+  ]
+};
@@ -0,0 +1,18 @@
+/**
+ * Registers the built-in puzzle types. New types only need to be added here,
+ * or registered with registerPuzzleType() before generating
+ */
+
+import { registerPuzzleType } from "../PuzzleRegistry.js";
+import { atbash, caesar, vigenere, railFence, scramble } from "./ciphers.js";
+import { morse, hex, base64, binary } from "./encodings.js";
+import { pattern } from "./patterns.js";
+import { logicGrid } from "./logicGrid.js";
+import { nonogram } from "./nonogram.js";
+
+export const BUILT_IN_TYPES = [
+  atbash, caesar, pattern, binary, scramble,
+  vigenere, railFence, morse, hex, base64, logicGrid, nonogram
+];
+
+BUILT_IN_TYPES.forEach(registerPuzzleType);
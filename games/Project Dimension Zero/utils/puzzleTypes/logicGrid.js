@@ -0,0 +1,141 @@
+/**
+ * Logic grids: match agents with terminals and chips from a set of clues.
+ * Clues are added until only one solution is left, then the extra ones removed
+ */
+
+const AGENTS = ["NOVA", "HEX", "ZERO", "GLITCH"];
+const CHIPS = ["RED", "BLUE", "GREEN", "GOLD"];
+
+/**
+ * All the orders of the numbers 0 to size - 1
+ */
+const permutations = (size) => {
+  if (size === 1) return [[0]];
+  const result = [];
+  permutations(size - 1).forEach(perm => {
+    for (let i = 0; i < size; i++) {
+      result.push([...perm.slice(0, i), size - 1, ...perm.slice(i)]);
+    }
+  });
+  return result;
+};
+
+/**
+ * Every true statement about the solution. Terminals are numbered from 1
+ */
+const buildClues = (size, terminals, chips, allowDirect) => {
+  const clues = [];
+  const chipOf = (agent) => CHIPS[chips[agent]];
+
+  for (let a = 0; a < size; a++) {
+    for (let t = 0; t < size; t++) {
+      const isAt = terminals[a] === t;
+      if (isAt && allowDirect) {
+        clues.push({ text: `${AGENTS[a]} is at terminal ${t + 1}.`, test: (T) => T[a] === t });
+      } else if (!isAt) {
+        clues.push({ text: `${AGENTS[a]} is not at terminal ${t + 1}.`, test: (T) => T[a] !== t });
+      }
+    }
+    for (let c = 0; c < size; c++) {
+      if (chips[a] !== c) {
+        clues.push({ text: `${AGENTS[a]} does not carry the ${CHIPS[c]} chip.`, test: (T, C) => C[a] !== c });
+      }
+    }
+    for (let b = 0; b < size; b++) {
+      if (a !== b && terminals[a] < terminals[b]) {
+        clues.push({
+          text: `${AGENTS[a]} is at a lower terminal than ${AGENTS[b]}.`,
+          test: (T) => T[a] < T[b]
+        });
+      }
+      if (a !== b && terminals[b] === terminals[a] + 1) {
+        clues.push({
+          text: `The ${chipOf(a)} chip is at the terminal right before ${AGENTS[b]}.`,
+          test: (T, C) => {
+            const owner = C.indexOf(chips[a]);
+            return T[b] === T[owner] + 1;
+          }
+        });
+      }
+    }
+  }
+  for (let c = 0; c < size; c++) {
+    const owner = chips.indexOf(c);
+    for (let t = 0; t < size; t++) {
+      if (terminals[owner] !== t) {
+        clues.push({
+          text: `The ${CHIPS[c]} chip is not at terminal ${t + 1}.`,
+          test: (T, C) => T[C.indexOf(c)] !== t
+        });
+      }
+    }
+  }
+  return clues;
+};
+
+/**
+ * Counts the solutions allowed by the clues, stopping at 2
+ */
+const countSolutions = (size, clues) => {
+  const perms = permutations(size);
+  let count = 0;
+  for (const T of perms) {
+    for (const C of perms) {
+      if (clues.every(clue => clue.test(T, C))) {
+        count++;
+        if (count > 1) return count;
+      }
+    }
+  }
+  return count;
+};
+
+export const logicGrid = {
+  id: "logic-grid",
+  name: "Logic Grid",
+  category: "logic",
+  difficulty: [3, 5],
+  generate: (random, difficulty) => {
+    const size = difficulty === 5 ? 4 : 3;
+    const perms = permutations(size);
+    const terminals = random.pick(perms);
+    const chips = random.pick(perms);
+
+    const pool = random.shuffle(buildClues(size, terminals, chips, difficulty === 3));
+    let clues = [];
+    for (const clue of pool) {
+      clues.push(clue);
+      if (countSolutions(size, clues) === 1) break;
+    }
+    // Drop the clues that are not needed anymore
+    for (let i = clues.length - 1; i >= 0; i--) {
+      const without = clues.filter((_, idx) => idx !== i);
+      if (countSolutions(size, without) === 1) {
+        clues = without;
+      }
+    }
+
+    const chip = random.int(0, size - 1);
+    const owner = chips.indexOf(chip);
+    const agents = AGENTS.slice(0, size);
+
+    return {
+      title: "Crew Manifest",
+      description: `${agents.join(", ")} each work at one terminal (1 to ${size}) and each carry one chip (${CHIPS.slice(0, size).join(", ")}). Who carries the ${CHIPS[chip]} chip?`,
+      question: clues.map(clue => clue.text),
+      layout: "lines",
+      answer: AGENTS[owner],
+      acceptedAnswers: [`AGENT ${AGENTS[owner]}`],
+      params: { size, terminals, chips, owner }
+    };
+  },
+  hints: ({ size, terminals, chips, owner }) => {
+    const other = (owner + 1) % size;
+    return [
+      "Draw a grid of agents against terminals and chips, and cross out what the clues forbid.",
+      "When a row has a single open cell left, that cell is the match.",
+      `${AGENTS[other]} is at terminal ${terminals[other] + 1} and carries the ${CHIPS[chips[other]]} chip.`,
+      `The chip's owner is at terminal ${terminals[owner] + 1}.`
+    ];
+  }
+};
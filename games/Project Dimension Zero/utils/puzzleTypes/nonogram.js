@@ -0,0 +1,140 @@
+/**
+ * Nonograms: fill a grid from the runs of each row and column. Only grids
+ * with a single solution are used. The answer reads each row as a binary number
+ */
+
+/**
+ * The lengths of the filled runs of a line, or [0] if it's empty
+ */
+const getRuns = (line) => {
+  const runs = [];
+  let run = 0;
+  line.forEach(cell => {
+    if (cell) {
+      run++;
+    } else if (run > 0) {
+      runs.push(run);
+      run = 0;
+    }
+  });
+  if (run > 0) runs.push(run);
+  return runs.length ? runs : [0];
+};
+
+const sameRuns = (a, b) => a.length === b.length && a.every((value, idx) => value === b[idx]);
+
+/**
+ * Returns true if the start of a column can still match its runs
+ */
+const isPrefixValid = (cells, runs) => {
+  const target = runs[0] === 0 ? [] : runs;
+  const partial = [];
+  let run = 0;
+  cells.forEach(cell => {
+    if (cell) {
+      run++;
+    } else if (run > 0) {
+      partial.push(run);
+      run = 0;
+    }
+  });
+  for (let i = 0; i < partial.length; i++) {
+    if (partial[i] !== target[i]) return false;
+  }
+  if (run > 0) {
+    return partial.length < target.length && run <= target[partial.length];
+  }
+  return partial.length <= target.length;
+};
+
+/**
+ * Counts the grids that match the runs, stopping at 2
+ */
+const countSolutions = (size, rowRuns, colRuns) => {
+  const lines = Array.from({ length: 2 ** size }, (_, mask) =>
+    Array.from({ length: size }, (_, i) => Boolean(mask & (1 << (size - 1 - i))))
+  );
+  const candidates = rowRuns.map(runs => lines.filter(line => sameRuns(getRuns(line), runs)));
+  const grid = [];
+  let count = 0;
+
+  const solve = (row) => {
+    if (count > 1) return;
+    if (row === size) {
+      const valid = colRuns.every((runs, col) => sameRuns(getRuns(grid.map(line => line[col])), runs));
+      if (valid) count++;
+      return;
+    }
+    for (const line of candidates[row]) {
+      grid[row] = line;
+      const rows = grid.slice(0, row + 1);
+      if (colRuns.every((runs, col) => isPrefixValid(rows.map(r => r[col]), runs))) {
+        solve(row + 1);
+      }
+    }
+    grid.length = row;
+  };
+  solve(0);
+  return count;
+};
+
+const getColRuns = (grid) => grid[0].map((_, col) => getRuns(grid.map(line => line[col])));
+
+/**
+ * A staircase: each column is fixed by the full last row, so it has a single solution
+ */
+const getStaircase = (size) =>
+  Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, col) => col <= row));
+
+const rowValue = (line) => line.reduce((value, cell) => value * 2 + (cell ? 1 : 0), 0);
+
+/**
+ * Compares the row values, whatever the separators are
+ */
+const validateRows = (input, answer) => {
+  const values = String(input).match(/\d+/g) || [];
+  const expected = String(answer).match(/\d+/g) || [];
+  return sameRuns(values.map(Number), expected.map(Number));
+};
+
+export const nonogram = {
+  id: "nonogram",
+  name: "Nonogram",
+  category: "logic",
+  difficulty: [4, 5],
+  validate: validateRows,
+  nearMiss: false,
+  generate: (random, difficulty) => {
+    const size = difficulty === 4 ? 5 : 6;
+    let grid = null;
+    // Random grids are tried until one has a single solution. Denser grids have
+    // fewer solutions, so the fill grows with the tries
+    for (let tries = 0; tries < 200 && !grid; tries++) {
+      const fill = 0.6 + 0.1 * Math.floor(tries / 50);
+      const candidate = Array.from({ length: size }, () => Array.from({ length: size }, () => random.next() < fill));
+      if (countSolutions(size, candidate.map(getRuns), getColRuns(candidate)) === 1) grid = candidate;
+    }
+    if (!grid) grid = getStaircase(size);
+    const rowRuns = grid.map(getRuns);
+    const colRuns = getColRuns(grid);
+
+    const values = grid.map(rowValue);
+    return {
+      title: "Pixel Lock",
+      description: `Fill the ${size}x${size} lock grid: the numbers are the lengths of the filled runs, in order. Then read each row as a binary number (filled = 1) and enter the ${size} values.`,
+      question: [
+        ...rowRuns.map((runs, idx) => `ROW ${idx + 1}: ${runs.join(" ")}`),
+        ...colRuns.map((runs, idx) => `COL ${idx + 1}: ${runs.join(" ")}`)
+      ],
+      layout: "lines",
+      answer: values.join(" "),
+      params: { size, grid, values }
+    };
+  },
+  hints: ({ size, grid, values }) => [
+    "Start with the rows and columns whose runs fill most of the line.",
+    `A run of ${size} fills its whole line, and a 0 means the line is empty.`,
+    `Row 1 is ${grid[0].map(cell => cell ? "■" : "□").join("")}, worth ${values[0]}.`,
+    `The values are ${values.slice(0, -1).join(" ")} and one more.`
+  ]
+};
@@ -0,0 +1,65 @@
+/**
+ * Number sequences: arithmetic, geometric and growing steps
+ */
+
+import { validateNumber } from "../PuzzleRegistry.js";
+
+export const pattern = {
+  id: "pattern",
+  name: "Sequence",
+  category: "pattern",
+  difficulty: [1, 3],
+  validate: validateNumber,
+  generate: (random, difficulty) => {
+    const kind = difficulty === 1
+      ? "linear"
+      : difficulty === 2 ? random.pick(["linear", "geometric"]) : "growing";
+    const start = random.int(1, 10);
+    const sequence = [start];
+
+    if (kind === "geometric") {
+      const factor = random.int(2, 3);
+      for (let i = 0; i < 4; i++) {
+        sequence.push(sequence[i] * factor);
+      }
+    } else if (kind === "growing") {
+      // The difference grows by the same amount on every step
+      let diff = random.int(1, 5);
+      const growth = random.int(1, 4);
+      for (let i = 0; i < 5; i++) {
+        sequence.push(sequence[i] + diff);
+        diff += growth;
+      }
+    } else {
+      const diff = random.int(5, 14) * (difficulty === 2 && random.bool() ? -1 : 1);
+      if (diff < 0) {
+        sequence[0] += 60; // Keep the countdown above zero
+      }
+      for (let i = 0; i < 4; i++) {
+        sequence.push(sequence[i] + diff);
+      }
+    }
+
+    const answer = sequence.pop().toString();
+    const titles = { linear: "Linear Grid Sync", geometric: "Geometric Core Pulse", growing: "Accelerating Surge" };
+
+    return {
+      title: titles[kind],
+      description: "Analyze the sequence and find the missing value to synchronize the core.",
+      question: [...sequence, "?"].join(", "),
+      answer,
+      params: { kind, sequence }
+    };
+  },
+  hints: ({ kind, sequence }) => [
+    "Look at the relationship between consecutive numbers.",
+    kind === "geometric"
+      ? "Try multiplying each number by a constant factor."
+      : kind === "growing"
+        ? "The differences between the numbers form their own sequence."
+        : "Try adding a constant difference.",
+    kind === "geometric"
+      ? `Each number is ${sequence[1] / sequence[0]} times the previous one.`
+      : `The last difference is ${sequence[sequence.length - 1] - sequence[sequence.length - 2]}.`
+  ]
+};
@@ -0,0 +1,21 @@
+/**
+ * Words used by the text puzzle types
+ */
+
+export const CIPHER_WORDS = [
+  "NEON", "CYBER", "GRID", "CORE", "SIGNAL", "ENCRYPT", "DECODE", "TERMINAL",
+  "MYSTERY", "ACCESS", "HACKER", "SYSTEM", "NETWORK", "VOID", "PHANTOM",
+  "PROTOCOL", "INFOLINK", "DATABASE", "MATRIX", "MAINFRAME"
+];
+
+export const KEY_WORDS = ["KEY", "ZERO", "NODE", "BYTE", "GHOST", "PIXEL"];
+
+export const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/**
+ * One word, or two different words for the harder puzzles
+ */
+export const pickPhrase = (random, words = 1) => {
+  const picked = random.shuffle(CIPHER_WORDS).slice(0, words);
+  return picked.join(" ");
+};
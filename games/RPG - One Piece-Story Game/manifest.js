@@ -10,6 +10,7 @@ export const manifest = {
   // GAME METADATA
   // ─────────────────────────────────────────────────────────────────────────────
   id: "one_piece",
+  version: 1,            // Bump when scenes or flags change incompatibly; old saves are rejected
   title: "One Piece: Voyage of Dreams",
   description: "A swashbuckling pirate adventure where the Straw Hat crew sails the treacherous Grand Line, battling fearsome enemies and chasing the ultimate treasure: the One Piece.",
   theme: "one_piece",
@@ -1,9 +1,10 @@
-import { COMBAT, CHARACTER_STATUS } from '../constants/GameConstants.js';
+import { COMBAT, CHARACTER_STATUS, COMBATANT_TYPES } from '../constants/GameConstants.js';
 
 /**
  * CombatState - Manages combat-specific state
  *
- * Handles enemy state, ability usage tracking, and combat log.
+ * Handles enemy state (one or more enemies per encounter), ability usage
+ * tracking, and combat log.
  * Works with EffectManager for effect-related state.
  */
 export class CombatState {
@@ -13,12 +14,14 @@ export class CombatState {
 
     /**
      * Initialize combat state for a new encounter
-     * @param {Object} enemyData - Enemy data from enemies.json
+     * @param {Object|Array} enemyData - Enemy data (or list of enemy data) from enemies.json
      * @param {Array} party - Party members
      * @param {Object} abilitiesData - Abilities data from abilities.json
      * @returns {Object} Combat state object
      */
     initialize(enemyData, party, abilitiesData) {
+        const enemyList = Array.isArray(enemyData) ? enemyData : [enemyData];
+
         // Initialize ability usage tracking for all characters
         const abilityUsage = {};
         for (const member of party) {
@@ -31,34 +34,20 @@ export class CombatState {
             }
         }
 
-        // Initialize cooldowns from enemy attacks
-        const cooldowns = {};
-        for (const attack of enemyData.attacks || []) {
-            if (attack.cooldown) {
-                cooldowns[attack.id] = 0;
-            }
-        }
+        const enemies = this.createEnemies(enemyList);
+        const lead = enemyList[0];
 
         this.combat = {
             active: true,
             round: 1,
             phase: 'enemy_turn',
-            enemy: {
-                id: enemyData.id,
-                name: enemyData.name,
-                shortName: enemyData.shortName,
-                images: enemyData.images || {},
-                currentHealth: enemyData.health,
-                maxHealth: enemyData.health,
-                status: CHARACTER_STATUS.HEALTHY,
-                activeEffects: [],
-                cooldowns,
-                usedSpecials: {}
-            },
-            companion: enemyData.companion ? {
-                id: enemyData.companion.id,
-                currentHealth: enemyData.companion.health,
-                maxHealth: enemyData.companion.health,
+            enemies,
+            // The enemy currently acting or being targeted; most rules read this one
+            enemy: enemies[0],
+            companion: lead.companion ? {
+                id: lead.companion.id,
+                currentHealth: lead.companion.health,
+                maxHealth: lead.companion.health,
                 status: CHARACTER_STATUS.HEALTHY,
                 active: true
             } : null,
@@ -76,6 +65,50 @@ export class CombatState {
         return this.combat;
     }
 
+    /**
+     * Build per-encounter enemy state.
+     * The first enemy keeps the key 'enemy' so single-enemy encounters
+     * look exactly as they did before multi-enemy support; repeated
+     * enemies get a letter suffix ("Ghoul A", "Ghoul B").
+     * @param {Array} enemyList - Enemy data objects
+     * @returns {Array}
+     */
+    createEnemies(enemyList) {
+        const counts = {};
+        enemyList.forEach(data => {
+            counts[data.id] = (counts[data.id] || 0) + 1;
+        });
+
+        const seen = {};
+        return enemyList.map((data, index) => {
+            // Initialize cooldowns from enemy attacks
+            const cooldowns = {};
+            for (const attack of data.attacks || []) {
+                if (attack.cooldown) {
+                    cooldowns[attack.id] = 0;
+                }
+            }
+
+            seen[data.id] = (seen[data.id] || 0) + 1;
+            const suffix = counts[data.id] > 1 ? ` ${String.fromCharCode(64 + seen[data.id])}` : '';
+
+            return {
+                key: index === 0 ? COMBATANT_TYPES.ENEMY : `${COMBATANT_TYPES.ENEMY}_${index}`,
+                id: data.id,
+                name: data.name + suffix,
+                shortName: data.shortName + suffix,
+                suffix: suffix.trim(),
+                images: data.images || {},
+                currentHealth: data.health,
+                maxHealth: data.health,
+                status: CHARACTER_STATUS.HEALTHY,
+                activeEffects: [],
+                cooldowns,
+                usedSpecials: {}
+            };
+        });
+    }
+
     /**
      * Get current combat state
      * @returns {Object|null}
@@ -93,29 +126,68 @@ export class CombatState {
     }
 
     /**
-     * Apply damage to enemy
+     * Get every enemy in the encounter
+     * @returns {Array}
+     */
+    getEnemies() {
+        return this.combat?.enemies || [];
+    }
+
+    /**
+     * Get enemies still standing
+     * @returns {Array}
+     */
+    getLivingEnemies() {
+        return this.getEnemies().filter(e => e.status !== CHARACTER_STATUS.DEFEATED);
+    }
+
+    /**
+     * Get enemy by encounter key
+     * @param {string} key - 'enemy', 'enemy_1', ...
+     * @returns {Object|undefined}
+     */
+    getEnemy(key) {
+        return this.getEnemies().find(e => e.key === key);
+    }
+
+    /**
+     * Make an enemy the current one (acting on its turn, or being targeted)
+     * @param {string} key - Enemy key
+     * @returns {Object|null} The focused enemy
+     */
+    focusEnemy(key) {
+        const enemy = this.getEnemy(key);
+        if (!enemy) return null;
+
+        this.combat.enemy = enemy;
+        return enemy;
+    }
+
+    /**
+     * Apply damage to an enemy
      * @param {number} amount - Damage amount (must be positive)
+     * @param {Object} [enemy] - Enemy state, defaults to the focused enemy
      * @returns {Object|null} Updated enemy state
      */
-    damageEnemy(amount) {
-        if (!this.combat?.enemy) return null;
-        if (!amount || amount < 0) return this.combat.enemy;
+    damageEnemy(amount, enemy = this.combat?.enemy) {
+        if (!enemy) return null;
+        if (!amount || amount < 0) return enemy;
 
-        this.combat.enemy.currentHealth = Math.max(0, this.combat.enemy.currentHealth - amount);
+        enemy.currentHealth = Math.max(0, enemy.currentHealth - amount);
 
         // Update status based on health percentage
-        const healthPercent = this.combat.enemy.currentHealth / this.combat.enemy.maxHealth;
-        if (this.combat.enemy.currentHealth === 0) {
-            this.combat.enemy.status = CHARACTER_STATUS.DEFEATED;
+        const healthPercent = enemy.currentHealth / enemy.maxHealth;
+        if (enemy.currentHealth === 0) {
+            enemy.status = CHARACTER_STATUS.DEFEATED;
         } else if (healthPercent <= COMBAT.HEALTH_THRESHOLDS.CRITICAL) {
-            this.combat.enemy.status = CHARACTER_STATUS.CRITICAL;
+            enemy.status = CHARACTER_STATUS.CRITICAL;
         } else if (healthPercent <= COMBAT.HEALTH_THRESHOLDS.WOUNDED) {
-            this.combat.enemy.status = CHARACTER_STATUS.WOUNDED;
+            enemy.status = CHARACTER_STATUS.WOUNDED;
         } else {
-            this.combat.enemy.status = CHARACTER_STATUS.HEALTHY;
+            enemy.status = CHARACTER_STATUS.HEALTHY;
         }
 
-        return this.combat.enemy;
+        return enemy;
     }
 
     /**
@@ -137,11 +209,12 @@ export class CombatState {
     }
 
     /**
-     * Check if enemy is defeated
+     * Check if every enemy in the encounter is defeated
      * @returns {boolean}
      */
     isEnemyDefeated() {
-        return this.combat?.enemy?.status === CHARACTER_STATUS.DEFEATED;
+        if (!this.combat) return false;
+        return this.getLivingEnemies().length === 0;
     }
 
     /**
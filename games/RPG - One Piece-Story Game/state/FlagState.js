@@ -63,6 +63,28 @@ export class FlagState {
         return [...this.choiceHistory];
     }
 
+    /**
+     * Snapshot of flags, choice history and turn count
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            flags: { ...this.flags },
+            choiceHistory: this.choiceHistory.map(entry => ({ ...entry })),
+            turnCount: this.turnCount
+        };
+    }
+
+    /**
+     * Restore from serialize() output
+     * @param {Object} data - Serialized flag state
+     */
+    deserialize(data = {}) {
+        this.flags = { ...(data.flags || {}) };
+        this.choiceHistory = (data.choiceHistory || []).map(entry => ({ ...entry }));
+        this.turnCount = data.turnCount || 0;
+    }
+
     /**
      * Reset all flags and history
      */
@@ -182,10 +182,25 @@ export class GameState {
     // Combat State (delegates to CombatState)
     // ========================================
 
-    initCombat(enemyId) {
-        const enemyData = this._dataLoader.getEnemy(enemyId);
-        if (!enemyData) {
-            console.error(`Enemy not found: ${enemyId}`);
+    /**
+     * Start an encounter
+     * @param {string|Array<string>} enemyIds - One enemy id, or a list for multi-enemy encounters
+     */
+    initCombat(enemyIds) {
+        const ids = Array.isArray(enemyIds) ? enemyIds : [enemyIds];
+        const enemyData = [];
+
+        for (const enemyId of ids) {
+            const data = this._dataLoader.getEnemy(enemyId);
+            if (!data) {
+                console.error(`Enemy not found: ${enemyId}`);
+                return null;
+            }
+            enemyData.push(data);
+        }
+
+        if (enemyData.length === 0) {
+            console.error('Encounter has no enemies');
             return null;
         }
 
@@ -219,8 +234,20 @@ export class GameState {
         this._combatState.useAbility(characterId, abilityId);
     }
 
-    applyDamageToEnemy(amount) {
-        return this._combatState.damageEnemy(amount);
+    getEnemies() {
+        return this._combatState.getEnemies();
+    }
+
+    getLivingEnemies() {
+        return this._combatState.getLivingEnemies();
+    }
+
+    focusEnemy(key) {
+        return this._combatState.focusEnemy(key);
+    }
+
+    applyDamageToEnemy(amount, enemy) {
+        return this._combatState.damageEnemy(amount, enemy);
     }
 
     applyDamageToCompanion(amount) {
@@ -247,8 +274,8 @@ export class GameState {
         this._effectManager.applyToCharacter(this.combat, characterId, effect);
     }
 
-    applyEffectToEnemy(effect) {
-        this._effectManager.applyToEnemy(this.combat, effect);
+    applyEffectToEnemy(effect, enemy) {
+        this._effectManager.applyToEnemy(this.combat, effect, enemy);
     }
 
     applyPartyEffect(effect) {
@@ -271,12 +298,12 @@ export class GameState {
         return this.getActiveParty().filter(p => this.isCharacterRestrained(p.id));
     }
 
-    isEnemyMarked() {
-        return this._effectManager.enemyHasEffect(this.combat, STATUS_EFFECTS.MARK);
+    isEnemyMarked(enemy) {
+        return this._effectManager.enemyHasEffect(this.combat, STATUS_EFFECTS.MARK, enemy);
     }
 
-    consumeMarkOnEnemy() {
-        return this._effectManager.consumeEnemyMark(this.combat);
+    consumeMarkOnEnemy(enemy) {
+        return this._effectManager.consumeEnemyMark(this.combat, enemy);
     }
 
     // ========================================
@@ -287,6 +314,69 @@ export class GameState {
         return getDamageModifier(this.combat, targetId, isPlayerAttacking);
     }
 
+    // ========================================
+    // Save / Load
+    // ========================================
+
+    /**
+     * Snapshot of everything needed to resume the adventure.
+     * Combat is not saved: saves happen on scene transitions, and loading
+     * a combat scene starts the encounter fresh.
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            manifestId: this.manifest.id,
+            manifestVersion: this.manifest.version || 1,
+            savedAt: Date.now(),
+            currentScene: this.currentScene,
+            currentBeat: this.currentBeat,
+            party: this._partyState.serialize(),
+            flagState: this._flagState.serialize()
+        };
+    }
+
+    /**
+     * Check that a save was made by this manifest (same story, same version)
+     * @param {Object} save - serialize() output
+     * @returns {string|null} Reason the save can't be used, or null if it can
+     */
+    getSaveIncompatibility(save) {
+        if (!save || typeof save !== 'object') return 'Save data is empty or corrupt';
+        if (save.manifestId !== this.manifest.id) {
+            return `Save belongs to "${save.manifestId}", not "${this.manifest.id}"`;
+        }
+        if (save.manifestVersion !== (this.manifest.version || 1)) {
+            return `Save is from version ${save.manifestVersion}, game is version ${this.manifest.version || 1}`;
+        }
+        if (!this.manifest.scenes?.[save.currentScene]) {
+            return `Scene not found: ${save.currentScene}`;
+        }
+        return null;
+    }
+
+    /**
+     * Restore state from serialize() output
+     * @param {Object} save
+     * @returns {boolean} False when the save is incompatible with this manifest
+     */
+    deserialize(save) {
+        const problem = this.getSaveIncompatibility(save);
+        if (problem) {
+            console.error(`[GameState] Cannot load save: ${problem}`);
+            return false;
+        }
+
+        this._combatState.end();
+        this._partyState.reset();
+        this._partyState.deserialize(save.party);
+        this._flagState.deserialize(save.flagState);
+
+        this.currentScene = save.currentScene;
+        this.currentBeat = save.currentBeat || null;
+        return true;
+    }
+
     // ========================================
     // Reset
     // ========================================
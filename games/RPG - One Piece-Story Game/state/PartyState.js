@@ -87,6 +87,30 @@ export class PartyState {
         return this.members.filter(p => p.status !== CHARACTER_STATUS.DOWN);
     }
 
+    /**
+     * Snapshot of the mutable per-member state (health and status)
+     * @returns {Array<{id: string, currentHealth: number, status: string}>}
+     */
+    serialize() {
+        return this.members.map(({ id, currentHealth, status }) => ({ id, currentHealth, status }));
+    }
+
+    /**
+     * Restore health and status from serialize() output.
+     * Members missing from the snapshot keep their current values;
+     * unknown ids are ignored so a save survives party roster tweaks.
+     * @param {Array} data - Serialized party
+     */
+    deserialize(data = []) {
+        data.forEach(saved => {
+            const member = this.getMember(saved.id);
+            if (!member) return;
+
+            member.currentHealth = Math.max(0, Math.min(member.maxHealth, saved.currentHealth));
+            member.status = saved.status;
+        });
+    }
+
     /**
      * Reset all party members to full health
      */
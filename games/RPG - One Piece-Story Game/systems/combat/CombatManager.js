@@ -16,8 +16,8 @@ import { CombatNarrator } from './CombatNarrator.js';
 import { EventBus } from '../../events/EventBus.js';
 import { COMBAT_EVENTS } from '../../events/CombatEvents.js';
 import { SCENE_EVENTS } from '../../events/SceneEvents.js';
-import { CHARACTER_STATUS, COMBAT } from '../../constants/GameConstants.js';
-import { calculateAbilityDamage, attemptBreakFree, getHealthStatus } from '../rules/CombatRules.js';
+import { CHARACTER_STATUS, COMBAT, COMBATANT_TYPES } from '../../constants/GameConstants.js';
+import { calculateAbilityDamage, attemptBreakFree, getHealthStatus, getEncounterEnemyIds } from '../rules/CombatRules.js';
 import { getDamageModifier } from '../rules/DamageRules.js';
 import { manifest } from '../../manifest.js';
 
@@ -40,15 +40,19 @@ export class CombatManager {
         this.flow = new CombatFlow(gameState);
         this.narrator = new CombatNarrator(gameState);
 
-        // Combat data
-        this.enemyData = null;
+        // Combat data - one { state, data } entry per enemy in the encounter
+        this.encounter = [];
         this.sceneConfig = null;
 
         // Current turn state
         this.selectedCharacter = null;
         this.selectedAbility = null;
+        this.selectedTargetKey = null;
         this.lastEnemyAction = null;
 
+        // Enemies that have taken their action this round
+        this.actedThisRound = new Set();
+
         // Wire up phase change callback
         this.flow.onPhaseChange = (phase) => this.onPhaseChange?.(phase);
 
@@ -71,6 +75,22 @@ export class CombatManager {
         return this.flow.currentTurnIndex;
     }
 
+    /**
+     * Data for the focused enemy (the one acting, or the player's target)
+     */
+    get enemyData() {
+        const key = this.gameState.combat?.enemy?.key;
+        const entry = this.encounter.find(e => e.state.key === key) || this.encounter[0];
+        return entry?.data || null;
+    }
+
+    /**
+     * Display name of the focused enemy ("Ghoul B" when there are several)
+     */
+    get enemyName() {
+        return this.gameState.combat?.enemy?.shortName || this.enemyData?.shortName;
+    }
+
     /**
      * Get narrator speaker name from manifest for content-agnostic theming
      */
@@ -84,30 +104,40 @@ export class CombatManager {
      */
     async startCombat(combatConfig) {
         this.sceneConfig = combatConfig;
-        this.enemyData = this.gameState.enemiesData[combatConfig.enemyId];
+        this.actedThisRound.clear();
 
-        if (!this.enemyData) {
-            console.error(`Enemy not found: ${combatConfig.enemyId}`);
+        const enemyIds = getEncounterEnemyIds(combatConfig);
+        const missing = enemyIds.find(id => !this.gameState.enemiesData[id]);
+
+        if (enemyIds.length === 0 || missing) {
+            console.error(`Enemy not found: ${missing || '(none in combat config)'}`);
             return;
         }
 
         // Initialize combat state if needed
         if (!this.gameState.combat) {
-            this.gameState.initCombat(combatConfig.enemyId);
+            this.gameState.initCombat(enemyIds);
         }
 
+        this.encounter = this.gameState.getEnemies().map(state => ({
+            state,
+            data: this.gameState.enemiesData[state.id]
+        }));
+
         // Show opening narration
         this.flow.setPhase(COMBAT_PHASES.INITIALIZING);
 
+        const lead = this.gameState.getEnemies()[0];
         EventBus.emit(COMBAT_EVENTS.ENEMY.SPAWNED, {
-            enemy: this.gameState.combat.enemy,
-            name: this.enemyData.shortName
+            enemy: lead,
+            name: lead.shortName,
+            enemies: this.gameState.getEnemies()
         });
 
-        await this.showNarration(combatConfig.openingNarration, this.enemyData.shortName);
+        await this.showNarration(combatConfig.openingNarration, lead.shortName);
 
         // Roll initiative
-        this.flow.rollAllInitiative(this.gameState.getActiveParty(), this.enemyData);
+        this.flow.rollAllInitiative(this.gameState.getActiveParty(), this.encounter);
 
         // Announce initiative - read labels from manifest for content-agnostic theming
         const initiativeHeader = manifest.ui?.labels?.initiativeHeader || '⚔️ INITIATIVE ORDER ⚔️';
@@ -131,14 +161,15 @@ export class CombatManager {
         }
 
         const current = this.flow.getCurrentCombatant();
+        this.flow.syncDefeated();
 
         EventBus.emit(COMBAT_EVENTS.INITIATIVE.TURN_CHANGED, {
             order: this.flow.initiativeOrder,
             currentIndex: this.flow.currentTurnIndex
         });
 
-        if (current.type === 'enemy') {
-            await this.runEnemyTurn();
+        if (current.type === COMBATANT_TYPES.ENEMY) {
+            await this.runEnemyTurn(current.id);
         } else {
             await this.runPartyMemberTurn(current.id);
         }
@@ -217,12 +248,27 @@ export class CombatManager {
     // Enemy Turn
     // ========================================
 
-    async runEnemyTurn() {
+    /**
+     * Run an enemy initiative slot
+     * @param {string} slotKey - Key of the enemy owning this slot
+     */
+    async runEnemyTurn(slotKey = COMBATANT_TYPES.ENEMY) {
         if (this.flow.checkVictory()) {
             await this.handleVictory();
             return;
         }
 
+        // Let the AI pick who acts (the slot owner unless it's down)
+        const acting = this.ai.chooseActingEnemy(slotKey, this.getReadyEnemies());
+        if (!acting) {
+            this.flow.advanceTurn();
+            await this.nextTurn();
+            return;
+        }
+
+        this.gameState.focusEnemy(acting.state.key);
+        this.actedThisRound.add(acting.state.key);
+
         this.flow.setPhase(COMBAT_PHASES.ENEMY_DECIDING);
 
         try {
@@ -261,7 +307,7 @@ export class CombatManager {
                 combatContext
             );
 
-            await this.showNarration(narration, this.enemyData.shortName);
+            await this.showNarration(narration, this.enemyName);
 
             // Resolve action
             this.flow.setPhase(COMBAT_PHASES.ENEMY_RESOLUTION);
@@ -277,8 +323,8 @@ export class CombatManager {
                 return;
             }
 
-            // Companion turn
-            if (this.gameState.combat.companion?.active) {
+            // Companion turn (the companion follows the lead enemy)
+            if (this.gameState.combat.companion?.active && acting.state.key === COMBATANT_TYPES.ENEMY) {
                 await this.runCompanionTurn();
                 if (this.flow.checkDefeat()) {
                     await this.handleDefeat();
@@ -291,7 +337,8 @@ export class CombatManager {
 
         } catch (error) {
             console.error('Enemy turn error:', error);
-            this.handleError('Enemy turn failed. Please try again.', () => this.runEnemyTurn());
+            this.actedThisRound.delete(acting.state.key);
+            this.handleError('Enemy turn failed. Please try again.', () => this.runEnemyTurn(slotKey));
         }
     }
 
@@ -365,12 +412,34 @@ export class CombatManager {
 
     async onAbilitySelected(ability) {
         this.selectedAbility = ability;
+        this.selectedTargetKey = null;
+
+        // Several enemies standing - let the player pick who to hit
+        const living = this.gameState.getLivingEnemies();
+        if (this.targetResolver.needsEnemyChoice(ability, living)) {
+            this.flow.setPhase(COMBAT_PHASES.PLAYER_TARGET_SELECT);
+            EventBus.emit(COMBAT_EVENTS.TARGET.ENEMY_SELECT_REQUESTED, {
+                enemies: living,
+                onSelect: (enemy) => {
+                    this.selectedTargetKey = enemy.key;
+                    this.proceedToRoll(ability);
+                }
+            });
+            return;
+        }
+
         this.proceedToRoll(ability);
     }
 
     proceedToRoll(ability) {
         this.flow.setPhase(COMBAT_PHASES.PLAYER_ROLLING);
 
+        // Focus the target so narration context and damage rules read the right enemy
+        const targets = this.getPlayerEnemyTargets(ability);
+        if (targets.length > 0) {
+            this.gameState.focusEnemy(targets[0].key);
+        }
+
         if (ability.uses !== undefined) {
             this.gameState.useAbility(this.selectedCharacter.id, ability.id);
         }
@@ -451,19 +520,19 @@ export class CombatManager {
             actionType: 'attack'
         });
 
+        const targets = this.getPlayerEnemyTargets(ability);
+
         if (ability.damage && result.tier !== 'failure') {
-            const baseDamage = calculateAbilityDamage(ability, result.tier);
-            const modifier = getDamageModifier(this.gameState.combat, 'enemy', true);
-            const markBonus = this.gameState.consumeMarkOnEnemy();
-            const finalDamage = Math.max(0, baseDamage + modifier + markBonus);
-
-            if (finalDamage > 0) {
-                this.gameState.applyDamageToEnemy(finalDamage);
-                EventBus.emit(COMBAT_EVENTS.ENEMY.DAMAGE_FLASH, { amount: finalDamage });
-                EventBus.emit(COMBAT_EVENTS.ENEMY.STATUS_UPDATED, { enemy: this.gameState.combat.enemy });
+            for (const enemy of targets) {
+                this.gameState.focusEnemy(enemy.key);
+                this.dealPlayerDamage(ability, result);
+                await this.checkEnemyTriggers();
             }
+        }
 
-            await this.checkEnemyTriggers();
+        // Effects land on the primary target
+        if (targets.length > 0) {
+            this.gameState.focusEnemy(targets[0].key);
         }
 
         if (ability.effect?.type === 'heal') {
@@ -501,6 +570,38 @@ export class CombatManager {
         }
     }
 
+    /**
+     * Enemies hit by a player ability: every living enemy for area
+     * abilities, otherwise the chosen target (or the first one standing)
+     * @param {Object} ability
+     * @returns {Array} Enemy states
+     */
+    getPlayerEnemyTargets(ability) {
+        const living = this.gameState.getLivingEnemies();
+        const resolved = this.targetResolver.resolveEnemy(this.selectedTargetKey || ability.targetType, living);
+        if (Array.isArray(resolved)) return resolved;
+        return resolved ? [resolved] : [];
+    }
+
+    /**
+     * Deal an ability's damage to the focused enemy
+     * @param {Object} ability
+     * @param {Object} result - Dice result
+     */
+    dealPlayerDamage(ability, result) {
+        const enemy = this.gameState.combat.enemy;
+        const baseDamage = calculateAbilityDamage(ability, result.tier);
+        const modifier = getDamageModifier(this.gameState.combat, 'enemy', true);
+        const markBonus = this.gameState.consumeMarkOnEnemy();
+        const finalDamage = Math.max(0, baseDamage + modifier + markBonus);
+
+        if (finalDamage > 0) {
+            this.gameState.applyDamageToEnemy(finalDamage);
+            EventBus.emit(COMBAT_EVENTS.ENEMY.DAMAGE_FLASH, { amount: finalDamage, enemyKey: enemy.key });
+            EventBus.emit(COMBAT_EVENTS.ENEMY.STATUS_UPDATED, { enemy });
+        }
+    }
+
     // ========================================
     // Triggered Abilities
     // ========================================
@@ -536,7 +637,7 @@ export class CombatManager {
 
     async activateEnemySpecial(ability) {
         const narration = await this.ai.getEnemySpecialNarration(this.enemyData, ability);
-        await this.showNarration(narration, this.enemyData.shortName);
+        await this.showNarration(narration, this.enemyName);
 
         if (ability.effect) {
             if (ability.effect.type === 'damage_reduction') {
@@ -632,6 +733,7 @@ export class CombatManager {
     // ========================================
 
     async endRound() {
+        this.actedThisRound.clear();
         const round = this.flow.startNewRound();
         // Read round transition template from manifest for content-agnostic theming
         const roundTemplate = manifest.ui?.labels?.roundTransition || '--- ROUND {round} ---';
@@ -693,6 +795,17 @@ export class CombatManager {
         });
     }
 
+    /**
+     * Enemies that can still act this round, paired with their data
+     * @returns {Array<{state: Object, data: Object}>}
+     */
+    getReadyEnemies() {
+        return this.encounter.filter(({ state }) =>
+            state.status !== CHARACTER_STATUS.DEFEATED &&
+            !this.actedThisRound.has(state.key)
+        );
+    }
+
     resolveTarget(targetStr) {
         return this.targetResolver.resolve(
             targetStr,
@@ -758,10 +871,15 @@ export class CombatManager {
             round: combat.round,
             phase: this.phase,
             enemy: {
-                name: this.enemyData?.shortName,
+                name: this.enemyName,
                 health: `${combat.enemy.currentHealth}/${combat.enemy.maxHealth}`,
                 status: combat.enemy.status
             },
+            enemies: this.gameState.getEnemies().map(e => ({
+                name: e.shortName,
+                health: `${e.currentHealth}/${e.maxHealth}`,
+                status: e.status
+            })),
             party: this.gameState.party.map(p => ({
                 name: p.name,
                 health: `${p.currentHealth}/${p.maxHealth}`,
@@ -1,7 +1,9 @@
 import { EventBus } from '../../events/EventBus.js';
-import { SCENE_EVENTS, DIALOGUE_EVENTS, CHOICE_EVENTS } from '../../events/SceneEvents.js';
+import { SCENE_EVENTS, DIALOGUE_EVENTS, CHOICE_EVENTS, SAVE_EVENTS } from '../../events/SceneEvents.js';
 import { COMBAT_EVENTS } from '../../events/CombatEvents.js';
 import { OutcomeProcessor } from './OutcomeProcessor.js';
+import { getEncounterEnemyIds } from '../rules/CombatRules.js';
+import { findBestOutcomeTier } from '../rules/DiceRules.js';
 
 import { CHARACTER_STATUS } from '../../constants/GameConstants.js';
 
@@ -13,10 +15,12 @@ import { CHARACTER_STATUS } from '../../constants/GameConstants.js';
  * - Determines scene type (Narrative vs Combat)
  * - Processes choices and outcomes
  * - Emits events for UI updates
+ * - Autosaves on every scene transition (when given SaveSlots)
  */
 export class SceneSystem {
-    constructor(gameState) {
+    constructor(gameState, saveSlots = null) {
         this.gameState = gameState;
+        this.saveSlots = saveSlots;
         this.currentSceneData = null;
         this.actingCharacter = null;
         this.spotlightCharacter = null;
@@ -48,6 +52,12 @@ export class SceneSystem {
         if (!sceneData) return null;
 
         this.currentSceneData = sceneData;
+
+        // Autosave before any combat starts, so a load replays the encounter from the top
+        if (this.saveSlots?.autosave()) {
+            EventBus.emit(SAVE_EVENTS.SAVED, { slotId: 'autosave', auto: true });
+        }
+
         EventBus.emit(SCENE_EVENTS.LOADED, { sceneData });
 
         // Update visuals
@@ -66,7 +76,7 @@ export class SceneSystem {
             setTimeout(() => {
                 // Initialize combat via GameState if not already done
                 if (!this.gameState.combat) {
-                    this.gameState.initCombat(sceneData.combat.enemyId);
+                    this.gameState.initCombat(getEncounterEnemyIds(sceneData.combat));
                 }
                 
                 EventBus.emit('system.combat.start', { combatConfig: sceneData.combat });
@@ -156,22 +166,7 @@ export class SceneSystem {
     }
 
     findBestOutcomeTier(outcomes, tier) {
-        if (!outcomes || typeof outcomes !== 'object') return 'failure';
-
-        const tierFallbacks = {
-            critical: ['critical', 'success'],
-            success: ['success', 'partial', 'critical'],
-            partial: ['partial', 'failure', 'success'],
-            failure: ['failure', 'partial']
-        };
-
-        const fallbacks = tierFallbacks[tier] || ['success'];
-        for (const t of fallbacks) {
-            if (outcomes[t]) return t;
-        }
-
-        const keys = Object.keys(outcomes);
-        return keys.length > 0 ? keys[0] : 'failure';
+        return findBestOutcomeTier(outcomes, tier);
     }
 
     resolveChoice(choice, tier) {
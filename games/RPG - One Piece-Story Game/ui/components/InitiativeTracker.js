@@ -179,7 +179,7 @@ export class InitiativeTracker extends Phaser.GameObjects.Container {
         }
 
         const isEnemy = currentCombatant.type === 'enemy';
-        const firstName = currentCombatant.name.split(' ')[0];
+        const firstName = this.getDisplayName(currentCombatant);
 
         // Update header to show current combatant
         this.titleText.setText(`${firstName}'s turn`);
@@ -255,6 +255,7 @@ export class InitiativeTracker extends Phaser.GameObjects.Container {
                     // Scale portrait
                     const scale = portraitSize / Math.max(portrait.width, portrait.height);
                     portrait.setScale(scale);
+                    if (combatant.defeated) portrait.setAlpha(0.4);
 
                     this.entryContainer.add(portrait);
                     placeholder.destroy();
@@ -272,13 +273,19 @@ export class InitiativeTracker extends Phaser.GameObjects.Container {
             // Combatant name
             const nameColor = isCurrent ? this.theme.currentName
                 : (isEnemy ? this.theme.enemyName : this.theme.partyName);
-            const name = createText(this.scene, 45, y + 6, combatant.name.split(' ')[0], {
+            const name = createText(this.scene, 45, y + 6, this.getDisplayName(combatant), {
                 fontSize: this.theme.fontSize,
                 fontFamily: this.theme.bodyFont,
                 color: nameColor
             });
             this.entryContainer.add(name);
 
+            // Fallen enemies keep their slot but fade out
+            if (combatant.defeated) {
+                name.setAlpha(0.4);
+                placeholder.setAlpha(0.4);
+            }
+
             this.entries.push({ bg: entryBg, indicator, name });
             y += entryHeight;
         });
@@ -296,6 +303,15 @@ export class InitiativeTracker extends Phaser.GameObjects.Container {
         this.entryContainer.setVisible(true);
     }
 
+    /**
+     * Short name for an entry; repeated enemies keep their letter ("Ghoul B")
+     * @param {Object} combatant - Initiative entry
+     */
+    getDisplayName(combatant) {
+        const firstName = combatant.name.split(' ')[0];
+        return combatant.suffix ? `${firstName} ${combatant.suffix}` : firstName;
+    }
+
     hide() {
         this.setVisible(false);
     }
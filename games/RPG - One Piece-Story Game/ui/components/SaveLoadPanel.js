@@ -0,0 +1,146 @@
+import Phaser from 'phaser';
+import { createCenteredText, TEXT_STYLES } from '../../utils/TextUtils.js';
+import { UI_COLORS } from '../styles/UIColors.js';
+import { ChoiceButton } from './ChoiceButton.js';
+import { manifest } from '../../manifest.js';
+
+const PANEL_WIDTH = 460;
+const ROW_HEIGHT = 60;
+const ROW_SPACING = 10;
+const SAVE_BUTTON_WIDTH = 90;
+
+/**
+ * SaveLoadPanel - Load screen on startup and in-game save/load menu (ESC)
+ *
+ * Modes:
+ * - 'start': loadable slots plus New Game, shown before the first scene
+ * - 'menu':  every slot with Load and Save buttons, plus Close
+ */
+export class SaveLoadPanel extends Phaser.GameObjects.Container {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {SaveSlots} saveSlots
+     * @param {Object} handlers - { onLoad(slotId), onNewGame() }
+     */
+    constructor(scene, saveSlots, handlers = {}) {
+        super(scene, 0, 0);
+
+        this.saveSlots = saveSlots;
+        this.handlers = handlers;
+        this.mode = null;
+
+        this.setDepth(900);
+        this.setVisible(false);
+        scene.add.existing(this);
+    }
+
+    get isOpen() {
+        return this.visible;
+    }
+
+    /**
+     * @param {'start'|'menu'} mode
+     */
+    show(mode = 'menu') {
+        this.mode = mode;
+        this.build();
+        this.setVisible(true);
+    }
+
+    hide() {
+        this.setVisible(false);
+        this.removeAll(true);
+    }
+
+    build() {
+        this.removeAll(true);
+
+        const { width, height } = this.scene.scale;
+        const labels = manifest.ui?.labels || {};
+        const colors = manifest.ui?.colors || {};
+        const slots = this.saveSlots.list();
+        const inCombat = !!this.scene.gameState?.combat;
+
+        const rows = this.mode === 'start'
+            ? slots.filter(slot => !slot.empty)
+            : slots;
+        const rowCount = rows.length + 1;
+        const panelHeight = 90 + rowCount * (ROW_HEIGHT + ROW_SPACING);
+        const panelX = width / 2 - PANEL_WIDTH / 2;
+        const panelY = Math.max(20, height / 2 - panelHeight / 2);
+
+        const overlay = this.scene.add.graphics();
+        overlay.fillStyle(colors.overlay?.dark ?? 0x000000, 0.75);
+        overlay.fillRect(0, 0, width, height);
+        // Swallow clicks so nothing underneath reacts while the panel is open
+        overlay.setInteractive(new Phaser.Geom.Rectangle(0, 0, width, height), Phaser.Geom.Rectangle.Contains);
+        this.add(overlay);
+
+        const bg = this.scene.add.graphics();
+        bg.fillStyle(UI_COLORS.dialogBg, 0.98);
+        bg.fillRoundedRect(panelX, panelY, PANEL_WIDTH, panelHeight, 12);
+        bg.lineStyle(2, UI_COLORS.dialogBorder);
+        bg.strokeRoundedRect(panelX, panelY, PANEL_WIDTH, panelHeight, 12);
+        this.add(bg);
+
+        const title = this.mode === 'start'
+            ? manifest.title
+            : (labels.saveMenuTitle || 'Save / Load');
+        this.add(createCenteredText(this.scene, width / 2, panelY + 35, title, {
+            ...TEXT_STYLES.speaker,
+            wordWrap: { width: PANEL_WIDTH - 40 }
+        }));
+
+        let y = panelY + 70;
+        const rowX = panelX + 20;
+        const rowWidth = PANEL_WIDTH - 40;
+
+        rows.forEach(slot => {
+            const canSave = this.mode === 'menu' && slot.slotId !== 'autosave';
+            const loadWidth = canSave ? rowWidth - SAVE_BUTTON_WIDTH - ROW_SPACING : rowWidth;
+
+            const loadButton = new ChoiceButton(this.scene, rowX, y, loadWidth, ROW_HEIGHT, this.describeSlot(slot, labels), () => {
+                if (slot.empty || !slot.compatible) return;
+                this.handlers.onLoad?.(slot.slotId);
+            });
+            if (slot.empty || !slot.compatible) loadButton.setAlpha(0.5);
+            this.add(loadButton);
+
+            if (canSave) {
+                // Mid-combat state isn't saved; the autosave from the scene start covers it
+                const saveButton = new ChoiceButton(this.scene, rowX + loadWidth + ROW_SPACING, y, SAVE_BUTTON_WIDTH, ROW_HEIGHT, labels.saveButton || 'Save', () => {
+                    if (inCombat) return;
+                    if (this.saveSlots.save(slot.slotId)) this.build();
+                });
+                if (inCombat) saveButton.setAlpha(0.5);
+                this.add(saveButton);
+            }
+
+            y += ROW_HEIGHT + ROW_SPACING;
+        });
+
+        const footerLabel = this.mode === 'start'
+            ? (labels.newGame || 'New Game')
+            : (labels.closeMenu || 'Close');
+        this.add(new ChoiceButton(this.scene, rowX, y, rowWidth, ROW_HEIGHT, footerLabel, () => {
+            if (this.mode === 'start') {
+                this.hide();
+                this.handlers.onNewGame?.();
+            } else {
+                this.hide();
+            }
+        }));
+    }
+
+    describeSlot(slot, labels) {
+        const name = slot.slotId === 'autosave'
+            ? (labels.autosaveSlot || 'Autosave')
+            : `${labels.saveSlot || 'Slot'} ${slot.slotId.replace('slot', '')}`;
+
+        if (slot.empty) return `${name} — ${labels.emptySlot || 'Empty'}`;
+        if (!slot.compatible) return `${name} — ${labels.incompatibleSlot || 'Incompatible save'}`;
+
+        const when = new Date(slot.savedAt).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+        return `${name} — ${slot.sceneTitle}\n${when}`;
+    }
+}
@@ -21,3 +21,4 @@ export { CharacterSelectPanel } from './components/CharacterSelectPanel.js';
 export { AbilityPanel } from './components/AbilityPanel.js';
 export { InitiativeTracker } from './components/InitiativeTracker.js';
 export { CombatErrorDialog } from './components/CombatErrorDialog.js';
+export { SaveLoadPanel } from './components/SaveLoadPanel.js';
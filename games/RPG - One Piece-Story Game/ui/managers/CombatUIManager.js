@@ -24,6 +24,7 @@ export class CombatUIManager {
         // Target
         EventBus.on(COMBAT_EVENTS.TARGET.ENEMY_TARGETING, this.handleEnemyTargeting, this);
         EventBus.on(COMBAT_EVENTS.TARGET.TARGET_CLEARED, this.handleTargetCleared, this);
+        EventBus.on(COMBAT_EVENTS.TARGET.ENEMY_SELECT_REQUESTED, this.handleEnemySelectRequested, this);
 
         // Enemy
         EventBus.on(COMBAT_EVENTS.ENEMY.SPAWNED, this.handleEnemySpawned, this);
@@ -49,6 +50,7 @@ export class CombatUIManager {
         EventBus.off(COMBAT_EVENTS.HEALTH.HEAL_RECEIVED, this.handleHealReceived, this);
         EventBus.off(COMBAT_EVENTS.TARGET.ENEMY_TARGETING, this.handleEnemyTargeting, this);
         EventBus.off(COMBAT_EVENTS.TARGET.TARGET_CLEARED, this.handleTargetCleared, this);
+        EventBus.off(COMBAT_EVENTS.TARGET.ENEMY_SELECT_REQUESTED, this.handleEnemySelectRequested, this);
         EventBus.off(COMBAT_EVENTS.ENEMY.STATUS_UPDATED, this.handleEnemyStatusUpdated, this);
         EventBus.off(COMBAT_EVENTS.ENEMY.DAMAGE_FLASH, this.handleEnemyDamageFlash, this);
         EventBus.off(COMBAT_EVENTS.DICE.ROLL_REQUESTED, this.handleDiceRollRequested, this);
@@ -63,11 +65,11 @@ export class CombatUIManager {
 
     handleTurnChanged({ order, currentIndex }) {
         this.scene.initiativeTracker?.update(order, currentIndex);
-        // Highlight enemy display when it's their turn
+        // Highlight the acting enemy's row when it's their turn
         if (order && order[currentIndex]) {
             const current = order[currentIndex];
             if (current.type === 'enemy') {
-                this.scene.enemyDisplay?.highlight(true);
+                this.scene.enemyDisplay?.highlight(true, current.id);
             } else {
                 this.scene.enemyDisplay?.highlight(false);
             }
@@ -100,19 +102,42 @@ export class CombatUIManager {
         // Spotlight removed - could add visual indicator in future
     }
 
-    handleEnemySpawned({ enemy, name }) {
-        if (this.scene.enemyDisplay) {
-            this.scene.enemyDisplay.setEnemy(enemy, name);
-            this.scene.enemyDisplay.setVisible(true);
+    handleEnemySelectRequested({ enemies, onSelect }) {
+        const choices = enemies.map(enemy => ({
+            id: enemy.key,
+            label: `${enemy.shortName} (${enemy.currentHealth}/${enemy.maxHealth})`,
+            enemy
+        }));
+
+        this.scene.abilityPanel.hide();
+        this.scene.choicePanel.showChoices(choices, (choice) => {
+            this.scene.choicePanel.hide();
+            onSelect(choice.enemy);
+        });
+        this.scene.choicePanel.show();
+    }
+
+    handleEnemySpawned({ enemy, name, enemies }) {
+        const display = this.scene.enemyDisplay;
+        if (!display) return;
+
+        if (enemies?.length) {
+            display.setEnemies(enemies);
+        } else {
+            display.setEnemy(enemy, name);
         }
+        display.setVisible(true);
+
+        // Keep the turn order below however many enemy rows there are
+        this.scene.initiativeTracker?.setY(display.y + display.getDisplayHeight());
     }
 
     handleEnemyStatusUpdated({ enemy }) {
         this.scene.enemyDisplay?.updateStatus(enemy);
     }
 
-    handleEnemyDamageFlash() {
-        this.scene.enemyDisplay?.flashDamage();
+    handleEnemyDamageFlash({ enemyKey } = {}) {
+        this.scene.enemyDisplay?.flashDamage(enemyKey);
     }
 
     handleDiceRollRequested(config) {
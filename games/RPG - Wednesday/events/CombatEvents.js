@@ -13,7 +13,8 @@ export const COMBAT_EVENTS = {
     },
     TARGET: {
         ENEMY_TARGETING: 'combat.target.enemy_targeting',
-        TARGET_CLEARED: 'combat.target.target_cleared'
+        TARGET_CLEARED: 'combat.target.target_cleared',
+        ENEMY_SELECT_REQUESTED: 'combat.target.enemy_select_requested'
     },
     ENEMY: {
         SPAWNED: 'combat.enemy.spawned',
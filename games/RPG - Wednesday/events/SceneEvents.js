@@ -18,3 +18,8 @@ export const CHOICE_EVENTS = {
     SHOW_OPTIONS: 'choice.show_options',
     SELECTED: 'choice.selected'
 };
+
+export const SAVE_EVENTS = {
+    SAVED: 'save.saved',
+    RESTORED: 'save.restored'
+};
@@ -10,6 +10,7 @@ export const manifest = {
   // GAME METADATA
   // ─────────────────────────────────────────────────────────────────────────────
   id: "wednesday",
+  version: 1,            // Bump when scenes or flags change incompatibly; old saves are rejected
   title: "Wednesday: Shadows of Nevermore",
   description: "A dark mystery adventure where Wednesday Addams and her unlikely allies must uncover the sinister secrets lurking within Nevermore Academy before an ancient evil awakens.",
   theme: "wednesday",
@@ -1,5 +1,6 @@
 import Phaser from 'phaser';
 import { getGameState } from '../state/GameState.js';
+import { SaveSlots } from '../state/SaveSlots.js';
 import {
     DialogueBox,
     ChoicePanel,
@@ -8,7 +9,8 @@ import {
     CharacterSelectPanel,
     AbilityPanel,
     CombatErrorDialog,
-    InitiativeTracker
+    InitiativeTracker,
+    SaveLoadPanel
 } from '../ui/index.js';
 import { DebugPanel } from '../ui/panels/DebugPanel.js';
 import ChatManager, { CHARACTER_PROMPTS } from '../services/AIService.js';
@@ -17,7 +19,8 @@ import { CombatManager } from '../systems/combat/CombatManager.js';
 import { CombatView } from '../systems/combat/CombatView.js';
 import { SceneSystem } from '../systems/flow/SceneSystem.js';
 import { EventBus } from '../events/EventBus.js';
-import { SCENE_EVENTS } from '../events/SceneEvents.js';
+import { SCENE_EVENTS, SAVE_EVENTS } from '../events/SceneEvents.js';
+import { COMBAT_EVENTS } from '../events/CombatEvents.js';
 import { MOBILE_BREAKPOINT } from '../utils/TextUtils.js';
 import { getSoundEffects } from '../audio/SoundEffects.js';
 import { CombatAudioManager } from '../audio/CombatAudioManager.js';
@@ -39,6 +42,7 @@ export class AdventureScene extends Phaser.Scene {
 
         // Initialize state and load first scene
         await this.gameState.init();
+        this.saveSlots = new SaveSlots(this.gameState);
 
         // Set document title from manifest (content-agnostic theming)
         document.title = manifest.documentTitle || manifest.title;
@@ -68,7 +72,7 @@ export class AdventureScene extends Phaser.Scene {
         this.createUI();
 
         // Initialize Logic Systems
-        this.sceneSystem = new SceneSystem(this.gameState);
+        this.sceneSystem = new SceneSystem(this.gameState, this.saveSlots);
         this.combatManager = new CombatManager(this, this.gameState, this.chatManager);
         this.combatView = new CombatView(this, this.characterLayer);
 
@@ -85,7 +89,37 @@ export class AdventureScene extends Phaser.Scene {
             this.combatManager.startCombat(combatConfig);
         });
 
-        // Load starting scene via EventBus
+        // Offer the load screen when there is something to continue,
+        // otherwise go straight to the starting scene
+        if (this.saveSlots.hasAny()) {
+            this.saveLoadPanel.show('start');
+        } else {
+            EventBus.emit(SCENE_EVENTS.LOAD_REQUESTED, { sceneId: this.gameState.currentScene });
+        }
+    }
+
+    /**
+     * Restore a save slot and resume at its scene
+     * @param {string} slotId
+     */
+    loadSaveSlot(slotId) {
+        if (this.gameState.combat) {
+            this.gameState.endCombat();
+            EventBus.emit('system.combat.end');
+        }
+
+        if (!this.saveSlots.load(slotId)) return;
+
+        this.saveLoadPanel.hide();
+        this.choicePanel.hide();
+        EventBus.emit(COMBAT_EVENTS.HEALTH.PARTY_UPDATED, { party: this.gameState.party });
+
+        EventBus.emit(SAVE_EVENTS.RESTORED, { slotId });
+        EventBus.emit(SCENE_EVENTS.LOAD_REQUESTED, { sceneId: this.gameState.currentScene });
+    }
+
+    startNewGame() {
+        this.gameState.reset();
         EventBus.emit(SCENE_EVENTS.LOAD_REQUESTED, { sceneId: this.gameState.currentScene });
     }
 
@@ -165,6 +199,22 @@ export class AdventureScene extends Phaser.Scene {
 
         // Debug panel (press F1 to toggle)
         this.debugPanel = new DebugPanel(this, this.gameState);
+
+        // Save/load: load screen on startup, in-game menu on ESC
+        this.saveLoadPanel = new SaveLoadPanel(this, this.saveSlots, {
+            onLoad: slotId => this.loadSaveSlot(slotId),
+            onNewGame: () => this.startNewGame()
+        });
+
+        this.input.keyboard.on('keydown-ESC', () => {
+            if (this.saveLoadPanel.mode === 'start' && this.saveLoadPanel.isOpen) return;
+
+            if (this.saveLoadPanel.isOpen) {
+                this.saveLoadPanel.hide();
+            } else {
+                this.saveLoadPanel.show('menu');
+            }
+        });
     }
 
     /**
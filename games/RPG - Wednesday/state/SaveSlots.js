@@ -0,0 +1,122 @@
+/**
+ * SaveSlots - Named save slots plus an autosave, persisted in localStorage
+ *
+ * All slots for one adventure live under a single key derived from the
+ * manifest id, so two games built on this engine never overwrite each other.
+ * Each slot holds the output of GameState.serialize().
+ */
+
+export const SAVE_SLOT_IDS = ['autosave', 'slot1', 'slot2', 'slot3'];
+export const AUTOSAVE_SLOT = 'autosave';
+
+export class SaveSlots {
+    /**
+     * @param {GameState} gameState
+     */
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.storageKey = `rpg_save_${gameState.manifest.id}`;
+    }
+
+    /**
+     * Read every slot from storage
+     * @returns {Object} slotId -> save data
+     */
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.error('[SaveSlots] Failed to read saves:', e);
+            return {};
+        }
+    }
+
+    writeAll(slots) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(slots));
+            return true;
+        } catch (e) {
+            console.error('[SaveSlots] Failed to write saves:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Summaries for the load screen, in display order.
+     * Saves from another manifest version are listed but flagged as unusable.
+     * @returns {Array<{slotId: string, empty: boolean, compatible: boolean, sceneTitle: string, savedAt: number}>}
+     */
+    list() {
+        const slots = this.readAll();
+
+        return SAVE_SLOT_IDS.map(slotId => {
+            const save = slots[slotId];
+            if (!save) return { slotId, empty: true };
+
+            const problem = this.gameState.getSaveIncompatibility(save);
+            const scene = this.gameState.manifest.scenes?.[save.currentScene];
+
+            return {
+                slotId,
+                empty: false,
+                compatible: !problem,
+                problem,
+                sceneTitle: scene?.title || save.currentScene,
+                savedAt: save.savedAt
+            };
+        });
+    }
+
+    /**
+     * @returns {boolean} True if at least one slot can be loaded
+     */
+    hasAny() {
+        return this.list().some(slot => !slot.empty && slot.compatible);
+    }
+
+    /**
+     * Save the current game state into a slot
+     * @param {string} slotId
+     * @returns {boolean}
+     */
+    save(slotId) {
+        if (!SAVE_SLOT_IDS.includes(slotId)) {
+            console.error(`[SaveSlots] Unknown slot: ${slotId}`);
+            return false;
+        }
+
+        const slots = this.readAll();
+        slots[slotId] = this.gameState.serialize();
+        return this.writeAll(slots);
+    }
+
+    /**
+     * Restore the game state from a slot
+     * @param {string} slotId
+     * @returns {boolean} False if the slot is empty or incompatible
+     */
+    load(slotId) {
+        const save = this.readAll()[slotId];
+        if (!save) {
+            console.error(`[SaveSlots] Slot is empty: ${slotId}`);
+            return false;
+        }
+        return this.gameState.deserialize(save);
+    }
+
+    /**
+     * @param {string} slotId
+     */
+    remove(slotId) {
+        const slots = this.readAll();
+        delete slots[slotId];
+        this.writeAll(slots);
+    }
+
+    /**
+     * Overwrite the autosave slot (called on every scene transition)
+     */
+    autosave() {
+        return this.save(AUTOSAVE_SLOT);
+    }
+}
@@ -9,7 +9,7 @@
  * Includes retry logic with exponential backoff.
  */
 
-import { AI_CONFIG } from '../../constants/GameConstants.js';
+import { AI_CONFIG, CHARACTER_STATUS } from '../../constants/GameConstants.js';
 import { getEnemyAttackNarration, getPlayerActionNarration } from './narration/FallbackNarration.js';
 import { manifest } from '../../manifest.js';
 
@@ -87,6 +87,12 @@ export class CombatAI {
             .map(p => `- ${p.name}: ${p.currentHealth}/${p.maxHealth} HP (${p.status})`)
             .join('\n');
 
+        // Other enemies still fighting alongside this one
+        const allies = (combatState.enemies || [])
+            .filter(e => e !== combatState.enemy && e.status !== CHARACTER_STATUS.DEFEATED)
+            .map(e => `- ${e.shortName}: ${e.currentHealth}/${e.maxHealth} HP (${e.status})`)
+            .join('\n');
+
         // Build combat log
         const recentLog = combatState.combatLog
             .slice(-3)
@@ -99,7 +105,7 @@ Personality: ${enemyData.personality}
 CURRENT STATE:
 Enemy HP: ${combatState.enemy.currentHealth}/${combatState.enemy.maxHealth} (${combatState.enemy.status})
 Round: ${combatState.round}
-
+${allies ? `\nALLIES:\n${allies}\n` : ''}
 PARTY STATUS:
 ${partyStatus}
 
@@ -158,6 +164,30 @@ Choose ONE action. Respond with ONLY a JSON object (no explanation):
         };
     }
 
+    /**
+     * Choose which enemy takes an enemy turn in a multi-enemy encounter.
+     * The enemy whose initiative slot it is acts when it can; if it has
+     * fallen or already acted, a standing ally steps in - the one that can
+     * hit hardest right now, so minions cover for a downed leader.
+     * @param {string} slotKey - Enemy key owning the current initiative slot
+     * @param {Array} candidates - { state, data } for enemies able to act this turn
+     * @returns {{ state: Object, data: Object }|null} Acting enemy, or null if none can act
+     */
+    chooseActingEnemy(slotKey, candidates) {
+        if (!candidates || candidates.length === 0) return null;
+
+        const owner = candidates.find(c => c.state.key === slotKey);
+        if (owner) return owner;
+
+        const strongestAttack = ({ state, data }) => (data.attacks || [])
+            .filter(a => !a.cooldown || !state.cooldowns?.[a.id])
+            .reduce((max, a) => Math.max(max, a.damage || 0), 0);
+
+        return candidates.reduce((best, c) =>
+            strongestAttack(c) > strongestAttack(best) ? c : best
+        );
+    }
+
     // ========================================
     // Narration Generation
     // ========================================
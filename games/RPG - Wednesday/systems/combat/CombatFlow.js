@@ -12,7 +12,7 @@
 
 import { EventBus } from '../../events/EventBus.js';
 import { COMBAT_EVENTS } from '../../events/CombatEvents.js';
-import { COMBATANT_TYPES } from '../../constants/GameConstants.js';
+import { COMBATANT_TYPES, CHARACTER_STATUS } from '../../constants/GameConstants.js';
 import { rollInitiative, sortByInitiative } from '../rules/CombatRules.js';
 
 /**
@@ -25,6 +25,7 @@ export const COMBAT_PHASES = {
     ENEMY_RESOLUTION: 'enemy_resolution',
     PLAYER_CHAR_SELECT: 'player_char_select',
     PLAYER_ABILITY_SELECT: 'player_ability_select',
+    PLAYER_TARGET_SELECT: 'player_target_select',
     PLAYER_ROLLING: 'player_rolling',
     PLAYER_RESOLUTION: 'player_resolution',
     ROUND_END: 'round_end',
@@ -68,10 +69,10 @@ export class CombatFlow {
     /**
      * Roll initiative for all combatants
      * @param {Array} party - Active party members
-     * @param {Object} enemyData - Enemy data object
+     * @param {Array} enemies - Encounter enemies as { state, data } pairs
      * @returns {Array} Sorted initiative order
      */
-    rollAllInitiative(party, enemyData) {
+    rollAllInitiative(party, enemies) {
         this.initiativeOrder = [];
 
         // Roll for each active party member
@@ -90,19 +91,22 @@ export class CombatFlow {
             });
         }
 
-        // Roll for enemy
-        const enemyCunning = enemyData.stats?.cunning || 0;
-        const enemyResult = rollInitiative(enemyCunning);
-
-        this.initiativeOrder.push({
-            id: COMBATANT_TYPES.ENEMY,
-            name: enemyData.shortName,
-            type: COMBATANT_TYPES.ENEMY,
-            images: enemyData.images, // Pass images to tracker
-            initiative: enemyResult.total,
-            rolled: enemyResult.roll,
-            bonus: enemyResult.bonus
-        });
+        // Roll for each enemy - every enemy gets its own slot in the order
+        for (const { state, data } of enemies) {
+            const enemyCunning = data.stats?.cunning || 0;
+            const enemyResult = rollInitiative(enemyCunning);
+
+            this.initiativeOrder.push({
+                id: state.key,
+                name: state.shortName,
+                suffix: state.suffix,
+                type: COMBATANT_TYPES.ENEMY,
+                images: state.images, // Pass images to tracker
+                initiative: enemyResult.total,
+                rolled: enemyResult.roll,
+                bonus: enemyResult.bonus
+            });
+        }
 
         // Sort by initiative
         this.initiativeOrder = sortByInitiative(this.initiativeOrder);
@@ -128,6 +132,17 @@ export class CombatFlow {
             .join('\n');
     }
 
+    /**
+     * Flag initiative entries whose enemy has been defeated (tracker dims them)
+     */
+    syncDefeated() {
+        for (const entry of this.initiativeOrder) {
+            if (entry.type !== COMBATANT_TYPES.ENEMY) continue;
+            const enemy = this.gameState.combat?.enemies?.find(e => e.key === entry.id);
+            entry.defeated = enemy?.status === CHARACTER_STATUS.DEFEATED;
+        }
+    }
+
     /**
      * Emit initiative rolled event
      */
@@ -164,6 +179,7 @@ export class CombatFlow {
      */
     advanceTurn() {
         this.currentTurnIndex++;
+        this.syncDefeated();
 
         EventBus.emit(COMBAT_EVENTS.INITIATIVE.TURN_CHANGED, {
             order: this.initiativeOrder,
@@ -196,6 +212,7 @@ export class CombatFlow {
 
         // Reset turn index
         this.currentTurnIndex = 0;
+        this.syncDefeated();
 
         EventBus.emit(COMBAT_EVENTS.INITIATIVE.TURN_CHANGED, {
             order: this.initiativeOrder,
@@ -207,7 +224,7 @@ export class CombatFlow {
 
     /**
      * Check victory condition
-     * @returns {boolean} True if enemy is defeated
+     * @returns {boolean} True if every enemy is defeated
      */
     checkVictory() {
         return this.gameState.isEnemyDefeated();
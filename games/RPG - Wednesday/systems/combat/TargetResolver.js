@@ -1,7 +1,10 @@
 import { CHARACTER_STATUS } from '../../constants/GameConstants.js';
 
+// Player ability target types that hit every standing enemy
+const ALL_ENEMY_TARGET_TYPES = ['enemy_all', 'area'];
+
 /**
- * TargetResolver - Resolves target strings to party members
+ * TargetResolver - Resolves target strings to party members or enemies
  *
  * Handles various targeting modes: direct ID, lowest/highest health,
  * threat-based, AOE (all), and random.
@@ -48,6 +51,62 @@ export class TargetResolver {
         }
     }
 
+    /**
+     * Resolve target string to enemy (or enemies) for player abilities
+     * @param {string} targetStr - Enemy key/id, targeting mode, or ability targetType
+     * @param {Array} livingEnemies - Enemies that are still standing
+     * @returns {Object|Object[]|null} Single enemy, array for all-enemies, or null
+     */
+    resolveEnemy(targetStr, livingEnemies) {
+        if (!livingEnemies || livingEnemies.length === 0) return null;
+
+        // Direct enemy key ('enemy_1') or enemy id ('the_hyde')
+        const direct = livingEnemies.find(e => e.key === targetStr || e.id === targetStr);
+        if (direct) return direct;
+
+        if (ALL_ENEMY_TARGET_TYPES.includes(targetStr)) {
+            return livingEnemies;
+        }
+
+        switch (targetStr) {
+            case 'all':
+            case 'aoe':
+                return livingEnemies;
+
+            case 'lowest_health':
+                return this.getLowestHealth(livingEnemies);
+
+            case 'highest_health':
+                return this.getHighestHealth(livingEnemies);
+
+            case 'random':
+                return this.getRandom(livingEnemies);
+
+            default:
+                // Single-enemy target with no choice made - first standing enemy
+                return livingEnemies[0];
+        }
+    }
+
+    /**
+     * Check if an ability target type hits every enemy
+     * @param {string} targetType - Ability targetType
+     */
+    hitsAllEnemies(targetType) {
+        return ALL_ENEMY_TARGET_TYPES.includes(targetType);
+    }
+
+    /**
+     * Check if the player has to pick which enemy an ability hits
+     * @param {Object} ability - Selected ability
+     * @param {Array} livingEnemies - Enemies that are still standing
+     */
+    needsEnemyChoice(ability, livingEnemies) {
+        if (!livingEnemies || livingEnemies.length < 2) return false;
+        if (this.hitsAllEnemies(ability.targetType)) return false;
+        return !!ability.damage || ability.targetType === 'enemy';
+    }
+
     /**
      * Get party member with lowest current health
      */
@@ -23,14 +23,15 @@ export class EffectManager {
     }
 
     /**
-     * Apply effect to enemy
+     * Apply effect to an enemy
      * @param {Object} combat - Combat state object
      * @param {Object} effect - Effect to apply
+     * @param {Object} [enemy] - Enemy state, defaults to the focused enemy
      */
-    applyToEnemy(combat, effect) {
-        if (!combat?.enemy) return;
+    applyToEnemy(combat, effect, enemy = combat?.enemy) {
+        if (!enemy) return;
 
-        combat.enemy.activeEffects.push({
+        enemy.activeEffects.push({
             ...effect,
             turnsRemaining: effect.duration || 1
         });
@@ -65,10 +66,13 @@ export class EffectManager {
                     .filter(e => e.turnsRemaining > 0);
         }
 
+        const enemies = combat.enemies || (combat.enemy ? [combat.enemy] : []);
+
         // Tick enemy effects
-        if (combat.enemy?.activeEffects) {
-            combat.enemy.activeEffects =
-                combat.enemy.activeEffects
+        for (const enemy of enemies) {
+            if (!enemy.activeEffects) continue;
+            enemy.activeEffects =
+                enemy.activeEffects
                     .map(e => ({ ...e, turnsRemaining: e.turnsRemaining - 1 }))
                     .filter(e => e.turnsRemaining > 0);
         }
@@ -80,10 +84,11 @@ export class EffectManager {
                 .filter(e => e.turnsRemaining > 0);
 
         // Tick enemy cooldowns
-        if (combat.enemy?.cooldowns) {
-            for (const attackId of Object.keys(combat.enemy.cooldowns)) {
-                if (combat.enemy.cooldowns[attackId] > 0) {
-                    combat.enemy.cooldowns[attackId]--;
+        for (const enemy of enemies) {
+            if (!enemy.cooldowns) continue;
+            for (const attackId of Object.keys(enemy.cooldowns)) {
+                if (enemy.cooldowns[attackId] > 0) {
+                    enemy.cooldowns[attackId]--;
                 }
             }
         }
@@ -135,13 +140,14 @@ export class EffectManager {
     }
 
     /**
-     * Check if enemy has a specific effect type
+     * Check if an enemy has a specific effect type
      * @param {Object} combat - Combat state object
      * @param {string} effectType - Effect type to check
+     * @param {Object} [enemy] - Enemy state, defaults to the focused enemy
      * @returns {boolean}
      */
-    enemyHasEffect(combat, effectType) {
-        return combat?.enemy?.activeEffects?.some(e => e.type === effectType) || false;
+    enemyHasEffect(combat, effectType, enemy = combat?.enemy) {
+        return enemy?.activeEffects?.some(e => e.type === effectType) || false;
     }
 
     /**
@@ -157,18 +163,19 @@ export class EffectManager {
     }
 
     /**
-     * Consume mark on enemy (removes it and returns bonus damage)
+     * Consume mark on an enemy (removes it and returns bonus damage)
      * @param {Object} combat - Combat state object
+     * @param {Object} [enemy] - Enemy state, defaults to the focused enemy
      * @returns {number} Bonus damage from mark (0 if not marked)
      */
-    consumeEnemyMark(combat) {
-        if (!combat?.enemy?.activeEffects) return 0;
+    consumeEnemyMark(combat, enemy = combat?.enemy) {
+        if (!enemy?.activeEffects) return 0;
 
-        const markIndex = combat.enemy.activeEffects.findIndex(e => e.type === STATUS_EFFECTS.MARK);
+        const markIndex = enemy.activeEffects.findIndex(e => e.type === STATUS_EFFECTS.MARK);
         if (markIndex === -1) return 0;
 
-        const mark = combat.enemy.activeEffects[markIndex];
-        combat.enemy.activeEffects.splice(markIndex, 1);
+        const mark = enemy.activeEffects[markIndex];
+        enemy.activeEffects.splice(markIndex, 1);
         return mark.bonus || 1;
     }
 
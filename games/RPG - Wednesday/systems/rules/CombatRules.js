@@ -8,6 +8,7 @@
  * - Initiative rolls
  * - Break-free attempts
  * - Health status determination
+ * - Encounter enemy lists
  */
 
 import { COMBAT, DICE } from '../../constants/GameConstants.js';
@@ -143,3 +144,16 @@ export function shouldTriggerAbility(trigger, healthPercent, currentHealth) {
 
     return false;
 }
+
+/**
+ * Enemy ids for a combat scene: `enemies: [...]` for multi-enemy encounters
+ * (ids or { enemyId } objects), otherwise the single `enemyId`
+ * @param {Object} combatConfig - Scene combat configuration
+ * @returns {Array<string>} Enemy ids, lead enemy first
+ */
+export function getEncounterEnemyIds(combatConfig) {
+    if (Array.isArray(combatConfig?.enemies) && combatConfig.enemies.length > 0) {
+        return combatConfig.enemies.map(entry => typeof entry === 'string' ? entry : entry.enemyId);
+    }
+    return combatConfig?.enemyId ? [combatConfig.enemyId] : [];
+}
@@ -39,6 +39,39 @@ export function getOutcomeTier(total, difficulty = 'normal') {
     return 'failure';
 }
 
+/**
+ * Every tier a roll can produce, best first
+ */
+export const OUTCOME_TIERS = ['critical', 'success', 'partial', 'failure'];
+
+/**
+ * Outcome keys tried, in order, when a choice doesn't define the rolled tier
+ */
+export const OUTCOME_TIER_FALLBACKS = {
+    critical: ['critical', 'success'],
+    success: ['success', 'partial', 'critical'],
+    partial: ['partial', 'failure', 'success'],
+    failure: ['failure', 'partial']
+};
+
+/**
+ * Pick which of a choice's outcomes plays for a rolled tier
+ * @param {Object} outcomes - choice.outcomes keyed by tier
+ * @param {string} tier - Rolled tier
+ * @returns {string} Outcome key; the first defined key when no fallback matches
+ */
+export function findBestOutcomeTier(outcomes, tier) {
+    if (!outcomes || typeof outcomes !== 'object') return 'failure';
+
+    const fallbacks = OUTCOME_TIER_FALLBACKS[tier] || ['success'];
+    for (const t of fallbacks) {
+        if (outcomes[t]) return t;
+    }
+
+    const keys = Object.keys(outcomes);
+    return keys.length > 0 ? keys[0] : 'failure';
+}
+
 /**
  * Perform a complete roll with stat bonus
  * @param {number} statBonus - Bonus from character stat (0-3)
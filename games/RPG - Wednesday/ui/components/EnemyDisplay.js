@@ -2,10 +2,14 @@ import Phaser from 'phaser';
 import { createText } from '../../utils/TextUtils.js';
 import { manifest } from '../../manifest.js';
 
+// Vertical space taken by one enemy (icons, name, bar, HP text)
+const ROW_HEIGHT = 60;
+
 /**
- * EnemyDisplay - Shows enemy name and HP during combat
+ * EnemyDisplay - Shows enemy names and HP during combat
  *
- * Displays a health bar and HP text for the current enemy.
+ * Displays a health bar and HP text for every enemy in the encounter,
+ * one row per enemy. Single-enemy encounters render exactly one row.
  * All visual properties are themeable via manifest.ui
  */
 export class EnemyDisplay extends Phaser.GameObjects.Container {
@@ -15,35 +19,11 @@ export class EnemyDisplay extends Phaser.GameObjects.Container {
         this.enemyName = '';
         this.initialized = false;
         this.currentEnemyId = null;
+        this.rows = [];
 
         // Cache theme values for performance
         this.theme = this.getThemeValues();
 
-        // Enemy name
-        this.nameText = createText(scene, 0, 0, '', {
-            fontSize: this.theme.titleSize,
-            fontFamily: this.theme.fontFamily,
-            fontStyle: 'bold',
-            color: this.theme.enemyNameColor
-        });
-        this.add(this.nameText);
-
-        // Health bar graphics (created on first init)
-        this.barBg = null;
-        this.barFill = null;
-
-        // Status text (HP display)
-        this.statusText = createText(scene, 0, 38, '', {
-            fontSize: this.theme.bodySize,
-            fontFamily: this.theme.fontFamily,
-            color: this.theme.textPrimary
-        });
-        this.add(this.statusText);
-
-        // Status icons container
-        this.statusIcons = scene.add.container(0, -15);
-        this.add(this.statusIcons);
-
         scene.add.existing(this);
     }
 
@@ -79,37 +59,97 @@ export class EnemyDisplay extends Phaser.GameObjects.Container {
     }
 
     /**
-     * Initialize enemy display for combat
+     * Initialize enemy display for a single-enemy combat
      * @param {Object} enemyState - { currentHealth, maxHealth, status, images }
      * @param {string} displayName - Enemy display name
      */
     setEnemy(enemyState, displayName) {
-        this.initialized = true;
-        this.enemyName = displayName;
-        this.currentEnemyId = enemyState.id;
-        this.nameText.setText(displayName);
+        this.setEnemies([{ ...enemyState, shortName: displayName }]);
+    }
 
-        // Create health bar if it doesn't exist
-        if (!this.barBg) {
-            this.barBg = this.scene.add.graphics();
-            this.add(this.barBg);
+    /**
+     * Initialize enemy display for combat
+     * @param {Array} enemies - Enemy states from combat.enemies
+     */
+    setEnemies(enemies) {
+        this.clearRows();
+        this.initialized = true;
+        this.enemyName = enemies[0]?.shortName || '';
+        this.currentEnemyId = enemies[0]?.id || null;
 
-            this.barFill = this.scene.add.graphics();
-            this.add(this.barFill);
-        }
+        enemies.forEach((enemyState, index) => {
+            this.rows.push(this.createRow(enemyState, index * ROW_HEIGHT));
+        });
 
-        this.updateStatus(enemyState);
+        enemies.forEach(enemyState => this.updateStatus(enemyState));
         this.setVisible(true);
     }
 
+    /**
+     * Create the name / health bar / HP text block for one enemy
+     */
+    createRow(enemyState, y) {
+        const container = this.scene.add.container(0, y);
+        this.add(container);
+
+        // Enemy name
+        const nameText = createText(this.scene, 0, 0, enemyState.shortName, {
+            fontSize: this.theme.titleSize,
+            fontFamily: this.theme.fontFamily,
+            fontStyle: 'bold',
+            color: this.theme.enemyNameColor
+        });
+        container.add(nameText);
+
+        // Health bar graphics
+        const barBg = this.scene.add.graphics();
+        const barFill = this.scene.add.graphics();
+        container.add(barBg);
+        container.add(barFill);
+
+        // Status text (HP display)
+        const statusText = createText(this.scene, 0, 38, '', {
+            fontSize: this.theme.bodySize,
+            fontFamily: this.theme.fontFamily,
+            color: this.theme.textPrimary
+        });
+        container.add(statusText);
+
+        // Status icons container
+        const statusIcons = this.scene.add.container(0, -15);
+        container.add(statusIcons);
+
+        return { key: enemyState.key, container, nameText, barBg, barFill, statusText, statusIcons, highlightTween: null };
+    }
+
+    /**
+     * Find the row for an enemy; state without a key means the single enemy
+     */
+    getRow(keyOrState) {
+        const key = typeof keyOrState === 'string' ? keyOrState : keyOrState?.key;
+        if (!key) return this.rows[0];
+        return this.rows.find(row => row.key === key);
+    }
+
+    /**
+     * Total height of all rows, so widgets below can make room
+     * @returns {number}
+     */
+    getDisplayHeight() {
+        return Math.max(1, this.rows.length) * ROW_HEIGHT + 40;
+    }
+
     /**
      * Update enemy status display
-     * @param {Object} enemyState - { currentHealth, maxHealth, status }
+     * @param {Object} enemyState - { key, currentHealth, maxHealth, status }
      */
     updateStatus(enemyState) {
         if (!this.initialized || !enemyState) return;
         if (!enemyState.maxHealth || enemyState.maxHealth <= 0) return;
 
+        const row = this.getRow(enemyState);
+        if (!row) return;
+
         const healthPercent = Math.max(0, Math.min(1, enemyState.currentHealth / enemyState.maxHealth));
 
         // Determine health bar color based on thresholds
@@ -123,51 +163,53 @@ export class EnemyDisplay extends Phaser.GameObjects.Container {
         }
 
         // Draw health bar background
-        this.barBg.clear();
-        this.barBg.fillStyle(this.theme.healthBarBg, 1);
-        this.barBg.fillRoundedRect(0, this.theme.barYOffset, this.theme.barWidth, this.theme.barHeight, this.theme.barRadius);
+        row.barBg.clear();
+        row.barBg.fillStyle(this.theme.healthBarBg, 1);
+        row.barBg.fillRoundedRect(0, this.theme.barYOffset, this.theme.barWidth, this.theme.barHeight, this.theme.barRadius);
 
         // Draw health bar fill
-        this.barFill.clear();
-        this.barFill.fillStyle(color, 1);
-        this.barFill.fillRoundedRect(0, this.theme.barYOffset, this.theme.barWidth * healthPercent, this.theme.barHeight, this.theme.barRadius);
+        row.barFill.clear();
+        row.barFill.fillStyle(color, 1);
+        row.barFill.fillRoundedRect(0, this.theme.barYOffset, this.theme.barWidth * healthPercent, this.theme.barHeight, this.theme.barRadius);
 
         // Update status text
-        const statusText = enemyState.status === 'defeated'
+        const defeated = enemyState.status === 'defeated';
+        const statusText = defeated
             ? this.theme.defeatedLabel
             : `${enemyState.currentHealth}/${enemyState.maxHealth} ${this.theme.hpLabel}`;
-        this.statusText.setText(statusText);
+        row.statusText.setText(statusText);
+        row.container.setAlpha(defeated && this.rows.length > 1 ? 0.5 : 1);
 
-        this.updateStatusIcons(enemyState.activeEffects || []);
+        this.updateStatusIcons(row, enemyState.activeEffects || []);
     }
 
     /**
      * Update status icons based on active effects
      */
-    updateStatusIcons(effects) {
-        this.statusIcons.removeAll(true);
+    updateStatusIcons(row, effects) {
+        row.statusIcons.removeAll(true);
         
         let iconX = 0;
         const iconSpacing = 20;
 
         effects.forEach(effect => {
             if (effect.type === 'stun') {
-                this.createStatusIcon('👁️', 'Psychic Resonance', iconX);
+                this.createStatusIcon(row, '👁️', 'Psychic Resonance', iconX);
                 iconX += iconSpacing;
             } else if (effect.type === 'poison') {
-                this.createStatusIcon('🔥', 'Burning', iconX);
+                this.createStatusIcon(row, '🔥', 'Burning', iconX);
                 iconX += iconSpacing;
             } else if (effect.type === 'mark') {
-                this.createStatusIcon('🎯', 'Marked', iconX);
+                this.createStatusIcon(row, '🎯', 'Marked', iconX);
                 iconX += iconSpacing;
             } else if (effect.type === 'vulnerable') {
-                this.createStatusIcon('💔', 'Vulnerable', iconX);
+                this.createStatusIcon(row, '💔', 'Vulnerable', iconX);
                 iconX += iconSpacing;
             }
         });
     }
 
-    createStatusIcon(emoji, label, x) {
+    createStatusIcon(row, emoji, label, x) {
         const icon = createText(this.scene, x, 0, emoji, {
             fontSize: '14px',
             fontFamily: this.theme.fontFamily
@@ -185,15 +227,19 @@ export class EnemyDisplay extends Phaser.GameObjects.Container {
             });
         }
         
-        this.statusIcons.add(icon);
+        row.statusIcons.add(icon);
     }
 
     /**
-     * Flash effect when enemy takes damage
+     * Flash effect when an enemy takes damage
+     * @param {string} [key] - Enemy key, defaults to the first enemy
      */
-    flashDamage() {
+    flashDamage(key) {
+        const row = this.getRow(key);
+        if (!row) return;
+
         this.scene.tweens.add({
-            targets: this.nameText,
+            targets: row.nameText,
             alpha: 0.3,
             duration: this.theme.damageFlash,
             yoyo: true,
@@ -202,27 +248,40 @@ export class EnemyDisplay extends Phaser.GameObjects.Container {
     }
 
     /**
-     * Highlight the enemy display (e.g., during their turn)
+     * Highlight an enemy (e.g., during their turn); clears the others
      * @param {boolean} active - Whether to show or hide the highlight
+     * @param {string} [key] - Enemy key, defaults to the first enemy
      */
-    highlight(active) {
-        if (this.highlightTween) {
-            this.highlightTween.stop();
-            this.highlightTween = null;
-        }
+    highlight(active, key) {
+        const target = active ? this.getRow(key) : null;
 
-        if (active) {
-            // Pulse the name to indicate enemy's turn
-            this.highlightTween = this.scene.tweens.add({
-                targets: this.nameText,
-                alpha: 0.5,
-                duration: this.theme.highlightPulse,
-                yoyo: true,
-                repeat: -1
-            });
-        } else {
-            this.nameText.setAlpha(1);
-        }
+        this.rows.forEach(row => {
+            if (row.highlightTween) {
+                row.highlightTween.stop();
+                row.highlightTween = null;
+            }
+
+            if (row === target) {
+                // Pulse the name to indicate enemy's turn
+                row.highlightTween = this.scene.tweens.add({
+                    targets: row.nameText,
+                    alpha: 0.5,
+                    duration: this.theme.highlightPulse,
+                    yoyo: true,
+                    repeat: -1
+                });
+            } else {
+                row.nameText.setAlpha(1);
+            }
+        });
+    }
+
+    clearRows() {
+        this.rows.forEach(row => {
+            if (row.highlightTween) row.highlightTween.stop();
+            row.container.destroy();
+        });
+        this.rows = [];
     }
 
     /**
@@ -230,22 +289,10 @@ export class EnemyDisplay extends Phaser.GameObjects.Container {
      */
     clear() {
         this.enemyName = '';
-        this.nameText.setText('');
-        this.statusText.setText('');
         this.initialized = false;
         this.currentEnemyId = null;
 
-        // Stop any highlight animation
-        if (this.highlightTween) {
-            this.highlightTween.stop();
-            this.highlightTween = null;
-        }
-
-        if (this.barBg) {
-            this.barBg.clear();
-        }
-        if (this.barFill) {
-            this.barFill.clear();
-        }
+        // Stops any highlight animation
+        this.clearRows();
     }
 }
@@ -20,6 +20,28 @@ export default {
         "Spawn",     "Flying", "Decoy",  "Hopper", "Morph",  "Fast",   "Dark",   "FlyingBoss",
         "SpawnBoss", "Normal",
     ],
+    waveTypes : [
+        "Normal", "Inmune", "Group", "Fast", "Spawn", "Flying",
+        "Arrow",  "Dark",   "Decoy", "Hopper", "Morph",
+    ],
+
+    // The Endless Waves
+    endless : {
+        startTypes  : 3,    // Mob types available in the first waves
+        unlockEvery : 4,    // Waves between each new mob type
+        bossEvery   : 8,
+        lifeGrowth  : 1.15, // Instead of 1.2, so the waves last longer
+        goldStep    : 0.05, // Extra gold per mob for each wave
+    },
+
+    // The Modes
+    modes : {
+        endless     : "Endless",
+        noSelling   : "No Selling",
+        restricted  : "Restricted",
+        doubleSpeed : "Double Speed",
+    },
+    restrictedTowers : [ "Shoot", "Fast", "Missile", "AntiAir", "Frost" ],
 
 
     // Map Data
@@ -0,0 +1,79 @@
+// Utils
+import Storage      from "../../utils/Storage.js";
+
+
+
+/**
+ * Defender High Scores
+ */
+export default class HighScores {
+
+    /**
+     * Defender High Scores constructor
+     */
+    constructor() {
+        this.storage = new Storage("defender.scores");
+        this.maxSize = 5;
+
+        /** @type {HTMLElement} */
+        this.element = document.querySelector(".high-scores");
+    }
+
+
+
+    /**
+     * Returns the scores table for the given map and mode
+     * @param {String} gameMap
+     * @param {String} mode
+     * @returns {{score: Number, wave: Number, level: Number, time: Number}[]}
+     */
+    get(gameMap, mode) {
+        return this.storage.get(`${gameMap}.${mode}`) || [];
+    }
+
+    /**
+     * Saves the score in the table of the given map and mode.
+     * Returns the position in the table, or 0 if it didn't make it
+     * @param {String} gameMap
+     * @param {String} mode
+     * @param {{score: Number, wave: Number, level: Number}} data
+     * @returns {Number}
+     */
+    save(gameMap, mode, data) {
+        const list  = this.get(gameMap, mode);
+        const entry = Object.assign({ time : Date.now() }, data);
+
+        list.push(entry);
+        list.sort((a, b) => b.score - a.score || b.wave - a.wave);
+        list.splice(this.maxSize);
+
+        this.storage.set(`${gameMap}.${mode}`, list);
+        return list.indexOf(entry) + 1;
+    }
+
+    /**
+     * Shows the scores table for the given map and mode, marking the given position
+     * @param {String} gameMap
+     * @param {String} mode
+     * @param {String} title
+     * @param {Number} position
+     * @returns {Void}
+     */
+    display(gameMap, mode, title, position) {
+        const levels = [ "Easy", "Normal", "Hard" ];
+        const rows   = this.get(gameMap, mode).map((data, index) => `
+            <li class="${index + 1 === position ? "current" : ""}">
+                <span>${data.score}</span>
+                <span>Wave ${data.wave}</span>
+                <span>${levels[data.level] || ""}</span>
+            </li>
+        `);
+
+        // The title has the map name, which can come from a share link
+        this.element.innerHTML = `
+            <h3></h3>
+            <ol>${rows.join("")}</ol>
+        `;
+        this.element.querySelector("h3").textContent = title;
+    }
+}
@@ -1,7 +1,10 @@
 import Board        from "./Board.js";
 import Display      from "./Display.js";
+import HighScores   from "./HighScores.js";
+import Mode         from "./Mode.js";
 import Panel        from "./Panel.js";
 import Score        from "./Score.js";
+import Editor       from "./maps/Editor.js";
 import Maps         from "./maps/Maps.js";
 import Mobs         from "./mobs/Mobs.js";
 import Towers       from "./towers/Towers.js";
@@ -15,6 +18,9 @@ import Utils        from "../../utils/Utils.js";
 let display   = null;
 let score     = null;
 let maps      = null;
+let editor    = null;
+let mode      = null;
+let scores    = null;
 let board     = null;
 let panel     = null;
 let towers    = null;
@@ -38,7 +44,7 @@ let gameLevel = 0;
 function requestAnimation() {
     startTime = new Date().getTime();
     animation = window.requestAnimationFrame(() => {
-        const time  = new Date().getTime() - startTime;
+        const time  = (new Date().getTime() - startTime) * mode.speed;
         const speed = time / 16;
         const dec   = score.decTimer(time);
 
@@ -78,8 +84,17 @@ function destroyGame() {
 function showGameOver() {
     display.set("gameOver");
     destroyGame();
-    maps.saveScore(score.lives, score.total);
+
+    if (mode.isClassic) {
+        maps.saveScore(score.lives, score.total);
+    }
+    const position = scores.save(gameMap, mode.key, {
+        score : score.total,
+        wave  : mobs.waves.wave + 1,
+        level : Number(gameLevel),
+    });
     score.showFinal();
+    scores.display(gameMap, mode.key, `${maps.getName(gameMap)}: ${mode.name}`, position);
 }
 
 
@@ -97,9 +112,9 @@ function newGame(level) {
 
     score  = new Score(gameLevel, showGameOver);
     board  = new Board(gameMap);
-    panel  = new Panel();
-    mobs   = new Mobs(board, panel, score, sounds, gameLevel);
-    towers = new Towers(board, panel, score, mobs, sounds);
+    panel  = new Panel(mode);
+    mobs   = new Mobs(board, panel, score, sounds, gameLevel, mode);
+    towers = new Towers(board, panel, score, mobs, sounds, mode);
 }
 
 /**
@@ -124,7 +139,7 @@ function showMapSelection() {
  * @returns {Void}
  */
 function showLastMap() {
-    gameMap = maps.map || gameMap;
+    gameMap = maps.map ? maps.codeToMap(maps.map) : gameMap;
     newGame(maps.level || gameLevel);
 }
 
@@ -148,6 +163,57 @@ function showControls() {
 
 
 
+/**
+ * Opens the Map Editor with the given map, or a new one
+ * @param {String=} map
+ * @returns {Void}
+ */
+function showEditor(map) {
+    display.set("editor");
+    editor.open(map);
+}
+
+/**
+ * Leaves the Map Editor and goes back to the Maps selection
+ * @returns {Void}
+ */
+function exitEditor() {
+    editor.close();
+    showMapSelection();
+}
+
+/**
+ * Loads the shared map written in the Maps selection Screen
+ * @returns {Void}
+ */
+function loadMapCode() {
+    /** @type {HTMLInputElement} */
+    const input = document.querySelector(".map-code-input");
+    const map   = maps.importMap(input.value);
+
+    input.value       = "";
+    input.placeholder = map ? "Map loaded" : "Invalid map code";
+    maps.display();
+}
+
+/**
+ * Loads the map shared in the url, if any, and shows it with the other maps
+ * @returns {Void}
+ */
+function loadSharedMap() {
+    if (!window.location.hash.includes("map=")) {
+        return;
+    }
+    const map = maps.importMap(window.location.hash);
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+
+    if (map) {
+        showMapSelection();
+    }
+}
+
+
+
 /**
  * Start Playing
  * @returns {Void}
@@ -253,8 +319,20 @@ function createActions() {
         selectMap   : ()  => showMapSelection(),
         lastMap     : ()  => showLastMap(),
         controls    : ()  => showControls(),
+        loadMapCode : ()  => loadMapCode(),
+        editor      : (d) => showEditor(d),
+        editorExit  : ()  => exitEditor(),
+        editorTool  : (d) => editor.selectTool(d),
+        editorClear : ()  => editor.clear(),
+        editorSave  : ()  => editor.save(),
+        editorShare : ()  => editor.shareMap(),
+        editorDelete     : ()  => editor.remove(),
+        editorAddWave    : ()  => editor.addWave(),
+        editorRemoveWave : (d) => editor.removeWave(d),
+        editorResetWaves : ()  => editor.resetWaves(),
         selectLevel : (d) => showLevelSelection(d),
         newGame     : (d) => newGame(d),
+        toggleMode  : (d) => mode.toggle(d),
         pause       : ()  => pauseGame(),
         restart     : ()  => restartGame(),
         endGame     : ()  => endGame(),
@@ -322,6 +400,9 @@ function createShortcuts() {
         controls : {
             BackSpace : "mainScreen",
         },
+        editor : {
+            Escape    : "editorExit",
+        },
         gameOver : {
             N         : "mainScreen",
             BackSpace : "mainScreen",
@@ -349,6 +430,10 @@ function initDomListeners() {
     });
 
     document.addEventListener("keydown", (e) => {
+        // @ts-ignore
+        if (e.target.tagName === "INPUT" || e.target.tagName === "SELECT") {
+            return;
+        }
         const key    = e.keyCode;
         const number = KeyCode.keyToNumber(key);
         const hexa   = KeyCode.keyToHexa(key);
@@ -385,7 +470,12 @@ function main() {
 
     display = new Display();
     maps    = new Maps();
+    mode    = new Mode();
+    scores  = new HighScores();
+    editor  = new Editor(maps.custom);
     sounds  = new Sounds("defender.sound");
+
+    loadSharedMap();
 }
 
 // Load the game
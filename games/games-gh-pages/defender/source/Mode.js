@@ -0,0 +1,126 @@
+import Data         from "./Data.js";
+
+// Utils
+import Storage      from "../../utils/Storage.js";
+
+
+
+/**
+ * Defender Mode
+ */
+export default class Mode {
+
+    /**
+     * Defender Mode constructor
+     */
+    constructor() {
+        this.storage = new Storage("defender.mode");
+        this.options = {
+            endless     : this.storage.get("endless",     false),
+            noSelling   : this.storage.get("noSelling",   false),
+            restricted  : this.storage.get("restricted",  false),
+            doubleSpeed : this.storage.get("doubleSpeed", false),
+        };
+
+        /** @type {HTMLElement[]} */
+        this.buttons = Array.from(document.querySelectorAll(".mode-button"));
+
+        this.show();
+    }
+
+
+
+    /**
+     * Turns the given option on and off
+     * @param {String} name
+     * @returns {Void}
+     */
+    toggle(name) {
+        if (this.options[name] !== undefined) {
+            this.options[name] = !this.options[name];
+            this.storage.set(name, this.options[name]);
+            this.show();
+        }
+    }
+
+    /**
+     * Shows the state of each option in the level menu
+     * @returns {Void}
+     */
+    show() {
+        this.buttons.forEach((element) => {
+            const isOn = this.options[element.dataset.data];
+            element.innerHTML = `${Data.modes[element.dataset.data]}: ${isOn ? "On" : "Off"}`;
+            element.className = `mode-button ${isOn ? "nav-button" : "menu-button"}`;
+        });
+    }
+
+
+
+    /**
+     * Returns true if playing the endless waves
+     * @returns {Boolean}
+     */
+    get endless() {
+        return this.options.endless;
+    }
+
+    /**
+     * Returns true if the towers can't be sold after the game starts
+     * @returns {Boolean}
+     */
+    get noSelling() {
+        return this.options.noSelling;
+    }
+
+    /**
+     * Returns true if only some towers can be built
+     * @returns {Boolean}
+     */
+    get restricted() {
+        return this.options.restricted;
+    }
+
+    /**
+     * Returns the time multiplier
+     * @returns {Number}
+     */
+    get speed() {
+        return this.options.doubleSpeed ? 2 : 1;
+    }
+
+    /**
+     * Returns true if the given tower type can be built
+     * @param {String} type
+     * @returns {Boolean}
+     */
+    canBuild(type) {
+        return !this.restricted || Data.restrictedTowers.includes(type);
+    }
+
+    /**
+     * Returns true if there is no option turned on
+     * @returns {Boolean}
+     */
+    get isClassic() {
+        return !Object.keys(this.options).some((name) => this.options[name]);
+    }
+
+    /**
+     * Returns the key used to store the scores of this mode
+     * @returns {String}
+     */
+    get key() {
+        const names = Object.keys(this.options).filter((name) => this.options[name]);
+        return names.length ? names.join("-") : "classic";
+    }
+
+    /**
+     * Returns the name of the mode
+     * @returns {String}
+     */
+    get name() {
+        const names = Object.keys(this.options).filter((name) => this.options[name]);
+        return names.length ? names.map((name) => Data.modes[name]).join(", ") : "Classic";
+    }
+}
@@ -1,5 +1,6 @@
 import Tower        from "./tower/Tower.js";
 import Mob          from "./mob/Mob.js";
+import Mode         from "./Mode.js";
 
 
 
@@ -10,8 +11,10 @@ export default class Panel {
 
     /**
      * Defender Panel constructor
+     * @param {Mode} mode
      */
-    constructor() {
+    constructor(mode) {
+        this.mode       = mode;
         this.hasStarted = false;
         this.container  = document.querySelector(".info-panel");
         this.towerSel   = null;
@@ -111,6 +114,7 @@ export default class Panel {
                 canLock     : tower.canLock,
                 isLocked    : tower.isLocked,
                 canFire     : tower.canFire && this.hasStarted,
+                canSell     : !this.hasStarted || !this.mode.noSelling,
                 price       : tower.getPrice(this.hasStarted)
             })
         );
@@ -209,7 +213,7 @@ export default class Panel {
             <div class="${classes.join(" ")}">
                 <button class="upgrade-button menu-button" data-action="upgrade">Upgrade</button>
                 ${button}
-                <button class="menu-button" data-action="sell">Sell &#36;${data.price}</button>
+                ${data.canSell ? `<button class="menu-button" data-action="sell">Sell &#36;${data.price}</button>` : ""}
             </div>
         `;
     }
@@ -0,0 +1,274 @@
+import Data         from "../Data.js";
+
+// Utils
+import AStar        from "../../../utils/AStar.js";
+import Storage      from "../../../utils/Storage.js";
+
+// The version of the share codes
+const CODE_VERSION = "1";
+
+
+
+/**
+ * Defender Custom Maps
+ */
+export default class Custom {
+
+    /**
+     * Defender Custom Maps constructor
+     */
+    constructor() {
+        this.storage = new Storage("defender.custom");
+    }
+
+
+
+    /**
+     * Returns the ids of the saved maps
+     * @returns {String[]}
+     */
+    get ids() {
+        return this.storage.get("ids") || [];
+    }
+
+    /**
+     * Returns the saved map with the given id
+     * @param {String} id
+     * @returns {?{name: String, index: String, paths: Number, matrix: Number[][], waves: String[]}}
+     */
+    get(id) {
+        if (!this.ids.includes(id)) {
+            return null;
+        }
+        return this.storage.get(`map.${id}`);
+    }
+
+    /**
+     * Saves the given map and returns its id. Saves a new map when the id is not given
+     * @param {{name: String, matrix: Number[][], waves: String[]}} data
+     * @param {String=} id
+     * @returns {String}
+     */
+    save(data, id) {
+        const ids = this.ids;
+        let   mapId = id;
+        let   index;
+
+        if (mapId && ids.includes(mapId)) {
+            index = this.storage.get(`map.${mapId}`).index;
+        } else {
+            const count = this.storage.inc("count", 1);
+            mapId = `custom${count}`;
+            index = `#${count}`;
+            ids.push(mapId);
+            this.storage.set("ids", ids);
+        }
+
+        this.storage.set(`map.${mapId}`, {
+            name   : data.name,
+            index  : index,
+            paths  : this.getPathsAmount(data.matrix),
+            matrix : data.matrix,
+            waves  : data.waves,
+        });
+        return mapId;
+    }
+
+    /**
+     * Removes the saved map with the given id
+     * @param {String} id
+     * @returns {Void}
+     */
+    remove(id) {
+        this.storage.set("ids", this.ids.filter((mapId) => mapId !== id));
+        this.storage.remove(`map.${id}`);
+    }
+
+    /**
+     * Saves the map in the given share code or link, if it is valid, and returns its id
+     * @param {String} text
+     * @returns {?String}
+     */
+    import(text) {
+        const code = this.parseLink(text);
+        const data = this.decode(code);
+        if (!data || this.validate(data.matrix).error) {
+            return null;
+        }
+
+        const found = this.ids.find((id) => this.encode(this.get(id)) === code);
+        return found || this.save(data);
+    }
+
+
+
+    /**
+     * Returns the code from a share link, or the given text if it is not a link
+     * @param {String} text
+     * @returns {String}
+     */
+    parseLink(text) {
+        const value = String(text || "").trim();
+        const hash  = value.indexOf("#");
+        if (hash > -1) {
+            return new URLSearchParams(value.substr(hash + 1)).get("map") || "";
+        }
+        return value;
+    }
+
+    /**
+     * Returns a link that loads the given map
+     * @param {{name: String, matrix: Number[][], waves: String[]}} data
+     * @returns {String}
+     */
+    getLink(data) {
+        const url = window.location.href.split("#")[0];
+        return `${url}#map=${encodeURIComponent(this.encode(data))}`;
+    }
+
+    /**
+     * Encodes a map as a compact string: version, waves, matrix and name separated by dots.
+     * Each wave is one base 36 char: the index in Data.waveTypes * 2, plus 1 for the boss waves.
+     * The matrix is run length encoded: the value as a letter from "a" and the length if it's over 1
+     * @param {{name: String, matrix: Number[][], waves: String[]}} data
+     * @returns {String}
+     */
+    encode(data) {
+        const waves = data.waves.map((wave) => {
+            const type = Data.waveTypes.indexOf(wave.replace("Boss", ""));
+            return (type * 2 + (wave.includes("Boss") ? 1 : 0)).toString(36);
+        });
+        const cells  = [].concat(...data.matrix);
+        let   matrix = "";
+
+        for (let i = 0; i < cells.length; i += 1) {
+            let count = 1;
+            while (cells[i + 1] === cells[i]) {
+                count += 1;
+                i     += 1;
+            }
+            matrix += String.fromCharCode(97 + cells[i]) + (count > 1 ? count : "");
+        }
+        return [ CODE_VERSION, waves.join(""), matrix, encodeURIComponent(data.name) ].join(".");
+    }
+
+    /**
+     * Decodes a map code. Returns null if the code is not valid
+     * @param {String} code
+     * @returns {?{name: String, matrix: Number[][], waves: String[]}}
+     */
+    decode(code) {
+        const parts = String(code).split(".");
+        if (parts[0] !== CODE_VERSION || parts.length < 4 || !parts[1]) {
+            return null;
+        }
+
+        const waves = [];
+        for (const char of parts[1]) {
+            const value = parseInt(char, 36);
+            const type  = Data.waveTypes[Math.floor(value / 2)];
+            if (!type) {
+                return null;
+            }
+            waves.push(value % 2 ? `${type}Boss` : type);
+        }
+
+        const cells = [];
+        const runs  = parts[2].match(/[a-z]\d*/g) || [];
+        if (runs.join("") !== parts[2]) {
+            return null;
+        }
+        for (const run of runs) {
+            const value = run.charCodeAt(0) - 97;
+            const count = run.length > 1 ? parseInt(run.substr(1), 10) : 1;
+            if (value > Data.wall || cells.length + count > Data.rowsAmount * Data.colsAmount) {
+                return null;
+            }
+            for (let i = 0; i < count; i += 1) {
+                cells.push(value);
+            }
+        }
+        if (cells.length !== Data.rowsAmount * Data.colsAmount) {
+            return null;
+        }
+
+        const matrix = [];
+        for (let row = 0; row < Data.rowsAmount; row += 1) {
+            matrix.push(cells.slice(row * Data.colsAmount, (row + 1) * Data.colsAmount));
+        }
+
+        let name;
+        try {
+            name = decodeURIComponent(parts.slice(3).join("."));
+        } catch (e) {
+            return null;
+        }
+        return { name : name.substr(0, 20) || "Shared", matrix, waves };
+    }
+
+
+
+    /**
+     * Returns the amount of paths in the given matrix
+     * @param {Number[][]} matrix
+     * @returns {Number}
+     */
+    getPathsAmount(matrix) {
+        return matrix.some((row) => row.includes(Data.start2)) ? 2 : 1;
+    }
+
+    /**
+     * Checks that every start reaches its target, pairing them like the Board does.
+     * Returns the error, if any, and the found paths
+     * @param {Number[][]} matrix
+     * @returns {{error: ?String, paths: {x: Number, y: Number}[][]}}
+     */
+    validate(matrix) {
+        const starts  = [[], []];
+        const targets = [[], []];
+        const paths   = [];
+
+        matrix.forEach((cols, row) => {
+            cols.forEach((value, col) => {
+                const index = [ Data.start1, Data.start2, Data.target1, Data.target2 ].indexOf(value);
+                if (index > -1) {
+                    (index < 2 ? starts : targets)[index % 2].push({ col, row });
+                }
+            });
+        });
+
+        if (!starts[0].length || !targets[0].length) {
+            return { error : "Add a start and a target for path 1", paths };
+        }
+        if (!starts[1].length !== !targets[1].length) {
+            return { error : "Path 2 needs both a start and a target", paths };
+        }
+
+        // Same pairing as Board.fixPaths
+        for (let i = 0; i < 2; i += 1) {
+            let j = 0;
+            while (starts[i].length > targets[i].length) {
+                if (j % 2 === 0) {
+                    targets[i].unshift(targets[i][j]);
+                } else {
+                    targets[i].push(targets[i][targets[i].length - j]);
+                }
+                j += 1;
+            }
+        }
+
+        for (let i = 0; i < 2; i += 1) {
+            for (let j = 0; j < starts[i].length; j += 1) {
+                const startPos  = { x: starts[i][j].col,  y: starts[i][j].row  };
+                const targetPos = { x: targets[i][j].col, y: targets[i][j].row };
+                const path      = AStar(matrix, startPos, targetPos, "Diagonal", Data.wall);
+
+                if (path.length === 0) {
+                    return { error : `Path ${i + 1} is blocked`, paths };
+                }
+                paths.push(path);
+            }
+        }
+        return { error : null, paths };
+    }
+}
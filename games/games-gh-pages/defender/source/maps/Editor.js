@@ -0,0 +1,398 @@
+import Custom       from "./Custom.js";
+import Map          from "./Map.js";
+import Data         from "../Data.js";
+import Factory      from "../Factory.js";
+
+// Utils
+import Utils        from "../../../utils/Utils.js";
+
+
+
+/**
+ * Defender Map Editor
+ */
+export default class Editor {
+
+    /**
+     * Defender Map Editor constructor
+     * @param {Custom} custom
+     */
+    constructor(custom) {
+        this.custom    = custom;
+        this.id        = null;
+        this.data      = null;
+        this.tool      = Data.wall;
+        this.painting  = false;
+        this.isValid   = false;
+
+        /** @type {HTMLElement} */
+        this.grid      = document.querySelector(".editor-grid");
+
+        /** @type {HTMLElement} */
+        this.walls     = document.querySelector(".walls");
+
+        /** @type {HTMLElement} */
+        this.path      = document.querySelector(".path");
+
+        /** @type {HTMLInputElement} */
+        this.name      = document.querySelector(".editor-name");
+
+        /** @type {HTMLSelectElement} */
+        this.maps      = document.querySelector(".editor-maps");
+
+        /** @type {HTMLElement} */
+        this.status    = document.querySelector(".editor-status");
+
+        /** @type {HTMLElement} */
+        this.waves     = document.querySelector(".editor-waves");
+
+        /** @type {HTMLSelectElement} */
+        this.waveType  = document.querySelector(".editor-wave-type");
+
+        /** @type {HTMLInputElement} */
+        this.waveBoss  = document.querySelector(".editor-wave-boss");
+
+        /** @type {HTMLInputElement} */
+        this.share     = document.querySelector(".editor-share");
+
+        /** @type {HTMLElement} */
+        this.delete    = document.querySelector(".editor-delete");
+
+        this.waveType.innerHTML = Data.waveTypes.map((type) => `<option>${type}</option>`).join("");
+
+        this.grid.addEventListener("mousedown", (e) => this.startPaint(e));
+        this.grid.addEventListener("mousemove", (e) => this.paint(e));
+        document.addEventListener("mouseup",    () => this.endPaint());
+        this.maps.addEventListener("change",    () => this.open(this.maps.value));
+        this.name.addEventListener("input",     () => this.data.name = this.name.value);
+    }
+
+
+
+    /**
+     * Opens the given built-in or custom map. Built-in maps are copied as a new map
+     * @param {String=} id
+     * @returns {Void}
+     */
+    open(id) {
+        const custom = id ? this.custom.get(id) : null;
+        const source = custom || Data.maps[id] || null;
+
+        this.id   = custom ? id : null;
+        this.data = {
+            name   : source ? source.name : "My Map",
+            matrix : source ? source.matrix.map((row) => row.slice()) : this.createMatrix(),
+            waves  : (source && source.waves ? source.waves : Data.waves).slice(),
+        };
+        if (source && !custom) {
+            this.data.name = `${source.name} Copy`;
+        }
+
+        this.name.value           = this.data.name;
+        this.share.value          = "";
+        this.delete.style.display = this.id ? "" : "none";
+        this.showMaps(id);
+        this.showTool();
+        this.showWaves();
+        this.update();
+    }
+
+    /**
+     * Clears the preview when leaving the editor
+     * @returns {Void}
+     */
+    close() {
+        this.path.innerHTML  = "";
+        this.walls.innerHTML = "";
+    }
+
+    /**
+     * Creates an empty matrix with walls in the border and a single path from top to bottom
+     * @returns {Number[][]}
+     */
+    createMatrix() {
+        const matrix = [];
+        const middle = Data.colsAmount / 2;
+
+        for (let row = 0; row < Data.rowsAmount; row += 1) {
+            matrix[row] = [];
+            for (let col = 0; col < Data.colsAmount; col += 1) {
+                const isGate = col >= middle - 4 && col < middle + 4;
+                if (row === 0) {
+                    matrix[row][col] = isGate ? Data.start1 : Data.wall;
+                } else if (row === Data.rowsAmount - 1) {
+                    matrix[row][col] = isGate ? Data.target1 : Data.wall;
+                } else if (col === 0 || col === Data.colsAmount - 1) {
+                    matrix[row][col] = Data.wall;
+                } else {
+                    matrix[row][col] = Data.nothing;
+                }
+            }
+        }
+        return matrix;
+    }
+
+
+
+    /**
+     * Selects the cell code used to paint
+     * @param {String} value
+     * @returns {Void}
+     */
+    selectTool(value) {
+        this.tool = Number(value);
+        this.showTool();
+    }
+
+    /**
+     * Starts painting with the selected tool
+     * @param {MouseEvent} event
+     * @returns {Void}
+     */
+    startPaint(event) {
+        this.painting = true;
+        this.paint(event);
+        event.preventDefault();
+    }
+
+    /**
+     * Paints the cell under the mouse, while painting
+     * @param {MouseEvent} event
+     * @returns {Void}
+     */
+    paint(event) {
+        if (!this.painting) {
+            return;
+        }
+        const bounds = this.grid.getBoundingClientRect();
+        const row    = Math.floor((event.clientY - bounds.top)  / Data.squareSize);
+        const col    = Math.floor((event.clientX - bounds.left) / Data.squareSize);
+
+        if (this.data.matrix[row] && this.data.matrix[row][col] !== undefined && this.data.matrix[row][col] !== this.tool) {
+            this.data.matrix[row][col] = this.tool;
+            this.showWalls();
+        }
+    }
+
+    /**
+     * Ends the painting and checks the paths
+     * @returns {Void}
+     */
+    endPaint() {
+        if (this.painting) {
+            this.painting = false;
+            this.update();
+        }
+    }
+
+    /**
+     * Empties the board, keeping the border
+     * @returns {Void}
+     */
+    clear() {
+        this.data.matrix = this.createMatrix();
+        this.update();
+    }
+
+
+
+    /**
+     * Adds a wave with the selected type at the end of the list
+     * @returns {Void}
+     */
+    addWave() {
+        this.data.waves.push(this.waveType.value + (this.waveBoss.checked ? "Boss" : ""));
+        this.showWaves();
+        this.waves.scrollTop = this.waves.scrollHeight;
+    }
+
+    /**
+     * Removes the wave at the given index, keeping at least one
+     * @param {String} index
+     * @returns {Void}
+     */
+    removeWave(index) {
+        if (this.data.waves.length > 1) {
+            this.data.waves.splice(Number(index), 1);
+            this.showWaves();
+        }
+    }
+
+    /**
+     * Restores the default list of waves
+     * @returns {Void}
+     */
+    resetWaves() {
+        this.data.waves = Data.waves.slice();
+        this.showWaves();
+    }
+
+
+
+    /**
+     * Saves the map, if it is valid
+     * @returns {Void}
+     */
+    save() {
+        if (!this.isValid) {
+            return;
+        }
+        this.data.name = this.data.name.trim().substr(0, 20) || "My Map";
+        this.id        = this.custom.save(this.data, this.id);
+
+        this.delete.style.display = "";
+        this.showMaps(this.id);
+        this.showStatus("Map saved", true);
+    }
+
+    /**
+     * Removes the current custom map and starts a new one
+     * @returns {Void}
+     */
+    remove() {
+        if (this.id) {
+            this.custom.remove(this.id);
+            this.open();
+        }
+    }
+
+    /**
+     * Shows the link to share the map and copies it, when possible
+     * @returns {Void}
+     */
+    shareMap() {
+        if (!this.isValid) {
+            return;
+        }
+        this.share.value = this.custom.getLink(this.data);
+        this.share.select();
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(this.share.value).then(() => {
+                this.showStatus("Link copied", true);
+            }).catch(() => null);
+        }
+    }
+
+
+
+    /**
+     * Checks the paths and updates the board
+     * @returns {Void}
+     */
+    update() {
+        const result = this.custom.validate(this.data.matrix);
+        this.isValid = !result.error;
+
+        this.showWalls();
+        this.showPaths(result.paths);
+        this.showStatus(result.error || "All the paths are open", this.isValid);
+    }
+
+    /**
+     * Shows the walls, starts and targets of the map
+     * @returns {Void}
+     */
+    showWalls() {
+        const walls = new Map(null, this.data).getWalls();
+        this.walls.innerHTML = "";
+
+        for (let i = 1; i < walls.length; i += 1) {
+            this.walls.appendChild(walls[i].createElement());
+        }
+    }
+
+    /**
+     * Shows the cells used by the found paths
+     * @param {{x: Number, y: Number}[][]} paths
+     * @returns {Void}
+     */
+    showPaths(paths) {
+        const cells = {};
+        this.path.innerHTML = "";
+
+        paths.forEach((path) => {
+            path.forEach((cell) => {
+                const name = `c${cell.x}r${cell.y}`;
+                if (!cells[name]) {
+                    const element = document.createElement("DIV");
+                    element.className  = "editor-step";
+                    element.style.top  = Utils.toPX(cell.y * Data.squareSize);
+                    element.style.left = Utils.toPX(cell.x * Data.squareSize);
+                    this.path.appendChild(element);
+                    cells[name] = 1;
+                }
+            });
+        });
+    }
+
+    /**
+     * Shows the given message in the status
+     * @param {String}  message
+     * @param {Boolean} isValid
+     * @returns {Void}
+     */
+    showStatus(message, isValid) {
+        this.status.innerHTML = message;
+        this.status.className = `editor-status ${isValid ? "valid" : "invalid"}`;
+    }
+
+    /**
+     * Marks the selected tool
+     * @returns {Void}
+     */
+    showTool() {
+        document.querySelectorAll(".editor-tools button").forEach((element) => {
+            element.classList.toggle("selected", Number(element.dataset.data) === this.tool);
+        });
+    }
+
+    /**
+     * Shows the list of maps that can be opened
+     * @param {String=} selected
+     * @returns {Void}
+     */
+    showMaps(selected) {
+        const options = [ `<option value="">New Map</option>` ];
+
+        this.custom.ids.forEach((id) => {
+            options.push(`<option value="${id}">${this.custom.get(id).index} ${this.escape(this.custom.get(id).name)}</option>`);
+        });
+        Object.keys(Data.maps).forEach((id) => {
+            options.push(`<option value="${id}">${Data.maps[id].index} ${Data.maps[id].name}</option>`);
+        });
+
+        this.maps.innerHTML = options.join("");
+        this.maps.value     = this.id || (Data.maps[selected] ? selected : "");
+    }
+
+    /**
+     * Shows the list of waves. Clicking a wave removes it
+     * @returns {Void}
+     */
+    showWaves() {
+        this.waves.innerHTML = "";
+
+        this.data.waves.forEach((wave, index) => {
+            const mob = Factory.createMob(wave.replace("Boss", ""), { boss : wave.includes("Boss") });
+            const div = document.createElement("DIV");
+
+            div.style.backgroundColor = mob.color;
+            div.className      = "editor-wave";
+            div.dataset.action = "editorRemoveWave";
+            div.dataset.data   = String(index);
+            div.innerHTML      = `${index + 1}. ${mob.name}${wave.includes("Boss") ? " Boss" : ""}`;
+
+            this.waves.appendChild(div);
+        });
+    }
+
+    /**
+     * Escapes the given text to use it as HTML
+     * @param {String} text
+     * @returns {String}
+     */
+    escape(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    }
+}
@@ -1,3 +1,4 @@
+import Custom       from "./Custom.js";
 import Wall         from "./Wall.js";
 import Data         from "../Data.js";
 import Tower        from "../tower/Tower.js";
@@ -14,10 +15,11 @@ export default class Map {
 
     /**
      * Defender Map constructor
-     * @param {String} gameMap
+     * @param {String}  gameMap
+     * @param {Object=} mapData Used instead of the built-in or custom map data, like in the editor
      */
-    constructor(gameMap) {
-        this.mapData = Data.maps[gameMap];
+    constructor(gameMap, mapData) {
+        this.mapData = mapData || Data.maps[gameMap] || new Custom().get(gameMap) || Data.maps.classic;
         this.storage = new Storage(`defender.maps.${gameMap}`);
     }
 
@@ -29,6 +31,14 @@ export default class Map {
         return this.mapData.paths;
     }
 
+    /**
+     * Returns the waves of the current map
+     * @returns {String[]}
+     */
+    getWaves() {
+        return this.mapData.waves || Data.waves;
+    }
+
     /**
      * Returns the value in the map matrix at the given position
      * @param {Number} row
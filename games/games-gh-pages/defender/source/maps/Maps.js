@@ -1,3 +1,4 @@
+import Custom       from "./Custom.js";
 import Data         from "../Data.js";
 
 // Utils
@@ -17,6 +18,7 @@ export default class Maps {
         this.maps    = document.querySelector(".maps");
         this.total   = document.querySelector(".total-score");
         this.storage = new Storage("defender.maps");
+        this.custom  = new Custom();
         this.mapData = null;
         this.gameMap = null;
     }
@@ -29,13 +31,14 @@ export default class Maps {
      * @returns {String}
      */
     codeToMap(code) {
-        let map = "classic";
-        if (Data.maps[code]) {
+        const maps = this.getAll();
+        let   map  = "classic";
+        if (maps[code]) {
             return code;
         }
 
-        Object.keys(Data.maps).some((name) => {
-            if (Data.maps[name].index === String(code)) {
+        Object.keys(maps).some((name) => {
+            if (maps[name].index === String(code)) {
                 map = name;
                 return true;
             }
@@ -44,6 +47,40 @@ export default class Maps {
         return map;
     }
 
+    /**
+     * Returns the built-in maps followed by the custom ones
+     * @returns {Object}
+     */
+    getAll() {
+        const maps = Object.assign({}, Data.maps);
+        this.custom.ids.forEach((id) => {
+            const data = this.custom.get(id);
+            if (data) {
+                maps[id] = data;
+            }
+        });
+        return maps;
+    }
+
+    /**
+     * Returns the name of the given map
+     * @param {String} gameMap
+     * @returns {String}
+     */
+    getName(gameMap) {
+        const data = this.getAll()[gameMap];
+        return data ? data.name : "";
+    }
+
+    /**
+     * Imports a shared map from the given code or link. Returns the map id or null
+     * @param {String} text
+     * @returns {?String}
+     */
+    importMap(text) {
+        return this.custom.import(text);
+    }
+
     /**
      * Saves the Map and Level when starting a new game
      * @param {String} gameMap
@@ -79,20 +116,25 @@ export default class Maps {
      * @returns {Void}
      */
     display() {
-        let total = 0;
+        const maps = this.getAll();
+        let   total = 0;
         this.maps.innerHTML = "";
 
-        Object.keys(Data.maps).forEach((id) => {
+        Object.keys(maps).forEach((id) => {
             const score   = this.storage.get(`${id}.score`) || 0;
             const won     = this.storage.get(`${id}.won`);
             const element = document.createElement("button");
 
             element.dataset.action = "selectLevel";
             element.dataset.data   = id;
-            element.dataset.name   = Data.maps[id].name;
+            element.dataset.name   = maps[id].name;
             element.dataset.score  = score;
             element.className      = won ? "nav-button" : "menu-button";
-            element.innerHTML      = Data.maps[id].index;
+            element.innerHTML      = maps[id].index;
+
+            if (!Data.maps[id]) {
+                element.classList.add("custom-map");
+            }
 
             this.maps.appendChild(element);
             total += score;
@@ -46,6 +46,8 @@ export default class Mob {
         this.gameLevel   = data.gameLevel;
         this.isBoss      = data.isBoss;
         this.wave        = data.wave;
+        this.lifeGrowth  = data.lifeGrowth || 1.2;
+        this.goldMult    = data.goldMult   || 1;
         this.actualLife  = this.calcTotalLife();
         this.hitPoints   = this.calcTotalLife();
         this.isDead      = false;
@@ -504,7 +506,7 @@ export default class Mob {
         const mults = [ 1, 1.5, 2 ];
         const gmult = mults[this.gameLevel];
         const bmult = this.isBoss ? 10 : 1;
-        const life  = 20 + Math.pow(1.2, this.wave - 1);
+        const life  = 20 + Math.pow(this.lifeGrowth, this.wave - 1);
 
         return Math.round(life * gmult * bmult * this.lifeMult);
     }
@@ -517,7 +519,7 @@ export default class Mob {
         const mult = this.isBoss ? 20 : 1;
         const gold = 1 + this.gameLevel / 5;
 
-        return Math.floor(gold * mult);
+        return Math.floor(gold * mult * this.goldMult);
     }
 
     /**
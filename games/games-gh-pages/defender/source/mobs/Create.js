@@ -30,7 +30,7 @@ export default class Create {
 
     /**
      * Creates the Mobs for all the starts
-     * @param {{type: String, isBoss: Boolean, wave: Number, lastWave: Boolean}} data
+     * @param {{type: String, isBoss: Boolean, wave: Number, lastWave: Boolean, lifeGrowth: Number=, goldMult: Number=}} data
      * @returns {Number}
      */
     mobs(data) {
@@ -46,7 +46,7 @@ export default class Create {
 
     /**
      * For a single path, it creates all the required Mobs
-     * @param {{type: String, isBoss: Boolean, wave: Number, lastWave: Boolean}} data
+     * @param {{type: String, isBoss: Boolean, wave: Number, lastWave: Boolean, lifeGrowth: Number=, goldMult: Number=}} data
      * @param {{col: Number, row: Number, value: Number}[]} starts
      * @param {{col: Number, row: Number, value: Number}[]} targets
      * @returns {Number}
@@ -67,6 +67,8 @@ export default class Create {
                 pos         : i,
                 isBoss      : data.isBoss,
                 wave        : data.wave,
+                lifeGrowth  : data.lifeGrowth,
+                goldMult    : data.goldMult,
                 row         : start.row,
                 col         : start.col,
                 top         : start.row * Data.squareSize,
@@ -118,6 +120,8 @@ export default class Create {
                 id          : this.parent.manager.nextID,
                 boss        : parent.isBoss,
                 wave        : parent.wave,
+                lifeGrowth  : parent.lifeGrowth,
+                goldMult    : parent.goldMult,
                 row         : parent.row,
                 col         : parent.col,
                 top         : parent.pos.top,
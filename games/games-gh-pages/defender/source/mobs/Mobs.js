@@ -4,6 +4,7 @@ import Manager      from "./Manager.js";
 import Paths        from "./Paths.js";
 import Waves        from "./Waves.js";
 import Board        from "../Board.js";
+import Mode         from "../Mode.js";
 import Panel        from "../Panel.js";
 import Score        from "../Score.js";
 import Mob          from "../mob/Mob.js";
@@ -27,9 +28,11 @@ export default class Mobs {
      * @param {Score}  score
      * @param {Sounds} sounds
      * @param {Number} gameLevel
+     * @param {Mode}   mode
      */
-    constructor(board, panel, score, sounds, gameLevel) {
+    constructor(board, panel, score, sounds, gameLevel, mode) {
         this.board      = board;
+        this.mode       = mode;
         this.panel      = panel;
         this.score      = score;
         this.sounds     = sounds;
@@ -18,9 +18,15 @@ export default class Waves {
      */
     constructor(parent) {
         this.parent    = parent;
+        this.endless   = parent.mode.endless;
+        this.list      = this.endless ? [] : parent.board.map.getWaves();
         this.elements  = [];
         this.wave      = 0;
-        this.count     = Math.min(Data.initWaves, Data.waves.length);
+
+        while (this.endless && this.list.length <= Data.initWaves) {
+            this.addEndlessWave();
+        }
+        this.count     = Math.min(Data.initWaves, this.list.length);
         this.simWaves  = Data.maxWaves - 1;
         this.mobCount  = [];
 
@@ -41,7 +47,7 @@ export default class Waves {
         }
 
         this.button.style.display = "";
-        this.total.innerHTML      = String(Data.waves.length);
+        this.total.innerHTML      = this.endless ? "&infin;" : String(this.list.length);
     }
 
 
@@ -68,7 +74,8 @@ export default class Waves {
             type     : this.getType(),
             isBoss   : this.isBossWave(),
             wave     : this.wave + 1,
-            lastWave : this.isLastWave()
+            lastWave : this.isLastWave(),
+            ...this.getScaling(this.wave + 1)
         });
         this.parent.score.startTimer();
         this.parent.sounds.play("enter");
@@ -112,7 +119,10 @@ export default class Waves {
      * @returns {Void}
      */
     newWave() {
-        if (this.wave + this.count < Data.waves.length) {
+        if (this.endless) {
+            this.addEndlessWave();
+        }
+        if (this.wave + this.count < this.list.length) {
             this.createElement(this.count);
         }
 
@@ -179,7 +189,7 @@ export default class Waves {
      * @returns {String}
      */
     getType(add = 0) {
-        return Data.waves[this.wave + add].replace("Boss", "");
+        return this.list[this.wave + add].replace("Boss", "");
     }
 
     /**
@@ -188,7 +198,7 @@ export default class Waves {
      * @returns {Boolean}
      */
     isBossWave(add = 0) {
-        return Data.waves[this.wave + add].includes("Boss");
+        return this.list[this.wave + add].includes("Boss");
     }
 
     /**
@@ -196,7 +206,39 @@ export default class Waves {
      * @returns {Boolean}
      */
     isLastWave() {
-        return this.wave + 1 === Data.waves.length;
+        return !this.endless && this.wave + 1 === this.list.length;
+    }
+
+
+
+    /**
+     * Adds a wave at the end of the list for the endless mode. A new mob type is unlocked
+     * every few waves, a type is never repeated in a row and every few waves there is a boss
+     * @returns {Void}
+     */
+    addEndlessWave() {
+        const number   = this.list.length + 1;
+        const unlocked = Data.endless.startTypes + Math.floor((number - 1) / Data.endless.unlockEvery);
+        const last     = this.list.length ? this.list[this.list.length - 1].replace("Boss", "") : "";
+        const types    = Data.waveTypes.slice(0, unlocked).filter((type) => type !== last);
+        const type     = Utils.randArray(types);
+
+        this.list.push(number % Data.endless.bossEvery === 0 ? `${type}Boss` : type);
+    }
+
+    /**
+     * Returns the life growth and gold multiplier for the given wave
+     * @param {Number} wave
+     * @returns {{lifeGrowth: Number=, goldMult: Number=}}
+     */
+    getScaling(wave) {
+        if (!this.endless) {
+            return {};
+        }
+        return {
+            lifeGrowth : Data.endless.lifeGrowth,
+            goldMult   : 1 + (wave - 1) * Data.endless.goldStep,
+        };
     }
 
     /**
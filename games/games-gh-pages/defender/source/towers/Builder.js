@@ -35,6 +35,9 @@ export default class Builder {
         /** @type {HTMLElement} */
         this.building = document.querySelector(".building");
 
+        this.towersElems.forEach((element) => {
+            element.classList.toggle("restricted", !parent.mode.canBuild(element.dataset.type));
+        });
         this.addListeners();
     }
 
@@ -156,6 +159,9 @@ export default class Builder {
      * @returns {Void}
      */
     pick(element) {
+        if (!this.parent.mode.canBuild(element.dataset.type)) {
+            return;
+        }
         if (this.selected) {
             this.selected.classList.remove("selected");
         }
@@ -317,7 +323,7 @@ export default class Builder {
             const type  = selects[i].dataset.type;
             const tower = Factory.createTower(type);
 
-            if (tower.actualCost <= gold) {
+            if (tower.actualCost <= gold && this.parent.mode.canBuild(type)) {
                 selects[i].classList.remove("disabled");
                 if (this.tower && this.tower.type === type) {
                     this.setValidClass();
@@ -339,7 +345,7 @@ export default class Builder {
             const type  = selects[i].dataset.type;
             const tower = Factory.createTower(type);
 
-            if (tower.actualCost > gold) {
+            if (tower.actualCost > gold || !this.parent.mode.canBuild(type)) {
                 selects[i].classList.add("disabled");
                 if (this.tower && this.tower.type === type) {
                     this.setInvalidClass();
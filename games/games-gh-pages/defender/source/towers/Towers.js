@@ -4,6 +4,7 @@ import Ranges       from "./Ranges.js";
 import Selection    from "./Selection.js";
 import Shooter      from "./Shooter.js";
 import Board        from "../Board.js";
+import Mode         from "../Mode.js";
 import Panel        from "../Panel.js";
 import Score        from "../Score.js";
 import Mobs         from "../mobs/Mobs.js";
@@ -25,9 +26,11 @@ export default class Towers {
      * @param {Score}  score
      * @param {Mobs}   mobs
      * @param {Sounds} sounds
+     * @param {Mode}   mode
      */
-    constructor(board, panel, score, mobs, sounds) {
+    constructor(board, panel, score, mobs, sounds, mode) {
         this.board      = board;
+        this.mode       = mode;
         this.panel      = panel;
         this.score      = score;
         this.mobs       = mobs;
@@ -75,7 +78,7 @@ export default class Towers {
         const list = this.board.getInitialSetup();
 
         this.sounds.startMute();
-        list.forEach((data) => {
+        list.filter((data) => this.mode.canBuild(data.type)).forEach((data) => {
             const tower = this.manager.build(data);
             for (let i = 2; i <= data.level; i += 1) {
                 this.manager.processUpgrade(tower);
@@ -137,7 +140,7 @@ export default class Towers {
      * @returns {Void}
      */
     sell() {
-        if (this.selection.hasSelected) {
+        if (this.selection.hasSelected && this.canSell) {
             this.manager.sell(this.selection.tower);
         }
     }
@@ -152,6 +155,14 @@ export default class Towers {
         }
     }
 
+    /**
+     * Returns true if the Towers can be sold, which is always before the game starts
+     * @returns {Boolean}
+     */
+    get canSell() {
+        return !this.hasStarted || !this.mode.noSelling;
+    }
+
     /**
      * Upgrades the Selected Tower
      * @returns {Void}
@@ -90,6 +90,9 @@ export default class Board {
      * @returns {Boolean}
      */
     canFit(other, scroll) {
+        if (other.rotation) {
+            return false;
+        }
         const bounds = this.#boardElem.getBoundingClientRect();
         const fitPos = {
             top  : bounds.top  + scroll.top  + this.#metrics.scaleSize * other.row - 8,
@@ -18,4 +18,13 @@ export default {
     // Pieces por Puzzle
     pieces : [ "50", "100", "250", "500" ],
 
+    // The Tab with the Images of the user
+    customTab : "Custom",
+
+    // The size of the custom Images, swapped for portrait Images
+    customSize : { width : 1800, height : 1200 },
+
+    // The shapes used to cut the Pieces
+    cuts : [ "Classic", "Square", "Hexagonal" ],
+
 };
@@ -0,0 +1,183 @@
+import Data         from "./Data.js";
+
+
+
+/**
+ * Puzzle Images
+ * The custom Images of the user, cropped and stored in IndexedDB
+ */
+export default class Images {
+
+    /** @type {?Promise} */
+    #database;
+
+
+    /**
+     * Puzzle Images constructor
+     */
+    constructor() {
+        this.#database = null;
+    }
+
+    /**
+     * Returns true if the Images can be stored
+     * @returns {Boolean}
+     */
+    get isSupported() {
+        return typeof window.indexedDB !== "undefined";
+    }
+
+    /**
+     * Returns the name used for the Puzzle of the Image with the given ID
+     * @param {Number} id
+     * @returns {String}
+     */
+    getName(id) {
+        return `${Data.customTab.toLowerCase()}${id}`;
+    }
+
+    /**
+     * Returns the ID of the Image of the given Puzzle name, if it is a custom one
+     * @param {String} name
+     * @returns {?Number}
+     */
+    getID(name) {
+        const prefix = Data.customTab.toLowerCase();
+        if (!name.startsWith(prefix)) {
+            return null;
+        }
+        return Number(name.substr(prefix.length));
+    }
+
+
+
+    /**
+     * Returns all the Images, the newest first
+     * @returns {Promise}
+     */
+    async getAll() {
+        const store  = await this.getStore("readonly");
+        const images = await this.request(store.getAll());
+        return images.reverse();
+    }
+
+    /**
+     * Returns the Image with the given ID
+     * @param {Number} id
+     * @returns {Promise}
+     */
+    async get(id) {
+        const store = await this.getStore("readonly");
+        return this.request(store.get(id));
+    }
+
+    /**
+     * Crops the given File to the Board size and stores it. Returns the ID
+     * @param {File} file
+     * @returns {Promise}
+     */
+    async add(file) {
+        const blob  = await this.crop(file);
+        const store = await this.getStore("readwrite");
+        return this.request(store.add({ name : file.name, blob, time : Date.now() }));
+    }
+
+    /**
+     * Removes the Image with the given ID
+     * @param {Number} id
+     * @returns {Promise}
+     */
+    async remove(id) {
+        const store = await this.getStore("readwrite");
+        return this.request(store.delete(id));
+    }
+
+
+
+    /**
+     * Crops the center of the Image to the Board ratio and scales it down if required
+     * @param {File} file
+     * @returns {Promise}
+     */
+    async crop(file) {
+        const url   = URL.createObjectURL(file);
+        const image = new Image();
+        try {
+            await new Promise((resolve, reject) => {
+                image.onload  = resolve;
+                image.onerror = () => reject(new Error("The file is not an image"));
+                image.src     = url;
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+
+        const isPortrait = image.height > image.width;
+        const width      = isPortrait ? Data.customSize.height : Data.customSize.width;
+        const height     = isPortrait ? Data.customSize.width  : Data.customSize.height;
+        const ratio      = width / height;
+
+        let sourceWidth  = image.width;
+        let sourceHeight = image.height;
+        if (sourceWidth / sourceHeight > ratio) {
+            sourceWidth  = sourceHeight * ratio;
+        } else {
+            sourceHeight = sourceWidth / ratio;
+        }
+
+        const scale  = Math.min(1, width / sourceWidth);
+        const canvas = document.createElement("canvas");
+        const ctx    = canvas.getContext("2d");
+        canvas.width  = Math.round(sourceWidth  * scale);
+        canvas.height = Math.round(sourceHeight * scale);
+        ctx.drawImage(
+            image,
+            (image.width  - sourceWidth)  / 2,
+            (image.height - sourceHeight) / 2,
+            sourceWidth, sourceHeight,
+            0, 0, canvas.width, canvas.height,
+        );
+
+        return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.9));
+    }
+
+    /**
+     * Opens the Database, once
+     * @returns {Promise}
+     */
+    open() {
+        if (!this.#database) {
+            this.#database = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open("puzzle", 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore("images", { keyPath : "id", autoIncrement : true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror   = () => reject(request.error);
+            });
+        }
+        return this.#database;
+    }
+
+    /**
+     * Returns the Images Store in a new transaction
+     * @param {String} mode
+     * @returns {Promise}
+     */
+    async getStore(mode) {
+        const database = await this.open();
+        return database.transaction("images", mode).objectStore("images");
+    }
+
+    /**
+     * Wraps the given IndexedDB request in a Promise
+     * @param {IDBRequest} request
+     * @returns {Promise}
+     */
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror   = () => reject(request.error);
+        });
+    }
+}
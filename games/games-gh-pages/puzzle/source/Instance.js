@@ -7,6 +7,13 @@ import List         from "../../utils/List.js";
 import Storage      from "../../utils/Storage.js";
 import Utils        from "../../utils/Utils.js";
 
+// The keys saved for each Puzzle
+const KEYS = [
+    "time", "score", "cut", "rotation", "pieces",
+    "drawerBorders", "drawerSplit", "drawerPrimary", "drawerSecondary",
+    "board", "tablePieces", "tableSets",
+];
+
 
 
 /**
@@ -22,17 +29,22 @@ export default class Instance {
     #image;
     /** @type {Object.<String, Piece>} */
     #pieces;
+    /** @type {String} */
+    #cut;
+    /** @type {Boolean} */
+    #rotation;
 
 
     /**
      * Puzzle Instance constructor
-     * @param {HTMLImageElement} image
-     * @param {Metrics}          metrics
+     * @param {HTMLImageElement}                   image
+     * @param {Metrics}                            metrics
+     * @param {{cut: String, rotation: Boolean}=} options
      */
-    constructor(image, metrics) {
+    constructor(image, metrics, options = { cut : "classic", rotation : false }) {
         this.#image   = image;
         this.#metrics = metrics;
-        this.#storage = new Storage(`puzzle.${image.alt}.${metrics.pieceCount}`);
+        this.#storage = Instance.getStorage(image.alt, metrics.pieceCount);
 
         const score = this.#storage.get("score");
         if (score) {
@@ -43,24 +55,57 @@ export default class Instance {
                 this.#metrics.setTime(this.#storage.get("time"));
             }
         }
+
+        // A saved Puzzle keeps its own options
+        if (this.#storage.get("pieces")) {
+            this.#cut      = this.#storage.get("cut", "classic");
+            this.#rotation = this.#storage.get("rotation", false);
+        } else {
+            this.#cut      = this.#storage.set("cut", options.cut);
+            this.#rotation = this.#storage.set("rotation", options.rotation);
+        }
         this.createPieces();
     }
 
+    /**
+     * Returns the Storage of the given Puzzle
+     * @param {String} imageName
+     * @param {Number} pieceCount
+     * @returns {Storage}
+     */
+    static getStorage(imageName, pieceCount) {
+        return new Storage(`puzzle.${imageName}.${pieceCount}`);
+    }
+
+    /**
+     * Removes the Storage data of the given Puzzle
+     * @param {String} imageName
+     * @param {Number} pieceCount
+     * @returns {Void}
+     */
+    static clear(imageName, pieceCount) {
+        const storage = Instance.getStorage(imageName, pieceCount);
+        for (const key of KEYS) {
+            storage.remove(key);
+        }
+    }
+
     /**
      * Destroys the Storage data
      * @returns {Void}
      */
     destroy() {
-        this.#storage.remove("time");
-        this.#storage.remove("score");
-        this.#storage.remove("pieces");
-        this.#storage.remove("drawerBorders");
-        this.#storage.remove("drawerSplit");
-        this.#storage.remove("drawerPrimary");
-        this.#storage.remove("drawerSecondary");
-        this.#storage.remove("board");
-        this.#storage.remove("tablePieces");
-        this.#storage.remove("tableSets");
+        for (const key of KEYS) {
+            this.#storage.remove(key);
+        }
+    }
+
+    /**
+     * Returns true if the Pieces can be rotated
+     * @returns {Boolean}
+     */
+    get hasRotation() {
+        return this.#rotation;
     }
 
     /**
@@ -89,8 +134,8 @@ export default class Instance {
         this.#pieces = {};
 
         if (data) {
-            for (const { id, col, row, borders } of data) {
-                this.#pieces[id] = new Piece(this.#metrics, this.#image, id, col, row, borders);
+            for (const { id, col, row, borders, rotation } of data) {
+                this.#pieces[id] = new Piece(this.#metrics, this.#image, id, col, row, borders, this.#cut, rotation || 0);
             }
             return;
         }
@@ -122,9 +167,10 @@ export default class Instance {
                 do {
                     id = `p${Utils.rand(0, 999999)}`;
                 } while (this.#pieces[id]);
-                this.#pieces[id] = new Piece(this.#metrics, this.#image, id, col, row, borders);
+                const rotation = this.#rotation ? Utils.rand(0, 3) : 0;
+                this.#pieces[id] = new Piece(this.#metrics, this.#image, id, col, row, borders, this.#cut, rotation);
                 matrix[row][col] = borders;
-                values.push({ id, col, row, borders });
+                values.push({ id, col, row, borders, rotation });
             }
         }
 
@@ -141,6 +187,20 @@ export default class Instance {
         this.#storage.set("drawerPrimary", values.map((elem) => elem.id));
     }
 
+    /**
+     * Saves the Rotation of the given Piece
+     * @param {Piece} piece
+     * @returns {Void}
+     */
+    savePieceRotation(piece) {
+        const pieces = this.#storage.get("pieces");
+        const data   = pieces.find(({ id }) => id === piece.id);
+        if (data) {
+            data.rotation = piece.rotation;
+            this.#storage.set("pieces", pieces);
+        }
+    }
+
     /**
      * Saves the Time
      * @param {Number} time
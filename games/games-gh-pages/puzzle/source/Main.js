@@ -1,3 +1,4 @@
+import Images       from "./Images.js";
 import Puzzle       from "./Puzzle.js";
 import Selection    from "./Selection.js";
 
@@ -12,6 +13,9 @@ let shortcuts = null;
 /** @type {Sounds} */
 let sounds    = null;
 
+/** @type {Images} */
+let images    = null;
+
 /** @type {Selection} */
 let selection = null;
 
@@ -78,6 +82,16 @@ function initDomListeners() {
         case "start":
             selection.start();
             break;
+        case "removeImage":
+            selection.removeImage(element);
+            e.preventDefault();
+            break;
+        case "cut":
+            selection.selectCut(element);
+            break;
+        case "rotation":
+            selection.toggleRotation();
+            break;
         case "restart":
             puzzle.destroy();
             selection.buildTab();
@@ -127,6 +141,17 @@ function initDomListeners() {
         }
     });
 
+    document.body.addEventListener("contextmenu", (e) => {
+        if (!puzzle) {
+            return;
+        }
+        const element = Utils.getTarget(e, "piece");
+        if (element) {
+            puzzle.rotatePiece(partial || element.dataset.id);
+            e.preventDefault();
+        }
+    });
+
     document.addEventListener("mousemove", (e) => {
         if (partial) {
             partial.drag(e);
@@ -144,7 +169,10 @@ function initDomListeners() {
 
     document.addEventListener("keydown", (e) => {
         const code = KeyCode.keyToCode(e.keyCode, false);
-        if (puzzle && shortcuts[code]) {
+        if (puzzle && partial && code === "R") {
+            puzzle.rotatePiece(partial);
+            e.preventDefault();
+        } else if (puzzle && shortcuts[code]) {
             shortcuts[code]();
             e.preventDefault();
         }
@@ -157,8 +185,9 @@ function initDomListeners() {
  */
 function main() {
     sounds    = new Sounds("puzzle.sound");
-    selection = new Selection((image, pieces) => {
-        puzzle = new Puzzle(sounds, image, pieces);
+    images    = new Images();
+    selection = new Selection(images, (image, pieces, options) => {
+        puzzle = new Puzzle(sounds, images, image, pieces, options);
     });
 
     createShortcuts();
@@ -28,8 +28,10 @@ export default class Piece {
      * @param {Number}           col
      * @param {Number}           row
      * @param {{top: Number, right: Number, bottom: Number, left: Number}} borders
+     * @param {String=}          cut
+     * @param {Number=}          rotation
      */
-    constructor(metrics, image, id, col, row, borders) {
+    constructor(metrics, image, id, col, row, borders, cut = "classic", rotation = 0) {
         this.#metrics = metrics;
         this.#image   = image;
 
@@ -39,6 +41,8 @@ export default class Piece {
         this.top      = 0;
         this.left     = 0;
         this.borders  = borders;
+        this.cut      = cut;
+        this.rotation = rotation;
         this.isBorder = !this.borders.top || !this.borders.right || !this.borders.bottom || !this.borders.left;
         this.inDrawer = "primary";
 
@@ -122,6 +126,16 @@ export default class Piece {
 
 
 
+    /**
+     * Rotates the Piece a quarter turn clockwise
+     * @returns {Void}
+     */
+    rotate() {
+        this.rotation = (this.rotation + 1) % 4;
+        this.#ctx.clearRect(0, 0, this.#canvas.width, this.#canvas.height);
+        this.draw();
+    }
+
     /**
      * Draws the Piece
      * @returns {Void}
@@ -129,8 +143,16 @@ export default class Piece {
     draw() {
         const size    = this.#metrics.size;
         const padding = this.#metrics.padding;
+        const center  = padding + size / 2;
 
+        this.#ctx.save();
+        this.#ctx.beginPath();
         this.#ctx.scale(this.#metrics.scale, this.#metrics.scale);
+        if (this.rotation) {
+            this.#ctx.translate(center, center);
+            this.#ctx.rotate(Math.PI / 2 * this.rotation);
+            this.#ctx.translate(-center, -center);
+        }
 
         this.#ctx.moveTo(padding, padding);
         if (this.borders.top === 0) {
@@ -164,6 +186,7 @@ export default class Piece {
         const sourceY    = this.row * this.#metrics.imgSize - sourcePad;
         const destSize   = size + padding * 2;
         this.#ctx.drawImage(this.#image, sourceX, sourceY, sourceSize, sourceSize, 0, 0, destSize, destSize);
+        this.#ctx.restore();
     }
 
     /**
@@ -175,6 +198,19 @@ export default class Piece {
      * @returns {Void}
      */
     drawSide(x, y, rotation, border) {
+        if (this.cut === "square") {
+            this.#ctx.save();
+            this.#ctx.translate(x, y);
+            this.#ctx.rotate(Math.PI * rotation);
+            this.#ctx.lineTo(100, 0);
+            this.#ctx.restore();
+            return;
+        }
+        if (this.cut === "hexagonal") {
+            this.drawHexagonalSide(x, y, rotation, border);
+            return;
+        }
+
         const curves = [
             { cx1 : 0,  cy1 :   0, cx2 : 35, cy2 :  15, ex :  37, ey :   5 }, // left shoulder
             { cx1 : 37, cy1 :   5, cx2 : 40, cy2 :   0, ex :  38, ey :  -5 }, // left neck
@@ -198,6 +234,34 @@ export default class Piece {
         this.#ctx.restore();
     }
 
+    /**
+     * Draws a side of a Piece with a hexagonal tab
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} rotation
+     * @param {Number} border
+     * @returns {Void}
+     */
+    drawHexagonalSide(x, y, rotation, border) {
+        const points = [
+            { x : 38,  y :   0 }, // left neck
+            { x : 32,  y :  -9 }, // left corner
+            { x : 40,  y : -18 }, // top left corner
+            { x : 60,  y : -18 }, // top right corner
+            { x : 68,  y :  -9 }, // right corner
+            { x : 62,  y :   0 }, // right neck
+            { x : 100, y :   0 }, // end
+        ];
+
+        this.#ctx.save();
+        this.#ctx.translate(x, y);
+        this.#ctx.rotate(Math.PI * rotation);
+        for (const point of points) {
+            this.#ctx.lineTo(point.x, point.y * border);
+        }
+        this.#ctx.restore();
+    }
+
     /**
      * Positions the Piece at the given Top and Left
      * @param {Number} top
@@ -232,6 +296,9 @@ export default class Piece {
      * @returns {Boolean}
      */
     canFit(piece) {
+        if (this.rotation || piece.rotation) {
+            return false;
+        }
         const fitPos = this.#metrics.calcPiecePos(piece, this.top, this.left, this.row, this.col);
         const dist   = Utils.dist(fitPos, piece.pos);
         return dist < this.#metrics.delta;
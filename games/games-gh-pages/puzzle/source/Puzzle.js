@@ -1,5 +1,6 @@
 import Board        from "./Board.js";
 import Drawer       from "./Drawer.js";
+import Images       from "./Images.js";
 import Instance     from "./Instance.js";
 import Metrics      from "./Metrics.js";
 import Piece        from "./Piece.js";
@@ -10,6 +11,8 @@ import Table        from "./Table.js";
 import Sounds       from "../../utils/Sounds.js";
 import Utils        from "../../utils/Utils.js";
 
+// Used when a custom Image was removed or can't be read
+const FALLBACK_IMAGE = "images/animal/1.jpg";
 
 
 /**
@@ -40,37 +43,54 @@ export default class Puzzle {
     #previewElem;
     /** @type {HTMLImageElement} */
     #imageElem;
+    /** @type {?String} */
+    #imageUrl;
 
 
     /**
      * Puzzle Puzzle constructor
-     * @param {Sounds} sounds
-     * @param {String} imageName
-     * @param {Number} pieceCount
+     * @param {Sounds}                           sounds
+     * @param {Images}                           images
+     * @param {String}                           imageName
+     * @param {Number}                           pieceCount
+     * @param {{cut: String, rotation: Boolean}} options
      */
-    constructor(sounds, imageName, pieceCount) {
+    constructor(sounds, images, imageName, pieceCount, options) {
         this.#display          = "game";
         this.#sounds           = sounds;
+        this.#imageUrl         = null;
 
         this.#congratsElem     = document.querySelector(".congrats");
         this.#pauseElem        = document.querySelector(".pause");
         this.#previewElem      = document.querySelector(".preview");
 
-        const imageUrl         = imageName.match(/([0-9]+)|([a-zA-Z]+)/g).join("/");
         this.#imageElem        = this.#previewElem.querySelector("img");
-        this.#imageElem.src    = `images/${imageUrl}.jpg`;
         this.#imageElem.alt    = imageName;
-        this.#imageElem.onload = () => this.build(pieceCount);
+        this.#imageElem.onload = () => this.build(pieceCount, options);
+
+        const imageID = images.getID(imageName);
+        if (imageID === null) {
+            const imageUrl      = imageName.match(/([0-9]+)|([a-zA-Z]+)/g).join("/");
+            this.#imageElem.src = `images/${imageUrl}.jpg`;
+        } else {
+            images.get(imageID).then((data) => {
+                this.#imageUrl      = URL.createObjectURL(data.blob);
+                this.#imageElem.src = this.#imageUrl;
+            }).catch(() => {
+                this.#imageElem.src = FALLBACK_IMAGE;
+            });
+        }
     }
 
     /**
      * Builds the Puzzle
-     * @param {Number} pieceCount
+     * @param {Number}                           pieceCount
+     * @param {{cut: String, rotation: Boolean}} options
      * @returns {Void}
      */
-    build(pieceCount) {
+    build(pieceCount, options) {
         this.#metrics  = new Metrics(this.#imageElem, pieceCount);
-        this.#instance = new Instance(this.#imageElem, this.#metrics);
+        this.#instance = new Instance(this.#imageElem, this.#metrics, options);
         this.#drawer   = new Drawer(this.#metrics, this.#instance);
         this.#board    = new Board(this.#metrics, this.#instance);
         this.#table    = new Table(this.#metrics, this.#instance);
@@ -93,6 +113,12 @@ export default class Puzzle {
         this.#board.destroy();
         this.#table.destroy();
 
+        this.#imageElem.onload = null;
+        if (this.#imageUrl) {
+            URL.revokeObjectURL(this.#imageUrl);
+            this.#imageUrl = null;
+        }
+
         this.#display      = "game";
         this.#congratsElem = null;
         this.#previewElem  = null;
@@ -185,6 +211,25 @@ export default class Puzzle {
         this.#drawer.toggleSplit();
     }
 
+    /**
+     * Rotates the given Piece or the Piece with the given ID, if rotation is enabled
+     * @param {(Piece|String)} pieceOrID
+     * @returns {Void}
+     */
+    rotatePiece(pieceOrID) {
+        if (!this.#instance || !this.#instance.hasRotation) {
+            return;
+        }
+        let piece = pieceOrID;
+        if (!(piece instanceof Piece)) {
+            piece = this.#drawer.findPiece(pieceOrID) || this.#table.findAny(pieceOrID);
+        }
+        if (piece instanceof Piece) {
+            piece.rotate();
+            this.#instance.savePieceRotation(piece);
+        }
+    }
+
 
 
     /**
@@ -1,4 +1,6 @@
 import Data         from "./Data.js";
+import Images       from "./Images.js";
+import Instance     from "./Instance.js";
 import Storage      from "../../utils/Storage.js";
 import Utils        from "../../utils/Utils.js";
 
@@ -11,6 +13,8 @@ export default class Selection {
 
     /** @type {Storage} */
     #storage;
+    /** @type {Images} */
+    #images;
     /** @type {Function} */
     #onStart;
     /** @type {String} */
@@ -22,9 +26,19 @@ export default class Selection {
     /** @type {Number} */
     #amount;
     /** @type {Number} */
+    #total;
+    /** @type {Number} */
     #last;
     /** @type {Number} */
     #pieces;
+    /** @type {String} */
+    #cut;
+    /** @type {Boolean} */
+    #rotation;
+    /** @type {String[]} */
+    #urls;
+    /** @type {Number} */
+    #buildID;
 
     /** @type {HTMLElement} */
     #mainElem;
@@ -39,32 +53,70 @@ export default class Selection {
     /** @type {HTMLElement} */
     #buttonElem;
     /** @type {HTMLElement} */
+    #optionsElem;
+    /** @type {HTMLElement} */
+    #cutsElem;
+    /** @type {HTMLElement} */
+    #rotationElem;
+    /** @type {HTMLElement} */
     #selectedElem;
 
 
     /**
      * Puzzle Selection constructor
+     * @param {Images}   images
      * @param {Function} onStart
      */
-    constructor(onStart) {
-        this.#storage    = new Storage("puzzle");
-        this.#onStart    = onStart;
+    constructor(images, onStart) {
+        this.#storage      = new Storage("puzzle");
+        this.#images       = images;
+        this.#onStart      = onStart;
 
-        this.#image      = "";
-        this.#tab        = Data.categories[0].toLowerCase();
-        this.#index      = 0;
-        this.#amount     = 2;
-        this.#last       = Data.puzzles - this.#amount + 1;
+        this.#image        = "";
+        this.#tab          = Data.categories[0].toLowerCase();
+        this.#index        = 0;
+        this.#amount       = 2;
+        this.#total        = Data.puzzles;
+        this.#last         = this.#total - this.#amount + 1;
+        this.#cut          = this.#storage.get("cut", Data.cuts[0].toLowerCase());
+        this.#rotation     = this.#storage.get("rotation", false);
+        this.#urls         = [];
+        this.#buildID      = 0;
 
-        this.#mainElem   = document.querySelector(".selection");
-        this.#tabsElem   = document.querySelector(".selection-tabs");
-        this.#listElem   = document.querySelector(".slider-list");
-        this.#packElem   = document.querySelector(".selection-pack");
-        this.#descElem   = document.querySelector(".selection-desc");
-        this.#buttonElem = document.querySelector(".selection button");
+        this.#mainElem     = document.querySelector(".selection");
+        this.#tabsElem     = document.querySelector(".selection-tabs");
+        this.#listElem     = document.querySelector(".slider-list");
+        this.#packElem     = document.querySelector(".selection-pack");
+        this.#descElem     = document.querySelector(".selection-desc");
+        this.#buttonElem   = document.querySelector(".selection-start");
+        this.#optionsElem  = document.querySelector(".selection-options");
+        this.#cutsElem     = document.querySelector(".selection-cuts");
+        this.#rotationElem = document.querySelector(".selection-rotation");
+
+        this.#listElem.addEventListener("change", (e) => this.upload(e.target.files[0]));
+        this.#mainElem.addEventListener("dragover", (e) => {
+            if (this.isCustom) {
+                e.preventDefault();
+            }
+        });
+        this.#mainElem.addEventListener("drop", (e) => {
+            if (this.isCustom) {
+                this.upload(e.dataTransfer.files[0]);
+                e.preventDefault();
+            }
+        });
 
         this.buildTabs();
         this.buildTab();
+        this.buildOptions();
+    }
+
+    /**
+     * Returns true if the current Tab has the custom Images
+     * @returns {Boolean}
+     */
+    get isCustom() {
+        return this.#tab === Data.customTab.toLowerCase();
     }
 
     /**
@@ -72,7 +124,11 @@ export default class Selection {
      * @returns {Void}
      */
     buildTabs() {
-        for (const category of Data.categories) {
+        const categories = Data.categories.slice();
+        if (this.#images.isSupported) {
+            categories.push(Data.customTab);
+        }
+        for (const category of categories) {
             const isSelected  = this.#tab === category.toLowerCase();
             const li          = document.createElement("li");
             li.className      = isSelected ? "selected" : "";
@@ -87,14 +143,76 @@ export default class Selection {
      * @returns {Void}
      */
     buildTab() {
+        if (this.isCustom) {
+            this.buildCustomTab();
+            return;
+        }
+
+        const slides = [];
+        for (let i = 1; i <= Data.puzzles; i += 1) {
+            slides.push({
+                name  : `${this.#tab}${i}`,
+                title : String(i),
+                src   : `images/${this.#tab}/${i}.jpg`,
+            });
+        }
+        this.buildSlides(slides);
+    }
+
+    /**
+     * Builds the Tab with the custom Images, with a Slide to add a new one first
+     * @returns {Promise}
+     */
+    async buildCustomTab() {
+        const buildID = ++this.#buildID;
+        const images  = await this.#images.getAll();
+        if (buildID !== this.#buildID || !this.isCustom) {
+            return;
+        }
+
+        this.revokeUrls();
+        const slides = images.map((image, index) => {
+            const url = URL.createObjectURL(image.blob);
+            this.#urls.push(url);
+            return {
+                name  : this.#images.getName(image.id),
+                title : String(index + 1),
+                src   : url,
+                id    : image.id,
+            };
+        });
+        this.buildSlides(slides);
+
+        const li     = document.createElement("li");
+        li.className = "slider-slide";
+        li.innerHTML = `
+            <label class="slider-upload">
+                <input type="file" accept="image/*" />
+                <span>Choose an image<br />or drop it here</span>
+            </label>
+        `;
+        this.#listElem.prepend(li);
+        this.setTotal(slides.length + 1);
+
+        if (!slides.length) {
+            this.#packElem.innerHTML = "Use your own images to make a puzzle.";
+        }
+    }
+
+    /**
+     * Builds the Slides of the current Tab
+     * @param {{name: String, title: String, src: String, id: Number=}[]} slides
+     * @returns {Void}
+     */
+    buildSlides(slides) {
         let done = 0;
 
         this.#listElem.innerHTML = "";
-        for (let i = 1; i <= Data.puzzles; i += 1) {
+        for (const slide of slides) {
             let completed = 0;
             let selects   = "";
             for (const pieceCount of Data.pieces) {
-                const prefix = `${this.#tab}${i}.${pieceCount}.`;
+                const prefix = `${slide.name}.${pieceCount}.`;
                 const score  = this.#storage.get(`${prefix}score`);
                 const isDone = score && score.placed === score.total
                 done      += isDone ? 1 : 0;
@@ -106,25 +224,67 @@ export default class Selection {
             li.className = "slider-slide";
             li.innerHTML = `
                 <div class="slider-image">
-                    <h3>${i}</h3>
-                    <img src="images/${this.#tab}/${i}.jpg" />
+                    <h3>${slide.title}</h3>
+                    <img src="${slide.src}" />
                     ${completed > 0 ? `<h4 ${(completed === Data.pieces.length) ? "class='done'" : ""}>
                         ${completed}/${Data.pieces.length}
                     </h4>` : ""}
+                    ${slide.id ? `<a href="#" class="slider-remove" data-action="removeImage" data-id="${slide.id}" title="Remove"></a>` : ""}
                 </div>
-                <ul data-image="${this.#tab}${i}">${selects}</ul>
+                <ul data-image="${slide.name}">${selects}</ul>
             `;
             this.#listElem.appendChild(li);
         }
 
-        const total   = Data.puzzles * Data.pieces.length;
-        const percent = Math.floor(done * 100 / total);
+        const total   = slides.length * Data.pieces.length;
+        const percent = total ? Math.floor(done * 100 / total) : 0;
         this.#packElem.innerHTML = `Completed <b>${done}/${total}</b> puzzles <i>(${percent}%)</i> of this pack.`;
+        this.setTotal(slides.length);
+    }
 
-        this.#listElem.style.setProperty("--slider-count", String(this.#amount));
-        this.#listElem.style.setProperty("--slider-total", String(Data.puzzles));
+    /**
+     * Sets the amount of Slides
+     * @param {Number} total
+     * @returns {Void}
+     */
+    setTotal(total) {
+        this.#total = total;
+        this.#last  = Math.max(1, this.#total - this.#amount + 1);
+        this.#index = Math.min(this.#index, this.#last - 1);
+        this.#listElem.style.setProperty("--slider-total", String(Math.max(this.#total, this.#amount)));
+        this.transform();
     }
 
+    /**
+     * Revokes the URLs of the custom Images
+     * @returns {Void}
+     */
+    revokeUrls() {
+        for (const url of this.#urls) {
+            URL.revokeObjectURL(url);
+        }
+        this.#urls = [];
+    }
+
+    /**
+     * Builds the Cut options and the Rotation option
+     * @returns {Void}
+     */
+    buildOptions() {
+        this.#cutsElem.innerHTML = "";
+        for (const cut of Data.cuts) {
+            const li          = document.createElement("li");
+            li.className      = this.#cut === cut.toLowerCase() ? "selected" : "";
+            li.dataset.action = "cut";
+            li.dataset.cut    = cut.toLowerCase();
+            li.innerText      = cut;
+            this.#cutsElem.appendChild(li);
+        }
+        this.#rotationElem.innerHTML = `Rotate pieces: <b>${this.#rotation ? "On" : "Off"}</b>`;
+    }
+
+
+
     /**
      * Shows the Selection
      * @returns {Void}
@@ -145,12 +305,66 @@ export default class Selection {
         this.#tabsElem.querySelector(".selected").classList.remove("selected");
         element.classList.add("selected");
         this.buildTab();
-
-        this.#descElem.style.display   = "none";
-        this.#buttonElem.style.display = "none";
+        this.unselect();
         this.transform();
     }
 
+    /**
+     * Selects the given Cut
+     * @param {HTMLElement} element
+     * @returns {Void}
+     */
+    selectCut(element) {
+        this.#cut = this.#storage.set("cut", element.dataset.cut);
+        this.buildOptions();
+    }
+
+    /**
+     * Toggles the Piece rotation
+     * @returns {Void}
+     */
+    toggleRotation() {
+        this.#rotation = this.#storage.set("rotation", !this.#rotation);
+        this.buildOptions();
+    }
+
+
+
+    /**
+     * Adds the given File as a custom Image
+     * @param {?File} file
+     * @returns {Promise}
+     */
+    async upload(file) {
+        if (!file || !file.type.startsWith("image/")) {
+            return;
+        }
+        this.#packElem.innerHTML = "Adding the image...";
+        try {
+            await this.#images.add(file);
+            this.#index = 0;
+            this.unselect();
+            await this.buildCustomTab();
+        } catch (error) {
+            this.#packElem.innerHTML = "The image could not be added.";
+        }
+    }
+
+    /**
+     * Removes the custom Image of the given element and its saved Puzzles
+     * @param {HTMLElement} element
+     * @returns {Promise}
+     */
+    async removeImage(element) {
+        const id = Number(element.dataset.id);
+        await this.#images.remove(id);
+        for (const pieceCount of Data.pieces) {
+            Instance.clear(this.#images.getName(id), Number(pieceCount));
+        }
+        this.unselect();
+        await this.buildCustomTab();
+    }
+
 
 
     /**
@@ -173,7 +387,8 @@ export default class Selection {
      * @returns {Void}
      */
     transform() {
-        this.#listElem.style.transform = `translateX(calc(-100%/${Data.puzzles}*${this.#index}))`;
+        const total = Math.max(this.#total, this.#amount);
+        this.#listElem.style.transform = `translateX(calc(-100%/${total}*${this.#index}))`;
     }
 
     /**
@@ -203,15 +418,28 @@ export default class Selection {
                 const timeParts = Utils.parseTime(time);
                 desc = `Completed <b>${percent}%</b> of this puzzle in <b>${timeParts.join(":")}</b>.`;
             }
-            this.#descElem.innerHTML     = desc;
-            this.#descElem.style.display = "block";
-            this.#buttonElem.innerHTML   = percent === 100 ? "Restart" : "Continue";
+            this.#descElem.innerHTML        = desc;
+            this.#descElem.style.display    = "block";
+            this.#buttonElem.innerHTML      = percent === 100 ? "Restart" : "Continue";
+            this.#optionsElem.style.display = percent === 100 ? "block" : "none";
         } else {
-            this.#descElem.style.display = "none";
-            this.#buttonElem.innerHTML   = "Start";
+            this.#descElem.style.display    = "none";
+            this.#buttonElem.innerHTML      = "Start";
+            this.#optionsElem.style.display = "block";
         }
     }
 
+    /**
+     * Removes the selection of the Pieces
+     * @returns {Void}
+     */
+    unselect() {
+        this.#selectedElem              = null;
+        this.#descElem.style.display    = "none";
+        this.#buttonElem.style.display  = "none";
+        this.#optionsElem.style.display = "none";
+    }
+
     /**
      * Starts the Puzzle
      * @returns {Void}
@@ -220,10 +448,11 @@ export default class Selection {
         this.#selectedElem.classList.remove("selected");
         this.#selectedElem.parentElement.parentElement.classList.remove("selected");
 
-        this.#mainElem.style.display   = "none";
-        this.#descElem.style.display   = "none";
-        this.#buttonElem.style.display = "none";
+        this.#mainElem.style.display    = "none";
+        this.#descElem.style.display    = "none";
+        this.#buttonElem.style.display  = "none";
+        this.#optionsElem.style.display = "none";
 
-        this.#onStart(this.#image, this.#pieces);
+        this.#onStart(this.#image, this.#pieces, { cut : this.#cut, rotation : this.#rotation });
     }
 }
@@ -313,6 +313,9 @@ export default class Set {
      */
     canFit(other) {
         if (other instanceof Piece) {
+            if (other.rotation) {
+                return false;
+            }
             const fitPos = this.#metrics.calcPiecePos(other, this.top, this.left, this.startRow, this.startCol);
             const dist   = Utils.dist(fitPos, other.pos);
             return dist < this.#metrics.delta;
@@ -0,0 +1,204 @@
+import Card         from "./Card.js";
+import Data         from "./Data.js";
+import Deck         from "./Deck.js";
+import Foundations  from "./Foundations.js";
+import Solver       from "./Solver.js";
+import Tableau      from "./Tableau.js";
+
+// Utils
+import Storage      from "../../utils/Storage.js";
+
+
+
+/**
+ * Spider Analyzer
+ * Sends the Game states to the Solver, running in a Worker when possible.
+ * A new request cancels the one being solved
+ */
+export default class Analyzer {
+
+    /**
+     * Spider Analyzer constructor
+     */
+    constructor() {
+        this.storage  = new Storage("spider.solver");
+        this.winnable = this.storage.get("winnable", false);
+        this.worker   = null;
+        this.noWorker = false;
+        this.request  = null;
+        this.lastID   = 0;
+
+        /** @type {HTMLElement} */
+        this.element  = document.querySelector(".winnable");
+
+        this.setDisplay();
+    }
+
+    /**
+     * Turns the winnable games only option on or off
+     * @returns {Void}
+     */
+    toggle() {
+        this.winnable = !this.winnable;
+        this.storage.set("winnable", this.winnable);
+        this.setDisplay();
+    }
+
+    /**
+     * Sets the display of the option
+     * @returns {Void}
+     */
+    setDisplay() {
+        if (this.element) {
+            this.element.innerHTML = `Only deal <i>w</i>innable games: <b>${this.winnable ? "On" : "Off"}</b>`;
+        }
+    }
+
+
+
+    /**
+     * Returns the state of the Game as used by the Solver. With hidden, the face
+     * down cards and the Stock are unknown, as they are for the player
+     * @param {Tableau}     tableau
+     * @param {Deck}        deck
+     * @param {Foundations} foundations
+     * @param {Boolean=}    hidden
+     * @returns {Object}
+     */
+    getState(tableau, deck, foundations, hidden = false) {
+        const getCard = (card) => hidden && card.showingBack ? Data.unknownCard : this.getCard(card);
+        const columns = [];
+        const down    = [];
+        for (const column of tableau.columns) {
+            columns.push(column.cards.map(getCard));
+            down.push(column.cards.filter((card) => card.showingBack).length);
+        }
+        return {
+            columns, down,
+            stock : deck.cards.slice(deck.lastUsed).map((card) => hidden ? Data.unknownCard : this.getCard(card)),
+            done  : foundations.amount,
+        };
+    }
+
+    /**
+     * Returns the state of a Game that deals the given Deck
+     * @param {Deck} deck
+     * @returns {Object}
+     */
+    getDealState(deck) {
+        const columns = [];
+        const down    = [];
+        for (let i = 0; i < Data.columns; i++) {
+            columns.push([]);
+            down.push(0);
+        }
+        for (let i = 0; i < Data.initialCards; i++) {
+            const index = i % Data.columns;
+            columns[index].push(this.getCard(deck.cards[i]));
+            if (i < Data.initialCards - Data.columns) {
+                down[index] += 1;
+            }
+        }
+        return {
+            columns, down,
+            stock : deck.cards.slice(Data.initialCards).map((card) => this.getCard(card)),
+            done  : 0,
+        };
+    }
+
+    /**
+     * Returns the Card as used by the Solver
+     * @param {Card} card
+     * @returns {Number}
+     */
+    getCard(card) {
+        return Data.suits.indexOf(card.suit) * Data.suitCards + card.number - 1;
+    }
+
+
+
+    /**
+     * Solves the given state. Resolves to null if the request gets cancelled
+     * @param {Object} state
+     * @param {Number} maxNodes
+     * @returns {Promise}
+     */
+    solve(state, maxNodes) {
+        this.cancel();
+        this.lastID += 1;
+
+        return new Promise((resolve) => {
+            this.request = { id : this.lastID, resolve };
+            if (!this.createWorker()) {
+                // Without Workers, solve after the current frame
+                const id = this.lastID;
+                window.setTimeout(() => {
+                    if (this.request && this.request.id === id) {
+                        this.resolve({ id, ...new Solver(state, maxNodes).solve() });
+                    }
+                }, 50);
+                return;
+            }
+            this.worker.postMessage({ id : this.lastID, state, maxNodes });
+        });
+    }
+
+    /**
+     * Cancels the current request. The Worker is stopped since it can't be interrupted
+     * @returns {Void}
+     */
+    cancel() {
+        if (!this.request) {
+            return;
+        }
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.request.resolve(null);
+        this.request = null;
+    }
+
+    /**
+     * Resolves the current request with the given result
+     * @param {Object} result
+     * @returns {Void}
+     */
+    resolve(result) {
+        if (this.request && this.request.id === result.id) {
+            this.request.resolve(result);
+            this.request = null;
+        }
+    }
+
+    /**
+     * Creates the Worker if required. Returns false if Workers can't be used
+     * @returns {Boolean}
+     */
+    createWorker() {
+        if (this.worker) {
+            return true;
+        }
+        if (this.noWorker) {
+            return false;
+        }
+        try {
+            this.worker = new Worker(new URL("./SolverWorker.js", import.meta.url), { type : "module" });
+            this.worker.addEventListener("message", (e) => this.resolve(e.data));
+            this.worker.addEventListener("error",   () => this.stopWorker());
+            return true;
+        } catch (e) {
+            this.noWorker = true;
+            return false;
+        }
+    }
+
+    /**
+     * Stops using the Worker after it fails, cancelling the current request
+     * @returns {Void}
+     */
+    stopWorker() {
+        this.noWorker = true;
+        this.cancel();
+    }
+}
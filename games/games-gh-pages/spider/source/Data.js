@@ -12,4 +12,10 @@ export default {
     deals        : 5,
     shuffles     : 0,
 
+    hintNodes    : 5000,
+    checkNodes   : 40000,
+    dealNodes    : 40000,
+    dealTries    : 30,
+    unknownCard  : -1,
+
 };
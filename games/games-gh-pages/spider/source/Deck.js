@@ -36,10 +36,11 @@ export default class Deck {
 
     /**
      * Shuffles the Deck
+     * @param {Number=} times
      * @returns {Void}
      */
-    shuffle() {
-        for (let j = 0; j < Data.shuffles; j += 1) {
+    shuffle(times = Data.shuffles) {
+        for (let j = 0; j < times; j += 1) {
             for (let i = 0; i < this.cards.length; i += 1) {
                 const pos       = Utils.rand(0, this.cards.length - 1);
                 const aux       = this.cards[pos];
@@ -32,6 +32,15 @@ export default class Display {
 
         /** @type {HTMLElement} */
         this.congratsText = document.querySelector(".congrats p");
+
+        /** @type {HTMLElement} */
+        this.shuffling    = document.querySelector(".shuffling");
+
+        /** @type {HTMLElement} */
+        this.unwinnable   = document.querySelector(".unwinnable");
+
+        /** @type {HTMLElement} */
+        this.unchecked    = document.querySelector(".unchecked");
     }
 
 
@@ -63,12 +72,13 @@ export default class Display {
      * @returns {Void}
      */
     closeDialogs() {
-        this.current                = "game";
-        this.congrats.style.display = "none";
-        this.pause.style.display    = "none";
-        this.scores.style.display   = "none";
-        this.error.style.display    = "none";
-        this.moves.style.display    = "none";
+        this.current                 = "game";
+        this.congrats.style.display  = "none";
+        this.pause.style.display     = "none";
+        this.scores.style.display    = "none";
+        this.error.style.display     = "none";
+        this.moves.style.display     = "none";
+        this.shuffling.style.display = "none";
     }
 
     /**
@@ -107,6 +117,15 @@ export default class Display {
         this.moves.style.display = "block";
     }
 
+    /**
+     * Shows a Dialog while looking for a winnable deal
+     * @returns {Void}
+     */
+    showShuffling() {
+        this.current                 = "shuffling";
+        this.shuffling.style.display = "block";
+    }
+
     /**
      * Shows a Congrats Dialog
      * @param {String} text
@@ -117,4 +136,38 @@ export default class Display {
         this.congrats.style.display = "block";
         this.congratsText.innerHTML = text;
     }
+
+
+
+    /**
+     * Shows the warning that the Game can't be won
+     * @returns {Void}
+     */
+    showUnwinnable() {
+        this.unwinnable.style.display = "block";
+    }
+
+    /**
+     * Hides the warning that the Game can't be won
+     * @returns {Void}
+     */
+    hideUnwinnable() {
+        this.unwinnable.style.display = "none";
+    }
+
+    /**
+     * Shows a notice that no winnable deal was found in time
+     * @returns {Void}
+     */
+    showUnchecked() {
+        this.unchecked.style.display = "block";
+    }
+
+    /**
+     * Hides the notice that no winnable deal was found in time
+     * @returns {Void}
+     */
+    hideUnchecked() {
+        this.unchecked.style.display = "none";
+    }
 }
@@ -1,3 +1,4 @@
+import Analyzer     from "./Analyzer.js";
 import Animation    from "./Animation.js";
 import Card         from "./Card.js";
 import Chain        from "./Chain.js";
@@ -29,13 +30,17 @@ export default class Game {
      * @param {Instance} instance
      * @param {Display}  display
      * @param {Sounds}   sounds
+     * @param {Analyzer} analyzer
      * @param {Number}   suits
      */
-    constructor(instance, display, sounds, suits) {
+    constructor(instance, display, sounds, analyzer, suits) {
         this.instance    = instance;
         this.display     = display;
         this.sounds      = sounds;
+        this.analyzer    = analyzer;
         this.suits       = suits;
+        this.analysis    = null;
+        this.hintSearch  = null;
 
         this.animation   = new Animation();
         this.deck        = new Deck(this.suits);
@@ -59,18 +64,19 @@ export default class Game {
         this.tableau.reset();
         this.score.reset();
         this.history.reset();
+        this.invalidate();
         this.display.closeDialogs();
     }
 
     /**
      * Starts the Game
-     * @returns {Void}
+     * @returns {Promise}
      */
-    start() {
+    async start() {
         this.highScores.addLoose();
         this.sounds.play("start");
         this.reset();
-        this.deck.shuffle();
+        await this.shuffle();
         this.highScores.addGame();
         this.instance.addGame(this.suits, this.deck);
         this.startGame();
@@ -101,6 +107,33 @@ export default class Game {
 
         this.display.closeDialogs();
         this.score.startTimer();
+        this.analyze();
+    }
+
+    /**
+     * Shuffles the Deck. With the winnable games option, it shuffles until
+     * the Solver wins the deal, or keeps the last deal if it runs out of tries
+     * and tells the player that it may not be winnable
+     * @returns {Promise}
+     */
+    async shuffle() {
+        if (!this.analyzer.winnable) {
+            this.deck.shuffle();
+            return;
+        }
+
+        this.display.showShuffling();
+        let isWinnable = false;
+        for (let i = 0; i < Data.dealTries && !isWinnable; i++) {
+            this.deck.shuffle(Math.max(Data.shuffles, 1));
+            const state  = this.analyzer.getDealState(this.deck);
+            const result = await this.analyzer.solve(state, Data.dealNodes);
+            isWinnable   = Boolean(result && result.status === "won");
+        }
+        this.display.closeDialogs();
+        if (!isWinnable) {
+            this.display.showUnchecked();
+        }
     }
 
     /**
@@ -159,6 +192,7 @@ export default class Game {
         }
         this.instance.saveGame(this.tableau, this.foundations, this.history);
         this.score.startTimer();
+        this.analyze();
     }
 
     /**
@@ -183,9 +217,10 @@ export default class Game {
         }
         this.stock.remove();
         this.history.addDeal();
-        this.hints.invalidate();
+        this.invalidate();
 
         this.instance.saveGame(this.tableau, this.foundations, this.history);
+        this.analyze();
     }
 
     /**
@@ -229,12 +264,13 @@ export default class Game {
 
         this.history.addMove(oldColumn, newColumn, picked.amount);
         this.score.incMoves();
-        this.hints.invalidate();
+        this.invalidate();
         this.flip(oldColumn);
 
         this.instance.saveGame(this.tableau, this.foundations, this.history);
 
-        this.completeSequence(newColumn);
+        await this.completeSequence(newColumn);
+        this.analyze();
     }
 
     /**
@@ -313,7 +349,7 @@ export default class Game {
             return;
         }
         this.isUndoing = true;
-        this.hints.invalidate();
+        this.invalidate();
 
         const action = this.history.undoAction();
         switch (action.type) {
@@ -357,6 +393,7 @@ export default class Game {
         } else {
             this.score.subUndo();
             this.sounds.play("undo");
+            this.analyze();
         }
     }
 
@@ -369,7 +406,7 @@ export default class Game {
             return;
         }
         this.isRedoing = true;
-        this.hints.invalidate();
+        this.invalidate();
 
         const action = this.history.redoAction();
         switch (action.type) {
@@ -410,14 +447,61 @@ export default class Game {
         } else {
             this.score.addUndo();
             this.sounds.play("redo");
+            this.analyze();
         }
     }
 
     /**
-     * Shows a Hint
+     * Invalidates the Hints and the Solver analysis after a change
      * @returns {Void}
      */
-    showHint() {
+    invalidate() {
+        this.hints.invalidate();
+        this.analyzer.cancel();
+        this.analysis   = null;
+        this.hintSearch = null;
+        this.display.hideUnwinnable();
+        this.display.hideUnchecked();
+    }
+
+    /**
+     * Asks the Solver for the best move, only with the cards the player can
+     * see, for the Hints. Then asks if the Game can still be won, knowing every
+     * card, and shows a warning if every move was tried
+     * @returns {Promise}
+     */
+    async analyze() {
+        const hidden     = this.analyzer.getState(this.tableau, this.deck, this.foundations, true);
+        const hintSearch = this.analyzer.solve(hidden, Data.hintNodes);
+        this.hintSearch  = hintSearch;
+        this.analysis    = hintSearch;
+
+        const hint = await hintSearch;
+        if (!hint || this.analysis !== hintSearch) {
+            return;
+        }
+        if (hint.move) {
+            this.hints.setBest(hint.move);
+        }
+
+        const state    = this.analyzer.getState(this.tableau, this.deck, this.foundations);
+        const analysis = this.analyzer.solve(state, Data.checkNodes);
+        this.analysis  = analysis;
+
+        const result = await analysis;
+        if (result && this.analysis === analysis && result.status === "lost") {
+            this.display.showUnwinnable();
+        }
+    }
+
+    /**
+     * Shows a Hint. Waits for the Solver to show its best move first
+     * @returns {Promise}
+     */
+    async showHint() {
+        if (this.hintSearch && this.hints.isInvalid) {
+            await this.hintSearch;
+        }
         if (!this.hints.showHint()) {
             this.display.showMovesError();
             this.score.stopTimer();
@@ -21,6 +21,7 @@ export default class Hints {
         this.isInvalid = true;
         this.hints     = [];
         this.current   = 0;
+        this.best      = null;
     }
 
     /**
@@ -85,6 +86,17 @@ export default class Hints {
      */
     invalidate() {
         this.isInvalid = true;
+        this.best      = null;
+    }
+
+    /**
+     * Sets the best move found by the Solver, to show it first
+     * @param {?{deal: Boolean, from: Number, to: Number, amount: Number}} move
+     * @returns {Void}
+     */
+    setBest(move) {
+        this.best      = move;
+        this.isInvalid = true;
     }
 
     /**
@@ -148,5 +160,36 @@ export default class Hints {
         }
 
         this.hints.sort((a, b) => b.score - a.score);
+        if (this.best) {
+            this.addBest();
+        }
+    }
+
+    /**
+     * Adds the best move at the start of the Hints
+     * @returns {Void}
+     */
+    addBest() {
+        const { deal, from, to, amount } = this.best;
+        if (deal) {
+            this.hints.unshift({ score : 0, cards : [], from : null, to : this.stock });
+            return;
+        }
+
+        const index = this.hints.findIndex((hint) => (
+            hint.from.index === from && hint.to.index === to && hint.cards.length === amount
+        ));
+        if (index > -1) {
+            this.hints.unshift(this.hints.splice(index, 1)[0]);
+            return;
+        }
+
+        const column = this.tableau.columns[from];
+        this.hints.unshift({
+            score : 0,
+            cards : column.cards.slice(-amount),
+            from  : column,
+            to    : this.tableau.columns[to],
+        });
     }
 }
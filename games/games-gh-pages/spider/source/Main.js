@@ -1,3 +1,4 @@
+import Analyzer     from "./Analyzer.js";
 import Display      from "./Display.js";
 import Game         from "./Game.js";
 import Instance     from "./Instance.js";
@@ -12,6 +13,7 @@ let game       = null;
 let instance   = null;
 let display    = null;
 let sounds     = null;
+let analyzer   = null;
 let actions    = null;
 let shortcuts  = null;
 let picked     = null;
@@ -29,7 +31,7 @@ function play(suits) {
     display.showGame();
 
     if (!games[suits]) {
-        games[suits] = new Game(instance, display, sounds, suits);
+        games[suits] = new Game(instance, display, sounds, analyzer, suits);
     }
     game = games[suits];
     if (instance.hasGame) {
@@ -67,6 +69,7 @@ function createActionsShortcuts() {
         resetScores : () => game.resetScores(),
         toggle      : () => game.toggle(),
         mute        : () => sounds.toggle(),
+        winnable    : () => analyzer.toggle(),
         select      : () => selectGame(),
     };
 
@@ -75,6 +78,7 @@ function createActionsShortcuts() {
             1      : () => play(1),
             2      : () => play(2),
             4      : () => play(4),
+            W      : "winnable",
         },
         game : {
             P      : "pause",
@@ -193,6 +197,7 @@ function main() {
     instance = new Instance();
     display  = new Display();
     sounds   = new Sounds("spider.sound");
+    analyzer = new Analyzer();
 
     createActionsShortcuts();
     initDomListeners();
@@ -0,0 +1,395 @@
+import Data         from "./Data.js";
+
+// The weights used to evaluate a state
+const WEIGHTS = {
+    done    : 200,
+    down    : 10,
+    empty   : 15,
+    inSuit  : 10,
+    offSuit : 2,
+    broken  : 5,
+};
+
+
+
+/**
+ * Spider Solver
+ * A best first search over the Tableau and the Stock, with a limit of nodes.
+ * It doesn't use the DOM, so it can run in a Worker. The cards are numbers:
+ * the suit index * 13 plus the number - 1. The face down cards of a column are
+ * always the first ones, so only the amount is stored. Cards the player can't
+ * see can be given as Data.unknownCard: they never move and nothing goes on them
+ */
+export default class Solver {
+
+    /**
+     * Spider Solver constructor
+     * @param {{columns: Number[][], down: Number[], stock: Number[], done: Number}} state
+     * @param {Number} maxNodes
+     */
+    constructor(state, maxNodes) {
+        this.stock    = state.stock;
+        this.maxNodes = maxNodes;
+        this.nodes    = 0;
+        this.pruned   = false;
+        this.visited  = new Set();
+        this.queue    = [];
+        this.root     = {
+            columns : state.columns.map((cards) => cards.slice()),
+            down    : state.down.slice(),
+            dealt   : 0,
+            done    : state.done,
+            parent  : null,
+            move    : null,
+        };
+    }
+
+    /**
+     * Searches for a solution. The status is "won" if one was found and "lost"
+     * only if every legal move was tried. It is "unknown" if the limit of nodes
+     * was reached or if getMoves skipped a move that could have mattered.
+     * The move is the first one of the solution, or without one, the first one
+     * towards the best state found
+     * @returns {{status: String, move: ?Object, nodes: Number}}
+     */
+    solve() {
+        if (this.root.done === Data.foundations) {
+            return { status : "won", move : null, nodes : 0 };
+        }
+        this.root.score = this.evaluate(this.root);
+        this.best       = this.root;
+        this.visited.add(this.getKey(this.root));
+        this.push(this.root);
+
+        while (this.queue.length) {
+            const state = this.pop();
+            for (const move of this.getMoves(state)) {
+                if (this.nodes >= this.maxNodes) {
+                    return { status : "unknown", move : this.getBestMove(), nodes : this.nodes };
+                }
+                const next = this.apply(state, move);
+                const key  = this.getKey(next);
+                if (this.visited.has(key)) {
+                    continue;
+                }
+                this.visited.add(key);
+                this.nodes += 1;
+
+                if (next.done === Data.foundations) {
+                    return { status : "won", move : this.getFirstMove(next), nodes : this.nodes };
+                }
+                next.score = this.evaluate(next);
+                if (next.score > this.best.score) {
+                    this.best = next;
+                }
+                this.push(next);
+            }
+        }
+        return { status : this.pruned ? "unknown" : "lost", move : this.getBestMove(), nodes : this.nodes };
+    }
+
+    /**
+     * Returns the first move towards the best state found, if it's better than the current one
+     * @returns {?Object}
+     */
+    getBestMove() {
+        return this.best === this.root ? null : this.getFirstMove(this.best);
+    }
+
+    /**
+     * Returns the first move of the path that leads to the given state
+     * @param {Object} state
+     * @returns {Object}
+     */
+    getFirstMove(state) {
+        let current = state;
+        while (current.parent !== this.root) {
+            current = current.parent;
+        }
+        return { deal : Boolean(current.move.deal), from : current.move.from, to : current.move.to, amount : current.move.amount };
+    }
+
+
+
+    /**
+     * Returns a key for the given state. The dealt cards decide the Stock
+     * @param {Object} state
+     * @returns {String}
+     */
+    getKey(state) {
+        let key = String.fromCharCode(65 + state.dealt);
+        for (let i = 0; i < Data.columns; i++) {
+            key += String.fromCharCode(65 + state.down[i], ...state.columns[i].map((card) => card + 48)) + "|";
+        }
+        return key;
+    }
+
+    /**
+     * Returns a score for the given state, higher is better
+     * @param {Object} state
+     * @returns {Number}
+     */
+    evaluate(state) {
+        let score = state.done * WEIGHTS.done;
+        for (let i = 0; i < Data.columns; i++) {
+            const cards = state.columns[i];
+            const down  = state.down[i];
+
+            score -= down * WEIGHTS.down;
+            if (!cards.length) {
+                score += WEIGHTS.empty;
+            }
+            for (let j = down + 1; j < cards.length; j++) {
+                if (this.isSameSuitNext(cards[j - 1], cards[j])) {
+                    score += WEIGHTS.inSuit;
+                } else if (this.isNext(cards[j - 1], cards[j])) {
+                    score += WEIGHTS.offSuit;
+                } else {
+                    score -= WEIGHTS.broken;
+                }
+            }
+        }
+        return score;
+    }
+
+    /**
+     * Returns true if the card can go over the other one
+     * @param {Number} below
+     * @param {Number} card
+     * @returns {Boolean}
+     */
+    isNext(below, card) {
+        if (below === Data.unknownCard || card === Data.unknownCard) {
+            return false;
+        }
+        return below % Data.suitCards === card % Data.suitCards + 1;
+    }
+
+    /**
+     * Returns true if the card can go over the other one, and both have the same suit
+     * @param {Number} below
+     * @param {Number} card
+     * @returns {Boolean}
+     */
+    isSameSuitNext(below, card) {
+        if (below === Data.unknownCard || card === Data.unknownCard) {
+            return false;
+        }
+        return below === card + 1 && card % Data.suitCards !== Data.suitCards - 1;
+    }
+
+    /**
+     * Returns the index where the sequence at the end of the column starts
+     * @param {Number[]} cards
+     * @param {Number}   down
+     * @returns {Number}
+     */
+    getRunStart(cards, down) {
+        let index = cards.length - 1;
+        while (index > down && this.isSameSuitNext(cards[index - 1], cards[index])) {
+            index -= 1;
+        }
+        return index;
+    }
+
+
+
+    /**
+     * Returns the useful moves of the given state, the most promising first.
+     * A sequence is only split to complete another one, a whole column is never
+     * moved to an empty one and only the first empty column is tried. Skipping a
+     * split or a part of a sequence marks the search as pruned, the other
+     * skipped moves only lead to the same positions in other columns
+     * @param {Object} state
+     * @returns {Object[]}
+     */
+    getMoves(state) {
+        const moves      = [];
+        const firstEmpty = state.columns.findIndex((cards) => !cards.length);
+
+        for (let from = 0; from < Data.columns; from++) {
+            const cards = state.columns[from];
+            if (!cards.length || cards[cards.length - 1] === Data.unknownCard) {
+                continue;
+            }
+            const start   = this.getRunStart(cards, state.down[from]);
+            const reveals = start > 0 && start === state.down[from];
+            const onPlace = start > state.down[from] && this.isNext(cards[start - 1], cards[start]);
+
+            for (let to = 0; to < Data.columns; to++) {
+                const target = state.columns[to];
+                if (from === to) {
+                    continue;
+                }
+
+                if (!target.length) {
+                    if (to === firstEmpty && start > 0) {
+                        if (cards.length - start > 1) {
+                            this.pruned = true;
+                        }
+                        moves.push({ from, to, amount : cards.length - start, score : reveals ? 20 : (onPlace ? -40 : -20) });
+                    }
+                    continue;
+                }
+
+                const last  = target[target.length - 1];
+                if (last === Data.unknownCard) {
+                    continue;
+                }
+                const index = cards.length - 1 - (last % Data.suitCards - 1 - cards[cards.length - 1] % Data.suitCards);
+                if (last % Data.suitCards === 0 || index < start || index >= cards.length) {
+                    continue;
+                }
+
+                const sameSuit = this.isSameSuitNext(last, cards[index]);
+                if (index > start) {
+                    const length = target.length - this.getRunStart(target, state.down[to]);
+                    if (sameSuit && length + cards.length - index === Data.suitCards) {
+                        moves.push({ from, to, amount : cards.length - index, score : 100 });
+                    } else {
+                        this.pruned = true;
+                    }
+                    continue;
+                }
+
+                let score = 0;
+                if (sameSuit) {
+                    score += 30 + cards.length - index;
+                } else if (onPlace) {
+                    score -= 30;
+                }
+                if (reveals) {
+                    score += 50;
+                } else if (start === 0) {
+                    score += 40;
+                }
+                moves.push({ from, to, amount : cards.length - index, score });
+            }
+        }
+
+        if (state.dealt < this.stock.length && firstEmpty === -1) {
+            moves.push({ deal : true, score : -25 });
+        }
+        return moves.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Returns a new state with the given move applied
+     * @param {Object} state
+     * @param {Object} move
+     * @returns {Object}
+     */
+    apply(state, move) {
+        const result = {
+            columns : state.columns.slice(),
+            down    : state.down.slice(),
+            dealt   : state.dealt,
+            done    : state.done,
+            parent  : state,
+            move,
+        };
+
+        if (move.deal) {
+            for (let i = 0; i < Data.columns; i++) {
+                result.columns[i] = result.columns[i].concat(this.stock[result.dealt + i]);
+            }
+            result.dealt += Data.columns;
+            for (let i = 0; i < Data.columns; i++) {
+                this.completeSequence(result, i);
+            }
+            return result;
+        }
+
+        const source = state.columns[move.from];
+        const cards  = source.slice(source.length - move.amount);
+        result.columns[move.from] = source.slice(0, source.length - move.amount);
+        result.columns[move.to]   = state.columns[move.to].concat(cards);
+        this.flip(result, move.from);
+        this.completeSequence(result, move.to);
+        return result;
+    }
+
+    /**
+     * Turns the last card of the column if it is face down
+     * @param {Object} state
+     * @param {Number} column
+     * @returns {Void}
+     */
+    flip(state, column) {
+        if (state.down[column] > 0 && state.down[column] === state.columns[column].length) {
+            state.down[column] -= 1;
+        }
+    }
+
+    /**
+     * Removes a complete sequence from the end of the column, if there is one
+     * @param {Object} state
+     * @param {Number} column
+     * @returns {Void}
+     */
+    completeSequence(state, column) {
+        const cards = state.columns[column];
+        if (cards.length - state.down[column] < Data.suitCards) {
+            return;
+        }
+        const start = this.getRunStart(cards, state.down[column]);
+        if (cards.length - start === Data.suitCards && cards[cards.length - 1] % Data.suitCards === 0) {
+            state.columns[column] = cards.slice(0, start);
+            state.done += 1;
+            this.flip(state, column);
+        }
+    }
+
+
+
+    /**
+     * Adds a state to the queue, sorted by score
+     * @param {Object} state
+     * @returns {Void}
+     */
+    push(state) {
+        const heap = this.queue;
+        let   index = heap.push(state) - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].score >= heap[index].score) {
+                break;
+            }
+            [ heap[parent], heap[index] ] = [ heap[index], heap[parent] ];
+            index = parent;
+        }
+    }
+
+    /**
+     * Removes and returns the state with the highest score
+     * @returns {Object}
+     */
+    pop() {
+        const heap = this.queue;
+        const top  = heap[0];
+        const last = heap.pop();
+        if (!heap.length) {
+            return top;
+        }
+
+        heap[0] = last;
+        let index = 0;
+        while (true) {
+            const left  = index * 2 + 1;
+            const right = left + 1;
+            let   best  = index;
+            if (left < heap.length && heap[left].score > heap[best].score) {
+                best = left;
+            }
+            if (right < heap.length && heap[right].score > heap[best].score) {
+                best = right;
+            }
+            if (best === index) {
+                break;
+            }
+            [ heap[best], heap[index] ] = [ heap[index], heap[best] ];
+            index = best;
+        }
+        return top;
+    }
+}
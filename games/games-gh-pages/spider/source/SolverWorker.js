@@ -0,0 +1,12 @@
+import Solver       from "./Solver.js";
+
+
+
+/**
+ * Solves the received state and posts the result back with the same id
+ */
+self.addEventListener("message", (e) => {
+    const { id, state, maxNodes } = e.data;
+    const result = new Solver(state, maxNodes).solve();
+    self.postMessage({ id, ...result });
+});
@@ -47,7 +47,7 @@ export default class Board {
     crashed(top, left, matrix) {
         for (let i = 0; i < matrix.length; i += 1) {
             for (let j = 0; j < matrix[i].length; j += 1) {
-                if (matrix[i][j] && this.matrix[top + i][left + j + 1]) {
+                if (matrix[i][j] && this.isFilled(top + i, left + j)) {
                     return true;
                 }
             }
@@ -55,6 +55,20 @@ export default class Board {
         return false;
     }
 
+    /**
+     * Returns true if the given cell is not empty. The cells outside the Board are filled,
+     * since the wall kicks can move the Tetriminos past the borders
+     * @param {Number} top
+     * @param {Number} left
+     * @returns {Boolean}
+     */
+    isFilled(top, left) {
+        if (top < 0 || top >= this.matrixRows || left < -1 || left >= this.matrixCols - 1) {
+            return true;
+        }
+        return Boolean(this.matrix[top][left + 1]);
+    }
+
     /**
      * Adds Tetrimino Elements to the Matrix
      * @param {HTMLElement} element
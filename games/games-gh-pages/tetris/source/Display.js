@@ -17,6 +17,8 @@ export default class Display {
             paused     : [ "Pause",      "Continue with the game?"   ],
             continuing : [ "Continue",   "Continue with the game?"   ],
             gameOver   : [ "GameOver",   "Write your name"           ],
+            finished   : [ "Finished",   "Write your name"           ],
+            failed     : [ "GameOver",   "The goal was not reached"  ],
             highScores : [ "HighScores", "Select a level"            ],
             help       : [ "Help",       "Game controlls"            ]
         };
@@ -44,11 +46,12 @@ export default class Display {
 
     /**
      * Show the message
+     * @param {String=} text
      */
-    show() {
+    show(text) {
         this.container.className = this.current;
         this.header.innerHTML    = this.messages[this.current][0];
-        this.paragraph.innerHTML = this.messages[this.current][1];
+        this.paragraph.innerHTML = text || this.messages[this.current][1];
     }
 
     /**
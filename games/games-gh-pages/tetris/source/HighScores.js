@@ -1,3 +1,6 @@
+import Score        from "./Score.js";
+
+// Utils
 import Storage      from "../../utils/Storage.js";
 import Utils        from "../../utils/Utils.js";
 
@@ -12,8 +15,9 @@ export default class HighScores {
      * Tetris High Scores constructor
      */
     constructor() {
-        this.data      = new Storage("tetris.hs");
-        this.total     = this.data.get("total") || 0;
+        this.mode      = null;
+        this.data      = null;
+        this.total     = 0;
         this.maxScores = 9;
         this.isFocused = false;
 
@@ -32,6 +36,24 @@ export default class HighScores {
 
 
 
+    /**
+     * Sets the mode used to show and save the Scores. The classic mode keeps the original storage
+     * @param {Object} mode
+     */
+    setMode(mode) {
+        this.mode  = mode;
+        this.data  = new Storage(mode.id === "classic" ? "tetris.hs" : `tetris.hs.${mode.id}`);
+        this.total = this.data.get("total") || 0;
+    }
+
+    /**
+     * Returns true if the mode records the time instead of the score
+     * @returns {Boolean}
+     */
+    get isTimed() {
+        return this.mode.record === "time";
+    }
+
     /**
      * Show the Scores for the given mode
      */
@@ -49,7 +71,7 @@ export default class HighScores {
      * Create the titles and place it in the DOM
      */
     displayTitles() {
-        const div = this.createContent("name", "lvl", "score");
+        const div = this.createContent("name", "lvl", this.isTimed ? "time" : "score");
         div.className = "titles";
         this.scores.appendChild(div);
     }
@@ -60,13 +82,25 @@ export default class HighScores {
     displayScores() {
         for (let i = 1; i <= this.total; i += 1) {
             const data = this.data.get(i);
-            const div  = this.createContent(data.name, data.level, Utils.formatNumber(data.score, ","));
+            const div  = this.createContent(data.name, data.level, this.formatScore(data.score));
 
             div.className = "highScore";
             this.scores.appendChild(div);
         }
     }
 
+    /**
+     * Formats the given score, or time in ms if the mode records the time
+     * @param {Number} score
+     * @returns {String}
+     */
+    formatScore(score) {
+        if (this.isTimed) {
+            return Score.formatTime(score);
+        }
+        return Utils.formatNumber(score, ",");
+    }
+
     /**
      * Creates the content for each High Score
      */
@@ -110,7 +144,7 @@ export default class HighScores {
 
         for (let i = 1; i <= this.total; i += 1) {
             const hs = this.data.get(i);
-            if (!saved && hs.score < actual.score) {
+            if (!saved && this.isBetter(actual, hs)) {
                 data.push(actual);
                 saved = true;
             }
@@ -129,6 +163,19 @@ export default class HighScores {
         this.total = data.length;
     }
 
+    /**
+     * Returns true if the score is better than the other one. A lower time is better
+     * @param {{score: Number}} score
+     * @param {{score: Number}} other
+     * @returns {Boolean}
+     */
+    isBetter(score, other) {
+        if (this.isTimed) {
+            return score.score < other.score;
+        }
+        return score.score > other.score;
+    }
+
     /**
      * Deletes all the Scores
      */
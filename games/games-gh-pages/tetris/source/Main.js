@@ -3,6 +3,7 @@ import Display      from "./Display.js";
 import HighScores   from "./HighScores.js";
 import Keyboard     from "./Keyboard.js";
 import Level        from "./Level.js";
+import Mode         from "./Mode.js";
 import Score        from "./Score.js";
 import Tetriminos   from "./Tetriminos.js";
 
@@ -13,6 +14,7 @@ import Utils        from "../../utils/Utils.js";
 // Variables
 let display    = null;
 let level      = null;
+let mode       = null;
 let sounds     = null;
 let scores     = null;
 let keyboard   = null;
@@ -78,11 +80,26 @@ function finishGame() {
 }
 
 /**
- * Game Over
+ * Game Over. The modes with a goal can't save a score without reaching it
  * @returns {Void}
  */
 function showGameOver() {
-    display.set("gameOver").show();
+    if (mode.get().lines) {
+        display.set("failed").show();
+    } else {
+        display.set("gameOver").show();
+        scores.setInput();
+    }
+    sounds.play("end");
+    destroyGame();
+}
+
+/**
+ * Finish the Game after reaching the goal of the mode
+ * @returns {Void}
+ */
+function showFinished() {
+    display.set("finished").show();
     sounds.play("end");
     scores.setInput();
     destroyGame();
@@ -102,16 +119,32 @@ function destroyGame() {
  * @returns {Void}
  */
 function showHighScores() {
-    display.set("highScores").show();
+    scores.setMode(mode.get());
+    display.set("highScores").show(`${mode.get().name} mode`);
     scores.show();
 }
 
+/**
+ * Shows the High Scores of the previous or next mode
+ * @param {Number} amount
+ * @returns {Void}
+ */
+function changeHighScores(amount) {
+    if (amount > 0) {
+        mode.inc();
+    } else {
+        mode.dec();
+    }
+    showHighScores();
+}
+
 /**
  * Saves the High Score
  * @returns {Void}
  */
 function saveHighScore() {
-    if (scores.save(score.level, score.score)) {
+    const value = scores.isTimed ? Math.floor(score.elapsed) : score.score;
+    if (scores.save(score.level, value)) {
         showHighScores();
     }
 }
@@ -140,10 +173,11 @@ function onWindEnd() {
 function newGame() {
     display.set("playing").hide();
     keyboard.reset();
+    scores.setMode(mode.get());
 
     board      = new Board(tetriminoSize, onWindEnd);
-    score      = new Score(level.get(), maxInitialLevel);
-    tetriminos = new Tetriminos(board, sounds, score, tetriminoSize, showGameOver);
+    score      = new Score(level.get(), maxInitialLevel, mode.get());
+    tetriminos = new Tetriminos(board, sounds, score, tetriminoSize, mode.get(), showGameOver, showFinished);
 
     requestAnimation();
 }
@@ -159,11 +193,22 @@ function requestAnimation() {
     animation = window.requestAnimationFrame(() => {
         const time = new Date().getTime() - startTime;
 
+        if (score.isTimed) {
+            score.addTime(time);
+            if (score.isTimeUp) {
+                showFinished();
+                return;
+            }
+        }
+
         score.decTime(time);
         if (score.time < 0) {
             tetriminos.softDrop();
             score.resetTime();
         }
+        if (display.isPlaying) {
+            tetriminos.update(time);
+        }
         keyboard.holdingKey();
 
         if (display.isPlaying && !board.isWinking()) {
@@ -191,6 +236,8 @@ function getShortcuts() {
             A : () => level.dec(),
             I : () => showHighScores(),
             D : () => level.inc(),
+            W : () => mode.dec(),
+            S : () => mode.inc(),
             H : () => showHelp(),
             M : () => sounds.toggle()
         },
@@ -202,23 +249,35 @@ function getShortcuts() {
             O : () => saveHighScore(),
             B : () => showMainScreen()
         },
+        finished : {
+            O : () => saveHighScore(),
+            B : () => showMainScreen()
+        },
+        failed : {
+            O : () => showMainScreen(),
+            B : () => showMainScreen()
+        },
         highScores : {
             B : () => showMainScreen(),
-            R : () => scores.restore()
+            R : () => scores.restore(),
+            A : () => changeHighScores(-1),
+            D : () => changeHighScores(1)
         },
         help : {
             B : () => showMainScreen()
         },
         playing : {
-            C : () => tetriminos.hardDrop(),
-            W : () => tetriminos.rotateRight(),
-            A : () => tetriminos.moveLeft(),
-            S : () => tetriminos.softDrop(),
-            D : () => tetriminos.moveRight(),
-            X : () => tetriminos.rotateRight(),
-            Z : () => tetriminos.rotateLeft(),
-            P : () => startPause(),
-            M : () => sounds.toggle()
+            C     : () => tetriminos.hardDrop(),
+            W     : () => tetriminos.rotateRight(),
+            A     : () => tetriminos.moveLeft(),
+            S     : () => tetriminos.softDrop(true),
+            D     : () => tetriminos.moveRight(),
+            X     : () => tetriminos.rotateRight(),
+            Z     : () => tetriminos.rotateLeft(),
+            H     : () => tetriminos.hold(),
+            Shift : () => tetriminos.hold(),
+            P     : () => startPause(),
+            M     : () => sounds.toggle()
         },
         number : (number) => {
             if (display.isMainScreen) {
@@ -238,6 +297,10 @@ function initDomListeners() {
         const actions = {
             decrease   : () => level.dec(),
             increase   : () => level.inc(),
+            prevMode   : () => mode.dec(),
+            nextMode   : () => mode.inc(),
+            prevScores : () => changeHighScores(-1),
+            nextScores : () => changeHighScores(1),
             start      : () => newGame(),
             mainScreen : () => showMainScreen(),
             endPause   : () => endPause(),
@@ -267,6 +330,7 @@ function main() {
 
     display  = new Display();
     level    = new Level(maxInitialLevel);
+    mode     = new Mode();
     sounds   = new Sounds("tetris.sound");
     scores   = new HighScores();
     keyboard = new Keyboard(display, scores, getShortcuts());
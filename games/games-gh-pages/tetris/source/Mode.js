@@ -0,0 +1,117 @@
+import Utils        from "../../utils/Utils.js";
+
+// The rules used by each mode. The classic one keeps the original rules
+const MODES = [
+    {
+        id        : "classic",
+        name      : "classic",
+        hold      : false,   // Can hold a Tetrimino
+        queue     : 1,       // Amount of next Tetriminos to show
+        kicks     : false,   // Uses the SRS wall kicks
+        lockDelay : 0,       // Time in ms before a grounded Tetrimino locks
+        tSpins    : false,   // Detects the T-Spins
+        guideline : false,   // Uses the guideline scoring and gravity
+        leveling  : true,    // Increases the level every 10 lines
+        lines     : 0,       // Amount of lines to finish the game
+        time      : 0,       // Time in ms to finish the game
+        record    : "score", // The high scores sort by score or time
+    },
+    {
+        id        : "marathon",
+        name      : "marathon",
+        hold      : true,
+        queue     : 5,
+        kicks     : true,
+        lockDelay : 500,
+        tSpins    : true,
+        guideline : true,
+        leveling  : true,
+        lines     : 0,
+        time      : 0,
+        record    : "score",
+    },
+    {
+        id        : "sprint",
+        name      : "sprint 40",
+        hold      : true,
+        queue     : 5,
+        kicks     : true,
+        lockDelay : 500,
+        tSpins    : true,
+        guideline : true,
+        leveling  : false,
+        lines     : 40,
+        time      : 0,
+        record    : "time",
+    },
+    {
+        id        : "ultra",
+        name      : "ultra 2:00",
+        hold      : true,
+        queue     : 5,
+        kicks     : true,
+        lockDelay : 500,
+        tSpins    : true,
+        guideline : true,
+        leveling  : false,
+        lines     : 0,
+        time      : 120000,
+        record    : "score",
+    },
+];
+
+
+
+/**
+ * Tetris Mode
+ */
+export default class Mode {
+
+    /**
+     * Tetris Mode constructor
+     */
+    constructor() {
+        this.moderElem = document.querySelector(".moder");
+        this.index     = 0;
+    }
+
+
+
+    /**
+     * Returns the rules of the current mode
+     * @returns {Object}
+     */
+    get() {
+        return MODES[this.index];
+    }
+
+    /**
+     * Selects the next mode
+     * @returns {Void}
+     */
+    inc() {
+        Utils.unselect();
+        this.index = (this.index + 1) % MODES.length;
+        this.show();
+    }
+
+    /**
+     * Selects the previous mode
+     * @returns {Void}
+     */
+    dec() {
+        Utils.unselect();
+        this.index = (this.index + MODES.length - 1) % MODES.length;
+        this.show();
+    }
+
+
+
+    /**
+     * Shows the current mode
+     * @returns {Void}
+     */
+    show() {
+        this.moderElem.innerHTML = this.get().name;
+    }
+}
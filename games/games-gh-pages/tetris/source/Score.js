@@ -1,5 +1,15 @@
 import Utils        from "../../utils/Utils.js";
 
+// The guideline points for each amount of lines, multiplied by the level
+const POINTS = {
+    none : [ 0,   100, 300,  500,  800 ],
+    mini : [ 100, 200, 400 ],
+    full : [ 400, 800, 1200, 1600 ],
+};
+
+// The names of the line clears
+const CLEARS = [ "", "Single", "Double", "Triple", "Tetris" ];
+
 
 /**
  * Tetris Score
@@ -10,27 +20,37 @@ export default class Score {
      * Tetris Score constructor
      * @param {Number} level
      * @param {Number} maxInitialLevel
+     * @param {Object} mode
      */
-    constructor(level, maxInitialLevel) {
+    constructor(level, maxInitialLevel, mode) {
         this.multipliers     = [ 40, 100, 300, 1200 ];
         this.timeInterval    = 50;
         this.linesPerLevel   = 10;
         this.maxInitialLevel = maxInitialLevel;
+        this.mode            = mode;
 
-        this.levelElem = document.querySelector(".level .content");
-        this.scoreElem = document.querySelector(".score .content");
-        this.linesElem = document.querySelector(".lines .content");
+        this.levelElem  = document.querySelector(".level .content");
+        this.scoreElem  = document.querySelector(".score .content");
+        this.linesElem  = document.querySelector(".lines .content");
+        this.timerElem  = document.querySelector(".timer .content");
+        this.actionElem = document.querySelector(".action");
 
-        this.level    = level;
-        this.score    = 0;
-        this.lines    = 0;
-        this.amount   = 0;
-        this.timer    = this.calculateTimer();
-        this.time     = this.timer;
+        this.level      = level;
+        this.score      = 0;
+        this.lines      = 0;
+        this.amount     = 0;
+        this.timer      = this.calculateTimer();
+        this.time       = this.timer;
+        this.elapsed    = 0;
+        this.backToBack = false;
+
+        document.querySelector(".timer").style.display = this.isTimed ? "block" : "none";
+        this.actionElem.innerHTML = "";
 
         this.showLevel();
         this.showScore();
         this.showLines();
+        this.showTimer();
     }
 
 
@@ -52,6 +72,32 @@ export default class Score {
         this.time = this.timer;
     }
 
+    /**
+     * Returns true if the mode finishes after some lines or time, so it shows the timer
+     * @returns {Boolean}
+     */
+    get isTimed() {
+        return Boolean(this.mode.lines || this.mode.time);
+    }
+
+    /**
+     * Returns true if the time of the mode ended
+     * @returns {Boolean}
+     */
+    get isTimeUp() {
+        return Boolean(this.mode.time) && this.elapsed >= this.mode.time;
+    }
+
+    /**
+     * Increases the elapsed time by the given amount
+     * @param {Number} time
+     * @returns {Void}
+     */
+    addTime(time) {
+        this.elapsed += time;
+        this.showTimer();
+    }
+
 
 
     /**
@@ -75,6 +121,45 @@ export default class Score {
         this.addLevel(amount);
     }
 
+    /**
+     * Adds the points of a soft or hard drop
+     * @param {Number} points
+     * @returns {Void}
+     */
+    drop(points) {
+        this.score += points;
+        this.showScore();
+    }
+
+    /**
+     * Adds the guideline score for a locked Piece, with the T-Spins and back to back bonus
+     * @param {Number} amount - Amount of lines completed in one move
+     * @param {String} tSpin  - Empty, "mini" or "full"
+     * @returns {Void}
+     */
+    clear(amount, tSpin) {
+        const isHard     = amount === 4 || (Boolean(tSpin) && amount > 0);
+        const backToBack = isHard && this.backToBack;
+        let   points     = (POINTS[tSpin || "none"][amount] || 0) * this.level;
+
+        if (backToBack) {
+            points = Math.floor(points * 1.5);
+        }
+        if (amount > 0) {
+            this.backToBack = isHard;
+            this.addLine(amount);
+            if (this.mode.leveling) {
+                this.addLevel(amount);
+            }
+        }
+        this.score += points;
+        this.showScore();
+
+        if (tSpin || amount === 4) {
+            this.showAction(amount, tSpin, backToBack);
+        }
+    }
+
     /**
      * Increases the score
      * @param {Number} amount - Amount of lines completed in one move
@@ -103,8 +188,9 @@ export default class Score {
     addLevel(amount) {
         this.amount += amount;
         if (this.amount >= this.linesPerLevel) {
+            // The classic timer keeps the speed of the previous level
             this.amount -= this.linesPerLevel;
-            this.timer   = this.calculateTimer();
+            this.timer   = this.calculateTimer(this.mode.guideline ? this.level + 1 : this.level);
             this.level  += 1;
             this.showLevel();
         }
@@ -136,15 +222,61 @@ export default class Score {
         this.linesElem.innerHTML = String(this.lines);
     }
 
+    /**
+     * Displays the elapsed time, or the remaining time if the mode has a time limit
+     * @returns {Void}
+     */
+    showTimer() {
+        const time = this.mode.time ? Math.max(this.mode.time - this.elapsed, 0) : this.elapsed;
+        this.timerElem.innerHTML = Score.formatTime(time);
+    }
+
+    /**
+     * Formats the given time in ms with minutes, seconds and hundredths
+     * @param {Number} time
+     * @returns {String}
+     */
+    static formatTime(time) {
+        const cents = Math.floor((time % 1000) / 10);
+        return `${Utils.parseTime(Math.floor(time / 1000)).join(":")}.${cents < 10 ? "0" : ""}${cents}`;
+    }
+
+    /**
+     * Displays the name of a special line clear for a moment
+     * @param {Number}  amount
+     * @param {String}  tSpin
+     * @param {Boolean} backToBack
+     * @returns {Void}
+     */
+    showAction(amount, tSpin, backToBack) {
+        const parts = [];
+        if (backToBack) {
+            parts.push("Back-to-Back");
+        }
+        if (tSpin) {
+            parts.push(tSpin === "mini" ? "T-Spin Mini" : "T-Spin");
+        }
+        parts.push(CLEARS[amount]);
+
+        this.actionElem.innerHTML = parts.join("<br />");
+        this.actionElem.classList.remove("show");
+        void this.actionElem.offsetWidth;
+        this.actionElem.classList.add("show");
+    }
+
 
 
     /**
      * Calculates the time used between each soft drop
+     * @param {Number=} level
      * @returns {Number}
      */
-    calculateTimer() {
-        if (this.level < this.maxInitialLevel) {
-            return (this.maxInitialLevel - this.level + 1) * this.timeInterval;
+    calculateTimer(level = this.level) {
+        if (this.mode.guideline) {
+            return Math.pow(0.8 - (level - 1) * 0.007, level - 1) * 1000;
+        }
+        if (level < this.maxInitialLevel) {
+            return (this.maxInitialLevel - level + 1) * this.timeInterval;
         }
         return this.timeInterval;
     }
@@ -1,6 +1,37 @@
 import Board        from "./Board.js";
 import Utils        from "../../utils/Utils.js";
 
+// The types with special rotations
+const TYPE_I = 0;
+const TYPE_O = 3;
+const TYPE_T = 5;
+
+// The SRS wall kicks as [ right, up ] for each rotation change
+const KICKS = {
+    "01" : [[ 0, 0 ], [ -1, 0 ], [ -1,  1 ], [ 0, -2 ], [ -1, -2 ]],
+    "10" : [[ 0, 0 ], [  1, 0 ], [  1, -1 ], [ 0,  2 ], [  1,  2 ]],
+    "12" : [[ 0, 0 ], [  1, 0 ], [  1, -1 ], [ 0,  2 ], [  1,  2 ]],
+    "21" : [[ 0, 0 ], [ -1, 0 ], [ -1,  1 ], [ 0, -2 ], [ -1, -2 ]],
+    "23" : [[ 0, 0 ], [  1, 0 ], [  1,  1 ], [ 0, -2 ], [  1, -2 ]],
+    "32" : [[ 0, 0 ], [ -1, 0 ], [ -1, -1 ], [ 0,  2 ], [ -1,  2 ]],
+    "30" : [[ 0, 0 ], [ -1, 0 ], [ -1, -1 ], [ 0,  2 ], [ -1,  2 ]],
+    "03" : [[ 0, 0 ], [  1, 0 ], [  1,  1 ], [ 0, -2 ], [  1, -2 ]],
+};
+const KICKS_I = {
+    "01" : [[ 0, 0 ], [ -2, 0 ], [  1, 0 ], [ -2, -1 ], [  1,  2 ]],
+    "10" : [[ 0, 0 ], [  2, 0 ], [ -1, 0 ], [  2,  1 ], [ -1, -2 ]],
+    "12" : [[ 0, 0 ], [ -1, 0 ], [  2, 0 ], [ -1,  2 ], [  2, -1 ]],
+    "21" : [[ 0, 0 ], [  1, 0 ], [ -2, 0 ], [  1, -2 ], [ -2,  1 ]],
+    "23" : [[ 0, 0 ], [  2, 0 ], [ -1, 0 ], [  2,  1 ], [ -1, -2 ]],
+    "32" : [[ 0, 0 ], [ -2, 0 ], [  1, 0 ], [ -2, -1 ], [  1,  2 ]],
+    "30" : [[ 0, 0 ], [  1, 0 ], [ -2, 0 ], [  1, -2 ], [ -2,  1 ]],
+    "03" : [[ 0, 0 ], [ -1, 0 ], [  2, 0 ], [ -1,  2 ], [  2, -1 ]],
+};
+
+// The corners of the T Tetrimino that it points to, for each rotation.
+// The corners are: top left, top right, bottom right and bottom left
+const T_FRONT = [[ 0, 1 ], [ 1, 2 ], [ 2, 3 ], [ 3, 0 ]];
+
 
 /**
  * Tetris Tetrimino
@@ -9,12 +40,13 @@ export default class Tetrimino {
 
     /**
      * Tetris Tetrimino constructor
-     * @param {Board}  board
-     * @param {Number} type
-     * @param {Object} data
-     * @param {Number} size
+     * @param {Board}   board
+     * @param {Number}  type
+     * @param {Object}  data
+     * @param {Number}  size
+     * @param {Boolean} withKicks
      */
-    constructor(board, type, data, size) {
+    constructor(board, type, data, size, withKicks) {
         this.tetriminer   = document.querySelectorAll(".tetriminos > div");
 
         this.nexterWidth  = 9.6;
@@ -31,32 +63,40 @@ export default class Tetrimino {
         this.rotation     = 0;
         this.hard         = 0;
         this.drop         = 0;
-
-        /** @type {HTMLElement} */
-        this.nextElem     = document.querySelector("#next");
+        this.withKicks    = withKicks;
+        this.kick         = 0;
+        this.rotated      = false;
 
         /** @type {HTMLElement} */
         this.pieceElem    = document.querySelector("#piece");
 
         /** @type {HTMLElement} */
         this.ghostElem    = document.querySelector("#ghost");
+    }
 
-        this.nextElem.className  = `piece${this.type} rot0`;
-        this.nextElem.innerHTML  = this.tetriminer[this.type].innerHTML;
-        this.nextElem.style.top  = Utils.toEM((this.nexterHeight - this.data.rows * this.size - this.border) / 2);
-        this.nextElem.style.left = Utils.toEM((this.nexterWidth  - this.data.cols * this.size - this.border) / 2);
 
-        this.setCubePositions();
-    }
 
+    /**
+     * Shows the Tetrimino centered in the given preview element, like the next or hold ones
+     * @param {HTMLElement} element
+     * @returns {Void}
+     */
+    preview(element) {
+        element.className  = `piece${this.type} rot0`;
+        element.innerHTML  = this.tetriminer[this.type].innerHTML;
+        element.style.top  = Utils.toEM((this.nexterHeight - this.data.rows * this.size - this.border) / 2);
+        element.style.left = Utils.toEM((this.nexterWidth  - this.data.cols * this.size - this.border) / 2);
 
+        this.setCubePositions(element);
+    }
 
     /**
-     * Sets the positions of each cube in the piece
+     * Sets the positions of each cube in the given element
+     * @param {HTMLElement} element
      * @returns {Void}
      */
-    setCubePositions() {
-        const elements = this.nextElem.querySelectorAll("div");
+    setCubePositions(element) {
+        const elements = element.querySelectorAll("div");
 
         for (let i = 0; i < elements.length; i += 1) {
             elements[i].style.top  = Utils.toEM(Number(elements[i].dataset.top)  * this.size);
@@ -73,10 +113,11 @@ export default class Tetrimino {
         this.hard = this.getHardDrop();
 
         this.pieceElem.className = `piece${this.type} rot0`;
-        this.pieceElem.innerHTML = this.nextElem.innerHTML;
+        this.pieceElem.innerHTML = this.tetriminer[this.type].innerHTML;
+        this.setCubePositions(this.pieceElem);
 
         this.ghostElem.className = "rot0";
-        this.ghostElem.innerHTML = this.nextElem.innerHTML;
+        this.ghostElem.innerHTML = this.pieceElem.innerHTML;
 
         this.setDropPosition();
         return this;
@@ -91,19 +132,33 @@ export default class Tetrimino {
             return true;
         }
 
-        this.top  += 1;
-        this.drop += 1;
+        this.top    += 1;
+        this.drop   += 1;
+        this.rotated = false;
         this.setDropPosition();
         return false;
     }
 
     /**
-     * Moves the Tetrimino to the bottom most possible cell
-     * @returns {Void}
+     * Moves the Tetrimino to the bottom most possible cell. Returns the amount of cells it dropped
+     * @returns {Number}
      */
     hardDrop() {
-        this.top = this.getHardDrop();
+        const cells = this.getHardDrop() - this.top;
+        if (cells > 0) {
+            this.top    += cells;
+            this.rotated = false;
+        }
         this.setDropPosition();
+        return cells;
+    }
+
+    /**
+     * Returns true if the Tetrimino can't move down
+     * @returns {Boolean}
+     */
+    isGrounded() {
+        return this.crashed(1, 0);
     }
 
     /**
@@ -118,26 +173,34 @@ export default class Tetrimino {
 
     /**
      * Moves the Tetrimino one cell to the left
-     * @returns {Void}
+     * @returns {Boolean}
      */
     moveLeft() {
-        if (!this.crashed(0, -1)) {
-            this.left -= 1;
-            this.hard  = this.getHardDrop();
-            this.setDropPosition();
-        }
+        return this.move(-1);
     }
 
     /**
      * Moves the Tetrimino one cell to the right
-     * @returns {Void}
+     * @returns {Boolean}
      */
     moveRight() {
-        if (!this.crashed(0, 1)) {
-            this.left += 1;
-            this.hard  = this.getHardDrop();
+        return this.move(1);
+    }
+
+    /**
+     * Moves the Tetrimino the given cells horizontally
+     * @param {Number} add
+     * @returns {Boolean}
+     */
+    move(add) {
+        if (!this.crashed(0, add)) {
+            this.left   += add;
+            this.hard    = this.getHardDrop();
+            this.rotated = false;
             this.setDropPosition();
+            return true;
         }
+        return false;
     }
 
     /**
@@ -165,24 +228,69 @@ export default class Tetrimino {
     }
 
     /**
-     * Does the Tetrimino rotation
+     * Does the Tetrimino rotation, trying each wall kick until one fits
      * @param {Number} rotation
      * @returns {Boolean}
      */
     rotate(rotation) {
-        if (!this.crashed(0, 0, rotation)) {
-            this.pieceElem.classList.remove(`rot${this.rotation}`);
-            this.pieceElem.classList.add(`rot${rotation}`);
-            this.ghostElem.classList.remove(`rot${this.rotation}`);
-            this.ghostElem.classList.add(`rot${rotation}`);
-
-            this.rotation = rotation;
-            this.setHardDrop();
-            return true;
+        const kicks = this.getKicks(rotation);
+        for (let i = 0; i < kicks.length; i += 1) {
+            const [ right, up ] = kicks[i];
+            if (!this.crashed(-up, right, rotation)) {
+                this.pieceElem.classList.remove(`rot${this.rotation}`);
+                this.pieceElem.classList.add(`rot${rotation}`);
+                this.ghostElem.classList.remove(`rot${this.rotation}`);
+                this.ghostElem.classList.add(`rot${rotation}`);
+
+                this.top     -= up;
+                this.left    += right;
+                this.rotation = rotation;
+                this.kick     = i;
+                this.rotated  = true;
+                this.setHardDrop();
+                return true;
+            }
         }
         return false;
     }
 
+    /**
+     * Returns the wall kicks to try when rotating to the given rotation
+     * @param {Number} rotation
+     * @returns {Number[][]}
+     */
+    getKicks(rotation) {
+        if (!this.withKicks || this.type === TYPE_O) {
+            return [[ 0, 0 ]];
+        }
+        const kicks = this.type === TYPE_I ? KICKS_I : KICKS;
+        return kicks[`${this.rotation}${rotation}`];
+    }
+
+    /**
+     * Returns "full" or "mini" if the Tetrimino is a T that did a T-Spin, using the 3 corners rule.
+     * It must be called before adding the elements to the Board
+     * @returns {String}
+     */
+    getTSpin() {
+        if (this.type !== TYPE_T || !this.rotated) {
+            return "";
+        }
+        const corners = [[ 0, 0 ], [ 0, 2 ], [ 2, 2 ], [ 2, 0 ]].map(([ top, left ]) => {
+            return this.board.isFilled(this.top + top, this.left + left);
+        });
+        if (corners.filter((filled) => filled).length < 3) {
+            return "";
+        }
+
+        // The last kick moves the T enough to always count as a full T-Spin
+        const [ first, second ] = T_FRONT[this.rotation];
+        if ((corners[first] && corners[second]) || this.kick === 4) {
+            return "full";
+        }
+        return "mini";
+    }
+
     /**
      * Sets the position of the Tetrimino and the Ghost
      * @returns {Void}
@@ -242,7 +350,6 @@ export default class Tetrimino {
      * Clears the elements
      */
     clearElements() {
-        this.nextElem.innerHTML  = "";
         this.pieceElem.innerHTML = "";
         this.ghostElem.innerHTML = "";
     }
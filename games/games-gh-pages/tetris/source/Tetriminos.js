@@ -4,6 +4,9 @@ import Score        from "./Score.js";
 import Sounds       from "../../utils/Sounds.js";
 import Utils        from "../../utils/Utils.js";
 
+// The amount of moves that can restart the lock delay of a Tetrimino
+const MAX_LOCK_MOVES = 15;
+
 
 /**
  * Tetris Tetriminos
@@ -16,9 +19,11 @@ export default class Tetriminos {
      * @param {Sounds}   sounds
      * @param {Score}    score
      * @param {Number}   size
+     * @param {Object}   mode
      * @param {Function} onGameOver
+     * @param {Function} onFinish
      */
-    constructor(board, sounds, score, size, onGameOver) {
+    constructor(board, sounds, score, size, mode, onGameOver, onFinish) {
         this.tetriminos = [
             { // I Tetrimino
                 matrix : [
@@ -96,23 +101,43 @@ export default class Tetriminos {
         this.sounds     = sounds;
         this.score      = score;
         this.size       = size;
+        this.mode       = mode;
         this.onGameOver = onGameOver;
+        this.onFinish   = onFinish;
         this.sequence   = [ 0, 1, 2, 3, 4, 5, 6 ];
         this.pointer    = this.sequence.length;
 
+        this.queue      = [];
+        this.held       = null;
+        this.canHold    = true;
+        this.lockTime   = null;
+        this.lockMoves  = 0;
+
+        /** @type {HTMLElement} */
+        this.nextElem   = document.querySelector("#next");
+
+        /** @type {HTMLElement} */
+        this.holdElem   = document.querySelector("#hold");
+
+        /** @type {NodeListOf<HTMLElement>} */
+        this.queueElems = document.querySelectorAll(".queue .content > div");
+
+        document.querySelector(".holder").style.display = this.mode.hold ? "block" : "none";
+        document.querySelector(".queue").style.display  = this.mode.queue > 1 ? "block" : "none";
+
         this.actual     = this.createTetrimino().fall();
-        this.next       = this.createTetrimino();
+        this.fillQueue();
     }
 
 
 
     /**
-     * Creates a new Tetrimino
+     * Creates a new Tetrimino of the given type, or of the next type
+     * @param {Number=} type
      * @returns {Tetrimino}
      */
-    createTetrimino() {
-        const type = this.getNextType();
-        return new Tetrimino(this.board, type, this.tetriminos[type], this.size);
+    createTetrimino(type = this.getNextType()) {
+        return new Tetrimino(this.board, type, this.tetriminos[type], this.size, this.mode.kicks);
     }
 
     /**
@@ -124,8 +149,8 @@ export default class Tetriminos {
         if (this.pointer < this.sequence.length - 1) {
             this.pointer += 1;
         } else {
-            for (let i = 0; i < this.sequence.length; i += 1) {
-                const pos = Utils.rand(0, this.sequence.length - 1);
+            for (let i = this.sequence.length - 1; i > 0; i -= 1) {
+                const pos = Utils.rand(0, i);
                 const aux = this.sequence[pos];
 
                 this.sequence[pos] = this.sequence[i];
@@ -136,14 +161,40 @@ export default class Tetriminos {
         return this.sequence[this.pointer];
     }
 
+    /**
+     * Adds Tetriminos to the queue until it has the amount of the mode, and shows them
+     * @returns {Void}
+     */
+    fillQueue() {
+        while (this.queue.length < this.mode.queue) {
+            this.queue.push(this.createTetrimino());
+        }
+
+        this.queue[0].preview(this.nextElem);
+        this.queueElems.forEach((element, index) => {
+            if (this.queue[index + 1]) {
+                this.queue[index + 1].preview(element);
+            } else {
+                element.innerHTML = "";
+            }
+        });
+    }
+
 
 
     /**
-     * Soft drops the actual tetrimino
+     * Soft drops the actual tetrimino. With a lock delay, it only locks once the delay ends
+     * @param {Boolean=} byUser
      */
-    softDrop() {
+    softDrop(byUser = false) {
         if (this.actual.softDrop()) {
-            this.crashed();
+            if (this.mode.lockDelay) {
+                this.startLock();
+            } else {
+                this.crashed();
+            }
+        } else if (byUser && this.mode.guideline) {
+            this.score.drop(1);
         }
     }
 
@@ -151,7 +202,10 @@ export default class Tetriminos {
      * Hard drops the actual tetrimino
      */
     hardDrop() {
-        this.actual.hardDrop();
+        const cells = this.actual.hardDrop();
+        if (this.mode.guideline) {
+            this.score.drop(cells * 2);
+        }
         this.crashed();
         this.sounds.play("drop");
     }
@@ -160,27 +214,115 @@ export default class Tetriminos {
      * Called when the actual tetrimino crashes
      */
     crashed() {
+        this.lockTime = null;
         if (this.actual.top === 0 || this.actual.top === 1) {
             this.onGameOver();
             return;
         }
 
-        this.score.piece(this.actual.drop);
+        const tSpin = this.mode.tSpins ? this.actual.getTSpin() : "";
+        if (!this.mode.guideline) {
+            this.score.piece(this.actual.drop);
+        }
         const lines = this.actual.addElements();
+        if (this.mode.guideline) {
+            this.score.clear(lines, tSpin);
+        } else if (lines) {
+            this.score.line(lines);
+        }
         if (lines) {
             this.sounds.play("line");
-            this.score.line(lines);
         }
         this.sounds.play("crash");
-        this.dropNext();
+
+        if (this.mode.lines && this.score.lines >= this.mode.lines) {
+            this.onFinish();
+        } else {
+            this.dropNext();
+        }
     }
 
     /**
      * Drops the next tetrimino and creates a new one
      */
     dropNext() {
-        this.actual = this.next.fall();
-        this.next   = this.createTetrimino();
+        this.actual = this.queue.shift().fall();
+        this.fillQueue();
+        this.setHold(true);
+        this.lockMoves = 0;
+    }
+
+
+
+    /**
+     * Decreases the lock delay and locks the actual tetrimino when it ends
+     * @param {Number} time
+     */
+    update(time) {
+        if (this.lockTime === null) {
+            return;
+        }
+        if (!this.actual.isGrounded()) {
+            this.lockTime = null;
+            return;
+        }
+        this.lockTime -= time;
+        if (this.lockTime <= 0) {
+            this.crashed();
+        }
+    }
+
+    /**
+     * Starts the lock delay, if not started
+     */
+    startLock() {
+        if (this.lockTime === null) {
+            this.lockTime = this.mode.lockDelay;
+        }
+    }
+
+    /**
+     * Restarts the lock delay after a move, a limited amount of times
+     */
+    resetLock() {
+        if (this.lockTime !== null && this.lockMoves < MAX_LOCK_MOVES) {
+            this.lockTime   = this.mode.lockDelay;
+            this.lockMoves += 1;
+        }
+    }
+
+
+
+    /**
+     * Holds the actual tetrimino and drops the previously held one, or the next one.
+     * It can be done once per tetrimino
+     */
+    hold() {
+        if (!this.mode.hold || !this.canHold) {
+            return;
+        }
+        const held = this.held;
+        this.held  = this.createTetrimino(this.actual.type);
+        this.held.preview(this.holdElem);
+
+        if (held) {
+            this.actual    = this.createTetrimino(held.type).fall();
+            this.lockTime  = null;
+            this.lockMoves = 0;
+        } else {
+            this.dropNext();
+        }
+        this.setHold(false);
+        this.sounds.play("rotate");
+    }
+
+    /**
+     * Sets if the actual tetrimino can be held
+     * @param {Boolean} canHold
+     */
+    setHold(canHold) {
+        this.canHold = canHold;
+        this.holdElem.classList.toggle("used", !canHold);
     }
 
 
@@ -190,6 +332,7 @@ export default class Tetriminos {
      */
     rotateRight() {
         if (this.actual.rotateRight()) {
+            this.resetLock();
             this.sounds.play("rotate");
         }
     }
@@ -199,6 +342,7 @@ export default class Tetriminos {
      */
     rotateLeft() {
         if (this.actual.rotateLeft()) {
+            this.resetLock();
             this.sounds.play("rotate");
         }
     }
@@ -207,14 +351,18 @@ export default class Tetriminos {
      * Moves the actual tetrimino to the right
      */
     moveRight() {
-        this.actual.moveRight();
+        if (this.actual.moveRight()) {
+            this.resetLock();
+        }
     }
 
     /**
      * Moves the actual tetrimino to the left
      */
     moveLeft() {
-        this.actual.moveLeft();
+        if (this.actual.moveLeft()) {
+            this.resetLock();
+        }
     }
 
 
@@ -231,5 +379,8 @@ export default class Tetriminos {
      */
     clearElements() {
         this.actual.clearElements();
+        this.nextElem.innerHTML = "";
+        this.holdElem.innerHTML = "";
+        this.queueElems.forEach((element) => element.innerHTML = "");
     }
 }
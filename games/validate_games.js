@@ -0,0 +1,195 @@
+// Validates games/games.json against games/games.schema.json, then checks what
+// a schema can't express: urls and thumbnails on disk, duplicated ids and copy-pasted copy.
+//
+// Usage: node games/validate_games.js [path/to/games.json]
+// Exits with 1 when there are errors. Warnings are printed but don't fail the run.
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const SCHEMA_PATH = path.join(__dirname, "games.schema.json");
+const THUMB_SIZES = [200, 400, 800];
+
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function resolveRef(schema, root) {
+    if (!schema.$ref) return schema;
+    const parts = schema.$ref.replace(/^#\//, "").split("/");
+    return parts.reduce((node, key) => node[key], root);
+}
+
+// Covers the subset of draft-07 used by games.schema.json.
+function validateNode(value, schema, root, where, errors) {
+    schema = resolveRef(schema, root);
+
+    const actual = typeOf(value);
+    const expected = schema.type;
+    if (expected && actual !== expected && !(expected === "number" && actual === "integer")) {
+        errors.push(`${where}: expected ${expected}, got ${actual}`);
+        return;
+    }
+
+    if (schema.enum) {
+        const fold = v => (schema["x-case-insensitive"] && typeof v === "string" ? v.toLowerCase() : v);
+        if (!schema.enum.map(fold).includes(fold(value))) {
+            errors.push(`${where}: "${value}" is not one of ${schema.enum.join(", ")}`);
+        }
+    }
+
+    if (actual === "string") {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push(`${where}: shorter than ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+        }
+    }
+
+    if (actual === "array") {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${where}: needs at least ${schema.minItems} item(s)`);
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            value.forEach(item => {
+                const key = JSON.stringify(typeof item === "string" ? item.toLowerCase() : item);
+                if (seen.has(key)) errors.push(`${where}: duplicate item ${key}`);
+                seen.add(key);
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateNode(item, schema.items, root, `${where}[${i}]`, errors));
+        }
+    }
+
+    if (actual === "object") {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${where}: missing required field "${key}"`);
+        });
+
+        const props = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (props[key]) {
+                validateNode(value[key], props[key], root, `${where}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}: unknown field "${key}"`);
+            }
+        });
+    }
+}
+
+function sitePath(url) {
+    const clean = url.split(/[?#]/)[0].replace(/^\//, "");
+    return path.join(ROOT, decodeURIComponent(clean));
+}
+
+function checkGames(games, schema) {
+    const errors = [];
+    const warnings = [];
+
+    validateNode(games, schema, schema, "games", errors);
+    if (typeOf(games) !== "object") return { errors, warnings };
+
+    const byId = {};
+    const byDesc = {};
+    const byThumb = {};
+
+    Object.keys(schema.properties).forEach(listName => {
+        const list = games[listName];
+        if (!Array.isArray(list)) return;
+
+        const category = schema.properties[listName]["x-category"];
+        const idsInList = new Set();
+
+        list.forEach((g, i) => {
+            if (typeOf(g) !== "object") return;
+            const where = `${listName}[${i}] (${g.id})`;
+
+            if (idsInList.has(g.id)) errors.push(`${where}: id appears twice in ${listName}`);
+            idsInList.add(g.id);
+
+            if (category && g.category && g.category !== category) {
+                errors.push(`${where}: category "${g.category}" but listed under ${listName} (expected "${category}")`);
+            }
+
+            if (typeof g.url === "string" && !fs.existsSync(sitePath(g.url))) {
+                errors.push(`${where}: url "${g.url}" does not exist`);
+            }
+
+            if (typeof g.id === "string") {
+                THUMB_SIZES.forEach(size => {
+                    const file = `images/${g.id}_${size}.webp`;
+                    if (!fs.existsSync(path.join(ROOT, file))) errors.push(`${where}: missing thumbnail ${file}`);
+                });
+
+                // The same game may be featured in several lists, but it must stay the same game.
+                const first = byId[g.id];
+                if (first && (first.url !== g.url || first.title !== g.title)) {
+                    errors.push(`${where}: id already used by ${first.where} with a different url/title`);
+                }
+                if (!first) byId[g.id] = { where, url: g.url, title: g.title };
+            }
+
+            if (typeof g.desc === "string") {
+                (byDesc[g.desc] = byDesc[g.desc] || new Set()).add(g.id);
+            }
+            if (typeof g.thumb === "string") {
+                (byThumb[g.thumb] = byThumb[g.thumb] || new Set()).add(g.id);
+            }
+        });
+    });
+
+    Object.keys(byDesc).forEach(desc => {
+        const ids = Array.from(byDesc[desc]);
+        if (ids.length > 1) warnings.push(`desc "${desc}" is shared by ${ids.join(", ")}`);
+    });
+
+    Object.keys(byThumb).forEach(thumb => {
+        const ids = Array.from(byThumb[thumb]);
+        if (ids.length > 1) warnings.push(`thumb "${thumb}" is a placeholder shared by ${ids.length} games (${ids.join(", ")}); thumbnails come from the id, drop the field`);
+    });
+
+    const en = path.join(ROOT, "lang", "en.json");
+    if (fs.existsSync(en)) {
+        const dict = JSON.parse(fs.readFileSync(en, "utf8"));
+        Object.keys(byId).forEach(id => {
+            const title = byId[id].title;
+            if (typeof title === "string" && !dict[title]) warnings.push(`${byId[id].where}: title key "${title}" missing from lang/en.json`);
+        });
+    }
+
+    return { errors, warnings };
+}
+
+function main() {
+    const file = path.resolve(process.argv[2] || path.join(__dirname, "games.json"));
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+
+    let games;
+    try {
+        games = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        console.error(`✖ ${path.relative(ROOT, file)}: ${err.message}`);
+        process.exit(1);
+    }
+
+    const { errors, warnings } = checkGames(games, schema);
+
+    warnings.forEach(w => console.warn(`⚠ ${w}`));
+    errors.forEach(e => console.error(`✖ ${e}`));
+    console.log(`${path.relative(ROOT, file)}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+
+    process.exit(errors.length ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { checkGames, validateNode };
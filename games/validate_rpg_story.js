@@ -0,0 +1,346 @@
+// Checks the branching story in an RPG engine manifest.js and exports its scene graph.
+//
+//   errors    scene ids that don't exist, unknown enemies, choices without outcomes
+//   warnings  scenes unreachable from startingScene, dead ends, roll tiers that
+//             findBestOutcomeTier only resolves by taking the first outcome,
+//             outcome keys no roll can select, flags set but never read (or read but never set)
+//
+// Flags count as read when the game's scripts call hasFlag("name") / getFlag("name").
+//
+// Usage: node games/validate_rpg_story.js [game dir or manifest.js ...] [--dot file] [--mermaid file] [--json]
+//   With no paths, checks every games/RPG */manifest.js.
+//   --dot / --mermaid write the scene graph; "-" writes it to stdout (the report then goes to stderr).
+// Exits with 1 when there are errors.
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const FLAG_READ_RE = /\b(?:hasFlag|getFlag)\(\s*["'`]([^"'`]+)["'`]/g;
+
+function resolveManifestPath(arg) {
+    const full = path.resolve(arg);
+    return fs.statSync(full).isDirectory() ? path.join(full, "manifest.js") : full;
+}
+
+function defaultManifests() {
+    return fs.readdirSync(__dirname, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name.startsWith("RPG "))
+        .map(entry => path.join(__dirname, entry.name, "manifest.js"))
+        .filter(file => fs.existsSync(file));
+}
+
+// The engine is ES modules; the rules come from the same game as the manifest
+// so the check always matches the code that will run it.
+async function loadGame(manifestPath) {
+    const gameDir = path.dirname(manifestPath);
+    const load = file => import(pathToFileURL(path.join(gameDir, file)).href);
+
+    const [{ manifest }, dice, combat] = await Promise.all([
+        load("manifest.js"),
+        load("systems/rules/DiceRules.js"),
+        load("systems/rules/CombatRules.js")
+    ]);
+
+    return { gameDir, manifest, dice, combat };
+}
+
+function walkScripts(dir, files = []) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== "node_modules") walkScripts(full, files);
+        } else if (entry.name.endsWith(".js") && entry.name !== "manifest.js") {
+            files.push(full);
+        }
+    });
+    return files;
+}
+
+function collectFlagReads(gameDir) {
+    const reads = new Set();
+    walkScripts(gameDir).forEach(file => {
+        const src = fs.readFileSync(file, "utf8");
+        let m;
+        FLAG_READ_RE.lastIndex = 0;
+        while ((m = FLAG_READ_RE.exec(src))) reads.add(m[1]);
+    });
+    return reads;
+}
+
+// Every link out of a scene: { from, to, label, kind }
+function collectEdges(scenes) {
+    const edges = [];
+
+    Object.entries(scenes).forEach(([id, scene]) => {
+        if (scene.nextScene) edges.push({ from: id, to: scene.nextScene, label: "", kind: "next" });
+
+        if (scene.combat) {
+            if (scene.combat.victoryScene) edges.push({ from: id, to: scene.combat.victoryScene, label: "victory", kind: "victory" });
+            if (scene.combat.defeatScene) edges.push({ from: id, to: scene.combat.defeatScene, label: "defeat", kind: "defeat" });
+        }
+
+        (scene.choices || []).forEach(choice => {
+            // One edge per target, listing every tier that leads there
+            const byTarget = new Map();
+            Object.entries(choice.outcomes || {}).forEach(([tier, outcome]) => {
+                if (!outcome?.nextScene) return;
+                if (!byTarget.has(outcome.nextScene)) byTarget.set(outcome.nextScene, []);
+                byTarget.get(outcome.nextScene).push(tier);
+            });
+            byTarget.forEach((tiers, to) => {
+                const tierLabel = choice.stat ? ` (${tiers.join("/")})` : "";
+                edges.push({ from: id, to, label: `${choice.id}${tierLabel}`, kind: "choice" });
+            });
+        });
+    });
+
+    return edges;
+}
+
+function check(game) {
+    const { manifest, dice, combat, gameDir } = game;
+    const scenes = manifest.scenes || {};
+    const errors = [];
+    const warnings = [];
+    const edges = collectEdges(scenes);
+
+    // Dangling scene ids
+    const roots = [
+        { where: "manifest.startingScene", id: manifest.startingScene },
+        { where: "manifest.defeatScene", id: manifest.defeatScene }
+    ].filter(root => root.id);
+
+    if (!manifest.startingScene) errors.push("manifest.startingScene is not set");
+    roots.forEach(root => {
+        if (!scenes[root.id]) errors.push(`${root.where}: unknown scene "${root.id}"`);
+    });
+    edges.forEach(edge => {
+        if (!scenes[edge.to]) {
+            const via = edge.label ? ` via ${edge.label}` : "";
+            errors.push(`${edge.from}${via}: links to unknown scene "${edge.to}"`);
+        }
+    });
+
+    // Reachability from the start (the party-wipe defeat scene can always be reached)
+    const reachable = new Set();
+    const queue = roots.map(root => root.id).filter(id => scenes[id]);
+    while (queue.length) {
+        const id = queue.shift();
+        if (reachable.has(id)) continue;
+        reachable.add(id);
+        edges.filter(edge => edge.from === id && scenes[edge.to]).forEach(edge => queue.push(edge.to));
+    }
+    Object.keys(scenes)
+        .filter(id => !reachable.has(id))
+        .forEach(id => warnings.push(`${id}: unreachable from "${manifest.startingScene}"`));
+
+    Object.entries(scenes).forEach(([id, scene]) => {
+        if (scene.id && scene.id !== id) warnings.push(`${id}: id field says "${scene.id}"`);
+
+        // Combat encounters
+        if (scene.type === "combat") {
+            if (!scene.combat) {
+                errors.push(`${id}: combat scene without a combat block`);
+            } else {
+                const enemyIds = combat.getEncounterEnemyIds(scene.combat);
+                if (enemyIds.length === 0) errors.push(`${id}: combat has no enemies`);
+                enemyIds
+                    .filter(enemyId => !manifest.enemies?.[enemyId])
+                    .forEach(enemyId => errors.push(`${id}: unknown enemy "${enemyId}"`));
+                if (!scene.combat.victoryScene) errors.push(`${id}: combat has no victoryScene`);
+            }
+        }
+
+        const choices = scene.choices || [];
+        if (!scene.isEnding && !scene.nextScene && choices.length === 0 && scene.type !== "combat") {
+            warnings.push(`${id}: dead end (no nextScene, choices or isEnding)`);
+        }
+
+        // Outcome tiers
+        choices.forEach(choice => {
+            const where = `${id} > ${choice.id}`;
+            const outcomes = choice.outcomes || {};
+            const keys = Object.keys(outcomes);
+
+            if (keys.length === 0) {
+                errors.push(`${where}: no outcomes`);
+                return;
+            }
+
+            const used = new Set();
+            if (choice.stat) {
+                dice.OUTCOME_TIERS.forEach(tier => {
+                    const picked = dice.findBestOutcomeTier(outcomes, tier);
+                    used.add(picked);
+                    if (!dice.OUTCOME_TIER_FALLBACKS[tier].includes(picked)) {
+                        warnings.push(`${where}: a ${tier} roll has no matching outcome and falls back to "${picked}"`);
+                    }
+                });
+            } else {
+                // Choices without a stat always resolve as a success
+                used.add(outcomes.success ? "success" : keys[0]);
+            }
+
+            keys
+                .filter(key => !used.has(key))
+                .forEach(key => warnings.push(`${where}: outcome "${key}" can never be selected`));
+        });
+    });
+
+    // Flags
+    const flagsSet = new Map();  // flag -> first place it's set
+    Object.entries(scenes).forEach(([id, scene]) => {
+        (scene.choices || []).forEach(choice => {
+            Object.entries(choice.outcomes || {}).forEach(([tier, outcome]) => {
+                if (outcome?.setFlag && !flagsSet.has(outcome.setFlag)) {
+                    flagsSet.set(outcome.setFlag, `${id} > ${choice.id} > ${tier}`);
+                }
+            });
+        });
+    });
+    const flagsRead = collectFlagReads(gameDir);
+
+    flagsSet.forEach((where, flag) => {
+        if (!flagsRead.has(flag)) warnings.push(`${where}: flag "${flag}" is set but never read`);
+    });
+    flagsRead.forEach(flag => {
+        if (!flagsSet.has(flag)) warnings.push(`flag "${flag}" is read but no outcome sets it`);
+    });
+
+    return { errors, warnings, edges, reachable };
+}
+
+// ====================== GRAPH EXPORT ======================
+
+function dotString(str) {
+    return `"${String(str).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+function toDot(manifest, result) {
+    const scenes = manifest.scenes || {};
+    const lines = [`digraph ${dotString(manifest.id || "story")} {`, "    rankdir=TB;", "    node [shape=box, style=rounded];"];
+
+    Object.entries(scenes).forEach(([id, scene]) => {
+        const attrs = [`label=${dotString(`${scene.title || id}\n${id}`)}`];
+        if (scene.type === "combat") attrs.push("shape=octagon");
+        if (scene.isEnding) attrs.push("shape=doubleoctagon");
+        if (id === manifest.startingScene) attrs.push("penwidth=2");
+        if (!result.reachable.has(id)) attrs.push('style="rounded,dashed"');
+        lines.push(`    ${dotString(id)} [${attrs.join(", ")}];`);
+    });
+
+    result.edges
+        .filter(edge => !scenes[edge.to])
+        .forEach(edge => lines.push(`    ${dotString(edge.to)} [color=red, fontcolor=red, label=${dotString(`missing: ${edge.to}`)}];`));
+
+    result.edges.forEach(edge => {
+        const attrs = [];
+        if (edge.label) attrs.push(`label=${dotString(edge.label)}`);
+        if (edge.kind === "defeat") attrs.push("style=dashed");
+        lines.push(`    ${dotString(edge.from)} -> ${dotString(edge.to)}${attrs.length ? ` [${attrs.join(", ")}]` : ""};`);
+    });
+
+    lines.push("}");
+    return lines.join("\n") + "\n";
+}
+
+// Mermaid node ids can't contain most punctuation; labels carry the real id.
+function mermaidId(id) {
+    return `s_${String(id).replace(/[^A-Za-z0-9_]/g, "_")}`;
+}
+
+function mermaidLabel(str) {
+    return `"${String(str).replace(/"/g, "#quot;")}"`;
+}
+
+function toMermaid(manifest, result) {
+    const scenes = manifest.scenes || {};
+    const lines = ["flowchart TD"];
+
+    Object.entries(scenes).forEach(([id, scene]) => {
+        const label = mermaidLabel(`${scene.title || id}<br/>${id}`);
+        const node = scene.isEnding ? `((${label}))` : scene.type === "combat" ? `{{${label}}}` : `[${label}]`;
+        lines.push(`    ${mermaidId(id)}${node}`);
+    });
+
+    result.edges
+        .filter(edge => !scenes[edge.to])
+        .forEach(edge => lines.push(`    ${mermaidId(edge.to)}[${mermaidLabel(`missing: ${edge.to}`)}]:::missing`));
+
+    result.edges.forEach(edge => {
+        const arrow = edge.kind === "defeat" ? "-.->" : "-->";
+        const label = edge.label ? `|${mermaidLabel(edge.label)}|` : "";
+        lines.push(`    ${mermaidId(edge.from)} ${arrow}${label} ${mermaidId(edge.to)}`);
+    });
+
+    const unreachable = Object.keys(scenes).filter(id => !result.reachable.has(id));
+    lines.push("    classDef missing stroke:#ef4444,color:#ef4444;");
+    if (unreachable.length) {
+        lines.push("    classDef unreachable stroke-dasharray: 5 5;");
+        lines.push(`    class ${unreachable.map(mermaidId).join(",")} unreachable;`);
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+function writeOutput(target, text) {
+    if (target === "-") process.stdout.write(text);
+    else fs.writeFileSync(target, text);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const i = args.indexOf(name);
+        return i === -1 ? null : args[i + 1];
+    };
+    const dotTarget = option("--dot");
+    const mermaidTarget = option("--mermaid");
+    const paths = args.filter((arg, i) => !arg.startsWith("--") && !["--dot", "--mermaid"].includes(args[i - 1]));
+
+    const manifests = paths.length ? paths.map(resolveManifestPath) : defaultManifests();
+    if ((dotTarget || mermaidTarget) && manifests.length !== 1) {
+        console.error("--dot / --mermaid export one manifest at a time; pass its path.");
+        process.exit(1);
+    }
+
+    // Keep stdout clean for the graph when it's piped
+    const log = dotTarget === "-" || mermaidTarget === "-" ? console.error : console.log;
+    const reports = {};
+    let errorCount = 0;
+
+    for (const manifestPath of manifests) {
+        const game = await loadGame(manifestPath);
+        const result = check(game);
+        const name = path.relative(process.cwd(), manifestPath);
+        reports[name] = { errors: result.errors, warnings: result.warnings };
+        errorCount += result.errors.length;
+
+        if (dotTarget) writeOutput(dotTarget, toDot(game.manifest, result));
+        if (mermaidTarget) writeOutput(mermaidTarget, toMermaid(game.manifest, result));
+
+        if (!args.includes("--json")) {
+            const sceneCount = Object.keys(game.manifest.scenes || {}).length;
+            log(`${name}: ${sceneCount} scenes, ${result.edges.length} links`);
+            result.errors.forEach(msg => log(`  ✖ ${msg}`));
+            result.warnings.forEach(msg => log(`  ⚠ ${msg}`));
+            log(result.errors.length || result.warnings.length
+                ? `  ${result.errors.length} error(s), ${result.warnings.length} warning(s)\n`
+                : "  OK\n");
+        }
+    }
+
+    if (args.includes("--json")) log(JSON.stringify(reports, null, 2));
+
+    process.exit(errorCount ? 1 : 0);
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
+
+module.exports = { check, collectEdges, toDot, toMermaid };
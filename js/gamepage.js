@@ -0,0 +1,124 @@
+// Game landing page (game.html?id=<games.json id>).
+// Relies on the thumbnail / tag helpers from js/loadgames.js.
+
+const RELATED_LIMIT = 4;
+
+let gamePageList = null;
+
+// Ranks other games by shared tags; "featured" says nothing about similarity.
+function relatedGames(game, list) {
+    const own = new Set((game.tags || []).map(normalizeTag).filter(tag => tag !== "featured"));
+
+    return list
+        .filter(g => g.id !== game.id)
+        .map((g, index) => ({
+            g,
+            index,
+            score: (g.tags || []).map(normalizeTag).filter(tag => own.has(tag)).length
+        }))
+        .filter(x => x.score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, RELATED_LIMIT)
+        .map(x => x.g);
+}
+
+function setMetaDescription(text) {
+    let meta = document.querySelector('meta[name="description"]');
+    if (!meta) {
+        meta = document.createElement("meta");
+        meta.name = "description";
+        document.head.appendChild(meta);
+    }
+    meta.content = text;
+}
+
+function renderGameNotFound(c, id) {
+    c.innerHTML = `
+        <h1>${translateOr("game_page_not_found", "Game not found")}</h1>
+        <p class="article-meta">${escapeAttr(id || "")}</p>
+        <a class="play-btn" href="index.html">${translateOr("back_to_hub", "⬅ Back to Hub")}</a>
+    `;
+}
+
+function renderGamePage() {
+    const c = document.getElementById("gameDetail");
+    if (!c || !gamePageList) return;
+
+    const id = new URLSearchParams(window.location.search).get("id");
+    const game = gamePageList.find(g => g.id === id);
+
+    if (!game) {
+        renderGameNotFound(c, id);
+        return;
+    }
+
+    const title = translateOr(game.title, game.title);
+    const desc = translateOr(`${game.title}_desc`, game.desc || "");
+    const controls = game.controls || [];
+    const related = relatedGames(game, gamePageList);
+    const history = window.PlayHistory ? PlayHistory.get(game.id) : null;
+
+    document.title = `${title} — Neon Mini Game Hub`;
+    setMetaDescription(desc);
+
+    const crumb = document.getElementById("gameBreadcrumb");
+    if (crumb) crumb.textContent = title;
+
+    c.innerHTML = `
+        <div class="game-hero">
+            <img
+                class="game-hero-thumb"
+                src="${thumbFallback(game.id)}"
+                srcset="${thumbSrcset(game.id)}"
+                sizes="(max-width: 600px) 90vw, 400px"
+                decoding="async"
+                alt="${escapeAttr(title)}"
+            >
+            <div>
+                <h1>${title}</h1>
+                <p class="article-meta">${escapeAttr(desc)}</p>
+                ${history && history.plays ? `
+                    <p class="article-meta">${translateOr("game_page_best", "Your best: {best} · Played {plays} times")
+                        .replace("{best}", history.best != null ? history.best : "—")
+                        .replace("{plays}", history.plays)}</p>
+                ` : ""}
+                <div class="game-tags">
+                    ${(game.tags || []).map(tag => `
+                        <a class="tag-chip" href="index.html?tags=${encodeURIComponent(normalizeTag(tag))}">${escapeAttr(tagLabel(normalizeTag(tag)))}</a>
+                    `).join("")}
+                </div>
+                <a class="play-btn" href="${game.url}">${translateOr("game_page_play", "▶ Play now")}</a>
+            </div>
+        </div>
+
+        ${controls.length ? `
+            <h2>${translateOr("game_page_controls", "Controls")}</h2>
+            <ul>${controls.map(line => `<li>${escapeAttr(line)}</li>`).join("")}</ul>
+        ` : ""}
+
+        ${related.length ? `
+            <h2>${translateOr("game_page_related", "You might also like")}</h2>
+            <div class="related-grid">
+                ${related.map(g => {
+                    const relTitle = translateOr(g.title, g.title);
+                    return `
+                    <a class="related-card" href="game.html?id=${encodeURIComponent(g.id)}">
+                        <img src="images/${g.id}_200.webp" loading="lazy" decoding="async" alt="${escapeAttr(relTitle)}">
+                        <span>${relTitle}</span>
+                    </a>
+                    `;
+                }).join("")}
+            </div>
+        ` : ""}
+    `;
+}
+
+async function loadGamePage() {
+    const res = await fetch("games/games.json");
+    gamePageList = flattenGames(await res.json());
+    renderGamePage();
+}
+
+// Re-render once translations arrive, and on every language switch.
+document.addEventListener("i18n-ready", renderGamePage);
+document.addEventListener("DOMContentLoaded", loadGamePage);
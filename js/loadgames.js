@@ -10,43 +10,108 @@ function thumbFallback(id) {
     return `images/${id}_400.webp`;
 }
 
+const GRID_LISTS = {
+    "grid-topPicks": "topPicks",
+    "grid-classic": "classic",
+    "grid-skill": "skill",
+    "grid-strategy": "strategy"
+};
+
+const SORT_MODES = ["default", "az", "newest", "played"];
+
+let gamesData = null;
+let filterState = { q: "", tags: [], sort: "default" };
+let filtersWired = false;
+
 async function loadGames() {
     const res = await fetch("games/games.json");
     const games = await res.json();
+    gamesData = games;
+
+    Object.keys(GRID_LISTS).forEach(gridId => {
+        fillGrid(gridId, games[GRID_LISTS[gridId]]);
+    });
+
+    renderShelves();
+
+    filterState = readFilterState();
+    renderTagChips(games);
+    initGameFilters();
+    initShelves();
+    syncFilterControls();
+    applyFilters();
+}
 
-    fillGrid("grid-topPicks", games.topPicks);
-    fillGrid("grid-classic", games.classic);
-    fillGrid("grid-skill", games.skill);
-    fillGrid("grid-strategy", games.strategy);
+function flattenGames(games) {
+    const seen = new Set();
+    const list = [];
+
+    Object.values(GRID_LISTS).forEach(listName => {
+        (games[listName] || []).forEach(g => {
+            if (seen.has(g.id)) return;
+            seen.add(g.id);
+            list.push(g);
+        });
+    });
+
+    return list;
+}
+
+function escapeAttr(str) {
+    return String(str)
+        .replace(/&/g, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;");
+}
+
+// Uses the translation when the key exists, otherwise the given fallback.
+function translateOr(key, fallback) {
+    if (typeof t !== "function") return fallback;
+    const value = t(key);
+    return value && value !== key ? value : fallback;
 }
 
 function fillGrid(id, list) {
     const c = document.getElementById(id);
     if (!c) return;
 
-    c.innerHTML = list.map(g => {
+    c.innerHTML = list.map((g, index) => {
 
         const title = typeof t === "function" ? t(g.title) : g.title;
+        const desc = translateOr(`${g.title}_desc`, g.desc || '');
+        const tags = (g.tags || []).map(normalizeTag);
+        const history = window.PlayHistory ? PlayHistory.get(g.id) : null;
+        const favourite = window.PlayHistory ? PlayHistory.isFavourite(g.id) : false;
 
         return `
         <div class="game-card"
              data-id="${g.id}"
-             data-title="${title}"
-             data-desc="${g.desc || ''}"
-             data-tags="${(g.tags || []).join(',')}">
+             data-title="${escapeAttr(title)}"
+             data-desc="${escapeAttr(desc)}"
+             data-tags="${escapeAttr(tags.join(','))}"
+             data-category="${g.category || ''}"
+             data-added="${g.added || ''}"
+             data-order="${index}">
 
             <a href="${g.url}" class="game-link">
-                <img 
+                <img
                     class="game-thumb"
                     src="${thumbFallback(g.id)}"
                     srcset="${thumbSrcset(g.id)}"
                     sizes="(max-width: 600px) 50vw, (max-width: 480px) 45vw, 240px"
                     loading="lazy"
                     decoding="async"
-                    alt="${title}"
+                    alt="${escapeAttr(title)}"
                 >
                 <h3>${title}</h3>
             </a>
+            <a href="game.html?id=${encodeURIComponent(g.id)}" class="game-info-link" title="${escapeAttr(title)}">ℹ</a>
+            ${window.PlayHistory ? `
+            <button type="button" class="fav-toggle${favourite ? " active" : ""}" data-id="${g.id}" aria-pressed="${favourite}">${favourite ? "★" : "☆"}</button>
+            ` : ""}
+            ${history && history.best != null ? `
+            <span class="game-best">🏆 ${history.best}</span>
+            ` : ""}
 
         </div>
         `;
@@ -54,4 +119,349 @@ function fillGrid(id, list) {
 }
 
 
+// ===================== SEARCH / TAGS / SORT =====================
+
+// Lowercase and strip diacritics, so "strategie" matches "Stratégie".
+function normalizeText(str) {
+    return String(str || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .trim();
+}
+
+function normalizeTag(tag) {
+    return normalizeText(tag).replace(/\s+/g, "-");
+}
+
+// Tags from a shared URL that couldn't come from games.json are dropped.
+const TAG_PATTERN = /^[a-z0-9-]+$/;
+
+function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+// Every query token must hit a word in the text: as a substring,
+// or within a small typo budget of the word (or of its prefix, while still typing).
+function fuzzyMatch(query, text) {
+    const tokens = normalizeText(query).split(/\s+/).filter(Boolean);
+    if (!tokens.length) return true;
+
+    const haystack = normalizeText(text);
+    const words = haystack.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+    return tokens.every(token => {
+        if (haystack.includes(token)) return true;
+        if (token.length < 3) return false;
+
+        const budget = token.length >= 7 ? 2 : 1;
+        return words.some(word =>
+            editDistance(token, word) <= budget ||
+            (word.length > token.length && editDistance(token, word.slice(0, token.length)) <= budget)
+        );
+    });
+}
+
+function readFilterState() {
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get("sort");
+
+    return {
+        q: params.get("q") || "",
+        tags: (params.get("tags") || "").split(",").map(normalizeTag).filter(tag => TAG_PATTERN.test(tag)),
+        sort: SORT_MODES.includes(sort) ? sort : "default"
+    };
+}
+
+// Typing replaces the current history entry; discrete changes (chips, sort) push a new one
+// so back/forward steps through them.
+function writeFilterState(push) {
+    const params = new URLSearchParams(window.location.search);
+
+    params.delete("q");
+    params.delete("tags");
+    params.delete("sort");
+    if (filterState.q) params.set("q", filterState.q);
+    if (filterState.tags.length) params.set("tags", filterState.tags.join(","));
+    if (filterState.sort !== "default") params.set("sort", filterState.sort);
+
+    const query = params.toString();
+    const url = window.location.pathname + (query ? `?${query}` : "") + window.location.hash;
+    if (url === window.location.pathname + window.location.search + window.location.hash) return;
+
+    if (push) history.pushState(filterState, "", url);
+    else history.replaceState(filterState, "", url);
+}
+
+// Real sessions from PlayHistory where a game reports them, hub clicks otherwise.
+function getPlayCounts() {
+    let counts = {};
+    try {
+        counts = JSON.parse(localStorage.getItem("gamePlayCounts")) || {};
+    } catch (e) {
+        counts = {};
+    }
+
+    if (window.PlayHistory) {
+        const sessions = PlayHistory.all();
+        Object.keys(sessions).forEach(id => {
+            counts[id] = Math.max(counts[id] || 0, sessions[id].plays);
+        });
+    }
+
+    return counts;
+}
+
+function collectTags(games) {
+    const counts = {};
+
+    Object.values(GRID_LISTS).forEach(listName => {
+        (games[listName] || []).forEach(g => {
+            (g.tags || []).forEach(tag => {
+                const key = normalizeTag(tag);
+                if (key) counts[key] = (counts[key] || 0) + 1;
+            });
+        });
+    });
+
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+}
+
+function tagLabel(tag) {
+    const fallback = tag.replace(/-/g, " ").replace(/^./, c => c.toUpperCase());
+    return translateOr(`filter_${tag.replace(/-/g, "_")}`, fallback);
+}
+
+function renderTagChips(games) {
+    const c = document.getElementById("tagChips");
+    if (!c) return;
+
+    const tags = collectTags(games);
+
+    // Keep tags from a shared URL even if games.json no longer has them, so they can be cleared.
+    filterState.tags.forEach(tag => {
+        if (!tags.includes(tag)) tags.push(tag);
+    });
+
+    c.innerHTML = tags.map(tag => `
+        <button type="button" class="tag-chip" data-tag="${escapeAttr(tag)}" aria-pressed="false">
+            ${escapeAttr(tagLabel(tag))}
+        </button>
+    `).join("");
+}
+
+function syncFilterControls() {
+    const searchInput = document.getElementById("searchInput");
+    const sortSelect = document.getElementById("sortSelect");
+
+    if (searchInput && searchInput.value !== filterState.q) searchInput.value = filterState.q;
+    if (sortSelect) sortSelect.value = filterState.sort;
+
+    document.querySelectorAll("#tagChips .tag-chip").forEach(chip => {
+        const active = filterState.tags.includes(chip.dataset.tag);
+        chip.classList.toggle("active", active);
+        chip.setAttribute("aria-pressed", active ? "true" : "false");
+    });
+}
+
+function compareCards(mode, playCounts) {
+    const byOrder = (a, b) => Number(a.dataset.order) - Number(b.dataset.order);
+
+    if (mode === "az") {
+        const lang = window.currentLang || "en";
+        return (a, b) => a.dataset.title.localeCompare(b.dataset.title, lang, { sensitivity: "base" }) || byOrder(a, b);
+    }
+
+    if (mode === "newest") {
+        // Entries without an "added" date fall back to their position in games.json (newer ones are appended).
+        return (a, b) => {
+            const da = a.dataset.added || "";
+            const db = b.dataset.added || "";
+            if (da !== db) return db.localeCompare(da);
+            return byOrder(b, a);
+        };
+    }
+
+    if (mode === "played") {
+        return (a, b) => (playCounts[b.dataset.id] || 0) - (playCounts[a.dataset.id] || 0) || byOrder(a, b);
+    }
+
+    return byOrder;
+}
+
+function applyFilters() {
+    const playCounts = getPlayCounts();
+    const compare = compareCards(filterState.sort, playCounts);
+
+    Object.keys(GRID_LISTS).forEach(gridId => {
+        const grid = document.getElementById(gridId);
+        if (!grid) return;
+
+        const cards = Array.from(grid.querySelectorAll(".game-card"));
+
+        cards.forEach(card => {
+            const tags = (card.dataset.tags || "").split(",").filter(Boolean);
+
+            const matchesSearch = fuzzyMatch(filterState.q, `${card.dataset.title} ${card.dataset.desc}`);
+            const matchesTags = filterState.tags.every(tag => tags.includes(tag));
+
+            card.style.display = (matchesSearch && matchesTags) ? "" : "none";
+        });
+
+        cards.sort(compare).forEach(card => grid.appendChild(card));
+    });
+}
+
+function resetFilters() {
+    filterState = { q: "", tags: [], sort: "default" };
+    syncFilterControls();
+    writeFilterState(true);
+    applyFilters();
+}
+
+function initGameFilters() {
+    if (filtersWired) return;
+    filtersWired = true;
+
+    const searchInput = document.getElementById("searchInput");
+    const sortSelect = document.getElementById("sortSelect");
+    const chips = document.getElementById("tagChips");
+    const resetBtn = document.getElementById("resetFiltersBtn");
+
+    if (searchInput) {
+        searchInput.addEventListener("input", () => {
+            filterState.q = searchInput.value;
+            writeFilterState(false);
+            applyFilters();
+        });
+    }
+
+    if (sortSelect) {
+        sortSelect.addEventListener("change", () => {
+            filterState.sort = SORT_MODES.includes(sortSelect.value) ? sortSelect.value : "default";
+            writeFilterState(true);
+            applyFilters();
+        });
+    }
+
+    if (chips) {
+        chips.addEventListener("click", e => {
+            const chip = e.target.closest(".tag-chip");
+            if (!chip) return;
+
+            const tag = chip.dataset.tag;
+            filterState.tags = filterState.tags.includes(tag)
+                ? filterState.tags.filter(x => x !== tag)
+                : filterState.tags.concat(tag);
+
+            syncFilterControls();
+            writeFilterState(true);
+            applyFilters();
+        });
+    }
+
+    if (resetBtn) resetBtn.addEventListener("click", resetFilters);
+
+    window.addEventListener("popstate", () => {
+        filterState = readFilterState();
+        if (gamesData) renderTagChips(gamesData);
+        syncFilterControls();
+        applyFilters();
+    });
+}
+
+
+// ===================== CONTINUE PLAYING / FAVOURITES =====================
+
+let shelvesWired = false;
+
+function gamesByIds(ids) {
+    if (!gamesData) return [];
+    const lookup = {};
+    flattenGames(gamesData).forEach(g => { lookup[g.id] = g; });
+    return ids.map(id => lookup[id]).filter(Boolean);
+}
+
+function fillShelf(sectionId, gridId, list) {
+    const section = document.getElementById(sectionId);
+    if (!section) return;
+
+    section.hidden = list.length === 0;
+    fillGrid(gridId, list);
+}
+
+function renderShelves() {
+    if (!window.PlayHistory) return;
+
+    fillShelf("shelf-continue", "grid-continue", gamesByIds(PlayHistory.recent()));
+    fillShelf("shelf-favourites", "grid-favourites", gamesByIds(PlayHistory.favourites()));
+}
+
+function downloadHistory() {
+    const blob = new Blob([PlayHistory.exportJSON()], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "neon-play-history.json";
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+async function uploadHistory(file) {
+    try {
+        PlayHistory.importJSON(await file.text());
+        loadGames();
+    } catch (err) {
+        console.error("Failed to import play history:", err);
+        alert(translateOr("history_import_failed", "This file is not a valid play history export."));
+    }
+}
+
+function initShelves() {
+    if (shelvesWired || !window.PlayHistory) return;
+    shelvesWired = true;
+
+    document.addEventListener("click", e => {
+        const star = e.target.closest(".fav-toggle");
+        if (!star) return;
+
+        e.preventDefault();
+        const active = PlayHistory.toggleFavourite(star.dataset.id);
+
+        document.querySelectorAll(`.fav-toggle[data-id="${star.dataset.id}"]`).forEach(btn => {
+            btn.classList.toggle("active", active);
+            btn.setAttribute("aria-pressed", active);
+            btn.textContent = active ? "★" : "☆";
+        });
+
+        fillShelf("shelf-favourites", "grid-favourites", gamesByIds(PlayHistory.favourites()));
+    });
+
+    const exportBtn = document.getElementById("exportHistoryBtn");
+    const importBtn = document.getElementById("importHistoryBtn");
+    const importInput = document.getElementById("importHistoryInput");
+
+    if (exportBtn) exportBtn.addEventListener("click", downloadHistory);
+    if (importBtn && importInput) {
+        importBtn.addEventListener("click", () => importInput.click());
+        importInput.addEventListener("change", () => {
+            if (importInput.files[0]) uploadHistory(importInput.files[0]);
+            importInput.value = "";
+        });
+    }
+}
+
+
 //document.addEventListener("DOMContentLoaded", loadGames);
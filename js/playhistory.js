@@ -0,0 +1,209 @@
+// Shared play history for the hub and the games.
+//
+// Games call PlayHistory.start("<games.json id>") when a run begins and
+// PlayHistory.end("<id>", { score }) on game over. The hub reads the same
+// localStorage entry to show "Continue playing", favourites and personal bests.
+//
+//   <script src="js/playhistory.js"></script>          (root pages)
+//   <script src="../../js/playhistory.js"></script>    (games/<name>/index.html)
+
+(function () {
+    const STORAGE_KEY = "neonPlayHistory";
+    const VERSION = 1;
+    const MAX_SESSIONS = 20;
+
+    // Runs started on this page and not ended yet: id -> { startedAt, lowerIsBetter }
+    const open = {};
+
+    function emptyHistory() {
+        return { version: VERSION, games: {}, favourites: [] };
+    }
+
+    function load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (data && data.version === VERSION && data.games) {
+                data.favourites = Array.isArray(data.favourites) ? data.favourites : [];
+                return data;
+            }
+        } catch (e) {}
+        return emptyHistory();
+    }
+
+    function save(data) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {}
+    }
+
+    function emptyEntry() {
+        return { plays: 0, totalTime: 0, lastPlayed: 0, best: null, lowerIsBetter: false, sessions: [] };
+    }
+
+    function isBetter(score, best, lowerIsBetter) {
+        if (best == null) return true;
+        return lowerIsBetter ? score < best : score > best;
+    }
+
+    // Adds one finished session: { at, duration (ms), score }.
+    function record(id, session, options = {}) {
+        if (!id) return null;
+
+        const data = load();
+        const entry = data.games[id] || emptyEntry();
+        const at = session.at || Date.now();
+        const duration = Math.max(0, Math.round(session.duration || 0));
+        const score = Number.isFinite(session.score) ? session.score : null;
+
+        if (options.lowerIsBetter != null) entry.lowerIsBetter = !!options.lowerIsBetter;
+
+        entry.plays += 1;
+        entry.totalTime += duration;
+        entry.lastPlayed = Math.max(entry.lastPlayed, at);
+
+        let newBest = false;
+        if (score != null && isBetter(score, entry.best, entry.lowerIsBetter)) {
+            entry.best = score;
+            newBest = true;
+        }
+
+        entry.sessions.unshift({ at, duration, score });
+        entry.sessions.length = Math.min(entry.sessions.length, MAX_SESSIONS);
+
+        data.games[id] = entry;
+        save(data);
+
+        return { entry, newBest };
+    }
+
+    function start(id, options = {}) {
+        if (!id) return;
+        open[id] = { startedAt: Date.now(), lowerIsBetter: options.lowerIsBetter };
+    }
+
+    // Ends the run opened by start(); without one, the session counts with zero duration.
+    function end(id, result = {}) {
+        const run = open[id];
+        delete open[id];
+
+        const now = Date.now();
+        return record(id, {
+            at: now,
+            duration: run ? now - run.startedAt : 0,
+            score: result.score
+        }, { lowerIsBetter: result.lowerIsBetter != null ? result.lowerIsBetter : run && run.lowerIsBetter });
+    }
+
+    function get(id) {
+        return load().games[id] || null;
+    }
+
+    function all() {
+        return load().games;
+    }
+
+    // Ids ordered by last played, newest first.
+    function recent(limit = 8) {
+        const games = load().games;
+        return Object.keys(games)
+            .filter(id => games[id].lastPlayed)
+            .sort((a, b) => games[b].lastPlayed - games[a].lastPlayed)
+            .slice(0, limit);
+    }
+
+    function favourites() {
+        return load().favourites.slice();
+    }
+
+    function isFavourite(id) {
+        return load().favourites.includes(id);
+    }
+
+    function toggleFavourite(id) {
+        const data = load();
+        const index = data.favourites.indexOf(id);
+
+        if (index === -1) data.favourites.unshift(id);
+        else data.favourites.splice(index, 1);
+
+        save(data);
+        return index === -1;
+    }
+
+    function exportJSON() {
+        return JSON.stringify(Object.assign(load(), { exportedAt: new Date().toISOString() }), null, 2);
+    }
+
+    // Sums the durations of a list of sessions.
+    function sessionTime(sessions) {
+        return sessions.reduce((total, session) => total + (session.duration || 0), 0);
+    }
+
+    // Merges an exported file into the current history: sessions are united by
+    // their timestamp, bests keep the better value and favourites are united,
+    // so importing the same file twice changes nothing.
+    // Pass { replace: true } to overwrite instead.
+    function importJSON(text, options = {}) {
+        const incoming = typeof text === "string" ? JSON.parse(text) : text;
+        if (!incoming || incoming.version !== VERSION || typeof incoming.games !== "object") {
+            throw new Error("Unsupported play history file");
+        }
+
+        const data = options.replace ? emptyHistory() : load();
+
+        Object.keys(incoming.games).forEach(id => {
+            const src = Object.assign(emptyEntry(), incoming.games[id]);
+            const dst = data.games[id];
+
+            if (!dst) {
+                data.games[id] = src;
+                return;
+            }
+
+            const sessions = {};
+            dst.sessions.concat(src.sessions).forEach(session => { sessions[session.at] = session; });
+            const merged = Object.values(sessions).sort((a, b) => b.at - a.at);
+
+            // Plays older than the kept sessions can't be matched up, so the larger side wins.
+            const olderPlays = Math.max(0, dst.plays - dst.sessions.length, src.plays - src.sessions.length);
+            const olderTime = Math.max(0, dst.totalTime - sessionTime(dst.sessions), src.totalTime - sessionTime(src.sessions));
+
+            dst.plays = olderPlays + merged.length;
+            dst.totalTime = olderTime + sessionTime(merged);
+            dst.lastPlayed = Math.max(dst.lastPlayed, src.lastPlayed);
+            if (src.best != null && isBetter(src.best, dst.best, dst.lowerIsBetter)) dst.best = src.best;
+            dst.sessions = merged.slice(0, MAX_SESSIONS);
+        });
+
+        (incoming.favourites || []).forEach(id => {
+            if (!data.favourites.includes(id)) data.favourites.push(id);
+        });
+
+        save(data);
+        return data;
+    }
+
+    function clear() {
+        save(emptyHistory());
+    }
+
+    // A run left open when the tab closes still counts as a session.
+    window.addEventListener("pagehide", () => {
+        Object.keys(open).forEach(id => end(id));
+    });
+
+    window.PlayHistory = {
+        start,
+        end,
+        record,
+        get,
+        all,
+        recent,
+        favourites,
+        isFavourite,
+        toggleFavourite,
+        exportJSON,
+        importJSON,
+        clear
+    };
+})();
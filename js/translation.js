@@ -1,51 +1,282 @@
 window.i18n = {};
 window.currentLang = "en";
+
+// Every file in lang/. The first one is the fallback for missing keys.
+const SUPPORTED_LANGS = ["en", "ro", "de", "es", "fr", "hi", "it", "ja", "ko", "pt-br", "sv", "zh"];
+const FALLBACK_LANG = SUPPORTED_LANGS[0];
+
+async function fetchDictionary(lang) {
+    if (window.i18n[lang]) return window.i18n[lang];
+
+    const response = await fetch(`../lang/${lang}.json`);
+    const dict = await response.json();
+    window.i18n[lang] = dict;
+    return dict;
+}
+
 async function loadLanguage(lang) {
     try {
-        const response = await fetch(`../lang/${lang}.json`);
-        const dict = await response.json();
+        // ✔ EN e mereu încărcat — e rezerva pentru cheile lipsă
+        const [dict, fallback] = await Promise.all([
+            fetchDictionary(lang),
+            lang === FALLBACK_LANG ? null : fetchDictionary(FALLBACK_LANG).catch(() => null)
+        ]);
 
         // ✔ salvează dicționarul pentru funcția t()
-        window.i18n[lang] = dict;
         window.currentLang = lang;
+        document.documentElement.lang = lang;
+
+        const lookup = key => dict[key] || (fallback && fallback[key]);
 
         // ✔ aplică traducerile din DOM
         document.querySelectorAll("[data-i18n]").forEach(el => {
-            const key = el.getAttribute("data-i18n");
-            if (dict[key]) el.textContent = dict[key];
+            const value = lookup(el.getAttribute("data-i18n"));
+            if (value) el.textContent = value;
         });
 
         document.querySelectorAll("[data-i18n-placeholder]").forEach(el => {
-            const key = el.getAttribute("data-i18n-placeholder");
-            if (dict[key]) el.placeholder = dict[key];
+            const value = lookup(el.getAttribute("data-i18n-placeholder"));
+            if (value) el.placeholder = value;
         });
 
     } catch (err) {
         console.error("Failed to load language file:", err);
     }
 }
+
+// "pt-br" -> "pt-BR", the form Intl expects.
+function intlLocale(lang = window.currentLang) {
+    const [base, region] = String(lang).split("-");
+    return region ? `${base}-${region.toUpperCase()}` : base;
+}
+
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(intlLocale(), options).format(value);
+}
+
+const DATE_STYLES = ["short", "medium", "long", "full"];
+
+function formatDate(value, options = { dateStyle: "medium" }) {
+    const date = value instanceof Date ? value : new Date(value);
+    return new Intl.DateTimeFormat(intlLocale(), options).format(date);
+}
+
+// Index of the "}" closing the "{" at `start`, or -1.
+function findClosingBrace(str, start) {
+    let depth = 0;
+    for (let i = start; i < str.length; i++) {
+        if (str[i] === "{") depth++;
+        else if (str[i] === "}" && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// Splits "=0 {none} one {# item} other {# items}" into { "=0": "none", one: "# item", ... }.
+function parseOptions(body) {
+    const options = {};
+    let i = 0;
+
+    while (i < body.length) {
+        const open = body.indexOf("{", i);
+        if (open === -1) break;
+
+        const close = findClosingBrace(body, open);
+        if (close === -1) break;
+
+        const selector = body.slice(i, open).trim();
+        if (selector) options[selector] = body.slice(open + 1, close);
+        i = close + 1;
+    }
+
+    return options;
+}
+
+function formatArgument(name, type, style, vars, lang) {
+    const value = vars[name];
+
+    if (type === "number") {
+        const opts = style === "percent" ? { style: "percent" } : style === "integer" ? { maximumFractionDigits: 0 } : {};
+        return formatNumber(value, opts);
+    }
+
+    if (type === "date" || type === "time") {
+        const key = type === "date" ? "dateStyle" : "timeStyle";
+        return formatDate(value, { [key]: DATE_STYLES.includes(style) ? style : "medium" });
+    }
+
+    if (type === "plural" || type === "select") {
+        const options = parseOptions(style);
+        let branch;
+
+        if (type === "plural") {
+            const n = Number(value);
+            branch = options[`=${n}`];
+            if (branch == null) branch = options[new Intl.PluralRules(intlLocale(lang)).select(n)];
+            if (branch == null) branch = options.other;
+            return formatMessage(branch || "", vars, lang, formatNumber(n));
+        }
+
+        branch = options[String(value)];
+        if (branch == null) branch = options.other;
+        return formatMessage(branch || "", vars, lang);
+    }
+
+    return String(value);
+}
+
+// ICU MessageFormat subset:
+//   {name}  {n, number}  {n, number, percent}  {d, date, long}  {d, time, short}
+//   {n, plural, =0 {no games} one {# game} other {# games}}
+//   {g, select, female {her} male {his} other {their}}
+// Placeholders without a matching var are left as they are, so older
+// t(key).replace("{x}", …) call sites keep working.
+function formatMessage(str, vars, lang, pluralValue) {
+    if (str.indexOf("{") === -1 && pluralValue == null) return str;
+
+    let out = "";
+    let i = 0;
+
+    while (i < str.length) {
+        const ch = str[i];
+
+        if (ch === "#" && pluralValue != null) {
+            out += pluralValue;
+            i++;
+            continue;
+        }
+
+        if (ch !== "{") {
+            out += ch;
+            i++;
+            continue;
+        }
+
+        const close = findClosingBrace(str, i);
+        if (close === -1) {
+            out += str.slice(i);
+            break;
+        }
+
+        const inner = str.slice(i + 1, close);
+        const firstComma = inner.indexOf(",");
+        const name = (firstComma === -1 ? inner : inner.slice(0, firstComma)).trim();
+
+        if (!(name in vars)) {
+            out += str.slice(i, close + 1);
+        } else if (firstComma === -1) {
+            out += String(vars[name]);
+        } else {
+            const rest = inner.slice(firstComma + 1);
+            const secondComma = rest.indexOf(",");
+            const type = (secondComma === -1 ? rest : rest.slice(0, secondComma)).trim();
+            const style = secondComma === -1 ? "" : rest.slice(secondComma + 1).trim();
+            out += formatArgument(name, type, style, vars, lang);
+        }
+
+        i = close + 1;
+    }
+
+    return out;
+}
+
 // 🔵 FUNCTIA t() — pentru texte in JavaScript
+// Cheie lipsă în limba curentă -> EN -> cheia brută.
 function t(key, vars = {}) {
-    let str = window.i18n?.[window.currentLang]?.[key] || key;
+    const lang = window.currentLang;
+    const str =
+        window.i18n?.[lang]?.[key] ??
+        window.i18n?.[FALLBACK_LANG]?.[key] ??
+        key;
 
-    Object.keys(vars).forEach(k => {
-        str = str.replace(`{${k}}`, vars[k]);
-    });
+    return formatMessage(String(str), vars || {}, lang);
+}
+
+// Best lang/ file for a list of BCP 47 tags: exact match first ("pt-BR" -> "pt-br"),
+// then the base language ("pt-PT" -> "pt-br", "zh-TW" -> "zh").
+function matchLocale(locales) {
+    for (const locale of locales) {
+        if (!locale) continue;
+        const tag = locale.toLowerCase();
+
+        if (SUPPORTED_LANGS.includes(tag)) return tag;
 
-    return str;
+        const base = tag.split("-")[0];
+        const match = SUPPORTED_LANGS.find(lang => lang === base || lang.split("-")[0] === base);
+        if (match) return match;
+    }
+    return null;
 }
 
 function detectDefaultLanguage() {
     // 1. Respect user selection if saved
     const saved = localStorage.getItem("site-lang");
-    if (saved) return saved;
+    if (saved && SUPPORTED_LANGS.includes(saved)) return saved;
 
-    // 2. Auto-detect from browser
-    const locale = navigator.language || navigator.userLanguage;
-    if (locale && locale.toLowerCase().startsWith("ro")) return "ro";
+    // 2. Auto-detect from browser, in order of the user's preference
+    const locales = navigator.languages && navigator.languages.length
+        ? navigator.languages
+        : [navigator.language || navigator.userLanguage];
 
     // 3. Otherwise EN
-    return "en";
+    return matchLocale(locales) || FALLBACK_LANG;
+}
+
+
+// ====================== ?i18n-debug OVERLAY ======================
+// Outlines every translatable element whose key is missing (red) or still
+// identical to English (orange) in the active locale. Same rules as
+// lang/check_translations.js, but for the page you're looking at.
+
+const I18N_DEBUG = new URLSearchParams(window.location.search).has("i18n-debug");
+const I18N_ATTRS = ["data-i18n", "data-i18n-placeholder", "data-i18n-title", "data-i18n-aria"];
+
+function i18nKeyStatus(key, lang) {
+    const dict = window.i18n[lang] || {};
+    const base = window.i18n[FALLBACK_LANG] || {};
+
+    if (!(key in dict)) return "missing";
+    if (lang !== FALLBACK_LANG && dict[key] === base[key] && /\p{L}{2,}/u.test(dict[key])) return "untranslated";
+    return "ok";
+}
+
+function showI18nDebug() {
+    const lang = window.currentLang;
+    const counts = { missing: 0, untranslated: 0, ok: 0 };
+
+    if (!document.getElementById("i18n-debug-style")) {
+        const style = document.createElement("style");
+        style.id = "i18n-debug-style";
+        style.textContent = `
+            .i18n-debug-missing { outline: 2px dashed #ef4444 !important; outline-offset: 2px; }
+            .i18n-debug-untranslated { outline: 2px dashed #f59e0b !important; outline-offset: 2px; }
+            #i18n-debug-panel {
+                position: fixed; left: 12px; bottom: 12px; z-index: 99999;
+                padding: 8px 12px; border-radius: 8px;
+                background: rgba(2,6,23,0.92); border: 1px solid #38bdf8;
+                color: #e5e7eb; font: 12px/1.5 monospace;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    document.querySelectorAll(I18N_ATTRS.map(attr => `[${attr}]`).join(",")).forEach(el => {
+        const attr = I18N_ATTRS.find(a => el.hasAttribute(a));
+        const key = el.getAttribute(attr);
+        const status = i18nKeyStatus(key, lang);
+
+        el.classList.remove("i18n-debug-missing", "i18n-debug-untranslated");
+        if (status !== "ok") el.classList.add(`i18n-debug-${status}`);
+        el.title = `${key} (${status})`;
+        counts[status]++;
+    });
+
+    let panel = document.getElementById("i18n-debug-panel");
+    if (!panel) {
+        panel = document.createElement("div");
+        panel.id = "i18n-debug-panel";
+        document.body.appendChild(panel);
+    }
+    panel.textContent = `i18n ${lang}: ${counts.missing} missing · ${counts.untranslated} untranslated · ${counts.ok} ok`;
 }
 
 
@@ -54,6 +285,7 @@ function detectDefaultLanguage() {
 (async () => {
     const lang = detectDefaultLanguage();
     await loadLanguage(lang);
+    if (I18N_DEBUG) showI18nDebug();
 
     // 🔥 notificăm că limbajul e pregătit (JOCUL AȘTEAPTĂ ASTA)
     document.dispatchEvent(new Event("i18n-ready"));
@@ -62,8 +294,9 @@ function detectDefaultLanguage() {
     window.setLanguage = async function(newLang) {
         localStorage.setItem("site-lang", newLang);
         await loadLanguage(newLang);
+        if (I18N_DEBUG) showI18nDebug();
 
         // 🔥 când schimbăm limba — retraducem și jocul
         document.dispatchEvent(new Event("i18n-ready"));
     };
-})();
\ No newline at end of file
+})();
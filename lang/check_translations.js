@@ -0,0 +1,177 @@
+// Translation coverage report for lang/*.json.
+//
+// Scans the site's HTML and JS for the keys it uses (data-i18n*, t("…"),
+// translateOr("…"), games.json titles) and diffs them against every locale:
+//   missing       used by the site but absent from the locale
+//   unused        present in the locale but never referenced
+//   untranslated  same text as en.json (non-en locales only)
+//
+// Usage: node lang/check_translations.js [--locale ro] [--json] [--strict] [--verbose]
+//   --strict   exit with 1 when any locale is missing keys
+//   --verbose  list every key instead of the first few per section
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const LANG_DIR = __dirname;
+const BASE_LANG = "en";
+const PREVIEW = 10;
+
+// Games ship their own text; the hub's lang/ files only cover the site pages.
+const SKIP_DIRS = new Set([".git", ".vs", "node_modules", "games", "lang"]);
+
+const ATTR_RE = /data-i18n(?:-placeholder|-title|-aria)?\s*=\s*["']([^"']+)["']/g;
+const CALL_RE = /\b(?:t|translateOr)\(\s*(["'`])((?:(?!\1).)+)\1/g;
+const DICT_RE = /\bdict\[\s*`([^`]+)`\s*\]/g;
+
+function walk(dir, files = []) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIP_DIRS.has(entry.name)) walk(full, files);
+        } else if (/\.(html|js)$/.test(entry.name)) {
+            files.push(full);
+        }
+    });
+    return files;
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// `filter_${tag}` can't be resolved statically; it marks every filter_* key as used.
+function templateToPattern(template) {
+    const parts = template.split(/\$\{[^}]*\}/);
+    return new RegExp("^" + parts.map(escapeRegExp).join(".+") + "$");
+}
+
+function collectReferences() {
+    const keys = new Map();   // key -> Set of files
+    const patterns = [];
+
+    function add(key, file) {
+        if (!keys.has(key)) keys.set(key, new Set());
+        keys.get(key).add(path.relative(ROOT, file));
+    }
+
+    walk(ROOT).forEach(file => {
+        const src = fs.readFileSync(file, "utf8");
+        let m;
+
+        ATTR_RE.lastIndex = 0;
+        while ((m = ATTR_RE.exec(src))) add(m[1].trim(), file);
+
+        CALL_RE.lastIndex = 0;
+        while ((m = CALL_RE.exec(src))) {
+            if (m[1] === "`" && m[2].includes("${")) patterns.push(templateToPattern(m[2]));
+            else add(m[2], file);
+        }
+
+        DICT_RE.lastIndex = 0;
+        while ((m = DICT_RE.exec(src))) patterns.push(templateToPattern(m[1]));
+    });
+
+    const gamesFile = path.join(ROOT, "games", "games.json");
+    if (fs.existsSync(gamesFile)) {
+        const games = JSON.parse(fs.readFileSync(gamesFile, "utf8"));
+        Object.values(games).forEach(list => {
+            (list || []).forEach(g => {
+                if (g.title) add(g.title, gamesFile);
+            });
+        });
+    }
+
+    return { keys, patterns };
+}
+
+function loadLocales() {
+    const locales = {};
+    fs.readdirSync(LANG_DIR)
+        .filter(name => name.endsWith(".json"))
+        .sort()
+        .forEach(name => {
+            locales[name.replace(/\.json$/, "")] = JSON.parse(fs.readFileSync(path.join(LANG_DIR, name), "utf8"));
+        });
+    return locales;
+}
+
+// Emoji, numbers and punctuation read the same in every language.
+function hasWords(value) {
+    return /\p{L}{2,}/u.test(value);
+}
+
+function report(refs, locales, only) {
+    const base = locales[BASE_LANG] || {};
+    const used = key => refs.keys.has(key) || refs.patterns.some(re => re.test(key));
+    const result = {};
+
+    Object.keys(locales)
+        .filter(lang => !only || lang === only)
+        .forEach(lang => {
+            const dict = locales[lang];
+
+            const missing = Array.from(refs.keys.keys()).filter(key => !(key in dict)).sort();
+            const unused = Object.keys(dict).filter(key => !used(key)).sort();
+            const untranslated = lang === BASE_LANG ? [] : Object.keys(dict)
+                .filter(key => typeof dict[key] === "string" && dict[key] === base[key] && hasWords(dict[key]))
+                .sort();
+
+            result[lang] = { total: Object.keys(dict).length, missing, unused, untranslated };
+        });
+
+    return result;
+}
+
+function printSection(label, keys, refs, verbose) {
+    if (!keys.length) return;
+    console.log(`  ${label} (${keys.length})`);
+
+    const shown = verbose ? keys : keys.slice(0, PREVIEW);
+    shown.forEach(key => {
+        const files = refs.keys.get(key);
+        console.log(`    ${key}${files ? `  ← ${Array.from(files).slice(0, 3).join(", ")}` : ""}`);
+    });
+    if (shown.length < keys.length) console.log(`    … ${keys.length - shown.length} more (use --verbose)`);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const flag = name => args.includes(name);
+    const localeIndex = args.indexOf("--locale");
+    const only = localeIndex !== -1 ? args[localeIndex + 1] : null;
+
+    const refs = collectReferences();
+    const locales = loadLocales();
+
+    if (only && !locales[only]) {
+        console.error(`Unknown locale "${only}". Available: ${Object.keys(locales).join(", ")}`);
+        process.exit(1);
+    }
+
+    const result = report(refs, locales, only);
+
+    if (flag("--json")) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(`${refs.keys.size} keys referenced by the site, ${refs.patterns.length} dynamic key patterns\n`);
+        Object.keys(result).forEach(lang => {
+            const r = result[lang];
+            console.log(`${lang}: ${r.total} keys — ${r.missing.length} missing, ${r.unused.length} unused, ${r.untranslated.length} untranslated`);
+            printSection("missing", r.missing, refs, flag("--verbose"));
+            printSection("unused", r.unused, refs, flag("--verbose"));
+            printSection("untranslated", r.untranslated, refs, flag("--verbose"));
+            console.log("");
+        });
+    }
+
+    const anyMissing = Object.values(result).some(r => r.missing.length);
+    process.exit(flag("--strict") && anyMissing ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { collectReferences, loadLocales, report };